@@ -0,0 +1,106 @@
+// Depth and cost limits for GraphQL queries
+// A field costs 1 when it selects an object and nothing when it is a scalar, unless its schema
+// extensions say otherwise: { cost } for fields that call Gemini, NewsAPI or the scraper, and
+// { multiplier: 'first' } for lists whose size an argument sets. Introspection is not counted.
+// Fields marked { bucket } also charge the caller's rate limit bucket of that name once for every
+// time they resolve, so a summary under bills(first: 20) is charged 20 times
+const { Kind, GraphQLError, getNamedType } = require('graphql');
+const { getArgumentValues } = require('graphql/execution/values');
+
+const MAX_DEPTH = 8;
+const MAX_COST = 1000;
+
+function getOperation(document, operationName) {
+  const operations = document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION);
+  if (operationName) {
+    return operations.find(operation => operation.name && operation.name.value === operationName) || null;
+  }
+  return operations.length === 1 ? operations[0] : null;
+}
+
+/**
+ * Measure the nesting depth and estimated cost of an operation
+ * @param {GraphQLSchema} schema
+ * @param {DocumentNode} document - Parsed and validated query
+ * @param {Object} options - { variables, operationName }
+ * @returns {Object} { depth, cost, buckets }, buckets giving the units charged to each rate limit bucket
+ */
+function analyzeQuery(schema, document, { variables = {}, operationName } = {}) {
+  const operation = getOperation(document, operationName);
+  if (!operation) {
+    return { depth: 0, cost: 0, buckets: {} };
+  }
+
+  const fragments = {};
+  document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(fragment => { fragments[fragment.name.value] = fragment; });
+
+  // Units of each bucket, scaled by the list sizes above them
+  const addUnits = (total, units, scale = 1) => {
+    Object.entries(units).forEach(([bucket, count]) => {
+      total[bucket] = (total[bucket] || 0) + count * scale;
+    });
+    return total;
+  };
+
+  const measure = (selectionSet, parentType, depth, spread) => selectionSet.selections.reduce((total, selection) => {
+    let child = { depth, cost: 0, units: {} };
+
+    if (selection.kind === Kind.FIELD) {
+      const fieldDef = selection.name.value.startsWith('__') ? null : parentType.getFields()[selection.name.value];
+      if (!fieldDef) {
+        return total;
+      }
+
+      const childCost = selection.selectionSet
+        ? measure(selection.selectionSet, getNamedType(fieldDef.type), depth + 1, spread)
+        : { depth, cost: 0, units: {} };
+      const { cost = selection.selectionSet ? 1 : 0, multiplier, bucket } = fieldDef.extensions || {};
+      const count = multiplier ? Math.max(parseInt(getArgumentValues(fieldDef, selection, variables)[multiplier]) || 1, 1) : 1;
+      const units = addUnits({}, childCost.units, count);
+      if (bucket) {
+        units[bucket] = (units[bucket] || 0) + 1;
+      }
+      child = { depth: childCost.depth, cost: cost + count * childCost.cost, units };
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType;
+      child = measure(selection.selectionSet, type, depth, spread);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = fragments[selection.name.value];
+      if (!fragment || spread.has(fragment.name.value)) {
+        return total;
+      }
+      child = measure(fragment.selectionSet, schema.getType(fragment.typeCondition.name.value), depth, new Set([...spread, fragment.name.value]));
+    }
+
+    return { depth: Math.max(total.depth, child.depth), cost: total.cost + child.cost, units: addUnits(total.units, child.units) };
+  }, { depth, cost: 0, units: {} });
+
+  const { depth, cost, units } = measure(operation.selectionSet, schema.getRootType(operation.operation), 1, new Set());
+  return { depth, cost, buckets: units };
+}
+
+/**
+ * Errors for an operation over the depth or cost limit
+ * @returns {GraphQLError[]} Empty when the operation is within both limits
+ */
+function checkLimits(schema, document, options) {
+  const { depth, cost } = analyzeQuery(schema, document, options);
+  const errors = [];
+
+  if (depth > MAX_DEPTH) {
+    errors.push(new GraphQLError(`Query depth ${depth} exceeds the limit of ${MAX_DEPTH}`, {
+      extensions: { code: 'QUERY_TOO_DEEP', depth, maxDepth: MAX_DEPTH }
+    }));
+  }
+  if (cost > MAX_COST) {
+    errors.push(new GraphQLError(`Query cost ${cost} exceeds the limit of ${MAX_COST}; request fewer bills or fewer summaries, news and votes`, {
+      extensions: { code: 'QUERY_TOO_COSTLY', cost, maxCost: MAX_COST }
+    }));
+  }
+
+  return errors;
+}
+
+module.exports = { analyzeQuery, checkLimits, MAX_DEPTH, MAX_COST };
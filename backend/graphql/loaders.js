@@ -0,0 +1,56 @@
+// Per-request DataLoaders for the GraphQL API
+// Each request gets fresh loaders, so a bill, summary, article list or roll call list is fetched
+// at most once per query however many fields or aliases ask for it
+const DataLoader = require('dataloader');
+const { billDatabase } = require('../../config/bill-database');
+const { summaryDatabase } = require('../../config/summary-database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { newsService } = require('../../services/news');
+
+// Stored roll calls, or the journals scraped the way GET /api/bills/:billId/voting does
+async function loadVotes(bill) {
+  if (bill.votingData && (bill.votingData.votes || []).length > 0) {
+    return bill.votingData.votes;
+  }
+
+  const { TexasLegislatureScraper } = require('../../services/scraper');
+  const scraper = new TexasLegislatureScraper();
+  for (const variant of idStandardizer.generateLookupVariants(bill.billNumber)) {
+    try {
+      const votingData = await scraper.scrapeVotingData(variant, bill.session);
+      if (votingData && votingData.votes.length > 0) {
+        return votingData.votes;
+      }
+    } catch (error) {
+      console.warn(`Failed to scrape voting data for variant ${variant}:`, error.message);
+    }
+  }
+  return [];
+}
+
+function createLoaders() {
+  return {
+    // Keys: { id, session }; session applies to ids given without one
+    bills: new DataLoader(
+      keys => Promise.all(keys.map(({ id, session }) => billDatabase.getBill(id, session))),
+      { cacheKeyFn: ({ id, session }) => `${session || ''}|${id}` }
+    ),
+
+    // Keys: bill document ids; one summaries document holds every reading level
+    summaries: new DataLoader(ids => Promise.all(ids.map(id => summaryDatabase.getSummary(id)))),
+
+    // Keys: bills; articles come from the news cache or NewsAPI
+    news: new DataLoader(
+      bills => Promise.all(bills.map(async bill => {
+        const articles = await newsService.getNewsForBill(bill.id, bill);
+        return articles.filter(article => !article.isError);
+      })),
+      { cacheKeyFn: bill => bill.id }
+    ),
+
+    // Keys: bills
+    votes: new DataLoader(bills => Promise.all(bills.map(loadVotes)), { cacheKeyFn: bill => bill.id })
+  };
+}
+
+module.exports = { createLoaders };
@@ -0,0 +1,332 @@
+// GraphQL schema for bills, sponsors, summaries, news, votes and stages
+// Resolvers reuse the REST building blocks (billDatabase, billQuery, summaryService, newsService and
+// the scraper) through the per-request loaders in ./loaders
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLBoolean,
+  GraphQLID
+} = require('graphql');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { billLifecycle } = require('../../config/bill-lifecycle');
+const { toIso, toDateKey } = require('../../config/field-values');
+const { summaryService } = require('../../services/ai-summary');
+const { billQuery } = require('../../services/bill-query');
+const { calendarFeed } = require('../../services/calendar-feed');
+const { legislatorService } = require('../../services/legislators');
+const { AppError } = require('../middleware/error-handler');
+
+// Largest page of bills one query may ask for
+const MAX_BILLS_PER_QUERY = 100;
+
+const MAX_NEWS_ARTICLES = 10;
+
+const list = type => new GraphQLList(new GraphQLNonNull(type));
+
+function parseSession(session) {
+  if (!session) {
+    return null;
+  }
+  const sessionCode = idStandardizer.standardizeSession(session);
+  if (!sessionCode) {
+    throw new AppError(`Invalid session: ${session}. Use a session code such as 89R or 89-1`, 'VALIDATION_ERROR');
+  }
+  return sessionCode;
+}
+
+const SummaryLevel = new GraphQLEnumType({
+  name: 'SummaryLevel',
+  values: {
+    HIGH_LEVEL: { value: 'high-level', description: 'Two or three plain-language sentences' },
+    DETAILED: { value: 'detailed', description: 'A longer breakdown of what the bill changes' }
+  }
+});
+
+const SponsorRole = new GraphQLEnumType({
+  name: 'SponsorRole',
+  values: {
+    AUTHOR: { value: 'author' },
+    COAUTHOR: { value: 'coauthor' },
+    SPONSOR: { value: 'sponsor', description: 'Sponsor in the other chamber' }
+  }
+});
+
+const Chamber = new GraphQLEnumType({
+  name: 'Chamber',
+  values: { SENATE: { value: 'Senate' }, HOUSE: { value: 'House' } }
+});
+
+const Sponsor = new GraphQLObjectType({
+  name: 'Sponsor',
+  description: 'An author, coauthor or sponsor of a bill, linked to the legislator directory when the name is unambiguous',
+  fields: () => ({
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    role: { type: new GraphQLNonNull(SponsorRole) },
+    chamber: { type: Chamber },
+    legislatorId: { type: GraphQLID },
+    party: { type: GraphQLString },
+    district: { type: GraphQLString },
+    photoUrl: { type: GraphQLString },
+    bills: {
+      type: new GraphQLNonNull(BillConnection),
+      description: 'Other bills this legislator authored or sponsored in the same session',
+      args: { first: { type: GraphQLInt, defaultValue: 20 }, after: { type: GraphQLString } },
+      extensions: { multiplier: 'first' },
+      resolve: (sponsor, { first, after }, { loaders }) =>
+        queryBills({ sponsor: [sponsor.name], session: sponsor.session, first, after }, loaders)
+    }
+  })
+});
+
+const Stage = new GraphQLObjectType({
+  name: 'Stage',
+  description: 'A step in the bill history',
+  fields: {
+    date: { type: GraphQLString, description: 'YYYY-MM-DD', resolve: stage => calendarFeed.getStageDateKey(stage) },
+    action: { type: GraphQLString },
+    location: { type: GraphQLString },
+    status: { type: GraphQLString }
+  }
+});
+
+const PartyVote = new GraphQLObjectType({
+  name: 'PartyVote',
+  fields: {
+    party: { type: new GraphQLNonNull(GraphQLString) },
+    yeas: { type: GraphQLInt, resolve: counts => counts.yea || 0 },
+    nays: { type: GraphQLInt, resolve: counts => counts.nay || 0 },
+    present: { type: GraphQLInt, resolve: counts => counts.present || 0 },
+    absent: { type: GraphQLInt, resolve: counts => counts.absent || 0 }
+  }
+});
+
+const MemberVote = new GraphQLObjectType({
+  name: 'MemberVote',
+  fields: {
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    vote: { type: GraphQLString, description: 'yea, nay, present or absent' },
+    party: { type: GraphQLString },
+    legislatorId: { type: GraphQLID }
+  }
+});
+
+const VoteEvent = new GraphQLObjectType({
+  name: 'VoteEvent',
+  description: 'A record vote from the Senate or House journal',
+  fields: {
+    id: { type: GraphQLID },
+    chamber: { type: Chamber },
+    date: { type: GraphQLString, resolve: rollCall => toIso(rollCall.date) },
+    recordNumber: { type: GraphQLString },
+    description: { type: GraphQLString },
+    motion: { type: GraphQLString },
+    result: { type: GraphQLString, description: 'passed or failed' },
+    yeas: { type: GraphQLInt, resolve: rollCall => (rollCall.votes || {}).yea || 0 },
+    nays: { type: GraphQLInt, resolve: rollCall => (rollCall.votes || {}).nay || 0 },
+    present: { type: GraphQLInt, resolve: rollCall => (rollCall.votes || {}).present || 0 },
+    absent: { type: GraphQLInt, resolve: rollCall => (rollCall.votes || {}).absent || 0 },
+    parties: {
+      type: list(PartyVote),
+      resolve: rollCall => Object.entries(rollCall.parties || {}).map(([party, counts]) => ({ party, ...counts }))
+    },
+    members: { type: list(MemberVote), resolve: rollCall => rollCall.members || [] },
+    journalUrl: { type: GraphQLString }
+  }
+});
+
+const Summary = new GraphQLObjectType({
+  name: 'Summary',
+  fields: {
+    billId: { type: new GraphQLNonNull(GraphQLID) },
+    level: { type: new GraphQLNonNull(SummaryLevel) },
+    text: { type: GraphQLString },
+    cached: { type: GraphQLBoolean, description: 'False when the summary was generated for this request' }
+  }
+});
+
+const NewsArticle = new GraphQLObjectType({
+  name: 'NewsArticle',
+  fields: {
+    headline: { type: GraphQLString },
+    source: { type: GraphQLString },
+    url: { type: GraphQLString },
+    description: { type: GraphQLString },
+    imageUrl: { type: GraphQLString, resolve: article => article.urlToImage || null },
+    publishedAt: { type: GraphQLString, resolve: article => toIso(article.publishedAt) },
+    isStale: { type: GraphQLBoolean, resolve: article => Boolean(article.isStale) }
+  }
+});
+
+// Authors, coauthors and sponsors in one list, each linked to a member record when possible
+async function getSponsors(bill, role) {
+  const chamber = bill.chamber || idStandardizer.getChamber(idStandardizer.standardize(bill.billNumber));
+  const otherChamber = chamber === 'Senate' ? 'House' : 'Senate';
+  const directory = await legislatorService.getDirectory();
+
+  const entries = [
+    ...(bill.sponsors || []).map(sponsor => ({ sponsor, role: 'author', chamber })),
+    ...(bill.coauthors || []).map(sponsor => ({ sponsor, role: 'coauthor', chamber })),
+    ...(bill.coSponsors || []).map(sponsor => ({ sponsor, role: 'sponsor', chamber: otherChamber }))
+  ];
+
+  return entries
+    .filter(entry => !role || entry.role === role)
+    .map(({ sponsor, role: sponsorRole, chamber: sponsorChamber }) => {
+      const info = typeof sponsor === 'string' ? { name: sponsor } : sponsor;
+      const member = legislatorService.findMember(directory, info.name, sponsorChamber) || {};
+      return {
+        name: info.name,
+        role: sponsorRole,
+        chamber: sponsorChamber,
+        session: bill.session || null,
+        legislatorId: info.legislatorId || member.id || null,
+        party: member.party || null,
+        district: info.district || member.district || null,
+        photoUrl: info.photoUrl || member.photoUrl || null
+      };
+    })
+    .filter(sponsor => sponsor.name);
+}
+
+// One page of bills from billQuery, primed into the bill loader so later bill(id:) lookups reuse them
+async function queryBills(args, loaders) {
+  if (args.first < 1 || args.first > MAX_BILLS_PER_QUERY) {
+    throw new AppError(`first must be between 1 and ${MAX_BILLS_PER_QUERY}`, 'VALIDATION_ERROR');
+  }
+
+  const { search, status, governor, sponsor, topic, committee, code, chamber, sort, order } = args;
+  const result = await billQuery.query({
+    search,
+    session: args.session || null,
+    filters: { chamber, status, governor, sponsor, topic, committee, code },
+    sort,
+    order,
+    cursor: args.after,
+    limit: args.first
+  });
+
+  result.bills.forEach(bill => loaders.bills.prime({ id: bill.id, session: null }, bill));
+  return result;
+}
+
+const Bill = new GraphQLObjectType({
+  name: 'Bill',
+  fields: () => ({
+    id: { type: new GraphQLNonNull(GraphQLID), description: 'Session-qualified document id, e.g. 89R-SB12' },
+    billNumber: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'Display form, e.g. SB 12',
+      resolve: bill => idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber || bill.id))
+    },
+    session: { type: GraphQLString },
+    chamber: { type: Chamber },
+    status: {
+      type: GraphQLString,
+      description: 'Lifecycle status, e.g. Passed Originating Chamber',
+      resolve: bill => billLifecycle.resolve(bill).status
+    },
+    statusLabel: { type: GraphQLString, description: 'Status naming the chamber, e.g. Passed Senate', resolve: bill => billLifecycle.resolve(bill).label },
+    shortTitle: { type: GraphQLString },
+    fullTitle: { type: GraphQLString },
+    abstract: { type: GraphQLString },
+    committee: { type: GraphQLString },
+    topics: { type: list(GraphQLString), resolve: bill => bill.topics || [] },
+    amendedCodes: { type: list(GraphQLString), resolve: bill => bill.amendedCodes || [] },
+    filedDate: { type: GraphQLString, description: 'YYYY-MM-DD', resolve: bill => toDateKey(bill.filedDate) },
+    lastAction: { type: GraphQLString },
+    lastActionDate: { type: GraphQLString, description: 'YYYY-MM-DD', resolve: bill => toDateKey(bill.lastActionDate) },
+    officialUrl: { type: GraphQLString },
+    sponsors: {
+      type: list(Sponsor),
+      args: { role: { type: SponsorRole } },
+      resolve: (bill, { role }) => getSponsors(bill, role)
+    },
+    stages: { type: list(Stage), resolve: bill => (bill.stages || []).filter(stage => stage && stage.action) },
+    summary: {
+      type: Summary,
+      description: 'Plain-language AI summary; generated and cached on first request when the bill has text',
+      args: { level: { type: SummaryLevel, defaultValue: 'high-level' } },
+      extensions: { cost: 10, bucket: 'ai' },
+      resolve: async (bill, { level }, { loaders }) => {
+        const stored = await loaders.summaries.load(bill.id);
+        const cachedText = stored && stored.summaries ? stored.summaries[level] : null;
+        if (cachedText) {
+          return { billId: bill.id, level, text: cachedText, cached: true };
+        }
+
+        const text = bill.billText || bill.abstract;
+        if (!text) {
+          return null;
+        }
+        return { billId: bill.id, level, text: await summaryService.generateSummary(bill.id, text, level), cached: false };
+      }
+    },
+    news: {
+      type: list(NewsArticle),
+      args: { limit: { type: GraphQLInt, defaultValue: 5 } },
+      extensions: { cost: 10, bucket: 'scrape' },
+      resolve: async (bill, { limit }, { loaders }) =>
+        (await loaders.news.load(bill)).slice(0, Math.min(Math.max(limit, 1), MAX_NEWS_ARTICLES))
+    },
+    votes: {
+      type: list(VoteEvent),
+      description: 'Record votes, oldest first',
+      extensions: { cost: 5, bucket: 'scrape' },
+      resolve: async (bill, args, { loaders }) =>
+        [...await loaders.votes.load(bill)].sort((a, b) => new Date(toIso(a.date) || 0) - new Date(toIso(b.date) || 0))
+    }
+  })
+});
+
+const BillConnection = new GraphQLObjectType({
+  name: 'BillConnection',
+  fields: {
+    totalCount: { type: new GraphQLNonNull(GraphQLInt), resolve: result => result.total },
+    nextCursor: { type: GraphQLString, description: 'Pass as after to get the next page' },
+    nodes: { type: list(Bill), resolve: result => result.bills }
+  }
+});
+
+const Query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    bill: {
+      type: Bill,
+      args: {
+        id: { type: new GraphQLNonNull(GraphQLID), description: 'Document id (89R-SB12) or bill number (SB 12)' },
+        session: { type: GraphQLString, description: 'Session for bill numbers given without one' }
+      },
+      resolve: (root, { id, session }, { loaders }) => loaders.bills.load({ id, session: parseSession(session) })
+    },
+    bills: {
+      type: new GraphQLNonNull(BillConnection),
+      description: 'Bills matching the same filters, search and sorting as GET /api/bills',
+      args: {
+        search: { type: GraphQLString },
+        status: { type: list(GraphQLString) },
+        governor: { type: list(GraphQLString), description: 'signed, line-item-veto, vetoed, filed-without-signature or pending' },
+        sponsor: { type: list(GraphQLString) },
+        topic: { type: list(GraphQLString) },
+        committee: { type: list(GraphQLString) },
+        code: { type: list(GraphQLString) },
+        session: { type: GraphQLString },
+        chamber: { type: Chamber },
+        sort: { type: GraphQLString, description: 'relevance, lastAction, filedDate, billNumber or sponsor' },
+        order: { type: GraphQLString, description: 'asc or desc' },
+        first: { type: GraphQLInt, defaultValue: 20 },
+        after: { type: GraphQLString }
+      },
+      extensions: { multiplier: 'first' },
+      resolve: (root, args, { loaders }) => queryBills({ ...args, session: parseSession(args.session) }, loaders)
+    }
+  }
+});
+
+const schema = new GraphQLSchema({ query: Query });
+
+module.exports = { schema, MAX_BILLS_PER_QUERY };
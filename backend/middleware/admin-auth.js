@@ -0,0 +1,38 @@
+// Admin authentication - requests carry Authorization: Bearer <ADMIN_API_KEY>
+const crypto = require('crypto');
+const { AppError } = require('./error-handler');
+
+// Compare hashes so the check takes the same time however much of the secret matches
+function secretsMatch(given, expected) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Whether a request carries the admin key; always false while ADMIN_API_KEY is unset
+ */
+function isAdmin(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return false;
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return Boolean(match) && secretsMatch(match[1].trim(), adminKey);
+}
+
+/**
+ * Reject requests without the admin key
+ * Admin-only endpoints are disabled (503) until ADMIN_API_KEY is set
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return next(new AppError('Admin API is disabled; set ADMIN_API_KEY to enable it', 'SERVICE_UNAVAILABLE', 503));
+  }
+  if (!isAdmin(req)) {
+    return next(new AppError('Admin credentials required', 'UNAUTHORIZED', 401));
+  }
+  next();
+}
+
+module.exports = { requireAdmin, isAdmin, secretsMatch };
@@ -38,7 +38,7 @@ class CacheMiddleware {
      * Generate cache key from request
      */
     generateCacheKey(req) {
-        const { method, path, query } = req;
+        const { method, baseUrl, path, query } = req;
         
         // Sort query parameters for consistent keys
         const sortedQuery = Object.keys(query)
@@ -48,7 +48,8 @@ class CacheMiddleware {
                 return result;
             }, {});
         
-        return `${method}:${path}:${JSON.stringify(sortedQuery)}`;
+        // Paths are relative to the router, so the mount point keeps "/" of different routers apart
+        return `${method}:${baseUrl}${path}:${JSON.stringify(sortedQuery)}`;
     }
 
     /**
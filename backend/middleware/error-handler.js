@@ -6,6 +6,7 @@ const { databaseService } = require('../../config/database');
  */
 const ERROR_TYPES = {
   VALIDATION_ERROR: 400,
+  UNAUTHORIZED: 401,
   NOT_FOUND: 404,
   RATE_LIMIT: 429,
   SERVER_ERROR: 500,
@@ -23,6 +24,7 @@ const ERROR_TYPES = {
  */
 const ERROR_MESSAGES = {
   VALIDATION_ERROR: 'The request contains invalid data. Please check your input and try again.',
+  UNAUTHORIZED: 'Valid credentials are required to access this resource.',
   NOT_FOUND: 'The requested resource was not found.',
   RATE_LIMIT: 'Too many requests. Please wait a moment and try again.',
   SERVER_ERROR: 'An internal server error occurred. Please try again later.',
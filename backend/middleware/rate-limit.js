@@ -0,0 +1,364 @@
+// API key authentication, per-client rate limits and daily quotas
+const { apiKeyDatabase } = require('../../config/api-key-database');
+const { databaseService } = require('../../config/database');
+const { AppError } = require('./error-handler');
+
+/**
+ * Limits per tier. Every /api request counts against "requests"; routes that call Gemini count
+ * against "ai" as well, and routes that fetch live from the legislature site or NewsAPI against "scrape".
+ * Clients without a key share the anonymous tier, counted per IP address.
+ */
+const TIERS = {
+  anonymous: {
+    requests: { perMinute: 120, perDay: 5000 },
+    ai: { perMinute: 10, perDay: 200 },
+    scrape: { perMinute: 20, perDay: 500 }
+  },
+  standard: {
+    requests: { perMinute: 300, perDay: 20000 },
+    ai: { perMinute: 20, perDay: 1000 },
+    scrape: { perMinute: 30, perDay: 2000 }
+  },
+  partner: {
+    requests: { perMinute: 1200, perDay: 200000 },
+    ai: { perMinute: 60, perDay: 10000 },
+    scrape: { perMinute: 120, perDay: 20000 }
+  }
+};
+
+const BUCKETS = ['requests', 'ai', 'scrape'];
+const BUCKET_LABELS = { requests: 'Request', ai: 'AI summary', scrape: 'Live data' };
+const WINDOWS = ['perMinute', 'perDay'];
+
+// How long a looked-up key is trusted before it is read again
+const KEY_CACHE_TTL = 60 * 1000;
+
+// Counters kept in memory; the least recently used are dropped beyond this
+const MAX_TRACKED_COUNTERS = 50000;
+
+// How often a key's daily usage is written to storage and read back, to pick up other instances' usage
+const USAGE_SYNC_INTERVAL = 10 * 1000;
+
+const MINUTE = 60 * 1000;
+
+// Minute windows start on the minute; day windows at midnight UTC
+function getWindowEnd(window, now) {
+  if (window === 'perMinute') {
+    return Math.floor(now / MINUTE) * MINUTE + MINUTE;
+  }
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime();
+}
+
+// UTC day a time falls in, YYYY-MM-DD, matching the day windows
+function getDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Rate limiter for the public API
+ * Features:
+ * - Identifies clients by X-API-Key header or api_key query parameter, or by IP address
+ * - Rejects unknown and revoked keys with 401
+ * - Per-minute rate limits and daily quotas per tier, overridable per key
+ * - Separate buckets for AI summaries and for live scrapes and NewsAPI lookups
+ * - 429 responses with Retry-After; RateLimit-* headers on every response
+ * - Daily usage of API keys kept in storage, so it survives restarts and is shared between instances
+ * Per-minute counters, and daily counters of anonymous clients, are kept in memory only.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxCounters] - Counters kept in memory before the least recently used are dropped
+   */
+  constructor(options = {}) {
+    this.maxCounters = options.maxCounters || MAX_TRACKED_COUNTERS;
+    // `${clientId}|${bucket}|${window}` -> { count, pending, resetAt }, least recently used first
+    this.counters = new Map();
+    // keyHash -> { apiKey, expiresAt }
+    this.keyCache = new Map();
+    // clientId -> { day, syncedAt, syncing } for API keys
+    this.usageSyncs = new Map();
+
+    this.middleware = this.middleware.bind(this);
+  }
+
+  /**
+   * Express middleware for /api: identifies the client and counts the request
+   */
+  async middleware(req, res, next) {
+    try {
+      req.apiClient = await this.identify(req);
+    } catch (error) {
+      return next(error);
+    }
+
+    await this.syncDailyUsage(req.apiClient);
+
+    if (this.enforce(req, res, 'requests')) {
+      next();
+    }
+  }
+
+  /**
+   * Count a request against a bucket, sending the 429 response when it is over a limit
+   * Routes call this with 'ai' or 'scrape' just before they reach Gemini, the scraper or NewsAPI
+   * @param {number} [units] - Units to charge
+   * @returns {boolean} True when the request may proceed
+   */
+  enforce(req, res, bucket, units = 1) {
+    return this.enforceAll(req, res, { [bucket]: units });
+  }
+
+  /**
+   * Count a request against several buckets at once, for requests that make several kinds of calls (GraphQL)
+   * Nothing is charged unless every bucket has room
+   * @param {Object} charges - Units per bucket, e.g. { ai: 3, scrape: 1 }
+   * @returns {boolean} True when the request may proceed
+   */
+  enforceAll(req, res, charges) {
+    const client = req.apiClient || this.getAnonymousClient(req);
+    const result = this.consumeAll(client, charges, Date.now());
+
+    if (charges.requests || !result.allowed) {
+      res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(Math.ceil((result.resetAt - Date.now()) / 1000))
+      });
+    }
+
+    if (!result.allowed) {
+      const { bucket } = result;
+      const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+      const label = BUCKET_LABELS[bucket];
+      const period = result.window === 'perMinute' ? 'per-minute rate limit' : 'daily quota';
+      const error = new AppError(`${label} ${period} exceeded`, 'RATE_LIMIT', 429, { clientId: client.id, bucket });
+
+      console.warn(`⚠️ ${client.id} exceeded the ${bucket} ${period} of ${result.limit}`);
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        ...error.toJSON(),
+        error: `${label} ${period} of ${result.limit} exceeded. Try again in ${retryAfter} seconds.`,
+        limit: { bucket, window: result.window, limit: result.limit, resetAt: new Date(result.resetAt).toISOString() },
+        retryAfter
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Work out who is calling
+   * @returns {Promise<Object>} { id, tier, apiKey }
+   * @throws {AppError} UNAUTHORIZED for unknown or revoked keys
+   */
+  async identify(req) {
+    const key = req.get('X-API-Key') || req.query.api_key;
+    if (!key) {
+      return this.getAnonymousClient(req);
+    }
+
+    const apiKey = await this.lookupKey(String(key));
+    if (!apiKey || apiKey.active === false) {
+      throw new AppError(apiKey ? 'API key has been revoked' : 'Unknown API key', 'UNAUTHORIZED', 401);
+    }
+
+    return { id: `key:${apiKey.id}`, tier: apiKey.tier, apiKey };
+  }
+
+  getAnonymousClient(req) {
+    return { id: `ip:${req.ip}`, tier: 'anonymous', apiKey: null };
+  }
+
+  async lookupKey(key) {
+    const keyHash = apiKeyDatabase.hashKey(key);
+    const cached = this.keyCache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.apiKey;
+    }
+
+    if (!databaseService.isConnected) {
+      throw new AppError('Database not connected', 'DATABASE_ERROR', 503);
+    }
+
+    const apiKey = await apiKeyDatabase.getKeyBySecret(key);
+    this.keyCache.set(keyHash, { apiKey, expiresAt: Date.now() + KEY_CACHE_TTL });
+    return apiKey;
+  }
+
+  /**
+   * Drop a key from the lookup cache so a revocation takes effect immediately
+   */
+  forgetKey(keyId) {
+    for (const [keyHash, cached] of this.keyCache) {
+      if (cached.apiKey && cached.apiKey.id === keyId) {
+        this.keyCache.delete(keyHash);
+      }
+    }
+  }
+
+  /**
+   * Tier limits with the key's own overrides applied
+   * @returns {Object} { requests: { perMinute, perDay }, ai: {...}, scrape: {...} }
+   */
+  getLimits(client) {
+    const tierLimits = TIERS[client.tier] || TIERS.anonymous;
+    const overrides = (client.apiKey && client.apiKey.limits) || {};
+
+    return BUCKETS.reduce((limits, bucket) => {
+      limits[bucket] = { ...tierLimits[bucket], ...(overrides[bucket] || {}) };
+      return limits;
+    }, {});
+  }
+
+  /**
+   * Count units of a bucket (one use by default) if every window of it has room for them
+   * @returns {Object} { allowed, bucket, window, limit, remaining, resetAt } for the tightest window
+   */
+  consume(client, bucket, now = Date.now(), units = 1) {
+    return this.consumeAll(client, { [bucket]: units }, now);
+  }
+
+  /**
+   * Count units of several buckets, only if every window of every one of them has room for them
+   * @param {Object} charges - Units per bucket
+   * @returns {Object} { allowed, bucket, window, limit, remaining, resetAt } for the exceeded window, or the tightest one
+   */
+  consumeAll(client, charges, now = Date.now()) {
+    const limits = this.getLimits(client);
+    const windows = [];
+    Object.entries(charges).forEach(([bucket, units]) => {
+      WINDOWS.forEach(window => {
+        windows.push({ bucket, window, units, limit: limits[bucket][window], counter: this.getCounter(client.id, bucket, window, now) });
+      });
+    });
+
+    const exceeded = windows.find(({ units, limit, counter }) => counter.count + units > limit);
+    if (exceeded) {
+      return { allowed: false, bucket: exceeded.bucket, window: exceeded.window, limit: exceeded.limit, remaining: 0, resetAt: exceeded.counter.resetAt };
+    }
+
+    windows.forEach(({ window, units, counter }) => {
+      counter.count += units;
+      // Daily usage of keys is also kept in storage, written on the next sync
+      if (client.apiKey && window === 'perDay') {
+        counter.pending += units;
+      }
+    });
+    const tightest = windows.reduce((min, entry) =>
+      (entry.limit - entry.counter.count < min.limit - min.counter.count ? entry : min));
+
+    return {
+      allowed: true,
+      bucket: tightest.bucket,
+      window: tightest.window,
+      limit: tightest.limit,
+      remaining: tightest.limit - tightest.counter.count,
+      resetAt: tightest.counter.resetAt
+    };
+  }
+
+  getCounter(clientId, bucket, window, now) {
+    const key = `${clientId}|${bucket}|${window}`;
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, pending: 0, resetAt: getWindowEnd(window, now) };
+    }
+
+    // Move the counter to the back, so the least recently used counters are the first dropped
+    this.counters.delete(key);
+    this.counters.set(key, counter);
+    while (this.counters.size > this.maxCounters) {
+      this.counters.delete(this.counters.keys().next().value);
+    }
+    return counter;
+  }
+
+  /**
+   * Write a key's daily usage since the last sync to storage, and read back the total of every instance
+   * Runs at most every USAGE_SYNC_INTERVAL per key; the first request of a key after a restart waits for it.
+   * When storage fails the in-memory counts keep being enforced.
+   */
+  async syncDailyUsage(client, now = Date.now()) {
+    if (!client.apiKey) {
+      return;
+    }
+
+    const day = getDay(now);
+    let sync = this.usageSyncs.get(client.id);
+    if (!sync || sync.day !== day) {
+      sync = { day, syncedAt: 0, syncing: null };
+      this.usageSyncs.set(client.id, sync);
+    }
+
+    if (!sync.syncing && now - sync.syncedAt >= USAGE_SYNC_INTERVAL) {
+      sync.syncing = this.writeDailyUsage(client, day, now)
+        .catch(error => console.warn(`⚠️ Could not sync daily usage of ${client.id}:`, error.message))
+        .finally(() => {
+          sync.syncedAt = now;
+          sync.syncing = null;
+        });
+    }
+    await sync.syncing;
+  }
+
+  async writeDailyUsage(client, day, now) {
+    const counters = BUCKETS.map(bucket => ({ bucket, counter: this.getCounter(client.id, bucket, 'perDay', now) }));
+    const pending = {};
+    counters.forEach(({ bucket, counter }) => {
+      if (counter.pending > 0) {
+        pending[bucket] = counter.pending;
+        counter.pending = 0;
+      }
+    });
+
+    try {
+      if (Object.keys(pending).length > 0) {
+        await apiKeyDatabase.addDailyUsage(client.apiKey.id, day, pending);
+      }
+    } catch (error) {
+      counters.forEach(({ bucket, counter }) => { counter.pending += pending[bucket] || 0; });
+      throw error;
+    }
+
+    const stored = await apiKeyDatabase.getDailyUsage(client.apiKey.id, day);
+    // Units charged while storage was being written and read are not in the stored totals yet
+    counters.forEach(({ bucket, counter }) => { counter.count = (stored[bucket] || 0) + counter.pending; });
+  }
+
+  /**
+   * Current usage of every bucket for a client
+   * @returns {Object} { requests: { perMinute: { used, limit, resetAt }, perDay: {...} }, ai: {...}, scrape: {...} }
+   */
+  getUsage(client, now = Date.now()) {
+    const limits = this.getLimits(client);
+
+    return BUCKETS.reduce((usage, bucket) => {
+      usage[bucket] = WINDOWS.reduce((windows, window) => {
+        const counter = this.counters.get(`${client.id}|${bucket}|${window}`);
+        const active = counter && counter.resetAt > now;
+        windows[window] = {
+          used: active ? counter.count : 0,
+          limit: limits[bucket][window],
+          resetAt: new Date(active ? counter.resetAt : getWindowEnd(window, now)).toISOString()
+        };
+        return windows;
+      }, {});
+      return usage;
+    }, {});
+  }
+
+  reset() {
+    this.counters.clear();
+    this.keyCache.clear();
+    this.usageSyncs.clear();
+  }
+}
+
+// Create singleton instance
+const rateLimiter = new RateLimiter();
+
+module.exports = { RateLimiter, rateLimiter, TIERS, BUCKETS, WINDOWS, USAGE_SYNC_INTERVAL };
@@ -0,0 +1,232 @@
+// Admin API routes - issue, list and revoke API keys; enter proposition numbers and election results
+const express = require('express');
+const router = express.Router();
+const { apiKeyDatabase } = require('../../config/api-key-database');
+const { billDatabase } = require('../../config/bill-database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { propositionDatabase } = require('../../config/proposition-database');
+const { propositionService } = require('../../services/propositions');
+const { databaseService } = require('../../config/database');
+const { toIso } = require('../../config/field-values');
+const { rateLimiter, TIERS, BUCKETS, WINDOWS } = require('../middleware/rate-limit');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { requireAdmin } = require('../middleware/admin-auth');
+const cacheMiddleware = require('../middleware/cache');
+
+// Tiers keys can be issued for; anonymous is only for callers without a key
+const ISSUABLE_TIERS = Object.keys(TIERS).filter(tier => tier !== 'anonymous');
+
+// Admin requests authenticate with Authorization: Bearer <ADMIN_API_KEY>
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+}, requireAdmin, (req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+// Validate per-key overrides: { ai: { perDay: 500 }, requests: { perMinute: 60 } }
+function validateLimits(limits) {
+  if (limits === undefined || limits === null) {
+    return null;
+  }
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new AppError('limits must be an object', 'VALIDATION_ERROR', 400, { buckets: BUCKETS, windows: WINDOWS });
+  }
+
+  return Object.entries(limits).reduce((validated, [bucket, windows]) => {
+    if (!BUCKETS.includes(bucket) || !windows || typeof windows !== 'object') {
+      throw new AppError(`Unknown limit bucket: ${bucket}`, 'VALIDATION_ERROR', 400, { buckets: BUCKETS });
+    }
+
+    validated[bucket] = Object.entries(windows).reduce((values, [window, value]) => {
+      if (!WINDOWS.includes(window) || !Number.isInteger(value) || value < 1) {
+        throw new AppError(`Invalid ${bucket} limit: ${window} must be a positive integer`, 'VALIDATION_ERROR', 400, { windows: WINDOWS });
+      }
+      values[window] = value;
+      return values;
+    }, {});
+    return validated;
+  }, {});
+}
+
+// Shape a key for API responses; the key itself is only returned when it is issued
+function formatKey(apiKey) {
+  const client = { id: `key:${apiKey.id}`, tier: apiKey.tier, apiKey };
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    email: apiKey.email || '',
+    tier: apiKey.tier,
+    keyPreview: apiKey.keyPreview,
+    active: apiKey.active !== false,
+    createdAt: toIso(apiKey.createdAt),
+    revokedAt: toIso(apiKey.revokedAt),
+    limits: rateLimiter.getLimits(client),
+    usage: rateLimiter.getUsage(client)
+  };
+}
+
+async function requireKey(keyId) {
+  const apiKey = await apiKeyDatabase.getKey(keyId);
+  if (!apiKey || apiKey._isStructureDoc) {
+    throw new AppError('API key not found', 'NOT_FOUND', 404, { keyId });
+  }
+  return apiKey;
+}
+
+/**
+ * POST /api/admin/keys
+ * Issue an API key
+ * Body: { name, email, tier: standard|partner (default standard), limits }
+ * The key is returned once; only its hash is stored
+ */
+router.post('/keys', asyncHandler(async (req, res) => {
+  const { name, email = '', tier = 'standard', limits } = req.body || {};
+
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new AppError('A name of up to 100 characters is required', 'VALIDATION_ERROR', 400);
+  }
+  if (!ISSUABLE_TIERS.includes(tier)) {
+    throw new AppError(`Invalid tier. Must be one of: ${ISSUABLE_TIERS.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+
+  const { apiKey, key } = await apiKeyDatabase.createKey({
+    name: name.trim(),
+    email: String(email).trim(),
+    tier,
+    limits: validateLimits(limits)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { ...formatKey(apiKey), key },
+    message: 'Store this key now; it cannot be shown again',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/admin/keys
+ * List API keys, newest first, with today's usage
+ */
+router.get('/keys', asyncHandler(async (req, res) => {
+  const keys = await apiKeyDatabase.getKeys();
+
+  res.json({
+    success: true,
+    data: keys.map(formatKey),
+    count: keys.length,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/admin/keys/:id
+ * One API key with its limits and usage
+ */
+router.get('/keys/:id', asyncHandler(async (req, res) => {
+  const apiKey = await requireKey(req.params.id);
+
+  res.json({
+    success: true,
+    data: formatKey(apiKey),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key; requests with it are rejected with 401 from then on
+ */
+router.delete('/keys/:id', asyncHandler(async (req, res) => {
+  await requireKey(req.params.id);
+  const apiKey = await apiKeyDatabase.revokeKey(req.params.id);
+  rateLimiter.forgetKey(req.params.id);
+
+  console.log(`🔒 Revoked API key ${req.params.id}`);
+  res.json({
+    success: true,
+    data: formatKey(apiKey),
+    message: 'API key revoked',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Validate locally entered proposition fields; only the fields given are changed
+function validateProposition(body) {
+  const { number, electionDate, ballotLanguage, results } = body || {};
+  const fields = {};
+
+  if (number !== undefined) {
+    if (number !== null && (!Number.isInteger(number) || number < 1)) {
+      throw new AppError('number must be a positive integer', 'VALIDATION_ERROR', 400);
+    }
+    fields.number = number;
+  }
+  if (electionDate !== undefined) {
+    if (electionDate !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(electionDate) || Number.isNaN(Date.parse(`${electionDate}T00:00:00Z`)))) {
+      throw new AppError('electionDate must be a YYYY-MM-DD date', 'VALIDATION_ERROR', 400);
+    }
+    fields.electionDate = electionDate;
+  }
+  if (ballotLanguage !== undefined) {
+    if (ballotLanguage !== null && (typeof ballotLanguage !== 'string' || !ballotLanguage.trim())) {
+      throw new AppError('ballotLanguage must be non-empty text', 'VALIDATION_ERROR', 400);
+    }
+    fields.ballotLanguage = ballotLanguage === null ? null : ballotLanguage.trim();
+  }
+  if (results !== undefined) {
+    if (results !== null) {
+      const valid = typeof results === 'object' && ['for', 'against'].every(side => Number.isInteger(results[side]) && results[side] >= 0);
+      if (!valid) {
+        throw new AppError('results must give whole-number "for" and "against" vote totals', 'VALIDATION_ERROR', 400);
+      }
+    }
+    fields.results = results === null ? null : {
+      for: results.for,
+      against: results.against,
+      adopted: results.for > results.against,
+      source: typeof results.source === 'string' ? results.source.trim() : ''
+    };
+    fields.resultsEnteredAt = results === null ? null : new Date();
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new AppError('Provide number, electionDate, ballotLanguage or results', 'VALIDATION_ERROR', 400);
+  }
+  return fields;
+}
+
+/**
+ * PUT /api/admin/propositions/:id
+ * Enter a joint resolution's proposition number, election date, ballot language or election results
+ * Body: { number, electionDate: YYYY-MM-DD, ballotLanguage, results: { for, against, source } }; null clears a field
+ * Query parameters:
+ * - session: session when the id has none (e.g. SJR5)
+ */
+router.put('/propositions/:id', asyncHandler(async (req, res) => {
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  const bill = await billDatabase.getBill(req.params.id, session);
+  if (!bill) {
+    throw new AppError('Joint resolution not found', 'NOT_FOUND', 404, { billId: req.params.id });
+  }
+  if (!propositionService.isJointResolution(bill)) {
+    throw new AppError(`${bill.billNumber} is not a joint resolution`, 'VALIDATION_ERROR', 400, { billId: bill.id });
+  }
+
+  const local = await propositionDatabase.saveProposition(bill.id, validateProposition(req.body));
+  cacheMiddleware.clearCache('/api/propositions');
+
+  console.log(`🗳️ Updated proposition details for ${bill.id}`);
+  res.json({
+    success: true,
+    data: propositionService.getProposition(bill, local),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
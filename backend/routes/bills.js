@@ -2,61 +2,182 @@
 const express = require('express');
 const router = express.Router();
 const { billDatabase } = require('../../config/bill-database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { historyDatabase } = require('../../config/history-database');
+const { versionDatabase } = require('../../config/version-database');
 const { databaseService } = require('../../config/database');
+const { toIso } = require('../../config/field-values');
 const { summaryService } = require('../../services/ai-summary');
 const { newsService } = require('../../services/news');
+const { searchIndex } = require('../../services/search-index');
+const { billQuery } = require('../../services/bill-query');
+const { billExport, FORMATS } = require('../../services/bill-export');
+const { billBrief, MAX_BRIEFS } = require('../../services/bill-brief');
+const { diffSections } = require('../../services/text-diff');
+const { billTextParser } = require('../../services/bill-text-parser');
+const { governorService } = require('../../services/governor');
+const { effectiveDateService } = require('../../services/effective-dates');
+const { companionService } = require('../../services/companions');
 const Bill = require('../../models/Bill');
 const cacheMiddleware = require('../middleware/cache');
+const { rateLimiter } = require('../middleware/rate-limit');
 const { AppError, asyncHandler } = require('../middleware/error-handler');
 
 
 
+/**
+ * Look up a bill by any ID format ("89R-SB1", "SB 1", "sb1")
+ * Bare bill numbers resolve against the given session or the default session
+ * @returns {Promise<Object|null>} Stored bill data or null when not found
+ */
+async function findBill(id, session = null) {
+  let billData = null;
+  try {
+    // Generate all possible lookup variants using the standardizer
+    const lookupVariants = idStandardizer.generateLookupVariants(id);
+    console.log(`Looking up bill with variants: ${lookupVariants.join(', ')}`);
+    
+    // Try each variant until we find the bill
+    for (const variant of lookupVariants) {
+      try {
+        billData = await billDatabase.getBill(variant, session);
+        if (billData) {
+          console.log(`Found bill using variant: ${variant}`);
+          break;
+        }
+      } catch (e) {
+        // Continue to next variant
+      }
+    }
+
+    // Fallback: try querying by the billNumber field using CRUD helper
+    if (!billData) {
+      const { crudOperations } = require('../../config/crud-operations');
+      for (const variant of lookupVariants) {
+        try {
+          const results = await crudOperations.findWhere('bills', 'billNumber', '==', variant, 10);
+          const match = (results || []).find(bill => !session || bill.session === session);
+          if (match) {
+            billData = match;
+            console.log(`Found bill by billNumber field using variant: ${variant}`);
+            break;
+          }
+        } catch (e) {
+          // Continue to next variant
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error looking up bill ${id}:`, error.message);
+    // Allow downstream handling to return a consistent error
+  }
+
+  return billData;
+}
+
+/**
+ * Validate the session and chamber parameters shared by the bill listing and export
+ * @returns {Object} { sessionCode, chamberName }, null when not given
+ */
+function parseScope({ session, chamber }) {
+  const sessionCode = session ? idStandardizer.standardizeSession(session) : null;
+  if (session && !sessionCode) {
+    throw new AppError(`Invalid session: ${session}. Use a session code such as 89R or 89-1`, 'VALIDATION_ERROR');
+  }
+
+  const validChambers = ['Senate', 'House'];
+  const chamberName = chamber ? validChambers.find(name => name.toLowerCase() === String(chamber).toLowerCase()) : null;
+  if (chamber && !chamberName) {
+    throw new AppError(`Invalid chamber. Must be one of: ${validChambers.join(', ')}`, 'VALIDATION_ERROR');
+  }
+
+  return { sessionCode, chamberName };
+}
+
+const BRIEF_FORMATS = ['pdf', 'html'];
+
+// Render briefs of the given bills as a PDF or a printable HTML page
+async function sendBriefs(req, res, bills, filename) {
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  if (!BRIEF_FORMATS.includes(format)) {
+    throw new AppError(`Invalid format: ${format}. Must be one of: ${BRIEF_FORMATS.join(', ')}`, 'VALIDATION_ERROR');
+  }
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const briefs = await Promise.all(bills.map(bill => billBrief.getBrief(bill, { baseUrl })));
+
+  res.set('Cache-Control', 'public, max-age=900');
+  if (format === 'html') {
+    res.type('html').send(billBrief.buildHtml(briefs));
+    return;
+  }
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+  res.send(billBrief.buildPdf(briefs));
+}
+
+// Fields highlighted in search results, most useful first
+const HIGHLIGHT_FIELDS = ['shortTitle', 'fullTitle', 'abstract', 'summary', 'billText'];
+
+/**
+ * Build highlighted snippets for the fields a search matched
+ * @returns {Promise<Array>} Snippets as { field, snippet } with matches wrapped in <mark>
+ */
+async function getHighlights(billData, match, search) {
+  const texts = { ...billData };
+
+  if (match.fields.includes('summary')) {
+    const { crudOperations } = require('../../config/crud-operations');
+    const summaryDoc = await crudOperations.read('summaries', billData.id);
+    texts.summary = summaryDoc ? Object.values(summaryDoc.summaries || {}).join('\n') : '';
+  }
+
+  return HIGHLIGHT_FIELDS
+    .filter(field => match.fields.includes(field) && texts[field])
+    .map(field => ({ field, snippet: searchIndex.highlight(texts[field], search) }))
+    .filter(highlight => highlight.snippet)
+    .slice(0, 3);
+}
+
 /**
  * GET /api/bills
- * Retrieve all bills with optional filtering and search capabilities
+ * Retrieve bills with filtering, search, sorting and cursor pagination
  * Query parameters:
- * - search: keyword search in title and summary
- * - status: filter by bill status (Filed, In Committee, Passed)
+ * - search: full-text search over bill numbers, titles, abstracts, bill text and AI summaries;
+ *   supports "quoted phrases", AND / OR / NOT and -term; results are ranked by relevance
+ * - status: filter by lifecycle status (Filed, Referred to Committee, Reported from Committee, Placed on Calendar,
+ *   Passed Originating Chamber, Received in Other Chamber, Passed Both Chambers, Sent to Governor, Signed, Vetoed,
+ *   Filed Without Signature, Effective); "In Committee" and "Passed" select every state they cover
+ * - governor: filter by governor action (signed, line-item-veto, vetoed, filed-without-signature, pending)
  * - sponsor: filter by sponsor name
  * - topic: filter by topic
- * - limit: maximum number of results (default: 100)
+ * - committee: filter by committee name
+ * - code: only bills that amend, add to or repeal this code (e.g. "Education Code")
+ *   (status, governor, sponsor, topic, committee and code may be repeated to match any of several values)
+ * - session: legislative session (e.g. 89R, 89-1)
+ * - chamber: Senate or House
+ * - sort: relevance (searches only), lastAction, filedDate, billNumber or sponsor
+ * - order: asc or desc (defaults depend on the sort key)
+ * - cursor: nextCursor from the previous page
+ * - limit: page size (default: 100, max: 1000)
+ * The response includes the total match count and facet counts for status, governor, topic, sponsor and committee
  */
 router.get('/', cacheMiddleware.middleware(600), asyncHandler(async (req, res) => { // Cache for 10 minutes
-    const { search, status, sponsor, topic, limit = 100 } = req.query;
+    const { search, status, governor, sponsor, topic, committee, code, sort, order, cursor, limit } = req.query;
+    const { sessionCode, chamberName } = parseScope(req.query);
     
-    // Get bills from database
-    let bills = await billDatabase.getAllBills(parseInt(limit));
-    
-    // Apply filters
-    if (status) {
-      bills = bills.filter(bill => bill.status === status);
-    }
-    
-    if (sponsor) {
-      bills = bills.filter(bill => 
-        bill.sponsors && bill.sponsors.some(s => s.name.toLowerCase().includes(sponsor.toLowerCase()))
-      );
-    }
-    
-    if (topic) {
-      bills = bills.filter(bill => 
-        bill.topics && bill.topics.some(t => t.toLowerCase().includes(topic.toLowerCase()))
-      );
-    }
-    
-    // Apply search filter (search in title and abstract)
-    if (search) {
-      const searchLower = search.toLowerCase();
-      bills = bills.filter(bill => 
-        (bill.shortTitle && bill.shortTitle.toLowerCase().includes(searchLower)) ||
-        (bill.fullTitle && bill.fullTitle.toLowerCase().includes(searchLower)) ||
-        (bill.abstract && bill.abstract.toLowerCase().includes(searchLower))
-      );
-    }
+    const result = await billQuery.query({
+      search,
+      session: sessionCode,
+      filters: { chamber: chamberName, status, governor, sponsor, topic, committee, code },
+      sort,
+      order,
+      cursor,
+      limit
+    });
+    const bills = result.bills;
     
     // Convert to Bill instances and get preview summaries
-    const { idStandardizer } = require('../../config/id-standardizer');
-    
     const billInstances = bills.map(billData => {
       try {
         const bill = new Bill(billData);
@@ -70,6 +191,7 @@ router.get('/', cacheMiddleware.middleware(600), asyncHandler(async (req, res) =
           ...bill.toJSON(),
           id: displayId,  // Use display format for frontend (e.g., "SB 1")
           standardId: standardId,  // Include standard format for reference (e.g., "SB1")
+          docId: billData.id,  // Session-qualified document ID for navigation (e.g., "89R-SB1")
           statusColor: bill.getStatusColor(),
           previewSummary: bill.getPreviewSummary()
         };
@@ -84,40 +206,129 @@ router.get('/', cacheMiddleware.middleware(600), asyncHandler(async (req, res) =
         return {
           ...billData,
           id: displayId,
-          standardId: standardId
+          standardId: standardId,
+          docId: billData.id
         };
       }
     });
     
-    // Sort bills by most recent first (lastActionDate, then filedDate, then lastUpdated)
-    billInstances.sort((a, b) => {
-      const dateA = new Date(a.lastActionDate || a.filedDate || a.lastUpdated || 0);
-      const dateB = new Date(b.lastActionDate || b.filedDate || b.lastUpdated || 0);
-      return dateB - dateA; // Most recent first
-    });
+    if (search) {
+      // Show where each search result matched
+      await Promise.all(billInstances.map(async (bill, i) => {
+        const match = result.matches.get(bills[i].id);
+        bill.searchScore = match.score;
+        bill.highlights = await getHighlights(bills[i], match, search);
+      }));
+    }
     
     res.json({
       success: true,
       data: billInstances,
       count: billInstances.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      facets: result.facets,
+      sort: { key: result.sort, order: result.order },
       filters: {
         search: search || null,
         status: status || null,
         sponsor: sponsor || null,
         topic: topic || null,
-        limit: parseInt(limit)
+        committee: committee || null,
+        code: code || null,
+        session: sessionCode,
+        chamber: chamberName,
+        limit: result.limit
       },
       timestamp: new Date().toISOString()
     });
     
 }));
 
+/**
+ * GET /api/bills/export
+ * Download every bill matching a listing query as one file
+ * Query parameters:
+ * - format: csv, jsonl (JSON Lines) or xlsx (default: csv)
+ * - search, status, governor, sponsor, topic, committee, code, session, chamber, sort, order: as in GET /api/bills
+ * Sponsors, topics, stages and vote totals are flattened into columns; the X-Total-Count header
+ * carries the number of bills exported
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  const { search, status, governor, sponsor, topic, committee, code, sort, order } = req.query;
+  const format = String(req.query.format || 'csv').toLowerCase();
+  const { sessionCode, chamberName } = parseScope(req.query);
+
+  const exportFormat = billExport.getFormat(format);
+  if (!exportFormat) {
+    throw new AppError(`Invalid format: ${format}. Must be one of: ${Object.keys(FORMATS).join(', ')}`, 'VALIDATION_ERROR');
+  }
+
+  const result = await billQuery.queryAll({
+    search,
+    session: sessionCode,
+    filters: { chamber: chamberName, status, governor, sponsor, topic, committee, code },
+    sort,
+    order
+  });
+
+  const filename = `texas-bills-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+  res.set('Content-Type', exportFormat.contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('X-Total-Count', String(result.total));
+  res.set('Cache-Control', 'no-store');
+
+  await billExport.write(res, format, result.pages);
+}));
+
+/**
+ * GET /api/bills/briefs?ids=89R-SB12,89R-HB2
+ * Briefing packet of several bills: a table of contents followed by one brief per bill
+ * Query parameters:
+ * - ids: comma-separated bill ids (required, at most 50), in packet order
+ * - session: session for ids given without one (e.g. SB12)
+ * - format: pdf (default) or html
+ */
+router.get('/briefs', asyncHandler(async (req, res) => {
+  const ids = Array.from(new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean)));
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+  if (ids.length === 0) {
+    throw new AppError('Provide bill ids as ids=89R-SB12,89R-HB2', 'VALIDATION_ERROR');
+  }
+  if (ids.length > MAX_BRIEFS) {
+    throw new AppError(`A briefing packet can include at most ${MAX_BRIEFS} bills`, 'VALIDATION_ERROR', 400, { count: ids.length });
+  }
+
+  const bills = [];
+  const missing = [];
+  for (const id of ids) {
+    const billData = await findBill(id, session);
+    if (billData) {
+      bills.push(billData);
+    } else {
+      missing.push(id);
+    }
+  }
+  if (missing.length > 0) {
+    throw new AppError(`Bills not found: ${missing.join(', ')}`, 'NOT_FOUND', 404, { missing });
+  }
+
+  await sendBriefs(req, res, bills, `texas-bill-briefs-${new Date().toISOString().slice(0, 10)}`);
+}));
+
 /**
  * GET /api/bills/:id
  * Get specific bill details by ID
+ * Accepts session-qualified IDs ("89R-SB1") or bill numbers ("SB 1") with an
+ * optional ?session= query parameter (defaults to the current session)
  */
 router.get('/:id', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
   const { id } = req.params;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
 
   if (!id) {
     throw new AppError('Bill ID is required', 'VALIDATION_ERROR');
@@ -128,48 +339,7 @@ router.get('/:id', cacheMiddleware.middleware(900), asyncHandler(async (req, res
     throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
   }
 
-  // Use the ID standardizer to handle different formats
-  const { idStandardizer } = require('../../config/id-standardizer');
-  
-  let billData = null;
-  try {
-    // Generate all possible lookup variants using the standardizer
-    const lookupVariants = idStandardizer.generateLookupVariants(id);
-    console.log(`Looking up bill with variants: ${lookupVariants.join(', ')}`);
-    
-    // Try each variant until we find the bill
-    for (const variant of lookupVariants) {
-      try {
-        billData = await billDatabase.getBill(variant);
-        if (billData) {
-          console.log(`Found bill using variant: ${variant}`);
-          break;
-        }
-      } catch (e) {
-        // Continue to next variant
-      }
-    }
-
-    // Fallback: try querying by the billNumber field using CRUD helper
-    if (!billData) {
-      const { crudOperations } = require('../../config/crud-operations');
-      for (const variant of lookupVariants) {
-        try {
-          const results = await crudOperations.findWhere('bills', 'billNumber', '==', variant, 1);
-          if (results && results.length > 0) {
-            billData = results[0];
-            console.log(`Found bill by billNumber field using variant: ${variant}`);
-            break;
-          }
-        } catch (e) {
-          // Continue to next variant
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error looking up bill ${id}:`, error.message);
-    // Allow downstream handling to return a consistent error
-  }
+  const billData = await findBill(id, session);
 
   if (!billData) {
     throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: id });
@@ -180,6 +350,11 @@ router.get('/:id', cacheMiddleware.middleware(900), asyncHandler(async (req, res
     const bill = new Bill(billData);
     const response = {
       ...bill.toJSON(),
+      docId: billData.id,
+      legislators: billData.legislators || [],
+      governorAction: governorService.getAction(billData),
+      effective: effectiveDateService.getEffective(billData),
+      companions: billData.companions || [],
       statusColor: bill.getStatusColor(),
       previewSummary: bill.getPreviewSummary()
     };
@@ -201,6 +376,235 @@ router.get('/:id', cacheMiddleware.middleware(900), asyncHandler(async (req, res
   }
 }));
 
+/**
+ * GET /api/bills/:id/history
+ * Get the revision history of a bill, newest first
+ * Each revision lists the tracked fields that changed with their old and new values
+ * Query parameters:
+ * - session: session for bare bill numbers (defaults to the current session)
+ * - limit: maximum number of revisions (default: 50)
+ */
+router.get('/:id/history', cacheMiddleware.middleware(300), asyncHandler(async (req, res) => { // Cache for 5 minutes
+  const { id } = req.params;
+  const { limit = 50 } = req.query;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const billData = await findBill(id, session);
+  if (!billData) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: id });
+  }
+
+  const revisions = await historyDatabase.getHistory(billData.id, parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      billId: billData.id,
+      billNumber: billData.billNumber,
+      revisions: revisions.map(revision => ({
+        id: revision.id,
+        type: revision.type,
+        source: revision.source,
+        changedAt: toIso(revision.changedAt),
+        changes: revision.changes || []
+      })),
+      count: revisions.length
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/bills/:id/versions
+ * List a bill's text versions (introduced, committee reports, engrossed, enrolled) in legislative order
+ * Query parameters:
+ * - session: session for bare bill numbers (defaults to the current session)
+ */
+router.get('/:id/versions', cacheMiddleware.middleware(1800), asyncHandler(async (req, res) => { // Cache for 30 minutes
+  const { id } = req.params;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const billData = await findBill(id, session);
+  if (!billData) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: id });
+  }
+
+  const versions = await versionDatabase.getVersions(billData.id);
+
+  res.json({
+    success: true,
+    data: {
+      billId: billData.id,
+      billNumber: billData.billNumber,
+      versions: versions.map(version => ({
+        code: version.code,
+        name: version.name,
+        url: version.url,
+        format: version.format,
+        isSubstitute: Boolean(version.isSubstitute),
+        wordCount: (version.text || '').split(/\s+/).filter(Boolean).length,
+        fetchedAt: toIso(version.fetchedAt)
+      })),
+      count: versions.length
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/bills/:id/versions/diff
+ * Section-aware word-level diff between two text versions
+ * Query parameters:
+ * - from: version code to compare from (default: the version before `to`)
+ * - to: version code to compare to (default: the latest version)
+ * - session: session for bare bill numbers (defaults to the current session)
+ */
+router.get('/:id/versions/diff', cacheMiddleware.middleware(1800), asyncHandler(async (req, res) => { // Cache for 30 minutes
+  const { id } = req.params;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const billData = await findBill(id, session);
+  if (!billData) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: id });
+  }
+
+  const versions = await versionDatabase.getVersions(billData.id);
+  if (versions.length === 0) {
+    throw new AppError('No text versions stored for this bill', 'NOT_FOUND', 404, { billId: billData.id });
+  }
+
+  const findVersion = code => {
+    const version = versions.find(candidate => candidate.code === String(code).toUpperCase());
+    if (!version) {
+      throw new AppError(`Unknown version: ${code}. Available versions: ${versions.map(candidate => candidate.code).join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+    return version;
+  };
+
+  const to = req.query.to ? findVersion(req.query.to) : versions[versions.length - 1];
+  const from = req.query.from
+    ? findVersion(req.query.from)
+    : versions[Math.max(versions.indexOf(to) - 1, 0)];
+  const { sections, stats } = diffSections(from.text, to.text);
+
+  res.json({
+    success: true,
+    data: {
+      billId: billData.id,
+      billNumber: billData.billNumber,
+      from: { code: from.code, name: from.name, isSubstitute: Boolean(from.isSubstitute) },
+      to: { code: to.code, name: to.name, isSubstitute: Boolean(to.isSubstitute) },
+      sections,
+      stats
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/bills/:id/structure
+ * Sections of the bill text with the statutes each one amends, adds or repeals, and the effective-date clauses
+ * Bills saved before structure parsing existed are parsed from their stored text
+ * Query parameters:
+ * - session: session for bare bill numbers (defaults to the current session)
+ */
+router.get('/:id/structure', cacheMiddleware.middleware(1800), asyncHandler(async (req, res) => { // Cache for 30 minutes
+  const { id } = req.params;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const billData = await findBill(id, session);
+  if (!billData) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: id });
+  }
+
+  const structure = billData.structure || billTextParser.parse(billData.billText);
+  if (!structure) {
+    throw new AppError('No bill text stored for this bill', 'NOT_FOUND', 404, { billId: billData.id });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      billId: billData.id,
+      billNumber: billData.billNumber,
+      ...structure,
+      parsedAt: toIso(structure.parsedAt)
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/bills/:id/related
+ * Companion bills in the other chamber, official links first, with both bills' statuses
+ * Query parameters:
+ * - session: session for bare bill numbers (defaults to the current session)
+ */
+router.get('/:id/related', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
+  const { id } = req.params;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const billData = await findBill(id, session);
+  if (!billData) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: id });
+  }
+
+  const related = await companionService.getRelated(billData);
+
+  res.json({
+    success: true,
+    data: {
+      bill: companionService.getStatus(billData),
+      related,
+      count: related.length
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/bills/:id/brief
+ * One-page brief of a bill: header data, sponsors, AI summaries, timeline, votes and news
+ * Query parameters:
+ * - format: pdf (default) or html (print-ready page)
+ * - session: session for bare bill numbers (defaults to the current session)
+ */
+router.get('/:id/brief', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const billData = await findBill(id, session);
+  if (!billData) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: id });
+  }
+
+  await sendBriefs(req, res, [billData], `${billData.id}-brief`);
+}));
+
 // Debug endpoint (development): show candidates attempted for lookup
 router.get('/debug/lookup/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -233,6 +637,7 @@ router.get('/debug/lookup/:id', asyncHandler(async (req, res) => {
  * Body parameters:
  * - readingLevel: 'high-level' or 'detailed' (optional, defaults to 'high-level')
  * - forceRegenerate: boolean to bypass cache (optional, defaults to false)
+ * Summaries count against the caller's AI quota once the request is validated
  */
 router.post('/summary/:billId', cacheMiddleware.summaryMiddleware(), asyncHandler(async (req, res) => {
   const { billId } = req.params;
@@ -259,9 +664,16 @@ router.post('/summary/:billId', cacheMiddleware.summaryMiddleware(), asyncHandle
     throw new AppError('Bill has no text available for summarization', 'VALIDATION_ERROR', 400, { billId });
   }
   
+  if (!rateLimiter.enforce(req, res, 'ai')) {
+    return;
+  }
+  
+  // Summaries are cached per stored bill, so "SB 1" and "89R-SB1" share one entry
+  const summaryKey = billData.id || billId;
+  
   // Clear cache if force regenerate is requested
   if (forceRegenerate) {
-    await summaryService.clearCache(billId);
+    await summaryService.clearCache(summaryKey);
     console.log(`🗑️ Force regenerate: cleared cache for bill ${billId}`);
   }
   
@@ -274,7 +686,7 @@ router.post('/summary/:billId', cacheMiddleware.summaryMiddleware(), asyncHandle
     console.log(`⚠️ Using abstract for summarization of bill ${billId} - full text not available`);
   }
   
-  const summary = await summaryService.generateSummary(billId, textToSummarize, readingLevel);
+  const summary = await summaryService.generateSummary(summaryKey, textToSummarize, readingLevel);
   
   res.json({
     success: true,
@@ -292,6 +704,8 @@ router.post('/summary/:billId', cacheMiddleware.summaryMiddleware(), asyncHandle
 /**
  * GET /api/bills/:billId/voting
  * Get voting data for a specific bill
+ * Stored roll calls (per-member votes from the journals) are returned when the bill has them;
+ * otherwise vote counts are scraped from TLO, which counts against the caller's scrape quota
  */
 router.get('/:billId/voting', cacheMiddleware.middleware(1800), asyncHandler(async (req, res) => { // Cache for 30 minutes
   const { billId } = req.params;
@@ -301,13 +715,27 @@ router.get('/:billId/voting', cacheMiddleware.middleware(1800), asyncHandler(asy
   }
   
   try {
+    const storedBill = databaseService.isConnected ? await billDatabase.getBill(billId, req.query.session) : null;
+    if (storedBill && storedBill.votingData && (storedBill.votingData.votes || []).some(vote => Array.isArray(vote.members))) {
+      return res.json({
+        success: true,
+        data: storedBill.votingData,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!rateLimiter.enforce(req, res, 'scrape')) {
+      return;
+    }
+
     // Import scraper service
     const { TexasLegislatureScraper } = require('../../services/scraper');
     const scraper = new TexasLegislatureScraper();
     
-    // Use the ID standardizer to handle different formats
-    const { idStandardizer } = require('../../config/id-standardizer');
-    const lookupVariants = idStandardizer.generateLookupVariants(billId);
+    // Session-qualified IDs ("89R-SB1") pin the session; bare numbers search recent sessions
+    const documentId = idStandardizer.parseDocumentId(billId);
+    const session = documentId ? documentId.session : req.query.session;
+    const lookupVariants = documentId ? [documentId.billId] : idStandardizer.generateLookupVariants(billId);
     
     let votingData = null;
     
@@ -315,7 +743,7 @@ router.get('/:billId/voting', cacheMiddleware.middleware(1800), asyncHandler(asy
     for (const variant of lookupVariants) {
       try {
         console.log(`🗳️ Attempting to scrape voting data for variant: ${variant}`);
-        votingData = await scraper.scrapeVotingData(variant);
+        votingData = await scraper.scrapeVotingData(variant, session);
         
         if (votingData && (votingData.votes.length > 0 || votingData.summary)) {
           console.log(`✅ Found voting data using variant: ${variant}`);
@@ -379,7 +807,7 @@ router.put('/:billId', asyncHandler(async (req, res) => {
   };
   
   // Save updated bill
-  await billDatabase.saveBill(updatedBill);
+  await billDatabase.saveBill(updatedBill, { source: 'manual' });
   
   res.json({
     success: true,
@@ -392,6 +820,7 @@ router.put('/:billId', asyncHandler(async (req, res) => {
 /**
  * GET /api/news/:billId
  * Get related news articles for a specific bill
+ * Counts against the caller's scrape quota, since uncached articles come from NewsAPI
  */
 router.get('/news/:billId', cacheMiddleware.newsMiddleware(), asyncHandler(async (req, res) => {
   const { billId } = req.params;
@@ -406,12 +835,16 @@ router.get('/news/:billId', cacheMiddleware.newsMiddleware(), asyncHandler(async
     throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId });
   }
   
+  if (!rateLimiter.enforce(req, res, 'scrape')) {
+    return;
+  }
+  
   // Fetch news articles
   console.log('🔍 Fetching news for bill:', billId);
   console.log('📊 Bill data:', { billNumber: billData.billNumber, shortTitle: billData.shortTitle });
   console.log('📰 News service initialized:', newsService.isInitialized);
   
-  const articles = await newsService.getNewsForBill(billId, billData);
+  const articles = await newsService.getNewsForBill(billData.id || billId, billData);
   console.log('📰 Articles found:', articles.length);
   
   // Filter out error articles for the response
@@ -442,6 +875,7 @@ router.get('/news/:billId', cacheMiddleware.newsMiddleware(), asyncHandler(async
  * Body parameters:
  * - readingLevel: 'high-level' or 'detailed' (required)
  * - forceRegenerate: boolean to bypass cache (optional, defaults to false)
+ * Summaries count against the caller's AI quota once the request is validated
  */
 router.put('/summary/:billId/level', async (req, res) => {
   try {
@@ -495,14 +929,20 @@ router.put('/summary/:billId/level', async (req, res) => {
       });
     }
     
+    if (!rateLimiter.enforce(req, res, 'ai')) {
+      return;
+    }
+    
+    const summaryKey = billData.id || billId;
+    
     // Clear cache if force regenerate is requested
     if (forceRegenerate) {
-      summaryService.clearCache(billId);
+      summaryService.clearCache(summaryKey);
     }
     
     // Generate or retrieve summary with new reading level
     const textToSummarize = billData.billText || billData.abstract;
-    const summary = await summaryService.generateSummary(billId, textToSummarize, readingLevel);
+    const summary = await summaryService.generateSummary(summaryKey, textToSummarize, readingLevel);
     
     res.json({
       success: true,
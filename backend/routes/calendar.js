@@ -0,0 +1,131 @@
+// iCalendar feed API routes
+const express = require('express');
+const router = express.Router();
+const { calendarFeed } = require('../../services/calendar-feed');
+const { committeeDatabase } = require('../../config/committee-database');
+const { billDatabase } = require('../../config/bill-database');
+const { databaseService } = require('../../config/database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+// Days of past hearings kept in the hearing feeds
+const PAST_HEARING_DAYS = 90;
+
+// Bills accepted by one multi-bill feed URL
+const MAX_FEED_BILLS = 100;
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+function getBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// Calendar apps poll subscribed feeds, so let shared caches absorb repeat requests
+function sendCalendar(res, filename, body) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.set('Cache-Control', 'public, max-age=900');
+  res.send(body);
+}
+
+async function sendBillsCalendar(req, res, bills, name, filename) {
+  const events = await calendarFeed.getBillEvents(bills, { baseUrl: getBaseUrl(req) });
+  sendCalendar(res, filename, calendarFeed.buildCalendar(name, events));
+}
+
+/**
+ * GET /api/calendar/hearings.ics
+ * Every committee hearing from the last 90 days onward
+ * Query parameters:
+ * - chamber: Senate or House
+ */
+router.get('/hearings.ics', asyncHandler(async (req, res) => {
+  const chamber = req.query.chamber ? ['Senate', 'House'].find(name => name.toLowerCase() === String(req.query.chamber).toLowerCase()) : null;
+  if (req.query.chamber && !chamber) {
+    throw new AppError('Invalid chamber. Must be one of: Senate, House', 'VALIDATION_ERROR');
+  }
+
+  const from = new Date(Date.now() - PAST_HEARING_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const hearings = (await committeeDatabase.getHearings(from))
+    .filter(hearing => !chamber || hearing.chamber === chamber);
+
+  const name = chamber ? `Texas ${chamber} committee hearings` : 'Texas committee hearings';
+  sendCalendar(res, 'hearings.ics', calendarFeed.buildCalendar(name, hearings.map(hearing => calendarFeed.getHearingEvent(hearing))));
+}));
+
+/**
+ * GET /api/calendar/committees/:id.ics
+ * Every hearing of one committee
+ */
+router.get('/committees/:id.ics', asyncHandler(async (req, res) => {
+  const committee = await committeeDatabase.getCommittee(req.params.id);
+  if (!committee) {
+    throw new AppError('Committee not found', 'NOT_FOUND', 404, { committeeId: req.params.id });
+  }
+
+  const hearings = await committeeDatabase.getCommitteeHearings(committee.id);
+  sendCalendar(
+    res,
+    `${committee.id}.ics`,
+    calendarFeed.buildCalendar(`${committee.chamber} ${committee.name} hearings`, hearings.map(hearing => calendarFeed.getHearingEvent(hearing)))
+  );
+}));
+
+/**
+ * GET /api/calendar/bills.ics?ids=89R-SB12,89R-HB2
+ * Stages and hearings of a set of bills
+ * Query parameters:
+ * - ids: comma-separated bill ids (required, at most 100)
+ * - session: session for ids given without one (e.g. SB12)
+ */
+router.get('/bills.ics', asyncHandler(async (req, res) => {
+  const ids = Array.from(new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean)));
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+
+  if (ids.length === 0) {
+    throw new AppError('Provide bill ids as ids=89R-SB12,89R-HB2', 'VALIDATION_ERROR');
+  }
+  if (ids.length > MAX_FEED_BILLS) {
+    throw new AppError(`A feed can include at most ${MAX_FEED_BILLS} bills`, 'VALIDATION_ERROR', 400, { count: ids.length });
+  }
+
+  const bills = [];
+  const missing = [];
+  for (const id of ids) {
+    const bill = await billDatabase.getBill(id, session);
+    if (bill) {
+      bills.push(bill);
+    } else {
+      missing.push(id);
+    }
+  }
+  if (missing.length > 0) {
+    throw new AppError(`Bills not found: ${missing.join(', ')}`, 'NOT_FOUND', 404, { missing });
+  }
+
+  await sendBillsCalendar(req, res, bills, 'Texas bills', 'bills.ics');
+}));
+
+/**
+ * GET /api/calendar/bills/:id.ics
+ * Stages and hearings of one bill
+ * Query parameters:
+ * - session: session when the id has none (e.g. SB12)
+ */
+router.get('/bills/:id.ics', asyncHandler(async (req, res) => {
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  const bill = await billDatabase.getBill(req.params.id, session);
+  if (!bill) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: req.params.id });
+  }
+
+  const billNumber = idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber));
+  await sendBillsCalendar(req, res, [bill], `${billNumber} (${bill.session})`, `${bill.id}.ics`);
+}));
+
+module.exports = router;
@@ -0,0 +1,135 @@
+// Committee API routes
+const express = require('express');
+const router = express.Router();
+const { committeeDatabase } = require('../../config/committee-database');
+const { legislatorDatabase } = require('../../config/legislator-database');
+const { billDatabase } = require('../../config/bill-database');
+const { databaseService } = require('../../config/database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { committeeService } = require('../../services/committees');
+const cacheMiddleware = require('../middleware/cache');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+// Past hearings listed on a committee page, most recent first
+const RECENT_HEARINGS_LIMIT = 20;
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+function formatCommittee(committee) {
+  const members = committee.members || [];
+  const chair = members.find(member => member.position === 'Chair');
+
+  return {
+    id: committee.id,
+    name: committee.name,
+    chamber: committee.chamber,
+    chair: chair ? { legislatorId: chair.legislatorId, name: chair.name } : null,
+    memberCount: members.length,
+    clerk: committee.clerk || '',
+    phone: committee.phone || '',
+    room: committee.room || '',
+    url: committee.url || ''
+  };
+}
+
+/**
+ * GET /api/committees
+ * List Senate and House committees
+ * Query parameters:
+ * - chamber: Senate or House
+ */
+router.get('/', cacheMiddleware.middleware(3600), asyncHandler(async (req, res) => { // Cache for 1 hour
+  const { chamber } = req.query;
+
+  const validChambers = ['Senate', 'House'];
+  const chamberName = chamber ? validChambers.find(name => name.toLowerCase() === String(chamber).toLowerCase()) : null;
+  if (chamber && !chamberName) {
+    throw new AppError(`Invalid chamber. Must be one of: ${validChambers.join(', ')}`, 'VALIDATION_ERROR');
+  }
+
+  const committees = (await committeeDatabase.getCommittees(chamberName))
+    .sort((a, b) => (a.chamber || '').localeCompare(b.chamber || '') || (a.name || '').localeCompare(b.name || ''));
+
+  res.json({
+    success: true,
+    data: committees.map(formatCommittee),
+    count: committees.length,
+    filters: {
+      chamber: chamberName
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/committees/:id
+ * Committee page: members with their party and district, upcoming and recent hearings,
+ * and the bills scheduled before the committee
+ */
+router.get('/:id', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
+  const { id } = req.params;
+
+  const committee = await committeeDatabase.getCommittee(id);
+  if (!committee) {
+    throw new AppError('Committee not found', 'NOT_FOUND', 404, { committeeId: id });
+  }
+
+  const legislators = new Map((await legislatorDatabase.getLegislators(committee.chamber))
+    .map(legislator => [legislator.id, legislator]));
+  const members = (committee.members || []).map(member => {
+    const legislator = legislators.get(member.legislatorId);
+    return {
+      ...member,
+      party: legislator ? legislator.party || null : null,
+      district: legislator ? legislator.district || '' : '',
+      photoUrl: legislator ? legislator.photoUrl || '' : ''
+    };
+  });
+
+  const hearings = (await committeeDatabase.getCommitteeHearings(committee.id)).sort((a, b) => committeeService.compareHearings(a, b));
+  const todayKey = new Date().toISOString().slice(0, 10);
+  const upcoming = hearings.filter(hearing => hearing.date >= todayKey);
+  const past = hearings.filter(hearing => hearing.date < todayKey).reverse().slice(0, RECENT_HEARINGS_LIMIT);
+
+  // Every linked bill the committee has scheduled, with the date of its latest hearing
+  const scheduled = new Map();
+  hearings.forEach(hearing => {
+    (hearing.bills || []).filter(bill => bill.billId).forEach(bill => {
+      scheduled.set(bill.billId, { billNumber: bill.billNumber, hearingDate: hearing.date });
+    });
+  });
+  const bills = [];
+  for (const [billId, entry] of scheduled) {
+    const bill = await billDatabase.getBill(billId);
+    if (bill) {
+      bills.push({
+        id: idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber)),
+        docId: bill.id,
+        shortTitle: bill.shortTitle,
+        status: bill.status,
+        lastHearingDate: entry.hearingDate
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...formatCommittee(committee),
+      members,
+      hearings: {
+        upcoming: upcoming.map(hearing => committeeService.formatHearing(hearing)),
+        past: past.map(hearing => committeeService.formatHearing(hearing))
+      },
+      bills: bills.sort((a, b) => a.docId.localeCompare(b.docId, undefined, { numeric: true }))
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
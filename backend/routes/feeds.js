@@ -0,0 +1,95 @@
+// Atom and RSS feed API routes
+const express = require('express');
+const router = express.Router();
+const { activityFeed } = require('../../services/activity-feed');
+const { billDatabase } = require('../../config/bill-database');
+const { databaseService } = require('../../config/database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+const CONTENT_TYPES = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8'
+};
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+// Feed readers poll, so let shared caches absorb repeat requests
+async function sendFeed(req, res, { title, description, ...options }) {
+  const siteUrl = `${req.protocol}://${req.get('host')}`;
+  const feed = { title, description, siteUrl, feedUrl: `${siteUrl}${req.originalUrl}` };
+  const entries = await activityFeed.getEntries({ ...options, limit: req.query.limit });
+
+  res.set('Content-Type', CONTENT_TYPES[req.params.format]);
+  res.set('Cache-Control', 'public, max-age=900');
+  res.send(req.params.format === 'atom' ? activityFeed.buildAtom(feed, entries) : activityFeed.buildRss(feed, entries));
+}
+
+/**
+ * GET /api/feeds/bills.atom, /api/feeds/bills.rss
+ * Recent activity across all bills
+ * Query parameters (all feeds):
+ * - limit: maximum entries (default: 50, max: 200)
+ */
+router.get('/bills.:format(atom|rss)', asyncHandler(async (req, res) => {
+  await sendFeed(req, res, {
+    title: 'Texas bill activity',
+    description: 'Status changes, actions and new bills detected on Texas Legislature Online'
+  });
+}));
+
+/**
+ * GET /api/feeds/bills/:id.atom, /api/feeds/bills/:id.rss
+ * Activity of one bill
+ * Query parameters:
+ * - session: session when the id has none (e.g. SB12)
+ */
+router.get('/bills/:id.:format(atom|rss)', asyncHandler(async (req, res) => {
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  const bill = await billDatabase.getBill(req.params.id, session);
+  if (!bill) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId: req.params.id });
+  }
+
+  const billNumber = idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber));
+  await sendFeed(req, res, {
+    title: `${billNumber} (${bill.session}) activity`,
+    description: bill.shortTitle || bill.fullTitle || `Activity of ${billNumber}`,
+    billId: bill.id
+  });
+}));
+
+/**
+ * GET /api/feeds/topics/:topic.atom, /api/feeds/topics/:topic.rss
+ * Activity of bills with a topic, matched like GET /api/bills?topic=
+ */
+router.get('/topics/:topic.:format(atom|rss)', asyncHandler(async (req, res) => {
+  const { topic } = req.params;
+
+  await sendFeed(req, res, {
+    title: `Texas bill activity: ${topic}`,
+    description: `Activity of Texas bills about ${topic}`,
+    topic
+  });
+}));
+
+/**
+ * GET /api/feeds/sponsors/:sponsor.atom, /api/feeds/sponsors/:sponsor.rss
+ * Activity of bills by a sponsor, matched like GET /api/bills?sponsor=
+ */
+router.get('/sponsors/:sponsor.:format(atom|rss)', asyncHandler(async (req, res) => {
+  const { sponsor } = req.params;
+
+  await sendFeed(req, res, {
+    title: `Texas bill activity: ${sponsor}`,
+    description: `Activity of Texas bills authored by ${sponsor}`,
+    sponsor
+  });
+}));
+
+module.exports = router;
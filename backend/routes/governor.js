@@ -0,0 +1,56 @@
+// Governor action API routes
+const express = require('express');
+const router = express.Router();
+const { governorService, ACTIONS } = require('../../services/governor');
+const { databaseService } = require('../../config/database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const cacheMiddleware = require('../middleware/cache');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+/**
+ * GET /api/governor/actions
+ * Bills signed, vetoed or filed without signature, and bills awaiting the governor with their veto deadlines
+ * Query parameters:
+ * - session: legislative session (e.g. 89R); regular sessions use the 20-day post-adjournment deadline
+ * - action: signed, line-item-veto, vetoed, filed-without-signature or pending (may be repeated)
+ * - limit: maximum actions returned (default: 100, max: 1000)
+ * Pending bills come first, soonest deadline first, then the latest actions
+ */
+router.get('/actions', cacheMiddleware.middleware(600), asyncHandler(async (req, res) => { // Cache for 10 minutes
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  if (req.query.session && !session) {
+    throw new AppError(`Invalid session: ${req.query.session}. Use a session code such as 89R or 89-1`, 'VALIDATION_ERROR');
+  }
+
+  const actions = [].concat(req.query.action || [])
+    .filter(action => typeof action === 'string' && action.trim())
+    .map(action => action.trim().toLowerCase());
+  const unknown = actions.find(action => !ACTIONS.includes(action));
+  if (unknown) {
+    throw new AppError(`Invalid action: ${unknown}. Use one of ${ACTIONS.join(', ')}`, 'VALIDATION_ERROR', 400, { actions: ACTIONS });
+  }
+
+  const result = await governorService.listActions({ session, actions, limit: req.query.limit });
+
+  res.json({
+    success: true,
+    data: result.actions,
+    count: result.actions.length,
+    total: result.total,
+    counts: result.counts,
+    filters: {
+      session,
+      action: actions
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,114 @@
+// GraphQL API routes
+const express = require('express');
+const router = express.Router();
+const { parse, validate, execute, GraphQLError } = require('graphql');
+const { schema } = require('../graphql/schema');
+const { createLoaders } = require('../graphql/loaders');
+const { checkLimits, analyzeQuery, MAX_COST } = require('../graphql/limits');
+const { databaseService } = require('../../config/database');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+// Longest query document accepted, in characters
+const MAX_QUERY_LENGTH = 10000;
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+// AppErrors keep their message and type; anything else is logged and reported generically
+function formatError(error) {
+  const original = error.originalError;
+  if (original instanceof AppError) {
+    return { ...error.toJSON(), message: original.message, extensions: { code: original.type } };
+  }
+  if (original && !(original instanceof GraphQLError)) {
+    console.error('❌ GraphQL resolver error:', original.message);
+    return { ...error.toJSON(), message: 'Internal server error', extensions: { code: 'SERVER_ERROR' } };
+  }
+  return error.toJSON();
+}
+
+function sendErrors(res, errors) {
+  res.status(400).json({ errors: errors.map(formatError) });
+}
+
+async function runQuery(req, res, { query, variables, operationName }) {
+  if (typeof query !== 'string' || !query.trim()) {
+    return sendErrors(res, [new GraphQLError('Provide a GraphQL query')]);
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return sendErrors(res, [new GraphQLError(`Queries are limited to ${MAX_QUERY_LENGTH} characters`)]);
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return sendErrors(res, [error]);
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    return sendErrors(res, validationErrors);
+  }
+
+  const options = { variables: variables || {}, operationName: operationName || undefined };
+  const limitErrors = checkLimits(schema, document, options);
+  if (limitErrors.length > 0) {
+    return sendErrors(res, limitErrors);
+  }
+
+  // Summaries, news and votes count against the AI or scrape quota once for each bill they are selected for;
+  // nothing is charged when any of those buckets is out of room
+  const { cost, buckets } = analyzeQuery(schema, document, options);
+  if (Object.keys(buckets).length > 0 && !rateLimiter.enforceAll(req, res, buckets)) {
+    return;
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: options.variables,
+    operationName: options.operationName,
+    contextValue: { loaders: createLoaders() }
+  });
+
+  res.json({
+    ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+    data: result.data,
+    extensions: { cost: { requested: cost, limit: MAX_COST } }
+  });
+}
+
+/**
+ * POST /api/graphql
+ * Run a GraphQL query
+ * Body: { query, variables, operationName }
+ * Queries over the depth or cost limit are rejected before any resolver runs
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  await runQuery(req, res, req.body || {});
+}));
+
+/**
+ * GET /api/graphql?query=...&variables=...
+ * Run a GraphQL query given in the query string; variables are JSON
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  let variables = null;
+  if (req.query.variables) {
+    try {
+      variables = JSON.parse(req.query.variables);
+    } catch (error) {
+      return sendErrors(res, [new GraphQLError('variables must be a JSON object')]);
+    }
+  }
+
+  await runQuery(req, res, { query: req.query.query, variables, operationName: req.query.operationName });
+}));
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// Committee hearing calendar API routes
+const express = require('express');
+const router = express.Router();
+const { committeeDatabase } = require('../../config/committee-database');
+const { committeeService } = require('../../services/committees');
+const { databaseService } = require('../../config/database');
+const cacheMiddleware = require('../middleware/cache');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Days covered when no end date is given
+const DEFAULT_RANGE_DAYS = 14;
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+function parseDate(value, name) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new AppError(`Invalid ${name} date: ${value}. Use YYYY-MM-DD`, 'VALIDATION_ERROR');
+  }
+  return value;
+}
+
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * GET /api/hearings
+ * Committee hearings in a date range, ordered by date and time
+ * Query parameters:
+ * - from: first date, YYYY-MM-DD (default: today)
+ * - to: last date, YYYY-MM-DD (default: 14 days after from)
+ * - chamber: Senate or House
+ * - committee: committee code (e.g. C530)
+ */
+router.get('/', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
+  const { chamber, committee } = req.query;
+
+  const from = req.query.from ? parseDate(req.query.from, 'from') : new Date().toISOString().slice(0, 10);
+  const to = req.query.to ? parseDate(req.query.to, 'to') : addDays(from, DEFAULT_RANGE_DAYS);
+  if (to < from) {
+    throw new AppError('The to date must not be before the from date', 'VALIDATION_ERROR');
+  }
+
+  const hearings = (await committeeDatabase.getHearings(from, to))
+    .filter(hearing => !chamber || String(hearing.chamber).toLowerCase() === String(chamber).toLowerCase())
+    .filter(hearing => !committee || hearing.committeeId === String(committee).toUpperCase())
+    .sort((a, b) => committeeService.compareHearings(a, b));
+
+  res.json({
+    success: true,
+    data: hearings.map(hearing => committeeService.formatHearing(hearing)),
+    count: hearings.length,
+    filters: {
+      from,
+      to,
+      chamber: chamber || null,
+      committee: committee ? String(committee).toUpperCase() : null
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
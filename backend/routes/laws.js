@@ -0,0 +1,70 @@
+// Enacted law API routes
+const express = require('express');
+const router = express.Router();
+const { effectiveDateService } = require('../../services/effective-dates');
+const { databaseService } = require('../../config/database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const cacheMiddleware = require('../middleware/cache');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+function getDate(req, name, fallback) {
+  const value = req.query[name];
+  if (!value) {
+    return fallback;
+  }
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new AppError(`Invalid ${name} date: ${value}. Use YYYY-MM-DD`, 'VALIDATION_ERROR');
+  }
+  return value;
+}
+
+/**
+ * GET /api/laws/effective
+ * Enacted bills taking effect in a date range, grouped by effective date
+ * Query parameters:
+ * - from: first day, YYYY-MM-DD (default: first day of the current month)
+ * - to: last day, YYYY-MM-DD (default: last day of the current month)
+ * - session: legislative session (e.g. 89R)
+ * Bills with sections that take effect on other days are also listed on those days, with the sections
+ */
+router.get('/effective', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1)).toISOString().slice(0, 10);
+  const monthEnd = new Date(Date.UTC(now.getFullYear(), now.getMonth() + 1, 0)).toISOString().slice(0, 10);
+  const from = getDate(req, 'from', monthStart);
+  const to = getDate(req, 'to', monthEnd);
+  if (from > to) {
+    throw new AppError(`from (${from}) must not be after to (${to})`, 'VALIDATION_ERROR');
+  }
+
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  if (req.query.session && !session) {
+    throw new AppError(`Invalid session: ${req.query.session}. Use a session code such as 89R or 89-1`, 'VALIDATION_ERROR');
+  }
+
+  const result = await effectiveDateService.listEffective({ from, to, session });
+
+  res.json({
+    success: true,
+    data: result.dates,
+    count: result.dates.length,
+    total: result.total,
+    filters: {
+      from,
+      to,
+      session
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
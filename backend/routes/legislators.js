@@ -0,0 +1,143 @@
+// Legislator directory API routes
+const express = require('express');
+const router = express.Router();
+const { legislatorDatabase } = require('../../config/legislator-database');
+const { billDatabase } = require('../../config/bill-database');
+const { databaseService } = require('../../config/database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const cacheMiddleware = require('../middleware/cache');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+// Upper bound on bills listed for one member
+const MEMBER_BILLS_LIMIT = 5000;
+
+// Sponsorship record groups for each role a member can have on a bill
+const ROLE_GROUPS = { author: 'authored', coauthor: 'coauthored', sponsor: 'sponsored' };
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+function formatLegislator(legislator) {
+  return {
+    id: legislator.id,
+    name: legislator.name,
+    firstName: legislator.firstName || '',
+    lastName: legislator.lastName || '',
+    chamber: legislator.chamber,
+    district: legislator.district || '',
+    party: legislator.party || null,
+    committees: legislator.committees || [],
+    contact: legislator.contact || {},
+    photoUrl: legislator.photoUrl || '',
+    profileUrl: legislator.profileUrl || ''
+  };
+}
+
+function formatBill(bill, role) {
+  const standardId = idStandardizer.standardize(bill.billNumber);
+
+  return {
+    id: idStandardizer.toDisplayFormat(standardId),
+    docId: bill.id,
+    billNumber: bill.billNumber,
+    session: bill.session,
+    shortTitle: bill.shortTitle,
+    status: bill.status,
+    lastActionDate: bill.lastActionDate || null,
+    role
+  };
+}
+
+/**
+ * GET /api/legislators
+ * List members of the Legislature
+ * Query parameters:
+ * - chamber: Senate or House
+ * - party: Republican or Democrat
+ * - search: name contains
+ */
+router.get('/', cacheMiddleware.middleware(3600), asyncHandler(async (req, res) => { // Cache for 1 hour
+  const { chamber, party, search } = req.query;
+
+  const validChambers = ['Senate', 'House'];
+  const chamberName = chamber ? validChambers.find(name => name.toLowerCase() === String(chamber).toLowerCase()) : null;
+  if (chamber && !chamberName) {
+    throw new AppError(`Invalid chamber. Must be one of: ${validChambers.join(', ')}`, 'VALIDATION_ERROR');
+  }
+
+  let legislators = await legislatorDatabase.getLegislators(chamberName);
+
+  if (party) {
+    legislators = legislators.filter(legislator => (legislator.party || '').toLowerCase() === String(party).toLowerCase());
+  }
+  if (search) {
+    const searchLower = String(search).toLowerCase();
+    legislators = legislators.filter(legislator => (legislator.name || '').toLowerCase().includes(searchLower));
+  }
+
+  legislators.sort((a, b) =>
+    (a.chamber || '').localeCompare(b.chamber || '') ||
+    (a.lastName || '').localeCompare(b.lastName || '') ||
+    (a.firstName || '').localeCompare(b.firstName || ''));
+
+  res.json({
+    success: true,
+    data: legislators.map(formatLegislator),
+    count: legislators.length,
+    filters: {
+      chamber: chamberName,
+      party: party || null,
+      search: search || null
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/legislators/:id
+ * Member profile with every bill the member authored, coauthored or sponsored
+ * Query parameters:
+ * - session: only list bills from this session (e.g. 89R)
+ */
+router.get('/:id', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
+  const { id } = req.params;
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  if (req.query.session && !session) {
+    throw new AppError(`Invalid session: ${req.query.session}. Use a session code such as 89R or 89-1`, 'VALIDATION_ERROR');
+  }
+
+  const legislator = await legislatorDatabase.getLegislator(id);
+  if (!legislator) {
+    throw new AppError('Legislator not found', 'NOT_FOUND', 404, { legislatorId: id });
+  }
+
+  const bills = (await billDatabase.getBillsByLegislator(legislator.id, MEMBER_BILLS_LIMIT))
+    .filter(bill => !session || bill.session === session)
+    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+  const sponsorship = Object.fromEntries(Object.values(ROLE_GROUPS).map(group => [group, []]));
+  bills.forEach(bill => {
+    (bill.legislators || [])
+      .filter(link => link.legislatorId === legislator.id && ROLE_GROUPS[link.role])
+      .forEach(link => sponsorship[ROLE_GROUPS[link.role]].push(formatBill(bill, link.role)));
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...formatLegislator(legislator),
+      bills: sponsorship,
+      billCounts: Object.fromEntries(Object.entries(sponsorship).map(([group, list]) => [group, list.length]))
+    },
+    filters: {
+      session
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
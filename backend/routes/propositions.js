@@ -0,0 +1,87 @@
+// Constitutional amendment proposition API routes
+const express = require('express');
+const router = express.Router();
+const { propositionService, PROPOSITION_STATUSES } = require('../../services/propositions');
+const { databaseService } = require('../../config/database');
+const { billDatabase } = require('../../config/bill-database');
+const { propositionDatabase } = require('../../config/proposition-database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const cacheMiddleware = require('../middleware/cache');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+function getSession(req) {
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  if (req.query.session && !session) {
+    throw new AppError(`Invalid session: ${req.query.session}. Use a session code such as 89R or 89-1`, 'VALIDATION_ERROR');
+  }
+  return session;
+}
+
+/**
+ * GET /api/propositions
+ * Constitutional amendments on the ballot, grouped by election date
+ * Query parameters:
+ * - session: legislative session that proposed them (e.g. 89R)
+ * - status: on-ballot, adopted or rejected (may be repeated)
+ * - upcoming: "true" to list only elections from today on
+ * Within each election, numbered propositions come first in ballot order
+ */
+router.get('/', cacheMiddleware.middleware(600), asyncHandler(async (req, res) => { // Cache for 10 minutes
+  const session = getSession(req);
+  const status = [].concat(req.query.status || [])
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim().toLowerCase());
+  const unknown = status.find(value => !PROPOSITION_STATUSES.includes(value));
+  if (unknown) {
+    throw new AppError(`Invalid status: ${unknown}. Use one of ${PROPOSITION_STATUSES.join(', ')}`, 'VALIDATION_ERROR', 400, { statuses: PROPOSITION_STATUSES });
+  }
+  const upcoming = req.query.upcoming === 'true';
+
+  const result = await propositionService.listPropositions({ session, status, upcoming });
+
+  res.json({
+    success: true,
+    data: result.elections,
+    count: result.elections.length,
+    total: result.total,
+    filters: {
+      session,
+      status,
+      upcoming
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/propositions/:id
+ * One joint resolution as a proposition, including resolutions still in the legislature
+ * Query parameters:
+ * - session: session when the id has none (e.g. SJR5)
+ */
+router.get('/:id', cacheMiddleware.middleware(600), asyncHandler(async (req, res) => { // Cache for 10 minutes
+  const bill = await billDatabase.getBill(req.params.id, getSession(req));
+  if (!bill) {
+    throw new AppError('Joint resolution not found', 'NOT_FOUND', 404, { billId: req.params.id });
+  }
+  if (!propositionService.isJointResolution(bill)) {
+    throw new AppError(`${bill.billNumber} is not a joint resolution`, 'VALIDATION_ERROR', 400, { billId: bill.id });
+  }
+
+  const local = await propositionDatabase.getProposition(bill.id);
+
+  res.json({
+    success: true,
+    data: propositionService.getProposition(bill, local),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// Statute cross-reference API routes
+const express = require('express');
+const router = express.Router();
+const { statuteIndex } = require('../../services/statute-index');
+const { databaseService } = require('../../config/database');
+const { idStandardizer } = require('../../config/id-standardizer');
+const cacheMiddleware = require('../middleware/cache');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+// Chapter ("411", "42A") or section ("411.0205", "42A.054") numbers
+const SECTION_PATTERN = /^\d+[A-Z]?(?:\.\d+[A-Za-z0-9]*)?$/i;
+
+router.use((req, res, next) => {
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+function getSession(req) {
+  const session = req.query.session ? idStandardizer.standardizeSession(req.query.session) : null;
+  if (req.query.session && !session) {
+    throw new AppError(`Invalid session: ${req.query.session}. Use a session code such as 89R or 89-1`, 'VALIDATION_ERROR');
+  }
+  return session;
+}
+
+function formatReference(reference) {
+  return {
+    citation: reference.citation,
+    unit: reference.unit,
+    number: reference.number,
+    actions: reference.actions || [],
+    billSections: reference.billSections || []
+  };
+}
+
+/**
+ * GET /api/statutes
+ * Search statutes cited by bills, with the number of bills citing each
+ * Query parameters:
+ * - q: citation text or number prefix (e.g. "411.02", "Chapter 411")
+ * - code: code abbreviation, name or slug (e.g. GV, "Government Code", government)
+ * - session: only count bills from this session (e.g. 89R)
+ * - limit: maximum statutes returned (default: 100, max: 500)
+ */
+router.get('/', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
+  const { q, code, limit } = req.query;
+  const session = getSession(req);
+
+  if (!q && !code) {
+    throw new AppError('Provide a search query (q) or a code', 'VALIDATION_ERROR');
+  }
+
+  const resolvedCode = code ? statuteIndex.resolveCode(code) : null;
+  const result = await statuteIndex.search({ code: resolvedCode, query: q, session, limit });
+
+  res.json({
+    success: true,
+    data: result.statutes,
+    count: result.statutes.length,
+    total: result.total,
+    filters: {
+      q: q || null,
+      code: resolvedCode ? resolvedCode.id : null,
+      session
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/statutes/:code/:section/bills
+ * Bills whose text cites a code section ("GV/411.0205") or anything in a chapter ("GV/411")
+ * Query parameters:
+ * - session: only list bills from this session (e.g. 89R)
+ */
+router.get('/:code/:section/bills', cacheMiddleware.middleware(900), asyncHandler(async (req, res) => { // Cache for 15 minutes
+  const { section } = req.params;
+  const session = getSession(req);
+
+  const code = statuteIndex.resolveCode(req.params.code);
+  if (!code) {
+    throw new AppError(`Unknown code: ${req.params.code}`, 'VALIDATION_ERROR');
+  }
+  if (!SECTION_PATTERN.test(section)) {
+    throw new AppError(`Invalid section: ${section}. Use a section such as 411.0205 or a chapter such as 411`, 'VALIDATION_ERROR');
+  }
+
+  const results = await statuteIndex.getBills(code, section.toUpperCase(), { session });
+
+  res.json({
+    success: true,
+    data: {
+      code: code.id,
+      codeName: code.name,
+      [section.includes('.') ? 'section' : 'chapter']: section.toUpperCase(),
+      bills: results.map(({ bill, references }) => ({
+        id: idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber)),
+        docId: bill.id,
+        billNumber: bill.billNumber,
+        session: bill.session,
+        shortTitle: bill.shortTitle,
+        status: bill.status,
+        lastActionDate: bill.lastActionDate || null,
+        references: references.map(formatReference)
+      }))
+    },
+    count: results.length,
+    filters: {
+      session
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,306 @@
+// Watchlist API routes
+const express = require('express');
+const router = express.Router();
+const { watchlistDatabase, MAX_WATCHED_BILLS } = require('../../config/watchlist-database');
+const { billDatabase } = require('../../config/bill-database');
+const { calendarFeed } = require('../../services/calendar-feed');
+const { idStandardizer } = require('../../config/id-standardizer');
+const { databaseService } = require('../../config/database');
+const { toIso } = require('../../config/field-values');
+const { assertPublicUrl } = require('../../services/outbound-url');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Watchlists are private to their owner, so responses must never be cached by shared caches
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'private, no-store');
+  next();
+});
+
+/**
+ * Account-backed watchlists rely on an upstream auth proxy that sets the header
+ * named by WATCHLIST_ACCOUNT_HEADER (e.g. X-Account-Id); without it every
+ * watchlist is anonymous and addressed by its X-Watchlist-Token
+ */
+function getAccountId(req) {
+  const header = process.env.WATCHLIST_ACCOUNT_HEADER;
+  return header ? (req.get(header) || null) : null;
+}
+
+function getToken(req) {
+  return req.get('X-Watchlist-Token') || req.query.token || null;
+}
+
+/**
+ * Resolve the watchlist for the current request
+ * @returns {Promise<Object>} Stored watchlist
+ */
+async function requireWatchlist(req) {
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const accountId = getAccountId(req);
+  if (accountId) {
+    const watchlist = await watchlistDatabase.getWatchlistByAccount(accountId);
+    if (!watchlist) {
+      throw new AppError('Watchlist not found', 'NOT_FOUND', 404, { accountId });
+    }
+    return watchlist;
+  }
+
+  const token = getToken(req);
+  if (!token) {
+    throw new AppError('Watchlist token is required', 'UNAUTHORIZED', 401);
+  }
+
+  const watchlist = await watchlistDatabase.getWatchlistByToken(token);
+  if (!watchlist) {
+    throw new AppError('Invalid watchlist token', 'UNAUTHORIZED', 401);
+  }
+  return watchlist;
+}
+
+// Validate and pick the editable watchlist settings from a request body
+async function getSettings(body = {}) {
+  const settings = {};
+
+  if (body.name !== undefined) {
+    settings.name = String(body.name).trim().slice(0, 100);
+  }
+
+  if (body.email !== undefined) {
+    const email = String(body.email || '').trim();
+    if (email && !EMAIL_PATTERN.test(email)) {
+      throw new AppError('Invalid email address', 'VALIDATION_ERROR', 400, { email });
+    }
+    settings.email = email;
+  }
+
+  if (body.webhookUrl !== undefined) {
+    const webhookUrl = String(body.webhookUrl || '').trim();
+    if (webhookUrl) {
+      try {
+        await assertPublicUrl(webhookUrl);
+      } catch (error) {
+        throw new AppError(`Webhook ${error.message}`, 'VALIDATION_ERROR', 400, { webhookUrl });
+      }
+    }
+    settings.webhookUrl = webhookUrl;
+  }
+
+  return settings;
+}
+
+// Shape a watchlist for API responses; the token hash never leaves the server
+function formatWatchlist(watchlist) {
+  return {
+    id: watchlist.id,
+    ownerType: watchlist.ownerType,
+    name: watchlist.name || '',
+    email: watchlist.email || '',
+    webhookUrl: watchlist.webhookUrl || '',
+    bills: watchlist.bills || [],
+    maxBills: MAX_WATCHED_BILLS
+  };
+}
+
+/**
+ * POST /api/watchlists
+ * Create a watchlist; anonymous watchlists get a token that is only returned once
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  if (!databaseService.isConnected) {
+    throw new AppError('Database not connected', 'DATABASE_ERROR', 500);
+  }
+
+  const settings = await getSettings(req.body);
+  const accountId = getAccountId(req);
+
+  if (accountId) {
+    const existing = await watchlistDatabase.getWatchlistByAccount(accountId);
+    if (existing) {
+      return res.json({
+        success: true,
+        data: formatWatchlist(existing),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  const { watchlist, token } = await watchlistDatabase.createWatchlist({ ...settings, accountId });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...formatWatchlist(watchlist),
+      token
+    },
+    message: token ? 'Store this token; it is required to access the watchlist' : 'Watchlist created',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/watchlists
+ * Get the current watchlist with a summary of each followed bill
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const watchlist = await requireWatchlist(req);
+
+  const bills = await Promise.all((watchlist.bills || []).map(async billId => {
+    const bill = await billDatabase.getBill(billId);
+    return bill ? {
+      id: bill.id,
+      billNumber: bill.billNumber,
+      shortTitle: bill.shortTitle,
+      status: bill.status,
+      committee: bill.committee || null,
+      session: bill.session || null
+    } : { id: billId, missing: true };
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      ...formatWatchlist(watchlist),
+      bills
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * PUT /api/watchlists
+ * Update the watchlist name and delivery settings (email, webhookUrl)
+ */
+router.put('/', asyncHandler(async (req, res) => {
+  const watchlist = await requireWatchlist(req);
+  const updated = await watchlistDatabase.updateWatchlist(watchlist.id, await getSettings(req.body));
+
+  res.json({
+    success: true,
+    data: formatWatchlist(updated),
+    message: 'Watchlist updated successfully',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/watchlists
+ * Delete the current watchlist
+ */
+router.delete('/', asyncHandler(async (req, res) => {
+  const watchlist = await requireWatchlist(req);
+  await watchlistDatabase.deleteWatchlist(watchlist.id);
+
+  res.json({
+    success: true,
+    message: 'Watchlist deleted',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/watchlists/bills
+ * Follow a bill; body: { billId, session? }
+ */
+router.post('/bills', asyncHandler(async (req, res) => {
+  const watchlist = await requireWatchlist(req);
+  const { billId } = req.body || {};
+  const session = req.body && req.body.session ? idStandardizer.standardizeSession(req.body.session) : null;
+
+  if (!billId) {
+    throw new AppError('Bill ID is required', 'VALIDATION_ERROR');
+  }
+
+  const bill = await billDatabase.getBill(billId, session);
+  if (!bill) {
+    throw new AppError('Bill not found', 'NOT_FOUND', 404, { billId });
+  }
+
+  if (!(watchlist.bills || []).includes(bill.id) && (watchlist.bills || []).length >= MAX_WATCHED_BILLS) {
+    throw new AppError(`Watchlists can follow at most ${MAX_WATCHED_BILLS} bills`, 'VALIDATION_ERROR', 400);
+  }
+
+  const updated = await watchlistDatabase.addBill(watchlist.id, bill.id);
+
+  res.json({
+    success: true,
+    data: formatWatchlist(updated),
+    message: `Now following ${bill.billNumber}`,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/watchlists/bills/:billId
+ * Stop following a bill
+ */
+router.delete('/bills/:billId', asyncHandler(async (req, res) => {
+  const watchlist = await requireWatchlist(req);
+  const { billId } = req.params;
+
+  // Accept any ID format, but fall back to the raw id so bills deleted since being followed can be removed
+  const bill = await billDatabase.getBill(billId);
+  const docId = bill ? bill.id : billId;
+
+  if (!(watchlist.bills || []).includes(docId)) {
+    throw new AppError('Bill is not on this watchlist', 'NOT_FOUND', 404, { billId });
+  }
+
+  const updated = await watchlistDatabase.removeBill(watchlist.id, docId);
+
+  res.json({
+    success: true,
+    data: formatWatchlist(updated),
+    message: 'Bill removed from watchlist',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/watchlists/notifications
+ * Get the notifications generated for the current watchlist, newest first
+ */
+router.get('/notifications', asyncHandler(async (req, res) => {
+  const watchlist = await requireWatchlist(req);
+  const { limit = 50 } = req.query;
+
+  const notifications = await watchlistDatabase.getNotifications(watchlist.id, parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      notifications: notifications.map(notification => ({
+        id: notification.id,
+        billId: notification.billId,
+        billNumber: notification.billNumber,
+        events: notification.events || [],
+        deliveries: notification.deliveries || [],
+        createdAt: toIso(notification.createdAt)
+      })),
+      count: notifications.length
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/watchlists/calendar.ics?token=...
+ * iCalendar feed of the stages and hearings of every followed bill; calendar apps
+ * cannot send headers, so subscriptions pass the watchlist token in the query string
+ */
+router.get('/calendar.ics', asyncHandler(async (req, res) => {
+  const watchlist = await requireWatchlist(req);
+
+  const bills = (await Promise.all((watchlist.bills || []).map(billId => billDatabase.getBill(billId)))).filter(Boolean);
+  const events = await calendarFeed.getBillEvents(bills, { baseUrl: `${req.protocol}://${req.get('host')}` });
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="watchlist.ics"');
+  res.send(calendarFeed.buildCalendar(watchlist.name || 'Followed Texas bills', events));
+}));
+
+module.exports = router;
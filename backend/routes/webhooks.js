@@ -0,0 +1,221 @@
+// Webhook subscription API routes
+const express = require('express');
+const router = express.Router();
+const { webhookDatabase } = require('../../config/webhook-database');
+const { databaseService } = require('../../config/database');
+const { toIso } = require('../../config/field-values');
+const { WEBHOOK_EVENTS } = require('../../services/webhooks');
+const { assertPublicUrl } = require('../../services/outbound-url');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { requireAdmin, isAdmin, secretsMatch } = require('../middleware/admin-auth');
+
+// Subscriptions and delivery logs change with every event, so never serve them from shared caches
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (!databaseService.isConnected) {
+    return next(new AppError('Database not connected', 'DATABASE_ERROR', 500));
+  }
+  next();
+});
+
+// Validate a subscription URL; receivers must accept POSTs over http(s) on a public host
+async function validateUrl(value) {
+  try {
+    return await assertPublicUrl(value);
+  } catch (error) {
+    throw new AppError(`Webhook ${error.message}`, 'VALIDATION_ERROR', 400, { url: value });
+  }
+}
+
+// Validate an event filter against the supported events
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new AppError('At least one event is required', 'VALIDATION_ERROR', 400, { supported: WEBHOOK_EVENTS });
+  }
+
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown events: ${unknown.join(', ')}`, 'VALIDATION_ERROR', 400, { supported: WEBHOOK_EVENTS });
+  }
+  return Array.from(new Set(events));
+}
+
+// Shape a subscription for API responses; the signing secret is only returned on creation
+function formatSubscription(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events || [],
+    description: subscription.description || '',
+    active: subscription.active !== false
+  };
+}
+
+// Load a subscription the request may manage: its owner token (X-Webhook-Token) or the admin key is required
+async function requireSubscription(req) {
+  const webhookId = req.params.id;
+  const subscription = await webhookDatabase.getSubscription(webhookId);
+  if (!subscription || subscription._isStructureDoc) {
+    throw new AppError('Webhook not found', 'NOT_FOUND', 404, { webhookId });
+  }
+
+  const token = req.get('X-Webhook-Token');
+  const ownsSubscription = Boolean(token) && Boolean(subscription.tokenHash) &&
+    secretsMatch(webhookDatabase.hashToken(token), subscription.tokenHash);
+  if (!ownsSubscription && !isAdmin(req)) {
+    throw new AppError('Webhook token required', 'UNAUTHORIZED', 401, { webhookId });
+  }
+  return subscription;
+}
+
+/**
+ * GET /api/webhooks/events
+ * List the events subscriptions can filter on
+ */
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    data: WEBHOOK_EVENTS,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/webhooks
+ * Register a subscription; body: { url, events, description?, secret? }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { url, events, description = '', secret } = req.body || {};
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new AppError('Secret must be a string of at least 16 characters', 'VALIDATION_ERROR', 400);
+  }
+
+  const subscription = await webhookDatabase.createSubscription({
+    url: await validateUrl(url),
+    events: validateEvents(events),
+    description: String(description).slice(0, 200),
+    secret
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...formatSubscription(subscription),
+      secret: subscription.secret,
+      token: subscription.token
+    },
+    message: 'Store the secret to verify the X-AwareTexas-Signature header and the token to manage this webhook; neither is shown again',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/webhooks
+ * List subscriptions (admin only)
+ */
+router.get('/', requireAdmin, asyncHandler(async (req, res) => {
+  const subscriptions = await webhookDatabase.getSubscriptions();
+
+  res.json({
+    success: true,
+    data: subscriptions.map(formatSubscription),
+    count: subscriptions.length,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/webhooks/:id
+ * Get a subscription
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const subscription = await requireSubscription(req);
+
+  res.json({
+    success: true,
+    data: formatSubscription(subscription),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a subscription's URL, events, description or active flag
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  await requireSubscription(req);
+  const { url, events, description, active } = req.body || {};
+  const fields = {};
+
+  if (url !== undefined) {
+    fields.url = await validateUrl(url);
+  }
+  if (events !== undefined) {
+    fields.events = validateEvents(events);
+  }
+  if (description !== undefined) {
+    fields.description = String(description).slice(0, 200);
+  }
+  if (active !== undefined) {
+    fields.active = Boolean(active);
+  }
+
+  const updated = await webhookDatabase.updateSubscription(req.params.id, fields);
+
+  res.json({
+    success: true,
+    data: formatSubscription(updated),
+    message: 'Webhook updated successfully',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a subscription; its delivery log is kept
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  await requireSubscription(req);
+  await webhookDatabase.deleteSubscription(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted',
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a subscription, newest first
+ */
+router.get('/:id/deliveries', asyncHandler(async (req, res) => {
+  await requireSubscription(req);
+  const { limit = 50 } = req.query;
+
+  const deliveries = await webhookDatabase.getDeliveries(req.params.id, parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      deliveries: deliveries.map(delivery => ({
+        id: delivery.id,
+        event: delivery.event,
+        eventId: delivery.eventId,
+        url: delivery.url,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        responseStatus: delivery.responseStatus,
+        error: delivery.error,
+        createdAt: toIso(delivery.createdAt),
+        completedAt: toIso(delivery.completedAt)
+      })),
+      count: deliveries.length
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
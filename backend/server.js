@@ -12,18 +12,42 @@ const { summaryService } = require('../services/ai-summary');
 // Import middleware
 const cacheMiddleware = require('./middleware/cache');
 const { errorHandler, asyncHandler, healthCheck } = require('./middleware/error-handler');
+const { rateLimiter } = require('./middleware/rate-limit');
+const { requireAdmin } = require('./middleware/admin-auth');
 
 // Import routes
 const billsRoutes = require('./routes/bills');
+const watchlistsRoutes = require('./routes/watchlists');
+const webhooksRoutes = require('./routes/webhooks');
+const legislatorsRoutes = require('./routes/legislators');
+const statutesRoutes = require('./routes/statutes');
+const committeesRoutes = require('./routes/committees');
+const hearingsRoutes = require('./routes/hearings');
+const calendarRoutes = require('./routes/calendar');
+const feedsRoutes = require('./routes/feeds');
+const graphqlRoutes = require('./routes/graphql');
+const adminRoutes = require('./routes/admin');
+const governorRoutes = require('./routes/governor');
+const lawsRoutes = require('./routes/laws');
+const propositionsRoutes = require('./routes/propositions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer or reverse proxy, TRUST_PROXY (hop count or "true") lets
+// anonymous rate limits see client addresses instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Middleware configuration
+// Cross-origin requests are only allowed from FRONTEND_URL; without it the API serves its own frontend only
 app.use(cors({
-  origin: process.env.FRONTEND_URL || '*',
+  origin: process.env.FRONTEND_URL || false,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Watchlist-Token', 'X-API-Key', 'X-Webhook-Token'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Performance middleware
@@ -40,17 +64,35 @@ app.use((req, res, next) => {
   next();
 });
 
+// API keys, rate limits and daily quotas for every API route
+app.use('/api', rateLimiter.middleware);
+
 // API Routes
 app.use('/api/bills', billsRoutes);
+app.use('/api/watchlists', watchlistsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/legislators', legislatorsRoutes);
+app.use('/api/statutes', statutesRoutes);
+app.use('/api/committees', committeesRoutes);
+app.use('/api/hearings', hearingsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/feeds', feedsRoutes);
+app.use('/api/graphql', graphqlRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/governor', governorRoutes);
+app.use('/api/laws', lawsRoutes);
+app.use('/api/propositions', propositionsRoutes);
 
 // Database management endpoints
-app.delete('/api/database/clear-all', asyncHandler(async (req, res) => {
+app.delete('/api/database/clear-all', requireAdmin, asyncHandler(async (req, res) => {
   try {
     const { crudOperations } = require('../config/crud-operations');
     const { fallbackManager } = require('./middleware/error-handler');
     
     let totalDeleted = 0;
-    const collections = ['bills', 'summaries', 'news'];
+    // Bills and everything derived from them; subscribers, API keys and the legislator and committee
+    // directories are kept
+    const collections = ['bills', 'summaries', 'news', 'bill_history', 'bill_versions', 'statute_references', 'propositions'];
     
     // Clear each collection completely
     for (const collection of collections) {
@@ -104,7 +146,7 @@ app.delete('/api/database/clear-all', asyncHandler(async (req, res) => {
   }
 }));
 
-app.delete('/api/database/bills', asyncHandler(async (req, res) => {
+app.delete('/api/database/bills', requireAdmin, asyncHandler(async (req, res) => {
   try {
     const { crudOperations } = require('../config/crud-operations');
     
@@ -161,7 +203,7 @@ app.get('/api/cache/stats', (req, res) => {
   }
 });
 
-app.delete('/api/cache/:pattern?', (req, res) => {
+app.delete('/api/cache/:pattern?', requireAdmin, (req, res) => {
   try {
     const { pattern } = req.params;
     cacheMiddleware.clearCache(pattern);
@@ -228,7 +270,7 @@ app.get('/api/scheduler/status', (req, res) => {
   }
 });
 
-app.post('/api/scheduler/start', async (req, res) => {
+app.post('/api/scheduler/start', requireAdmin, async (req, res) => {
   try {
     await scrapingScheduler.initialize();
     scrapingScheduler.start();
@@ -248,7 +290,7 @@ app.post('/api/scheduler/start', async (req, res) => {
   }
 });
 
-app.post('/api/scheduler/stop', (req, res) => {
+app.post('/api/scheduler/stop', requireAdmin, (req, res) => {
   try {
     scrapingScheduler.stop();
     
@@ -267,9 +309,11 @@ app.post('/api/scheduler/stop', (req, res) => {
   }
 });
 
-app.post('/api/scheduler/run', async (req, res) => {
+app.post('/api/scheduler/run', requireAdmin, async (req, res) => {
   try {
-    const result = await scrapingScheduler.runManualScrape();
+    // Optional body: { sessions: ["89R", "89-1"], chambers: ["House"] }
+    const { sessions, chambers } = req.body || {};
+    const result = await scrapingScheduler.runManualScrape({ sessions, chambers });
     
     res.json({
       success: true,
@@ -286,7 +330,65 @@ app.post('/api/scheduler/run', async (req, res) => {
   }
 });
 
-app.post('/api/scheduler/force-fresh', async (req, res) => {
+app.post('/api/scheduler/refresh-legislators', requireAdmin, async (req, res) => {
+  try {
+    const result = await scrapingScheduler.refreshLegislators({ force: true });
+    
+    res.status(result ? 200 : 500).json({
+      success: Boolean(result),
+      message: result ? 'Legislator directory refreshed' : 'Legislator directory refresh failed',
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Legislator directory refresh failed',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/scheduler/refresh-hearings', requireAdmin, async (req, res) => {
+  try {
+    const result = await scrapingScheduler.refreshHearings({ force: true });
+    
+    res.status(result ? 200 : 500).json({
+      success: Boolean(result),
+      message: result ? 'Committee hearings refreshed' : 'Committee hearing refresh failed',
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Committee hearing refresh failed',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/scheduler/reindex-statutes', requireAdmin, async (req, res) => {
+  try {
+    const { statuteIndex } = require('../services/statute-index');
+    const result = await statuteIndex.rebuild();
+    
+    res.json({
+      success: true,
+      message: 'Statute index rebuilt',
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Statute index rebuild failed',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/scheduler/force-fresh', requireAdmin, async (req, res) => {
   try {
     // Clear fallback cache first
     const { fallbackManager } = require('./middleware/error-handler');
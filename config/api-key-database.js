@@ -0,0 +1,136 @@
+// Specialized database operations for API keys issued to partners and integrations
+const crypto = require('crypto');
+const { crudOperations } = require('./crud-operations');
+const { toTime } = require('./field-values');
+
+// Prefix that marks a string as one of our API keys
+const KEY_PREFIX = 'atx_';
+
+// Upper bound on keys loaded for the admin listing
+const KEY_QUERY_LIMIT = 1000;
+
+class ApiKeyDatabase {
+  constructor() {
+    this.collection = 'api_keys';
+    this.usageCollection = 'api_usage';
+  }
+
+  // Only a hash of the key is stored so a leaked database does not expose working keys
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  // Issue a key; the key itself is returned only here
+  async createKey({ name, email = '', tier, limits = null }) {
+    try {
+      const keyId = crypto.randomBytes(12).toString('hex');
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+      const apiKey = await crudOperations.create(this.collection, keyId, {
+        name,
+        email,
+        tier,
+        limits,
+        keyHash: this.hashKey(key),
+        keyPreview: key.slice(0, KEY_PREFIX.length + 6),
+        active: true,
+        revokedAt: null
+      });
+
+      console.log(`✅ Issued ${tier} API key ${keyId} for ${name}`);
+      return { apiKey, key };
+    } catch (error) {
+      console.error('❌ Failed to create API key:', error.message);
+      throw error;
+    }
+  }
+
+  async getKey(keyId) {
+    try {
+      return await crudOperations.read(this.collection, keyId);
+    } catch (error) {
+      console.error(`❌ Failed to get API key ${keyId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Find the record for a key presented by a client, revoked or not
+  async getKeyBySecret(key) {
+    try {
+      if (!key || !String(key).startsWith(KEY_PREFIX)) {
+        return null;
+      }
+
+      const results = await crudOperations.findWhere(this.collection, 'keyHash', '==', this.hashKey(key), 1);
+      return results[0] || null;
+    } catch (error) {
+      console.error('❌ Failed to get API key by secret:', error.message);
+      throw error;
+    }
+  }
+
+  // All keys, newest first
+  async getKeys(limit = KEY_QUERY_LIMIT) {
+    try {
+      const keys = await crudOperations.findAll(this.collection, limit);
+      return keys
+        .filter(apiKey => !apiKey._isStructureDoc)
+        .sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt) || b.id.localeCompare(a.id));
+    } catch (error) {
+      console.error('❌ Failed to get API keys:', error.message);
+      throw error;
+    }
+  }
+
+  // Revoked keys are kept so their usage history and owner stay on record
+  async revokeKey(keyId) {
+    try {
+      return await crudOperations.update(this.collection, keyId, {
+        active: false,
+        revokedAt: new Date()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to revoke API key ${keyId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // One usage document per key and UTC day, shared by every server instance
+  getUsageId(keyId, day) {
+    return `${keyId}_${day}`;
+  }
+
+  /**
+   * A key's usage for one day
+   * @param {string} day - UTC date, YYYY-MM-DD
+   * @returns {Promise<Object>} Units used per bucket, e.g. { requests: 120, ai: 4 }
+   */
+  async getDailyUsage(keyId, day) {
+    try {
+      const usage = await crudOperations.read(this.usageCollection, this.getUsageId(keyId, day));
+      if (!usage) {
+        return {};
+      }
+      const { id, ...counts } = usage;
+      return counts;
+    } catch (error) {
+      console.error(`❌ Failed to get usage of API key ${keyId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Add units used per bucket to a key's usage for one day
+  async addDailyUsage(keyId, day, counts) {
+    try {
+      await crudOperations.increment(this.usageCollection, this.getUsageId(keyId, day), counts);
+    } catch (error) {
+      console.error(`❌ Failed to record usage of API key ${keyId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const apiKeyDatabase = new ApiKeyDatabase();
+
+module.exports = { ApiKeyDatabase, apiKeyDatabase, KEY_PREFIX };
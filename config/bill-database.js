@@ -1,22 +1,53 @@
 // Specialized database operations for Bills collection
 const { crudOperations } = require('./crud-operations');
 const { idStandardizer } = require('./id-standardizer');
+const { historyDatabase } = require('./history-database');
+const { VALID_STATUSES } = require('./bill-lifecycle');
+
+// Firestore rejects batches with more than 500 writes
+const MAX_BATCH_SIZE = 500;
 
 class BillDatabase {
   constructor() {
     this.collection = 'bills';
   }
 
-  // Normalize a billNumber or id to canonical document id using the standardizer
-  normalizeDocId(rawId) {
-    return idStandardizer.standardize(rawId);
+  // Normalize a billNumber or id to the session-qualified document id ("89R-SB1")
+  normalizeDocId(rawId, session = null) {
+    const documentId = idStandardizer.parseDocumentId(rawId);
+    if (documentId) {
+      return documentId.docId;
+    }
+
+    return idStandardizer.toDocumentId(rawId, session || idStandardizer.defaultSession);
+  }
+
+  // Resolve the document id for bill data, keeping an existing session-qualified id
+  getDocId(billData) {
+    const documentId = idStandardizer.parseDocumentId(billData.id);
+    if (documentId) {
+      return documentId.docId;
+    }
+
+    return this.normalizeDocId(billData.billNumber || billData.id, billData.session);
   }
 
-  // Create or update a bill
-  async saveBill(billData) {
+  // Make sure every stored bill records its session and chamber
+  withSessionFields(billData, docId) {
+    const { session, billId } = idStandardizer.parseDocumentId(docId);
+
+    return {
+      ...billData,
+      session,
+      chamber: billData.chamber || idStandardizer.getChamber(billId)
+    };
+  }
+
+  // Create or update a bill, recording what changed in the bill's history
+  // options.source labels the revision ('scrape' by default, 'manual' for API edits)
+  async saveBill(billData, options = {}) {
     try {
-      const rawId = billData.billNumber || billData.id;
-      const billId = this.normalizeDocId(rawId);
+      const billId = this.getDocId(billData);
       if (!billId) {
         throw new Error('Bill must have billNumber or id');
       }
@@ -24,24 +55,40 @@ class BillDatabase {
       // Validate required fields
       this.validateBillData(billData);
 
-  const existingBill = await crudOperations.read(this.collection, billId);
+      const data = this.withSessionFields(billData, billId);
+      const existingBill = await crudOperations.read(this.collection, billId);
       
-      if (existingBill) {
-        return await crudOperations.update(this.collection, billId, billData);
-      } else {
-        return await crudOperations.create(this.collection, billId, billData);
+      const result = existingBill
+        ? await crudOperations.update(this.collection, billId, data)
+        : await crudOperations.create(this.collection, billId, data);
+
+      // History problems never block saving the bill itself
+      try {
+        await historyDatabase.recordRevision(billId, existingBill, data, options.source);
+      } catch (error) {
+        console.warn(`⚠️ Could not record history for bill ${billId}:`, error.message);
       }
+
+      return result;
     } catch (error) {
       console.error('❌ Failed to save bill:', error.message);
       throw error;
     }
   }
 
-  // Get a specific bill
-  async getBill(billId) {
+  // Get a specific bill; bare bill numbers resolve against the default session
+  async getBill(billId, session = null) {
     try {
-      const id = this.normalizeDocId(billId);
-      return await crudOperations.read(this.collection, id);
+      const id = this.normalizeDocId(billId, session);
+      const bill = await crudOperations.read(this.collection, id);
+
+      if (bill || session || idStandardizer.parseDocumentId(billId)) {
+        return bill;
+      }
+
+      // Bills saved before sessions were tracked are stored under the bare bill number
+      const legacyId = idStandardizer.standardize(billId);
+      return legacyId ? await crudOperations.read(this.collection, legacyId) : null;
     } catch (error) {
       console.error(`❌ Failed to get bill ${billId}:`, error.message);
       throw error;
@@ -68,6 +115,31 @@ class BillDatabase {
     }
   }
 
+  // Get bills from a legislative session ("89R", "89-1", ...)
+  async getBillsBySession(session, limit = 100) {
+    try {
+      const sessionCode = idStandardizer.standardizeSession(session);
+      if (!sessionCode) {
+        throw new Error(`Invalid session: ${session}`);
+      }
+
+      return await crudOperations.findWhere(this.collection, 'session', '==', sessionCode, limit);
+    } catch (error) {
+      console.error(`❌ Failed to get bills for session ${session}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get bills filed in one chamber ("Senate" or "House")
+  async getBillsByChamber(chamber, limit = 100) {
+    try {
+      return await crudOperations.findWhere(this.collection, 'chamber', '==', chamber, limit);
+    } catch (error) {
+      console.error(`❌ Failed to get bills for chamber ${chamber}:`, error.message);
+      throw error;
+    }
+  }
+
   // Search bills by sponsor
   async getBillsBySponsor(sponsorName, limit = 100) {
     try {
@@ -78,17 +150,30 @@ class BillDatabase {
     }
   }
 
+  // Get bills a legislator authored, coauthored or sponsored (linked by legislator id)
+  async getBillsByLegislator(legislatorId, limit = 1000) {
+    try {
+      return await crudOperations.findWhere(this.collection, 'legislatorIds', 'array-contains', legislatorId, limit);
+    } catch (error) {
+      console.error(`❌ Failed to get bills for legislator ${legislatorId}:`, error.message);
+      throw error;
+    }
+  }
+
   // Batch save multiple bills
   async saveBills(billsArray) {
     try {
       const operations = billsArray.map(bill => {
-        const rawId = bill.billNumber || bill.id;
-        const docId = this.normalizeDocId(rawId);
+        const docId = this.getDocId(bill);
+        if (!docId) {
+          throw new Error('Bill must have billNumber or id');
+        }
+
         return {
           type: 'set',
           collection: this.collection,
           docId,
-          data: bill
+          data: this.withSessionFields(bill, docId)
         };
       });
 
@@ -99,6 +184,61 @@ class BillDatabase {
     }
   }
 
+  // Record that bills were present in the latest report scrape
+  async markBillsSeen(docIds, seenAt = new Date()) {
+    try {
+      return await this.updateBills(docIds, {
+        lastSeenAt: seenAt,
+        missingFromReport: false,
+        missingSince: null
+      });
+    } catch (error) {
+      console.error('❌ Failed to mark bills as seen:', error.message);
+      throw error;
+    }
+  }
+
+  // Flag bills that no longer appear in their filed bills report (kept, never deleted)
+  async markBillsMissing(docIds, missingSince = new Date()) {
+    try {
+      return await this.updateBills(docIds, {
+        missingFromReport: true,
+        missingSince
+      });
+    } catch (error) {
+      console.error('❌ Failed to flag missing bills:', error.message);
+      throw error;
+    }
+  }
+
+  // Apply a different field update ({ docId, fields }) to each of many bills, chunked to the batch size limit
+  async updateEach(updates) {
+    for (let i = 0; i < updates.length; i += MAX_BATCH_SIZE) {
+      await crudOperations.batchWrite(updates.slice(i, i + MAX_BATCH_SIZE).map(({ docId, fields }) => ({
+        type: 'update',
+        collection: this.collection,
+        docId,
+        data: fields
+      })));
+    }
+    return updates.length;
+  }
+
+  // Apply the same field update to many bills, chunked to the batch size limit
+  async updateBills(docIds, fields) {
+    for (let i = 0; i < docIds.length; i += MAX_BATCH_SIZE) {
+      const operations = docIds.slice(i, i + MAX_BATCH_SIZE).map(docId => ({
+        type: 'update',
+        collection: this.collection,
+        docId,
+        data: fields
+      }));
+
+      await crudOperations.batchWrite(operations);
+    }
+    return docIds.length;
+  }
+
   // Delete a bill
   async deleteBill(billId) {
     try {
@@ -112,7 +252,6 @@ class BillDatabase {
   // Validate bill data structure
   validateBillData(billData) {
     const requiredFields = ['billNumber', 'shortTitle', 'status'];
-    const validStatuses = ['Filed', 'In Committee', 'Passed', 'Signed', 'Vetoed', 'Effective'];
 
     for (const field of requiredFields) {
       if (!billData[field]) {
@@ -120,8 +259,8 @@ class BillDatabase {
       }
     }
 
-    if (!validStatuses.includes(billData.status)) {
-      throw new Error(`Invalid status: ${billData.status}. Must be one of: ${validStatuses.join(', ')}`);
+    if (!VALID_STATUSES.includes(billData.status)) {
+      throw new Error(`Invalid status: ${billData.status}. Must be one of: ${VALID_STATUSES.join(', ')}`);
     }
 
     // Ensure sponsors is an array
@@ -0,0 +1,363 @@
+// Legislative lifecycle - derives where a bill stands from its stages and action text
+const { idStandardizer } = require('./id-standardizer');
+const { usDateToKey, toLocalDateKey } = require('./field-values');
+
+/**
+ * Lifecycle states in the order a bill moves through them. The governor's three outcomes share
+ * a rank, and Effective follows Signed or Filed Without Signature once the bill's effective date has passed.
+ */
+const STATUSES = [
+  'Filed',
+  'Referred to Committee',
+  'Reported from Committee',
+  'Placed on Calendar',
+  'Passed Originating Chamber',
+  'Received in Other Chamber',
+  'Passed Both Chambers',
+  'Sent to Governor',
+  'Signed',
+  'Vetoed',
+  'Filed Without Signature',
+  'Effective'
+];
+
+const RANKS = {
+  'Filed': 0,
+  'Referred to Committee': 1,
+  'Reported from Committee': 2,
+  'Placed on Calendar': 3,
+  'Passed Originating Chamber': 4,
+  'Received in Other Chamber': 5,
+  'Passed Both Chambers': 9,
+  'Sent to Governor': 10,
+  'Signed': 11,
+  'Vetoed': 11,
+  'Filed Without Signature': 11,
+  'Effective': 12
+};
+
+// Committee and calendar steps repeat in the second chamber, ranked between Received and Passed Both Chambers
+const SECOND_CHAMBER_RANK_OFFSET = 5;
+
+// Statuses stored before the lifecycle model; kept valid and filterable
+const LEGACY_STATUSES = {
+  'In Committee': ['Referred to Committee', 'Reported from Committee'],
+  'Passed': STATUSES.filter(status => RANKS[status] >= RANKS['Passed Originating Chamber'] && status !== 'Vetoed')
+};
+
+// Statuses a bill may be saved with
+const VALID_STATUSES = ['Filed', ...Object.keys(LEGACY_STATUSES), ...STATUSES.slice(1)];
+
+const STATUS_COLORS = {
+  'Filed': 'yellow',
+  'Referred to Committee': 'blue',
+  'Reported from Committee': 'indigo',
+  'Placed on Calendar': 'purple',
+  'Passed Originating Chamber': 'teal',
+  'Received in Other Chamber': 'cyan',
+  'Passed Both Chambers': 'green',
+  'Sent to Governor': 'orange',
+  'Signed': 'emerald',
+  'Vetoed': 'red',
+  'Filed Without Signature': 'lime',
+  'Effective': 'green'
+};
+
+/**
+ * Action patterns, most specific first. `event` is a lifecycle status, or 'passed' for a chamber
+ * vote (which status it means depends on the chamber) and 'received' for arrival in the other chamber.
+ */
+const ACTION_PATTERNS = [
+  { event: 'Filed Without Signature', pattern: /filed without (the )?governor'?s signature/ },
+  // A line-item veto strikes appropriations from a bill the governor signs
+  { event: 'Signed', pattern: /line[- ]item veto/ },
+  { event: 'Vetoed', pattern: /\bvetoed\b/ },
+  // A bare "Enacted" status means the bill became law, not that it is in force
+  { event: 'Signed', pattern: /signed by (the )?governor|governor signed|^enacted$/ },
+  { event: 'Sent to Governor', pattern: /sent to (the )?governor|received by (the )?governor/ },
+  // Joint resolutions skip the governor and are filed with the Secretary of State once both chambers adopt them
+  { event: 'Passed Both Chambers', pattern: /filed with (the )?secretary of state|\benrolled\b|concurs? in (house|senate) amendments?|conference committee report adopted|adopted conference committee report|passed both/ },
+  { event: 'received', pattern: /received from the (house|senate)/ },
+  { event: 'passed', pattern: /\bengrossed\b|^(finally )?passed\b(?! to)|\bpassed (the )?(house|senate)\b|\b(house|senate) passed\b|voted on by (the )?(house|senate)|^adopted\b/ },
+  { event: 'Placed on Calendar', pattern: /placed on .*calendar|set on .*calendar|intent calendar/ },
+  { event: 'Reported from Committee', pattern: /^reported\b|reported favorably|reported from|out of (the )?(house |senate )?committee|committee report (printed|sent|filed)/ },
+  { event: 'Referred to Committee', pattern: /referred to|\bcommittee\b/ },
+  { event: 'Filed', pattern: /^filed\b|introduced/ }
+];
+
+// The History row TLO adds when the governor acts, naming the day the bill will take effect
+const EFFECTIVE_ACTION = /^effective (immediately|on|upon)\b/i;
+
+// Outcomes after which a bill is law and becomes Effective on its effective date
+const LAW_STATUSES = ['Signed', 'Filed Without Signature'];
+
+function otherChamber(chamber) {
+  if (chamber === 'Senate') return 'House';
+  if (chamber === 'House') return 'Senate';
+  return null;
+}
+
+function toChamber(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === 's' || text.startsWith('senate')) return 'Senate';
+  if (text === 'h' || text.startsWith('house')) return 'House';
+  return null;
+}
+
+// "MM/DD/YYYY" in rawDate is the date as printed; Date objects fall back to local calendar days
+function toDateKey(stage) {
+  return usDateToKey(stage.rawDate) || toLocalDateKey(stage.date);
+}
+
+/**
+ * Bill lifecycle service
+ * Features:
+ * - Twelve lifecycle states from Filed through Effective
+ * - Chamber-aware: committee, calendar and passage steps are tracked in both chambers
+ * - Derives the current state and its transitions from BillStages.aspx stages and History actions
+ * - Never moves a bill backwards; later actions only advance it
+ * - Laws become Effective once their effective date (registered by EffectiveDateService) has passed
+ * - Maps statuses stored before the model ("In Committee", "Passed") onto it
+ */
+class BillLifecycleService {
+  constructor() {
+    this.getEffective = null;
+  }
+
+  /**
+   * Set how a law's effective date is worked out
+   * @param {Function} getEffective - (bill) => { date: YYYY-MM-DD } or null
+   */
+  registerEffectiveDate(getEffective) {
+    this.getEffective = getEffective;
+  }
+
+  /**
+   * Classify one action
+   * @param {string} action - Stage or History action text
+   * @returns {Object|null} { event, chamber } where chamber is named in the text, or null
+   */
+  classifyAction(action) {
+    const text = String(action || '').trim().toLowerCase();
+    if (!text) {
+      return null;
+    }
+
+    const match = ACTION_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (!match) {
+      return null;
+    }
+
+    // "Received from the Senate" arrives in the House
+    const named = text.match(/\b(house|senate)\b/);
+    const chamber = named ? toChamber(named[1]) : null;
+    return { event: match.event, chamber: match.event === 'received' ? otherChamber(chamber) : chamber };
+  }
+
+  /**
+   * Derive a bill's lifecycle from its stages and last action
+   * @param {Object[]} stages - Stages ({ date, rawDate, action, location })
+   * @param {Object} [options] - { chamber: originating chamber, billNumber, lastAction, lastActionDate }
+   * @returns {Object} { status, chamber, label, date, transitions: [{ status, chamber, label, date, action }] }
+   */
+  derive(stages = [], options = {}) {
+    const { rank, ...lifecycle } = this.walk(stages, options);
+    return lifecycle;
+  }
+
+  walk(stages, options) {
+    const origin = this.getOriginChamber(options);
+
+    const actions = (Array.isArray(stages) ? stages : [])
+      .filter(stage => stage && stage.action)
+      .map((stage, index) => ({ action: stage.action, location: stage.location, date: toDateKey(stage), index }));
+    // Stages come oldest first; History actions are put in date order when every one is dated
+    if (actions.every(entry => entry.date)) {
+      actions.sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+    }
+    if (options.lastAction) {
+      actions.push({ action: options.lastAction, location: null, date: toDateKey({ date: options.lastActionDate }) });
+    }
+
+    let current = { status: 'Filed', chamber: origin, rank: -1, date: null };
+    const transitions = [];
+
+    for (const entry of actions) {
+      const next = this.toTransition(this.classifyAction(entry.action), toChamber(entry.location), current, origin);
+      if (!next || next.rank <= current.rank) {
+        continue;
+      }
+
+      current = { ...next, date: entry.date || current.date };
+      transitions.push({ status: current.status, chamber: current.chamber, label: this.getLabel(current.status, current.chamber), date: entry.date, action: entry.action });
+    }
+
+    return {
+      status: current.status,
+      chamber: current.chamber,
+      label: this.getLabel(current.status, current.chamber),
+      date: current.date,
+      transitions,
+      rank: current.rank
+    };
+  }
+
+  getOriginChamber(bill) {
+    return toChamber(bill && bill.chamber) ||
+      idStandardizer.getChamber(idStandardizer.standardize((bill && bill.billNumber) || '')) || null;
+  }
+
+  /**
+   * Work out the state an action moves a bill to
+   * @returns {Object|null} { status, chamber, rank }
+   */
+  toTransition(classified, location, current, origin) {
+    if (!classified) {
+      return null;
+    }
+
+    const { event } = classified;
+    const chamber = classified.chamber || location || current.chamber || origin;
+    const inOrigin = !origin || !chamber || chamber === origin;
+
+    if (event === 'received') {
+      return { status: 'Received in Other Chamber', chamber: chamber || otherChamber(origin), rank: RANKS['Received in Other Chamber'] };
+    }
+    if (event === 'passed') {
+      return inOrigin
+        ? { status: 'Passed Originating Chamber', chamber: chamber, rank: RANKS['Passed Originating Chamber'] }
+        : { status: 'Passed Both Chambers', chamber: null, rank: RANKS['Passed Both Chambers'] };
+    }
+    if (['Referred to Committee', 'Reported from Committee', 'Placed on Calendar'].includes(event)) {
+      return { status: event, chamber, rank: RANKS[event] + (inOrigin ? 0 : SECOND_CHAMBER_RANK_OFFSET) };
+    }
+    if (event === 'Filed') {
+      return { status: event, chamber: origin, rank: RANKS[event] };
+    }
+    return { status: event, chamber: null, rank: RANKS[event] };
+  }
+
+  /**
+   * Lifecycle of a stored bill, Effective once a law's effective date has passed
+   * @param {Object} bill - Bill data ({ status, stages, chamber, billNumber, lastAction, lastActionDate })
+   * @param {Date} [today] - Reference date for the effective date
+   * @returns {Object} Same shape as derive()
+   */
+  resolve(bill, today = new Date()) {
+    const recorded = this.resolveRecorded(bill);
+    if (!this.getEffective || !LAW_STATUSES.includes(recorded.status)) {
+      return recorded;
+    }
+
+    const effective = this.getEffective(bill);
+    if (!effective || !effective.date || effective.date > toDateKey({ date: today })) {
+      return recorded;
+    }
+
+    const transition = { status: 'Effective', chamber: null, label: 'Effective', date: effective.date, action: null };
+    return { status: 'Effective', chamber: null, label: 'Effective', date: effective.date, transitions: [...recorded.transitions, transition] };
+  }
+
+  /**
+   * Lifecycle of a stored bill as its actions record it: derived from its stages and last action,
+   * unless its stored status is a lifecycle status further along (set directly, e.g. from a governor's action).
+   * Never Effective, which depends on the date; a stored Effective status counts as Signed
+   * @param {Object} bill - Bill data
+   * @returns {Object} Same shape as derive()
+   */
+  resolveRecorded(bill) {
+    const data = bill || {};
+    const { rank, ...derived } = this.walk(data.stages || [], data);
+    const status = this.normalizeStatus(data.status === 'Effective' ? 'Signed' : data.status);
+
+    if (derived.transitions.length > 0 && (!STATUSES.includes(data.status) || RANKS[status] <= rank)) {
+      return derived;
+    }
+
+    const origin = this.getOriginChamber(data);
+    const chamber = RANKS[status] <= RANKS['Passed Originating Chamber'] ? origin : null;
+    return { status, chamber, label: this.getLabel(status, chamber), date: derived.transitions.length > 0 ? null : derived.date, transitions: derived.transitions };
+  }
+
+  /**
+   * Map a status or action text onto a lifecycle status
+   * @param {string} status - Stored status, legacy status or action text
+   * @returns {string} Lifecycle status, Filed when nothing matches
+   */
+  normalizeStatus(status) {
+    if (!status) return 'Filed';
+    if (STATUSES.includes(status)) return status;
+
+    const legacy = Object.keys(LEGACY_STATUSES).find(name => name.toLowerCase() === String(status).trim().toLowerCase());
+    if (legacy) {
+      return LEGACY_STATUSES[legacy][0];
+    }
+
+    const classified = this.classifyAction(status);
+    if (!classified) {
+      return 'Filed';
+    }
+    if (classified.event === 'passed') return 'Passed Originating Chamber';
+    if (classified.event === 'received') return 'Received in Other Chamber';
+    return classified.event;
+  }
+
+  /**
+   * Lifecycle statuses a filter value stands for ("Passed" covers every state from passage on)
+   * @param {string} value - Status filter value, any case
+   * @returns {string[]} Lowercased lifecycle statuses
+   */
+  expandStatusFilter(value) {
+    const text = String(value || '').trim().toLowerCase();
+    const legacy = Object.keys(LEGACY_STATUSES).find(name => name.toLowerCase() === text);
+    return (legacy ? LEGACY_STATUSES[legacy] : [text]).map(status => status.toLowerCase());
+  }
+
+  /**
+   * Display label, naming the chamber where it matters ("Passed Senate", "On House Calendar")
+   */
+  getLabel(status, chamber) {
+    if (!chamber) {
+      return status;
+    }
+
+    switch (status) {
+      case 'Referred to Committee': return `Referred to ${chamber} Committee`;
+      case 'Reported from Committee': return `Reported from ${chamber} Committee`;
+      case 'Placed on Calendar': return `On ${chamber} Calendar`;
+      case 'Passed Originating Chamber': return `Passed ${chamber}`;
+      case 'Received in Other Chamber': return `Received in ${chamber}`;
+      default: return status;
+    }
+  }
+
+  /**
+   * The last History row naming when the bill takes effect
+   * @param {Object[]} stages - Stages ({ date, rawDate, action })
+   * @returns {Object|null} { action, date: YYYY-MM-DD of the row }
+   */
+  getEffectiveAction(stages = []) {
+    const stage = (Array.isArray(stages) ? stages : [])
+      .filter(entry => entry && EFFECTIVE_ACTION.test(String(entry.action || '').trim()))
+      .pop();
+    return stage ? { action: stage.action, date: toDateKey(stage) } : null;
+  }
+
+  /**
+   * Whether a status is at or past another one ("Signed" has reached "Passed Both Chambers")
+   */
+  hasReached(status, target) {
+    const rank = RANKS[this.normalizeStatus(status)];
+    return rank >= RANKS[target];
+  }
+
+  getStatusColor(status) {
+    return STATUS_COLORS[status] || 'gray';
+  }
+
+}
+
+// Create singleton instance
+const billLifecycle = new BillLifecycleService();
+
+module.exports = { BillLifecycleService, billLifecycle, STATUSES, LEGACY_STATUSES, VALID_STATUSES, STATUS_COLORS };
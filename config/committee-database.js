@@ -0,0 +1,124 @@
+// Specialized database operations for committees and their hearings
+const { crudOperations } = require('./crud-operations');
+
+// Upper bound on committee records loaded at once; both chambers together have about 60 committees
+const COMMITTEE_QUERY_LIMIT = 1000;
+
+// Upper bound on hearings loaded by one query; a busy week of session has a few hundred
+const HEARING_QUERY_LIMIT = 5000;
+
+class CommitteeDatabase {
+  constructor() {
+    this.collection = 'committees';
+    this.hearingsCollection = 'hearings';
+  }
+
+  // Create or update a committee; documents are keyed by the TLO committee code ("C530")
+  async saveCommittee(committee) {
+    try {
+      const committeeId = String(committee.id || committee.code || '').toUpperCase();
+      if (!committeeId) {
+        throw new Error('Committee must have a committee code');
+      }
+
+      const data = { ...committee, id: committeeId, lastUpdated: new Date() };
+      const existing = await crudOperations.read(this.collection, committeeId);
+
+      return existing
+        ? await crudOperations.update(this.collection, committeeId, data)
+        : await crudOperations.create(this.collection, committeeId, data);
+    } catch (error) {
+      console.error('❌ Failed to save committee:', error.message);
+      throw error;
+    }
+  }
+
+  async getCommittee(committeeId) {
+    try {
+      const committee = await crudOperations.read(this.collection, String(committeeId).toUpperCase());
+      return committee && !committee._isStructureDoc ? committee : null;
+    } catch (error) {
+      console.error(`❌ Failed to get committee ${committeeId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get every committee, optionally limited to one chamber
+  async getCommittees(chamber = null) {
+    try {
+      return chamber
+        ? await crudOperations.findWhere(this.collection, 'chamber', '==', chamber, COMMITTEE_QUERY_LIMIT)
+        : await crudOperations.findAll(this.collection, COMMITTEE_QUERY_LIMIT);
+    } catch (error) {
+      console.error('❌ Failed to get committees:', error.message);
+      throw error;
+    }
+  }
+
+  // Create or update a hearing; documents are keyed by the hearing notice ("C5302025031109001")
+  async saveHearing(hearing) {
+    try {
+      if (!hearing.id) {
+        throw new Error('Hearing must have a notice id');
+      }
+
+      const data = { ...hearing, lastScrapedAt: new Date() };
+      const existing = await crudOperations.read(this.hearingsCollection, hearing.id);
+
+      return existing
+        ? await crudOperations.update(this.hearingsCollection, hearing.id, data)
+        : await crudOperations.create(this.hearingsCollection, hearing.id, data);
+    } catch (error) {
+      console.error(`❌ Failed to save hearing ${hearing.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // The most recently scraped hearing, or null before the calendar was first refreshed
+  async getLatestHearing() {
+    try {
+      const [hearing] = await crudOperations.query(this.hearingsCollection, {
+        orderBy: { field: 'lastScrapedAt', direction: 'desc' },
+        limit: 1
+      });
+      return hearing || null;
+    } catch (error) {
+      console.error('❌ Failed to get the latest hearing:', error.message);
+      throw error;
+    }
+  }
+
+  // Hearings on or after a date ("2025-03-11"), optionally up to an end date
+  async getHearings(from, to = null) {
+    try {
+      const hearings = await crudOperations.findWhere(this.hearingsCollection, 'date', '>=', from, HEARING_QUERY_LIMIT);
+      return hearings.filter(hearing => !to || hearing.date <= to);
+    } catch (error) {
+      console.error('❌ Failed to get hearings:', error.message);
+      throw error;
+    }
+  }
+
+  async getCommitteeHearings(committeeId) {
+    try {
+      return await crudOperations.findWhere(this.hearingsCollection, 'committeeId', '==', String(committeeId).toUpperCase(), HEARING_QUERY_LIMIT);
+    } catch (error) {
+      console.error(`❌ Failed to get hearings for committee ${committeeId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getBillHearings(billId) {
+    try {
+      return await crudOperations.findWhere(this.hearingsCollection, 'billIds', 'array-contains', billId, HEARING_QUERY_LIMIT);
+    } catch (error) {
+      console.error(`❌ Failed to get hearings for bill ${billId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const committeeDatabase = new CommitteeDatabase();
+
+module.exports = { CommitteeDatabase, committeeDatabase };
@@ -1,9 +1,29 @@
-// CRUD operations for Firebase Firestore collections
+// CRUD operations for database collections, backed by the configured storage adapter
 const { databaseService } = require('./database');
 
 class CrudOperations {
   constructor() {
-    this.db = null;
+    this.adapter = null;
+    this.listeners = new Map(); // collection -> [listener(docIds)]
+  }
+
+  /**
+   * Be told which documents of a collection were written, e.g. to keep an in-memory index current
+   * @param {string} collection - Collection name
+   * @param {Function} listener - Called with the ids of the created, updated or deleted documents
+   */
+  onChange(collection, listener) {
+    this.listeners.set(collection, [...(this.listeners.get(collection) || []), listener]);
+  }
+
+  notifyChange(collection, docIds) {
+    (this.listeners.get(collection) || []).forEach(listener => {
+      try {
+        listener(docIds);
+      } catch (error) {
+        console.warn(`⚠️ Change listener failed for ${collection}:`, error.message);
+      }
+    });
   }
 
   // Initialize CRUD operations with database connection
@@ -11,14 +31,13 @@ class CrudOperations {
     if (!databaseService.isConnected) {
       await databaseService.connect();
     }
-    this.db = databaseService.getDb();
+    this.adapter = databaseService.getAdapter();
   }
 
   // Generic CRUD operations
   async create(collection, docId, data) {
     try {
       await this.initialize();
-      const docRef = this.db.collection(collection).doc(docId);
       const timestamp = new Date();
       
       const docData = {
@@ -27,7 +46,8 @@ class CrudOperations {
         lastUpdated: timestamp
       };
       
-      await docRef.set(docData);
+      await this.adapter.set(collection, docId, docData);
+      this.notifyChange(collection, [docId]);
       console.log(`✅ Document created in ${collection}: ${docId}`);
       return { id: docId, ...docData };
     } catch (error) {
@@ -39,14 +59,7 @@ class CrudOperations {
   async read(collection, docId) {
     try {
       await this.initialize();
-      const docRef = this.db.collection(collection).doc(docId);
-      const doc = await docRef.get();
-      
-      if (!doc.exists) {
-        return null;
-      }
-      
-      return { id: doc.id, ...doc.data() };
+      return await this.adapter.get(collection, docId);
     } catch (error) {
       console.error(`❌ Read operation failed in ${collection}:`, error.message);
       throw new Error(`Failed to read document: ${error.message}`);
@@ -56,14 +69,14 @@ class CrudOperations {
   async update(collection, docId, data) {
     try {
       await this.initialize();
-      const docRef = this.db.collection(collection).doc(docId);
       
       const updateData = {
         ...data,
         lastUpdated: new Date()
       };
       
-      await docRef.update(updateData);
+      await this.adapter.update(collection, docId, updateData);
+      this.notifyChange(collection, [docId]);
       console.log(`✅ Document updated in ${collection}: ${docId}`);
       return await this.read(collection, docId);
     } catch (error) {
@@ -75,8 +88,8 @@ class CrudOperations {
   async delete(collection, docId) {
     try {
       await this.initialize();
-      const docRef = this.db.collection(collection).doc(docId);
-      await docRef.delete();
+      await this.adapter.delete(collection, docId);
+      this.notifyChange(collection, [docId]);
       console.log(`✅ Document deleted from ${collection}: ${docId}`);
       return true;
     } catch (error) {
@@ -89,20 +102,10 @@ class CrudOperations {
   async findAll(collection, limit = 100) {
     try {
       await this.initialize();
-      const snapshot = await this.db.collection(collection)
-        .limit(limit)
-        .get();
-      
-      const documents = [];
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        // Filter out structure documents in code rather than query
-        if (!data._isStructureDoc) {
-          documents.push({ id: doc.id, ...data });
-        }
-      });
+      const documents = await this.adapter.findAll(collection, limit);
       
-      return documents;
+      // Filter out structure documents in code rather than query
+      return documents.filter(doc => !doc._isStructureDoc);
     } catch (error) {
       console.error(`❌ FindAll operation failed in ${collection}:`, error.message);
       throw new Error(`Failed to fetch documents: ${error.message}`);
@@ -112,46 +115,62 @@ class CrudOperations {
   async findWhere(collection, field, operator, value, limit = 100) {
     try {
       await this.initialize();
-      const snapshot = await this.db.collection(collection)
-        .where(field, operator, value)
-        .limit(limit)
-        .get();
-      
-      const documents = [];
-      snapshot.forEach(doc => {
-        documents.push({ id: doc.id, ...doc.data() });
-      });
-      
-      return documents;
+      return await this.adapter.findWhere(collection, field, operator, value, limit);
     } catch (error) {
       console.error(`❌ FindWhere operation failed in ${collection}:`, error.message);
       throw new Error(`Failed to query documents: ${error.message}`);
     }
   }
 
+  // Ordered, cursored page of documents; see StorageAdapter.query for the options
+  async query(collection, options = {}) {
+    try {
+      await this.initialize();
+      return await this.adapter.query(collection, options);
+    } catch (error) {
+      console.error(`❌ Query operation failed in ${collection}:`, error.message);
+      throw new Error(`Failed to query documents: ${error.message}`);
+    }
+  }
+
+  // Read several documents at once; missing documents come back as null
+  async getMany(collection, docIds) {
+    try {
+      await this.initialize();
+      return await this.adapter.getMany(collection, docIds);
+    } catch (error) {
+      console.error(`❌ GetMany operation failed in ${collection}:`, error.message);
+      throw new Error(`Failed to read documents: ${error.message}`);
+    }
+  }
+
+  // Add to numeric fields, creating the document when missing; see StorageAdapter.increment
+  async increment(collection, docId, counts) {
+    try {
+      await this.initialize();
+      await this.adapter.increment(collection, docId, counts);
+      this.notifyChange(collection, [docId]);
+    } catch (error) {
+      console.error(`❌ Increment operation failed in ${collection}:`, error.message);
+      throw new Error(`Failed to increment document: ${error.message}`);
+    }
+  }
+
   // Batch operations
   async batchWrite(operations) {
     try {
       await this.initialize();
-      const batch = this.db.batch();
-      
-      operations.forEach(op => {
-        const docRef = this.db.collection(op.collection).doc(op.docId);
-        
-        switch (op.type) {
-          case 'set':
-            batch.set(docRef, { ...op.data, lastUpdated: new Date() });
-            break;
-          case 'update':
-            batch.update(docRef, { ...op.data, lastUpdated: new Date() });
-            break;
-          case 'delete':
-            batch.delete(docRef);
-            break;
-        }
-      });
+      const timestamp = new Date();
       
-      await batch.commit();
+      await this.adapter.batchWrite(operations.map(op => (
+        op.type === 'delete'
+          ? op
+          : { ...op, data: { ...op.data, lastUpdated: timestamp } }
+      )));
+
+      const changed = new Map();
+      operations.forEach(op => changed.set(op.collection, [...(changed.get(op.collection) || []), op.docId]));
+      changed.forEach((docIds, collection) => this.notifyChange(collection, docIds));
       console.log(`✅ Batch operation completed with ${operations.length} operations`);
       return true;
     } catch (error) {
@@ -1,27 +1,254 @@
-// Database utilities and initialization for Firebase Firestore
-const { initializeFirebase } = require('./firebase');
+// Database utilities and initialization - selects the storage backend
+// (Firebase Firestore or local file storage) from the environment
+const path = require('path');
+const { FirestoreAdapter } = require('./firestore-adapter');
+const { LocalAdapter } = require('./local-adapter');
+
+// Collections created on startup, each seeded with a structure document
+const COLLECTION_SCHEMAS = {
+  bills: {
+    id: 'string',
+    billNumber: 'string',
+    shortTitle: 'string',
+    fullTitle: 'string',
+    status: 'string', // Lifecycle status, see config/bill-lifecycle.js
+    sponsors: 'array',
+    officialUrl: 'string',
+    billText: 'string',
+    abstract: 'string',
+    committee: 'string',
+    coSponsors: 'array',
+    filedDate: 'timestamp',
+    lastUpdated: 'timestamp',
+    topics: 'array',
+    session: 'string', // 89R, 891, ...
+    chamber: 'string', // Senate, House
+    coauthors: 'array',
+    legislators: 'array', // [{ legislatorId, name, role }]
+    legislatorIds: 'array',
+    votingData: 'object', // { votes: roll calls with per-member votes, summary, source }
+    voting: 'object', // Party split of the latest roll call
+    structure: 'object', // { caption, sections, statutes, amendedCodes, effectiveDates, parsedAt } parsed from billText
+    amendedCodes: 'array', // Codes the bill amends, adds to or repeals (e.g. "Education Code")
+    lifecycle: 'object', // { status, chamber, label, date, transitions } derived from the stages
+    governorAction: 'object', // { action, date, presentedDate, chapter, actionText, proclamation, historyUrl }
+    effective: 'object', // { date, basis, immediateEffect, lawDate, clause, provisions } once the bill is law
+    proposition: 'object', // { electionDate, ballotLanguage } parsed from a joint resolution's text
+    companions: 'array' // [{ billId, billNumber, relationship, source, author, similarity }]
+  },
+  summaries: {
+    billId: 'string',
+    summaries: {
+      'high-level': 'string',
+      'detailed': 'string'
+    },
+    generatedAt: 'timestamp',
+    cached: 'boolean'
+  },
+  news: {
+    billId: 'string',
+    articles: 'array',
+    lastFetched: 'timestamp'
+  },
+  bill_history: {
+    billId: 'string',
+    billNumber: 'string',
+    type: 'string', // created, updated
+    source: 'string', // scrape, manual
+    changes: 'array', // [{ field, from, to }]
+    changedAt: 'timestamp'
+  },
+  bill_versions: {
+    billId: 'string',
+    code: 'string', // I, H, S, E, F
+    name: 'string', // Introduced, House Committee Report, ...
+    order: 'number',
+    url: 'string',
+    format: 'string', // html, pdf
+    text: 'string',
+    isSubstitute: 'boolean',
+    fetchedAt: 'timestamp'
+  },
+  statute_references: {
+    billId: 'string',
+    session: 'string',
+    billNumber: 'string',
+    code: 'string', // Government Code, Code of Criminal Procedure, ...
+    codeId: 'string', // Statutes site abbreviation (GV, CR, ...), or a slug for other codes
+    unit: 'string', // section, article, subchapter, chapter, subtitle, title
+    number: 'string',
+    chapter: 'string',
+    citation: 'string',
+    chapterKey: 'string', // GV:411
+    sectionKey: 'string', // GV:411.0205
+    actions: 'array', // amended, added, repealed, referenced
+    billSections: 'array'
+  },
+  watchlists: {
+    ownerType: 'string', // account, anonymous
+    accountId: 'string',
+    tokenHash: 'string', // sha256 of the anonymous access token
+    name: 'string',
+    email: 'string',
+    webhookUrl: 'string',
+    bills: 'array', // bill document ids
+    createdAt: 'timestamp',
+    lastUpdated: 'timestamp'
+  },
+  notifications: {
+    watchlistId: 'string',
+    billId: 'string',
+    billNumber: 'string',
+    events: 'array', // [{ type, from, to, vote }]
+    deliveries: 'array', // [{ transport, status, error }]
+    createdAt: 'timestamp'
+  },
+  webhooks: {
+    url: 'string',
+    events: 'array', // bill.created, bill.status_changed, bill.voted, summary.generated, news.found
+    description: 'string',
+    secret: 'string', // HMAC-SHA256 signing secret
+    active: 'boolean',
+    createdAt: 'timestamp',
+    lastUpdated: 'timestamp'
+  },
+  webhook_deliveries: {
+    webhookId: 'string',
+    event: 'string',
+    eventId: 'string',
+    url: 'string',
+    payload: 'object',
+    status: 'string', // pending, delivered, failed
+    attempts: 'number',
+    responseStatus: 'number',
+    error: 'string',
+    createdAt: 'timestamp',
+    completedAt: 'timestamp'
+  },
+  propositions: {
+    billId: 'string', // Joint resolution's bill document id, also the document id
+    number: 'number', // Proposition number assigned by the Secretary of State
+    electionDate: 'string', // YYYY-MM-DD, when it differs from the date in the resolution
+    ballotLanguage: 'string', // When it differs from the language in the resolution
+    results: 'object', // { for, against, adopted, source }
+    resultsEnteredAt: 'timestamp',
+    createdAt: 'timestamp',
+    lastUpdated: 'timestamp'
+  },
+  api_keys: {
+    name: 'string',
+    email: 'string',
+    tier: 'string', // standard, partner
+    limits: 'object', // Per-key overrides of the tier limits, e.g. { ai: { perDay: 500 } }
+    keyHash: 'string', // sha256 of the key
+    keyPreview: 'string', // First characters of the key, for telling keys apart
+    active: 'boolean',
+    revokedAt: 'timestamp',
+    createdAt: 'timestamp',
+    lastUpdated: 'timestamp'
+  },
+  api_usage: {
+    // Document id is `${keyId}_${YYYY-MM-DD}` (UTC day); one count per rate limit bucket
+    requests: 'number',
+    ai: 'number',
+    scrape: 'number'
+  },
+  legislators: {
+    code: 'string', // TLO member code, also the document id
+    name: 'string',
+    firstName: 'string',
+    lastName: 'string',
+    chamber: 'string', // Senate, House
+    district: 'string',
+    party: 'string', // Republican, Democrat
+    committees: 'array', // [{ name, position }]
+    contact: 'object', // { capitolOffice, capitolPhone, districtOffice, districtPhone, email }
+    photoUrl: 'string',
+    profileUrl: 'string',
+    legislature: 'string', // 89
+    lastScrapedAt: 'timestamp',
+    lastUpdated: 'timestamp'
+  },
+  committees: {
+    code: 'string', // TLO committee code (C530), also the document id
+    name: 'string',
+    chamber: 'string', // Senate, House
+    members: 'array', // [{ legislatorId, name, position }]
+    clerk: 'string',
+    phone: 'string',
+    room: 'string',
+    url: 'string',
+    lastScrapedAt: 'timestamp',
+    lastUpdated: 'timestamp'
+  },
+  hearings: {
+    chamber: 'string',
+    committeeId: 'string',
+    committeeName: 'string',
+    date: 'string', // YYYY-MM-DD
+    time: 'string', // 9:00 AM, Upon adjournment, ...
+    place: 'string',
+    chair: 'string',
+    session: 'string',
+    status: 'string', // scheduled, cancelled
+    noticeUrl: 'string',
+    bills: 'array', // [{ billNumber, billId, author, caption, pending }]
+    billIds: 'array',
+    lastScrapedAt: 'timestamp'
+  }
+};
 
 class DatabaseService {
   constructor() {
     this.db = null;
+    this.adapter = null;
     this.isConnected = false;
   }
 
+  /**
+   * Resolve the storage backend from STORAGE_BACKEND
+   * @returns {string} 'firestore' (default), 'file' or 'memory'
+   */
+  getBackendName() {
+    return (process.env.STORAGE_BACKEND || 'firestore').trim().toLowerCase();
+  }
+
+  /**
+   * Create the storage adapter for a backend name
+   * @param {string} backend - 'firestore', 'file' or 'memory'
+   */
+  createAdapter(backend) {
+    switch (backend) {
+      case 'firestore':
+        return new FirestoreAdapter();
+      case 'file':
+        return new LocalAdapter({
+          dataDir: path.resolve(process.env.LOCAL_DATA_DIR || path.join(__dirname, '..', 'data'))
+        });
+      case 'memory':
+        return new LocalAdapter();
+      default:
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use firestore, file or memory.`);
+    }
+  }
+
   // Initialize database connection
   async connect() {
     try {
-      this.db = initializeFirebase();
+      const adapter = this.createAdapter(this.getBackendName());
+      this.db = await adapter.connect();
+      this.adapter = adapter;
       this.isConnected = true;
-      console.log('✅ Firebase Firestore connected successfully');
+      console.log(`✅ ${adapter.displayName} connected successfully`);
       return this.db;
     } catch (error) {
       this.isConnected = false;
-      console.error('❌ Firebase connection failed:', error.message);
+      console.error('❌ Database connection failed:', error.message);
       throw new Error(`Database connection failed: ${error.message}`);
     }
   }
 
-  // Get database instance with connection check
+  // Get native database handle with connection check
   getDb() {
     if (!this.isConnected || !this.db) {
       throw new Error('Database not connected. Call connect() first.');
@@ -29,73 +256,30 @@ class DatabaseService {
     return this.db;
   }
 
+  // Get the storage adapter used by CrudOperations
+  getAdapter() {
+    if (!this.isConnected || !this.adapter) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+    return this.adapter;
+  }
+
   // Initialize collections with proper structure
   async initializeCollections() {
     try {
-      const db = this.getDb();
-      
-      // Initialize bills collection with sample document structure
-      const billsRef = db.collection('bills');
-      const billsSnapshot = await billsRef.limit(1).get();
-      
-      if (billsSnapshot.empty) {
-        console.log('📝 Initializing bills collection...');
-        // Create a sample document to establish collection structure
-        await billsRef.doc('_structure').set({
-          _isStructureDoc: true,
-          schema: {
-            id: 'string',
-            billNumber: 'string',
-            shortTitle: 'string',
-            fullTitle: 'string',
-            status: 'string', // Filed, In Committee, Passed
-            sponsors: 'array',
-            officialUrl: 'string',
-            billText: 'string',
-            abstract: 'string',
-            committee: 'string',
-            coSponsors: 'array',
-            filedDate: 'timestamp',
-            lastUpdated: 'timestamp',
-            topics: 'array'
-          }
-        });
-      }
+      const adapter = this.getAdapter();
 
-      // Initialize summaries collection
-      const summariesRef = db.collection('summaries');
-      const summariesSnapshot = await summariesRef.limit(1).get();
-      
-      if (summariesSnapshot.empty) {
-        console.log('📝 Initializing summaries collection...');
-        await summariesRef.doc('_structure').set({
-          _isStructureDoc: true,
-          schema: {
-            billId: 'string',
-            summaries: {
-              'high-level': 'string',
-              'detailed': 'string'
-            },
-            generatedAt: 'timestamp',
-            cached: 'boolean'
-          }
-        });
-      }
+      for (const [collection, schema] of Object.entries(COLLECTION_SCHEMAS)) {
+        const existing = await adapter.findAll(collection, 1);
 
-      // Initialize news cache collection
-      const newsRef = db.collection('news');
-      const newsSnapshot = await newsRef.limit(1).get();
-      
-      if (newsSnapshot.empty) {
-        console.log('📝 Initializing news collection...');
-        await newsRef.doc('_structure').set({
-          _isStructureDoc: true,
-          schema: {
-            billId: 'string',
-            articles: 'array',
-            lastFetched: 'timestamp'
-          }
-        });
+        if (existing.length === 0) {
+          console.log(`📝 Initializing ${collection} collection...`);
+          // Create a sample document to establish collection structure
+          await adapter.set(collection, '_structure', {
+            _isStructureDoc: true,
+            schema
+          });
+        }
       }
 
       console.log('✅ All collections initialized successfully');
@@ -110,4 +294,4 @@ class DatabaseService {
 // Create singleton instance
 const databaseService = new DatabaseService();
 
-module.exports = { DatabaseService, databaseService };
\ No newline at end of file
+module.exports = { DatabaseService, databaseService, COLLECTION_SCHEMAS };
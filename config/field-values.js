@@ -0,0 +1,71 @@
+// Reading dates and names out of stored documents - shared by the databases, services, routes and GraphQL schema
+// Dates may be Firestore Timestamps, serialized timestamps ({ _seconds }), Date objects, ISO strings or times in ms.
+
+/**
+ * Any stored date as a Date
+ * @returns {Date|null} Null for missing or unparseable values
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  let date;
+  if (typeof value.toDate === 'function') {
+    date = value.toDate();
+  } else if (value._seconds !== undefined || value.seconds !== undefined) {
+    date = new Date((value._seconds !== undefined ? value._seconds : value.seconds) * 1000);
+  } else {
+    date = new Date(value);
+  }
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Any stored date in ms since the epoch, or null
+function toTime(value) {
+  const date = toDate(value);
+  return date ? date.getTime() : null;
+}
+
+// Any stored date as an ISO string, or null
+function toIso(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+// Any stored date as its UTC calendar day, YYYY-MM-DD, or null
+function toDateKey(value) {
+  const iso = toIso(value);
+  return iso ? iso.slice(0, 10) : null;
+}
+
+// Any stored date as its calendar day in the server's time zone, YYYY-MM-DD, or null
+function toLocalDateKey(value) {
+  const date = toDate(value);
+  if (!date) {
+    return null;
+  }
+  return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+}
+
+// YYYY-MM-DD -> UTC midnight in ms
+function parseDateKey(dateKey) {
+  return Date.parse(`${dateKey}T00:00:00Z`);
+}
+
+// "03/11/2025" or "9/1/25", as printed on TLO pages -> "2025-03-11"
+function usDateToKey(text) {
+  const match = String(text || '').match(/(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (!match) {
+    return null;
+  }
+  const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+  return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+// Author and sponsor lists hold names or { name, ... } records
+function names(list) {
+  return (list || []).map(item => (item && typeof item === 'object' ? item.name : item)).filter(Boolean);
+}
+
+module.exports = { toDate, toTime, toIso, toDateKey, toLocalDateKey, parseDateKey, usDateToKey, names };
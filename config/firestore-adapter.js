@@ -0,0 +1,119 @@
+// Firebase Firestore storage adapter
+const { initializeFirebase, admin } = require('./firebase');
+const { StorageAdapter } = require('./storage-adapter');
+
+class FirestoreAdapter extends StorageAdapter {
+  constructor() {
+    super('firestore');
+    this.displayName = 'Firebase Firestore';
+    this.db = null;
+  }
+
+  async connect() {
+    this.db = initializeFirebase();
+    return this.db;
+  }
+
+  async get(collection, docId) {
+    const doc = await this.db.collection(collection).doc(docId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return { id: doc.id, ...doc.data() };
+  }
+
+  async set(collection, docId, data) {
+    await this.db.collection(collection).doc(docId).set(data);
+  }
+
+  async update(collection, docId, data) {
+    await this.db.collection(collection).doc(docId).update(data);
+  }
+
+  async delete(collection, docId) {
+    await this.db.collection(collection).doc(docId).delete();
+  }
+
+  async findAll(collection, limit = 100) {
+    const snapshot = await this.db.collection(collection)
+      .limit(limit)
+      .get();
+
+    return this.snapshotToDocuments(snapshot);
+  }
+
+  async findWhere(collection, field, operator, value, limit = 100) {
+    const snapshot = await this.db.collection(collection)
+      .where(field, operator, value)
+      .limit(limit)
+      .get();
+
+    return this.snapshotToDocuments(snapshot);
+  }
+
+  async getMany(collection, docIds) {
+    if (docIds.length === 0) {
+      return [];
+    }
+
+    const snapshots = await this.db.getAll(...docIds.map(docId => this.db.collection(collection).doc(docId)));
+    return snapshots.map(doc => (doc.exists ? { id: doc.id, ...doc.data() } : null));
+  }
+
+  async query(collection, { where = [], orderBy = null, startAfter = null, limit = 100 } = {}) {
+    let query = this.db.collection(collection);
+
+    where.forEach(([field, operator, value]) => {
+      query = query.where(field, operator, value);
+    });
+    if (orderBy) {
+      query = query.orderBy(orderBy.field, orderBy.direction || 'asc');
+    }
+    query = query.orderBy(admin.firestore.FieldPath.documentId(), (orderBy && orderBy.direction) || 'asc');
+    if (startAfter) {
+      query = query.startAfter(...startAfter);
+    }
+
+    return this.snapshotToDocuments(await query.limit(limit).get());
+  }
+
+  async increment(collection, docId, counts) {
+    const data = Object.fromEntries(Object.entries(counts).map(([field, amount]) =>
+      [field, admin.firestore.FieldValue.increment(amount)]));
+    await this.db.collection(collection).doc(docId).set(data, { merge: true });
+  }
+
+  async batchWrite(operations) {
+    const batch = this.db.batch();
+
+    operations.forEach(op => {
+      const docRef = this.db.collection(op.collection).doc(op.docId);
+
+      switch (op.type) {
+        case 'set':
+          batch.set(docRef, op.data);
+          break;
+        case 'update':
+          batch.update(docRef, op.data);
+          break;
+        case 'delete':
+          batch.delete(docRef);
+          break;
+      }
+    });
+
+    await batch.commit();
+  }
+
+  snapshotToDocuments(snapshot) {
+    const documents = [];
+    snapshot.forEach(doc => {
+      documents.push({ id: doc.id, ...doc.data() });
+    });
+    return documents;
+  }
+}
+
+module.exports = { FirestoreAdapter };
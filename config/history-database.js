@@ -0,0 +1,145 @@
+// Specialized database operations for the bill revision history collection
+const { crudOperations } = require('./crud-operations');
+const { toTime } = require('./field-values');
+
+// Fields whose changes are recorded between scrapes
+const TRACKED_FIELDS = [
+  'status',
+  'committee',
+  'lastAction',
+  'lastActionDate',
+  'shortTitle',
+  'fullTitle',
+  'sponsors',
+  'coSponsors',
+  'topics',
+  'filedDate'
+];
+
+// Most revisions loaded for one bill
+const HISTORY_QUERY_LIMIT = 1000;
+
+class HistoryDatabase {
+  constructor() {
+    this.collection = 'bill_history';
+    // Time of the last revision; each revision is stamped at least a millisecond later, so revisions
+    // saved in a burst keep their order and their ids stay unique
+    this.lastChangedAt = 0;
+  }
+
+  // Compare two versions of a bill and list the tracked fields that changed
+  diffBill(previousBill, nextBill) {
+    const changes = [];
+
+    for (const field of TRACKED_FIELDS) {
+      // Partial updates only change the fields they include
+      if (!(field in nextBill)) {
+        continue;
+      }
+
+      const from = this.normalizeValue(previousBill ? previousBill[field] : undefined);
+      const to = this.normalizeValue(nextBill[field]);
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field, from, to });
+      }
+    }
+
+    return changes;
+  }
+
+  // Convert Firestore timestamps and dates to ISO strings so values compare and serialize cleanly
+  normalizeValue(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (value && typeof value.toDate === 'function') {
+      return value.toDate().toISOString();
+    }
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizeValue(item));
+    }
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.normalizeValue(item)]));
+    }
+    return value;
+  }
+
+  // Record a revision for a bill; returns null when nothing tracked changed
+  async recordRevision(billId, previousBill, nextBill, source = 'scrape') {
+    try {
+      if (!billId) {
+        throw new Error('Bill ID is required');
+      }
+
+      const changes = this.diffBill(previousBill, nextBill);
+      const type = previousBill ? 'updated' : 'created';
+
+      if (type === 'updated' && changes.length === 0) {
+        return null;
+      }
+
+      const changedAt = new Date(Math.max(Date.now(), this.lastChangedAt + 1));
+      this.lastChangedAt = changedAt.getTime();
+      const revision = {
+        billId,
+        billNumber: nextBill.billNumber || (previousBill && previousBill.billNumber) || null,
+        type,
+        source,
+        changes,
+        changedAt
+      };
+
+      const revisionId = `${billId}-${changedAt.getTime()}`;
+
+      return await crudOperations.create(this.collection, revisionId, revision);
+    } catch (error) {
+      console.error(`❌ Failed to record history for bill ${billId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get a bill's revisions, newest first
+  async getHistory(billId, limit = 100) {
+    try {
+      // Queries return revisions in document id (oldest first) order, so load them all before trimming
+      const revisions = await crudOperations.findWhere(this.collection, 'billId', '==', billId, HISTORY_QUERY_LIMIT);
+
+      return revisions
+        .sort((a, b) => toTime(b.changedAt) - toTime(a.changedAt) || b.id.localeCompare(a.id))
+        .slice(0, limit);
+    } catch (error) {
+      console.error(`❌ Failed to get history for bill ${billId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get revisions of every bill recorded since a date, newest first
+   * @param {Date} since - Oldest change time included
+   * @param {number} [limit] - Revisions per page
+   * @param {Object} [startAfter] - Last revision of the previous page
+   * @returns {Promise<Array>} Revisions
+   */
+  async getRecentRevisions(since, limit = 100, startAfter = null) {
+    try {
+      return await crudOperations.query(this.collection, {
+        where: [['changedAt', '>=', since]],
+        orderBy: { field: 'changedAt', direction: 'desc' },
+        startAfter: startAfter ? [startAfter.changedAt, startAfter.id] : null,
+        limit
+      });
+    } catch (error) {
+      console.error('❌ Failed to get recent history:', error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const historyDatabase = new HistoryDatabase();
+
+module.exports = { HistoryDatabase, historyDatabase, TRACKED_FIELDS };
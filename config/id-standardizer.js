@@ -11,6 +11,13 @@ class IdStandardizer {
         // 4. Preserve leading zeros if they exist in the original
         
         this.billPrefixes = ['SB', 'HB', 'SCR', 'HCR', 'SR', 'HR', 'SJR', 'HJR'];
+
+        // Measure kinds by prefix without the chamber letter
+        this.billTypes = { B: 'bill', JR: 'joint-resolution', CR: 'concurrent-resolution', R: 'resolution' };
+
+        // Bill numbers restart every session, so documents are keyed by session too.
+        // Session codes follow TLO's LegSess parameter: "89R" (regular), "891" (1st called)
+        this.defaultSession = this.standardizeSession(process.env.LEGISLATIVE_SESSION) || '89R';
     }
 
     /**
@@ -83,13 +90,121 @@ class IdStandardizer {
     isValidBillId(id) {
         if (!id || typeof id !== 'string') return false;
         
-        // Check if it starts with a valid prefix
-        const hasValidPrefix = this.billPrefixes.some(prefix => id.startsWith(prefix));
-        if (!hasValidPrefix) return false;
-        
-        // Check if it has a number after the prefix
+        // Check that a known prefix is followed by a number
         const match = id.match(/^([A-Z]+)(\d+)$/);
-        return match !== null;
+        return match !== null && this.billPrefixes.includes(match[1]);
+    }
+
+    /**
+     * Determine which chamber a bill originated in
+     * "SB1" -> "Senate", "HJR4" -> "House"
+     */
+    getChamber(standardId) {
+        const parsed = standardId ? this.parse(standardId) : null;
+        if (!parsed) return null;
+
+        return parsed.prefix.startsWith('S') ? 'Senate' : 'House';
+    }
+
+    /**
+     * Determine what kind of measure an ID names
+     * "SB1" -> "bill", "HJR4" -> "joint-resolution", "SCR2" -> "concurrent-resolution", "HR7" -> "resolution"
+     */
+    getBillType(standardId) {
+        const parsed = standardId ? this.parse(standardId) : null;
+        if (!parsed) return null;
+
+        return this.billTypes[parsed.prefix.slice(1)] || null;
+    }
+
+    /**
+     * Joint resolutions propose constitutional amendments, which go to the voters instead of the governor
+     */
+    isJointResolution(standardId) {
+        return this.getBillType(standardId) === 'joint-resolution';
+    }
+
+    /**
+     * Convert any session format to the TLO session code
+     * Examples:
+     * "89" / "89R" -> "89R"
+     * "89-1" / "89(1)" / "891" / "89C1" -> "891"
+     */
+    standardizeSession(rawSession) {
+        if (!rawSession) return null;
+
+        const session = String(rawSession).trim().toUpperCase();
+
+        const regular = session.match(/^(\d{2})R?$/);
+        if (regular) {
+            return `${regular[1]}R`;
+        }
+
+        const called = session.match(/^(\d{2})\s*(?:-|\(|C)?\s*([1-9])\)?$/);
+        if (called) {
+            return `${called[1]}${called[2]}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Human readable session name
+     * "89R" -> "89th Legislature, Regular Session"
+     * "891" -> "89th Legislature, 1st Called Session"
+     */
+    toSessionLabel(session) {
+        const code = this.standardizeSession(session);
+        if (!code) return session || '';
+
+        const legislature = this.toOrdinal(parseInt(code.slice(0, 2), 10));
+        const suffix = code.slice(2);
+
+        return suffix === 'R'
+            ? `${legislature} Legislature, Regular Session`
+            : `${legislature} Legislature, ${this.toOrdinal(parseInt(suffix, 10))} Called Session`;
+    }
+
+    toOrdinal(number) {
+        const lastTwo = number % 100;
+        if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+
+        switch (number % 10) {
+            case 1: return `${number}st`;
+            case 2: return `${number}nd`;
+            case 3: return `${number}rd`;
+            default: return `${number}th`;
+        }
+    }
+
+    /**
+     * Build the bills collection document ID for a bill in a session
+     * ("SB 1", "89R") -> "89R-SB1"
+     */
+    toDocumentId(rawId, session = this.defaultSession) {
+        const standardId = this.standardize(rawId);
+        const sessionCode = this.standardizeSession(session);
+        if (!standardId || !sessionCode) return null;
+
+        return `${sessionCode}-${standardId}`;
+    }
+
+    /**
+     * Split a session-qualified document ID into its parts
+     * "89R-SB1" -> { session: "89R", billId: "SB1", docId: "89R-SB1" }
+     * Returns null for bare bill numbers like "SB1"
+     */
+    parseDocumentId(docId) {
+        if (!docId) return null;
+
+        const match = String(docId).trim().match(/^(\d{2}[R1-9])-(.+)$/i);
+        if (!match) return null;
+
+        const session = this.standardizeSession(match[1]);
+        const billId = this.standardize(match[2]);
+        if (!session || !billId) return null;
+
+        return { session, billId, docId: `${session}-${billId}` };
     }
 
     /**
@@ -138,6 +253,10 @@ class IdStandardizer {
      * This helps with backward compatibility during transition
      */
     generateLookupVariants(rawId) {
+        // Session-qualified IDs already identify exactly one document
+        const documentId = this.parseDocumentId(rawId);
+        if (documentId) return [documentId.docId];
+
         const standardId = this.standardize(rawId);
         if (!standardId) return [];
         
@@ -1,17 +1,28 @@
 // Main database configuration and utilities export
 const { initializeFirebase, admin } = require('./firebase');
 const { DatabaseService, databaseService } = require('./database');
+const { StorageAdapter } = require('./storage-adapter');
+const { FirestoreAdapter } = require('./firestore-adapter');
+const { LocalAdapter } = require('./local-adapter');
 const { CrudOperations, crudOperations } = require('./crud-operations');
 const { BillDatabase, billDatabase } = require('./bill-database');
 const { SummaryDatabase, summaryDatabase } = require('./summary-database');
 const { NewsDatabase, newsDatabase } = require('./news-database');
+const { HistoryDatabase, historyDatabase } = require('./history-database');
+const { WatchlistDatabase, watchlistDatabase } = require('./watchlist-database');
+const { WebhookDatabase, webhookDatabase } = require('./webhook-database');
+const { ApiKeyDatabase, apiKeyDatabase } = require('./api-key-database');
+const { LegislatorDatabase, legislatorDatabase } = require('./legislator-database');
+const { VersionDatabase, versionDatabase } = require('./version-database');
+const { StatuteDatabase, statuteDatabase } = require('./statute-database');
+const { CommitteeDatabase, committeeDatabase } = require('./committee-database');
 
 // Initialize database and collections
 async function initializeDatabase() {
   try {
     console.log('🚀 Initializing database connection...');
     
-    // Connect to Firebase
+    // Connect to the configured storage backend
     await databaseService.connect();
     
     // Initialize collections
@@ -28,15 +39,15 @@ async function initializeDatabase() {
 // Health check function
 async function checkDatabaseHealth() {
   try {
-    const db = databaseService.getDb();
+    const adapter = databaseService.getAdapter();
     
     // Test basic connectivity by reading a small document
-    const testRef = db.collection('bills').limit(1);
-    await testRef.get();
+    await adapter.findAll('bills', 1);
     
     return {
       status: 'healthy',
       connected: databaseService.isConnected,
+      backend: adapter.name,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -53,8 +64,8 @@ async function checkDatabaseHealth() {
 async function closeDatabaseConnection() {
   try {
     if (databaseService.isConnected) {
-      // Firebase Admin SDK doesn't require explicit connection closing
-      // but we can mark as disconnected
+      // Neither Firebase Admin SDK nor the local adapter require explicit
+      // connection closing, but we can mark as disconnected
       databaseService.isConnected = false;
       console.log('✅ Database connection closed gracefully');
     }
@@ -72,6 +83,11 @@ module.exports = {
   DatabaseService,
   databaseService,
   
+  // Storage adapters
+  StorageAdapter,
+  FirestoreAdapter,
+  LocalAdapter,
+  
   // CRUD operations
   CrudOperations,
   crudOperations,
@@ -83,6 +99,22 @@ module.exports = {
   summaryDatabase,
   NewsDatabase,
   newsDatabase,
+  HistoryDatabase,
+  historyDatabase,
+  WatchlistDatabase,
+  watchlistDatabase,
+  WebhookDatabase,
+  webhookDatabase,
+  ApiKeyDatabase,
+  apiKeyDatabase,
+  LegislatorDatabase,
+  legislatorDatabase,
+  VersionDatabase,
+  versionDatabase,
+  StatuteDatabase,
+  statuteDatabase,
+  CommitteeDatabase,
+  committeeDatabase,
   
   // Utility functions
   initializeDatabase,
@@ -0,0 +1,58 @@
+// Specialized database operations for the legislator directory
+const { crudOperations } = require('./crud-operations');
+
+// Upper bound on member records loaded at once; both chambers together seat 181 members
+const LEGISLATOR_QUERY_LIMIT = 1000;
+
+class LegislatorDatabase {
+  constructor() {
+    this.collection = 'legislators';
+  }
+
+  // Create or update a member record; documents are keyed by the TLO member code ("A1140")
+  async saveLegislator(legislator) {
+    try {
+      const legislatorId = String(legislator.id || legislator.code || '').toUpperCase();
+      if (!legislatorId) {
+        throw new Error('Legislator must have a member code');
+      }
+
+      const data = { ...legislator, id: legislatorId, lastUpdated: new Date() };
+      const existing = await crudOperations.read(this.collection, legislatorId);
+
+      return existing
+        ? await crudOperations.update(this.collection, legislatorId, data)
+        : await crudOperations.create(this.collection, legislatorId, data);
+    } catch (error) {
+      console.error('❌ Failed to save legislator:', error.message);
+      throw error;
+    }
+  }
+
+  async getLegislator(legislatorId) {
+    try {
+      const legislator = await crudOperations.read(this.collection, String(legislatorId).toUpperCase());
+      return legislator && !legislator._isStructureDoc ? legislator : null;
+    } catch (error) {
+      console.error(`❌ Failed to get legislator ${legislatorId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get every member record, optionally limited to one chamber
+  async getLegislators(chamber = null) {
+    try {
+      return chamber
+        ? await crudOperations.findWhere(this.collection, 'chamber', '==', chamber, LEGISLATOR_QUERY_LIMIT)
+        : await crudOperations.findAll(this.collection, LEGISLATOR_QUERY_LIMIT);
+    } catch (error) {
+      console.error('❌ Failed to get legislators:', error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const legislatorDatabase = new LegislatorDatabase();
+
+module.exports = { LegislatorDatabase, legislatorDatabase };
@@ -0,0 +1,327 @@
+// Local storage adapter - keeps collections in memory and optionally persists
+// each one as a JSON file so the app can run without Firebase credentials
+const fs = require('fs');
+const path = require('path');
+const { StorageAdapter, QUERY_OPERATORS } = require('./storage-adapter');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+// Deep copy documents so callers never share references with the store
+function cloneValue(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+  }
+  return value;
+}
+
+class LocalAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.dataDir] - Directory for collection files; null keeps data in memory only
+   */
+  constructor(options = {}) {
+    super(options.dataDir ? 'file' : 'memory');
+    this.dataDir = options.dataDir || null;
+    this.displayName = this.dataDir ? `Local file storage (${this.dataDir})` : 'In-memory storage';
+    this.collections = new Map();
+    this.writeQueues = new Map();
+  }
+
+  async connect() {
+    if (this.dataDir) {
+      await fs.promises.mkdir(this.dataDir, { recursive: true });
+    }
+    return this;
+  }
+
+  async get(collection, docId) {
+    const docs = await this.loadCollection(collection);
+
+    if (!docs.has(docId)) {
+      return null;
+    }
+
+    return { id: docId, ...cloneValue(docs.get(docId)) };
+  }
+
+  async set(collection, docId, data) {
+    const docs = await this.loadCollection(collection);
+    docs.set(docId, cloneValue(data));
+    await this.persist(collection);
+  }
+
+  async update(collection, docId, data) {
+    const docs = await this.loadCollection(collection);
+
+    if (!docs.has(docId)) {
+      throw new Error(`No document to update: ${collection}/${docId}`);
+    }
+
+    docs.set(docId, { ...docs.get(docId), ...cloneValue(data) });
+    await this.persist(collection);
+  }
+
+  async delete(collection, docId) {
+    const docs = await this.loadCollection(collection);
+
+    if (docs.delete(docId)) {
+      await this.persist(collection);
+    }
+  }
+
+  async findAll(collection, limit = 100) {
+    const docs = await this.loadCollection(collection);
+    return this.toDocuments(docs, () => true, limit);
+  }
+
+  async findWhere(collection, field, operator, value, limit = 100) {
+    if (!QUERY_OPERATORS.includes(operator)) {
+      throw new Error(`Invalid query operator: ${operator}`);
+    }
+
+    const docs = await this.loadCollection(collection);
+    return this.toDocuments(docs, data => this.matches(this.getField(data, field), operator, value), limit);
+  }
+
+  async getMany(collection, docIds) {
+    const docs = await this.loadCollection(collection);
+    return docIds.map(docId => (docs.has(docId) ? { id: docId, ...cloneValue(docs.get(docId)) } : null));
+  }
+
+  async query(collection, { where = [], orderBy = null, startAfter = null, limit = 100 } = {}) {
+    where.forEach(([, operator]) => {
+      if (!QUERY_OPERATORS.includes(operator)) {
+        throw new Error(`Invalid query operator: ${operator}`);
+      }
+    });
+
+    const docs = await this.loadCollection(collection);
+    const direction = orderBy && orderBy.direction === 'desc' ? -1 : 1;
+    const positionOf = docId => (orderBy ? [this.getField(docs.get(docId), orderBy.field), docId] : [docId]);
+    const comparePositions = (a, b) => {
+      for (let i = 0; i < a.length; i++) {
+        const diff = this.compareValues(a[i], b[i]);
+        if (diff !== 0) {
+          return diff * direction;
+        }
+      }
+      return 0;
+    };
+
+    return Array.from(docs.keys())
+      .filter(docId => where.every(([field, operator, value]) => this.matches(this.getField(docs.get(docId), field), operator, value)))
+      .filter(docId => !orderBy || this.getField(docs.get(docId), orderBy.field) !== undefined)
+      .map(docId => ({ docId, position: positionOf(docId) }))
+      .filter(({ position }) => !startAfter || comparePositions(position, startAfter) > 0)
+      .sort((a, b) => comparePositions(a.position, b.position))
+      .slice(0, limit)
+      .map(({ docId }) => ({ id: docId, ...cloneValue(docs.get(docId)) }));
+  }
+
+  async increment(collection, docId, counts) {
+    const docs = await this.loadCollection(collection);
+    const data = { ...(docs.get(docId) || {}) };
+
+    Object.entries(counts).forEach(([field, amount]) => {
+      data[field] = (typeof data[field] === 'number' ? data[field] : 0) + amount;
+    });
+    docs.set(docId, data);
+    await this.persist(collection);
+  }
+
+  async batchWrite(operations) {
+    // Stage every change on copies first so a failing update leaves nothing half-applied
+    const staged = new Map();
+
+    for (const op of operations) {
+      if (!staged.has(op.collection)) {
+        staged.set(op.collection, new Map(await this.loadCollection(op.collection)));
+      }
+      const docs = staged.get(op.collection);
+
+      switch (op.type) {
+        case 'set':
+          docs.set(op.docId, cloneValue(op.data));
+          break;
+        case 'update':
+          if (!docs.has(op.docId)) {
+            throw new Error(`No document to update: ${op.collection}/${op.docId}`);
+          }
+          docs.set(op.docId, { ...docs.get(op.docId), ...cloneValue(op.data) });
+          break;
+        case 'delete':
+          docs.delete(op.docId);
+          break;
+      }
+    }
+
+    for (const [collection, docs] of staged) {
+      this.collections.set(collection, docs);
+      await this.persist(collection);
+    }
+  }
+
+  // Load a collection into memory on first access
+  async loadCollection(collection) {
+    if (this.collections.has(collection)) {
+      return this.collections.get(collection);
+    }
+
+    const docs = new Map();
+
+    if (this.dataDir) {
+      try {
+        const raw = await fs.promises.readFile(this.getCollectionPath(collection), 'utf8');
+        const stored = JSON.parse(raw, (key, value) =>
+          typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+        );
+        Object.entries(stored).forEach(([docId, data]) => docs.set(docId, data));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to load collection ${collection}: ${error.message}`);
+        }
+      }
+    }
+
+    // Another caller may have loaded the collection while we were reading the file
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, docs);
+    }
+    return this.collections.get(collection);
+  }
+
+  // Write a collection to disk, serializing writes per collection
+  persist(collection) {
+    if (!this.dataDir) {
+      return Promise.resolve();
+    }
+
+    const previous = this.writeQueues.get(collection) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const docs = this.collections.get(collection) || new Map();
+      const filePath = this.getCollectionPath(collection);
+      const tempPath = `${filePath}.tmp`;
+
+      await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(docs), null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    });
+
+    this.writeQueues.set(collection, next);
+    return next;
+  }
+
+  getCollectionPath(collection) {
+    return path.join(this.dataDir, `${encodeURIComponent(collection)}.json`);
+  }
+
+  // Firestore returns query results ordered by document id
+  toDocuments(docs, predicate, limit) {
+    return Array.from(docs.keys())
+      .sort()
+      .filter(docId => predicate(docs.get(docId)))
+      .slice(0, limit)
+      .map(docId => ({ id: docId, ...cloneValue(docs.get(docId)) }));
+  }
+
+  // Resolve dotted field paths the same way Firestore does ("voting.voteDate")
+  getField(data, field) {
+    return String(field).split('.').reduce((value, key) =>
+      value !== null && value !== undefined ? value[key] : undefined, data);
+  }
+
+  matches(fieldValue, operator, value) {
+    // Firestore never matches documents that lack the queried field
+    if (fieldValue === undefined) {
+      return false;
+    }
+
+    switch (operator) {
+      case '==':
+        return this.valuesEqual(fieldValue, value);
+      case '!=':
+        return fieldValue !== null && !this.valuesEqual(fieldValue, value);
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return this.compareRange(fieldValue, operator, value);
+      case 'array-contains':
+        return Array.isArray(fieldValue) && fieldValue.some(item => this.valuesEqual(item, value));
+      case 'array-contains-any':
+        return Array.isArray(fieldValue) && Array.isArray(value) &&
+          fieldValue.some(item => value.some(candidate => this.valuesEqual(item, candidate)));
+      case 'in':
+        return Array.isArray(value) && value.some(candidate => this.valuesEqual(fieldValue, candidate));
+      case 'not-in':
+        return fieldValue !== null && Array.isArray(value) &&
+          !value.some(candidate => this.valuesEqual(fieldValue, candidate));
+      default:
+        return false;
+    }
+  }
+
+  // Range comparisons only match values of the same type, as in Firestore
+  compareRange(fieldValue, operator, value) {
+    const left = fieldValue instanceof Date ? fieldValue.getTime() : fieldValue;
+    const right = value instanceof Date ? value.getTime() : value;
+
+    if ((fieldValue instanceof Date) !== (value instanceof Date) || typeof left !== typeof right) {
+      return false;
+    }
+    if (typeof left !== 'number' && typeof left !== 'string') {
+      return false;
+    }
+
+    switch (operator) {
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+    }
+    return false;
+  }
+
+  // Order values across types the way Firestore does: null, booleans, numbers, dates, strings, then the rest
+  compareValues(a, b) {
+    const rank = value => {
+      if (value === null) return 0;
+      if (typeof value === 'boolean') return 1;
+      if (typeof value === 'number') return 2;
+      if (value instanceof Date) return 3;
+      if (typeof value === 'string') return 4;
+      return 5;
+    };
+
+    if (rank(a) !== rank(b)) {
+      return rank(a) - rank(b);
+    }
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (rank(a) === 5 || left === right) {
+      return 0;
+    }
+    return left < right ? -1 : 1;
+  }
+
+  valuesEqual(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+      return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      const keysA = Object.keys(a);
+      const keysB = Object.keys(b);
+      return Array.isArray(a) === Array.isArray(b) &&
+        keysA.length === keysB.length &&
+        keysA.every(key => this.valuesEqual(a[key], b[key]));
+    }
+    return a === b;
+  }
+}
+
+module.exports = { LocalAdapter };
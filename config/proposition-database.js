@@ -0,0 +1,49 @@
+// Specialized database operations for constitutional amendment propositions entered locally
+const { crudOperations } = require('./crud-operations');
+
+// Upper bound on propositions loaded per listing; a session proposes a few dozen amendments
+const PROPOSITION_QUERY_LIMIT = 5000;
+
+class PropositionDatabase {
+  constructor() {
+    this.collection = 'propositions';
+  }
+
+  // Documents are keyed by the joint resolution's bill document id ("89R-SJR5")
+  async getProposition(billId) {
+    try {
+      return await crudOperations.read(this.collection, billId);
+    } catch (error) {
+      console.error(`❌ Failed to get proposition for ${billId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getPropositions(limit = PROPOSITION_QUERY_LIMIT) {
+    try {
+      const propositions = await crudOperations.findAll(this.collection, limit);
+      return propositions.filter(proposition => !proposition._isStructureDoc);
+    } catch (error) {
+      console.error('❌ Failed to get propositions:', error.message);
+      throw error;
+    }
+  }
+
+  // Merge locally entered fields (number, election date, ballot language, results) into the stored record
+  async saveProposition(billId, fields) {
+    try {
+      const existing = await crudOperations.read(this.collection, billId);
+      return existing
+        ? await crudOperations.update(this.collection, billId, fields)
+        : await crudOperations.create(this.collection, billId, { billId, ...fields });
+    } catch (error) {
+      console.error(`❌ Failed to save proposition for ${billId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const propositionDatabase = new PropositionDatabase();
+
+module.exports = { PropositionDatabase, propositionDatabase };
@@ -0,0 +1,117 @@
+// Specialized database operations for the statute cross-reference index
+const { crudOperations } = require('./crud-operations');
+
+// Upper bound on references loaded by one query; a busy chapter is cited by a few hundred bills a session
+const REFERENCE_QUERY_LIMIT = 20000;
+
+// Firestore batches are capped at 500 writes
+const MAX_BATCH_SIZE = 500;
+
+// Statute summaries read per storage round trip
+const STATUTE_PAGE_SIZE = 500;
+
+class StatuteDatabase {
+  constructor() {
+    this.collection = 'statute_references';
+    // One summary per statute and session, listing the bills that cite it ("89R:GV:section:411.0205")
+    this.statutesCollection = 'statutes';
+  }
+
+  // Replace every reference a bill makes; documents are keyed by bill and statute ("89R-HB1:GV:section:411.0205")
+  async replaceBillReferences(billId, references) {
+    try {
+      if (!billId) {
+        throw new Error('Bill ID is required');
+      }
+
+      const existing = await crudOperations.findWhere(this.collection, 'billId', '==', billId, REFERENCE_QUERY_LIMIT);
+      const keep = new Set(references.map(reference => reference.id));
+      const operations = [
+        ...existing
+          .filter(reference => !keep.has(reference.id))
+          .map(reference => ({ type: 'delete', collection: this.collection, docId: reference.id })),
+        ...references.map(({ id, ...data }) => ({ type: 'set', collection: this.collection, docId: id, data: { ...data, billId } })),
+        ...await this.getStatuteUpdates(billId, existing, references)
+      ];
+
+      for (let i = 0; i < operations.length; i += MAX_BATCH_SIZE) {
+        await crudOperations.batchWrite(operations.slice(i, i + MAX_BATCH_SIZE));
+      }
+      return references.length;
+    } catch (error) {
+      console.error(`❌ Failed to save statute references for bill ${billId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // References to one code section ("GV:411.0205") or to anything in one chapter ("GV:411")
+  async getReferences(field, key) {
+    try {
+      return await crudOperations.findWhere(this.collection, field, '==', key, REFERENCE_QUERY_LIMIT);
+    } catch (error) {
+      console.error(`❌ Failed to get statute references for ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Move a bill between the summaries of the statutes it used to cite and the ones it cites now
+  async getStatuteUpdates(billId, existing, references) {
+    const statuteId = reference => `${reference.session}:${reference.id.slice(billId.length + 1)}`;
+    const cited = new Map(references.map(reference => [statuteId(reference), reference]));
+    const statuteIds = Array.from(new Set([...existing.map(statuteId), ...cited.keys()]));
+    const stored = await crudOperations.getMany(this.statutesCollection, statuteIds);
+
+    return statuteIds.map((docId, index) => {
+      const summary = stored[index];
+      const reference = cited.get(docId);
+      const bills = { ...((summary && summary.bills) || {}) };
+      delete bills[billId];
+      if (reference) {
+        bills[billId] = reference.actions;
+      }
+
+      if (Object.keys(bills).length === 0) {
+        return { type: 'delete', collection: this.statutesCollection, docId };
+      }
+      const { session, code, codeId, unit, number, chapter, citation } = reference || summary;
+      return {
+        type: 'set',
+        collection: this.statutesCollection,
+        docId,
+        data: { session, code, codeId, unit, number, chapter, citation, bills }
+      };
+    });
+  }
+
+  // Statute summaries for one code and/or session, read a page at a time
+  async getStatutes({ codeId = null, session = null } = {}) {
+    try {
+      const where = [];
+      if (codeId) {
+        where.push(['codeId', '==', codeId]);
+      }
+      if (session) {
+        where.push(['session', '==', session]);
+      }
+
+      const statutes = [];
+      let startAfter = null;
+      for (;;) {
+        const page = await crudOperations.query(this.statutesCollection, { where, startAfter, limit: STATUTE_PAGE_SIZE });
+        statutes.push(...page);
+        if (page.length < STATUTE_PAGE_SIZE) {
+          return statutes;
+        }
+        startAfter = [page[page.length - 1].id];
+      }
+    } catch (error) {
+      console.error('❌ Failed to get statutes:', error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const statuteDatabase = new StatuteDatabase();
+
+module.exports = { StatuteDatabase, statuteDatabase };
@@ -0,0 +1,107 @@
+// Storage adapter interface shared by every database backend
+// CrudOperations only talks to this interface, so Firestore and the local
+// file store can be swapped without touching the specialized databases.
+
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Open the backend connection
+   * @returns {Promise<Object>} Native database handle (exposed through DatabaseService.getDb())
+   */
+  async connect() {
+    throw new Error(`${this.name} adapter does not implement connect()`);
+  }
+
+  /**
+   * Read a single document
+   * @returns {Promise<Object|null>} Document data with its id, or null when missing
+   */
+  async get(collection, docId) {
+    throw new Error(`${this.name} adapter does not implement get()`);
+  }
+
+  /**
+   * Create or fully replace a document
+   */
+  async set(collection, docId, data) {
+    throw new Error(`${this.name} adapter does not implement set()`);
+  }
+
+  /**
+   * Merge fields into an existing document (fails when the document is missing)
+   */
+  async update(collection, docId, data) {
+    throw new Error(`${this.name} adapter does not implement update()`);
+  }
+
+  /**
+   * Delete a document (no-op when the document is missing)
+   */
+  async delete(collection, docId) {
+    throw new Error(`${this.name} adapter does not implement delete()`);
+  }
+
+  /**
+   * List documents ordered by document id
+   * @returns {Promise<Array>} Documents with their ids, including structure documents
+   */
+  async findAll(collection, limit = 100) {
+    throw new Error(`${this.name} adapter does not implement findAll()`);
+  }
+
+  /**
+   * Query documents with a single Firestore-style where clause
+   * @returns {Promise<Array>} Matching documents with their ids
+   */
+  async findWhere(collection, field, operator, value, limit = 100) {
+    throw new Error(`${this.name} adapter does not implement findWhere()`);
+  }
+
+  /**
+   * Read several documents in one round trip
+   * @returns {Promise<Array>} Documents with their ids in the order asked for, null for missing ones
+   */
+  async getMany(collection, docIds) {
+    throw new Error(`${this.name} adapter does not implement getMany()`);
+  }
+
+  /**
+   * Query documents with where clauses, an order and a cursor, one page at a time
+   * Documents are ordered by id after the orderBy field, so every position is unique; like Firestore,
+   * ordering by a field skips documents that lack it
+   * @param {Object} options
+   * @param {Array<Array>} [options.where] - [field, operator, value] clauses that must all match
+   * @param {Object} [options.orderBy] - { field, direction: 'asc'|'desc' }; document id order when omitted
+   * @param {Array} [options.startAfter] - Position of the previous page's last document: [value, docId], or [docId] without orderBy
+   * @param {number} [options.limit]
+   * @returns {Promise<Array>} Matching documents with their ids
+   */
+  async query(collection, { where = [], orderBy = null, startAfter = null, limit = 100 } = {}) {
+    throw new Error(`${this.name} adapter does not implement query()`);
+  }
+
+  /**
+   * Add to numeric fields atomically, creating the document (and fields) when missing
+   * Concurrent increments from several processes all count, unlike a read followed by a write
+   * @param {Object} counts - { field: amount }
+   */
+  async increment(collection, docId, counts) {
+    throw new Error(`${this.name} adapter does not implement increment()`);
+  }
+
+  /**
+   * Apply set/update/delete operations atomically
+   * @param {Array<{type: string, collection: string, docId: string, data?: Object}>} operations
+   */
+  async batchWrite(operations) {
+    throw new Error(`${this.name} adapter does not implement batchWrite()`);
+  }
+}
+
+// Operators accepted by Firestore's where() and mirrored by the local adapter
+const QUERY_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'array-contains', 'array-contains-any', 'in', 'not-in'];
+
+module.exports = { StorageAdapter, QUERY_OPERATORS };
@@ -0,0 +1,73 @@
+// Specialized database operations for bill text versions
+const { crudOperations } = require('./crud-operations');
+
+// TLO bill text version codes; committee substitutes are published as the committee report version
+const VERSION_TYPES = {
+  I: 'Introduced',
+  H: 'House Committee Report',
+  S: 'Senate Committee Report',
+  E: 'Engrossed',
+  F: 'Enrolled'
+};
+
+// Upper bound on versions loaded for a single bill
+const VERSION_QUERY_LIMIT = 100;
+
+class VersionDatabase {
+  constructor() {
+    this.collection = 'bill_versions';
+  }
+
+  // Version codes in the order a bill filed in the given chamber moves through the Legislature
+  getVersionCodes(chamber) {
+    return chamber === 'House'
+      ? ['I', 'H', 'E', 'S', 'F']
+      : ['I', 'S', 'E', 'H', 'F'];
+  }
+
+  // Create or update one version of a bill; documents are keyed by bill and version code ("89R-SB1-I")
+  async saveVersion(billId, version) {
+    try {
+      if (!billId || !VERSION_TYPES[version.code]) {
+        throw new Error('Bill ID and a known version code are required');
+      }
+
+      const versionId = `${billId}-${version.code}`;
+      const existing = await crudOperations.read(this.collection, versionId);
+      // Re-saving a version keeps the time it was first fetched
+      const fetchedAt = existing && existing.fetchedAt ? existing.fetchedAt : new Date();
+      const data = { ...version, billId, name: VERSION_TYPES[version.code], fetchedAt };
+
+      return existing
+        ? await crudOperations.update(this.collection, versionId, data)
+        : await crudOperations.create(this.collection, versionId, data);
+    } catch (error) {
+      console.error(`❌ Failed to save text version for bill ${billId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async saveVersions(billId, versions) {
+    const saved = [];
+    for (const version of versions) {
+      saved.push(await this.saveVersion(billId, version));
+    }
+    return saved;
+  }
+
+  // Get a bill's versions in legislative order
+  async getVersions(billId) {
+    try {
+      const versions = await crudOperations.findWhere(this.collection, 'billId', '==', billId, VERSION_QUERY_LIMIT);
+      return versions.sort((a, b) => a.order - b.order);
+    } catch (error) {
+      console.error(`❌ Failed to get text versions for bill ${billId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const versionDatabase = new VersionDatabase();
+
+module.exports = { VersionDatabase, versionDatabase, VERSION_TYPES };
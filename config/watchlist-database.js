@@ -0,0 +1,198 @@
+// Specialized database operations for watchlists and the notifications generated for them
+const crypto = require('crypto');
+const { crudOperations } = require('./crud-operations');
+const { toTime } = require('./field-values');
+
+// Upper bound on bills a single watchlist can follow
+const MAX_WATCHED_BILLS = 200;
+
+// Upper bound on watchlists loaded for a single bill or account
+const WATCHER_QUERY_LIMIT = 1000;
+
+// Upper bound on notifications loaded for a single watchlist
+const NOTIFICATION_QUERY_LIMIT = 1000;
+
+class WatchlistDatabase {
+  constructor() {
+    this.collection = 'watchlists';
+    this.notificationsCollection = 'notifications';
+    // Keeps notification ids unique when several are created within the same millisecond
+    this.sequence = 0;
+  }
+
+  // Only a hash of the access token is stored so a leaked database does not expose watchlists
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Create a watchlist; anonymous watchlists are reachable only through the returned token
+  async createWatchlist({ accountId = null, name = '', email = '', webhookUrl = '' } = {}) {
+    try {
+      const watchlistId = crypto.randomBytes(12).toString('hex');
+      const token = accountId ? null : crypto.randomBytes(24).toString('hex');
+
+      const watchlist = await crudOperations.create(this.collection, watchlistId, {
+        ownerType: accountId ? 'account' : 'anonymous',
+        accountId: accountId || null,
+        tokenHash: token ? this.hashToken(token) : null,
+        name,
+        email,
+        webhookUrl,
+        bills: []
+      });
+
+      console.log(`✅ Created ${watchlist.ownerType} watchlist ${watchlistId}`);
+      return { watchlist, token };
+    } catch (error) {
+      console.error('❌ Failed to create watchlist:', error.message);
+      throw error;
+    }
+  }
+
+  // Find the watchlist an anonymous token belongs to
+  async getWatchlistByToken(token) {
+    try {
+      if (!token) {
+        return null;
+      }
+
+      const results = await crudOperations.findWhere(this.collection, 'tokenHash', '==', this.hashToken(token), 1);
+      return results[0] || null;
+    } catch (error) {
+      console.error('❌ Failed to get watchlist by token:', error.message);
+      throw error;
+    }
+  }
+
+  // Find the watchlist owned by an account
+  async getWatchlistByAccount(accountId) {
+    try {
+      if (!accountId) {
+        return null;
+      }
+
+      const results = await crudOperations.findWhere(this.collection, 'accountId', '==', accountId, 1);
+      return results[0] || null;
+    } catch (error) {
+      console.error(`❌ Failed to get watchlist for account ${accountId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Update a watchlist's name and delivery settings
+  async updateWatchlist(watchlistId, fields) {
+    try {
+      return await crudOperations.update(this.collection, watchlistId, fields);
+    } catch (error) {
+      console.error(`❌ Failed to update watchlist ${watchlistId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Add a bill (by document id) to a watchlist
+  async addBill(watchlistId, billId) {
+    try {
+      const watchlist = await crudOperations.read(this.collection, watchlistId);
+      if (!watchlist) {
+        throw new Error(`Watchlist ${watchlistId} not found`);
+      }
+
+      const bills = watchlist.bills || [];
+      if (bills.includes(billId)) {
+        return watchlist;
+      }
+      if (bills.length >= MAX_WATCHED_BILLS) {
+        throw new Error(`Watchlists can follow at most ${MAX_WATCHED_BILLS} bills`);
+      }
+
+      return await crudOperations.update(this.collection, watchlistId, { bills: [...bills, billId] });
+    } catch (error) {
+      console.error(`❌ Failed to add bill ${billId} to watchlist ${watchlistId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Remove a bill (by document id) from a watchlist
+  async removeBill(watchlistId, billId) {
+    try {
+      const watchlist = await crudOperations.read(this.collection, watchlistId);
+      if (!watchlist) {
+        throw new Error(`Watchlist ${watchlistId} not found`);
+      }
+
+      const bills = (watchlist.bills || []).filter(id => id !== billId);
+      return await crudOperations.update(this.collection, watchlistId, { bills });
+    } catch (error) {
+      console.error(`❌ Failed to remove bill ${billId} from watchlist ${watchlistId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Delete a watchlist; its notifications are kept until cleaned up separately
+  async deleteWatchlist(watchlistId) {
+    try {
+      return await crudOperations.delete(this.collection, watchlistId);
+    } catch (error) {
+      console.error(`❌ Failed to delete watchlist ${watchlistId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get every watchlist following a bill
+  async getWatchlistsForBill(billId) {
+    try {
+      return await crudOperations.findWhere(this.collection, 'bills', 'array-contains', billId, WATCHER_QUERY_LIMIT);
+    } catch (error) {
+      console.error(`❌ Failed to get watchlists for bill ${billId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Store a notification generated for a watchlist
+  async saveNotification(notification) {
+    try {
+      const createdAt = new Date();
+      this.sequence = (this.sequence + 1) % 10000;
+      const notificationId = `${notification.watchlistId}-${createdAt.getTime()}-${String(this.sequence).padStart(4, '0')}`;
+
+      return await crudOperations.create(this.notificationsCollection, notificationId, {
+        ...notification,
+        createdAt
+      });
+    } catch (error) {
+      console.error(`❌ Failed to save notification for watchlist ${notification.watchlistId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Record how delivery of a notification went on each transport
+  async updateDeliveries(notificationId, deliveries) {
+    try {
+      return await crudOperations.update(this.notificationsCollection, notificationId, { deliveries });
+    } catch (error) {
+      console.error(`❌ Failed to update deliveries for notification ${notificationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get a watchlist's notifications, newest first
+  async getNotifications(watchlistId, limit = 50) {
+    try {
+      const notifications = await crudOperations.findWhere(
+        this.notificationsCollection, 'watchlistId', '==', watchlistId, NOTIFICATION_QUERY_LIMIT
+      );
+
+      return notifications
+        .sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt) || b.id.localeCompare(a.id))
+        .slice(0, limit);
+    } catch (error) {
+      console.error(`❌ Failed to get notifications for watchlist ${watchlistId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const watchlistDatabase = new WatchlistDatabase();
+
+module.exports = { WatchlistDatabase, watchlistDatabase, MAX_WATCHED_BILLS };
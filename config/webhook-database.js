@@ -0,0 +1,146 @@
+// Specialized database operations for webhook subscriptions and their delivery log
+const crypto = require('crypto');
+const { crudOperations } = require('./crud-operations');
+const { toTime } = require('./field-values');
+
+// Upper bound on subscriptions loaded for a single event or listing
+const SUBSCRIPTION_QUERY_LIMIT = 1000;
+
+// Upper bound on delivery log entries loaded for a single subscription
+const DELIVERY_QUERY_LIMIT = 1000;
+
+class WebhookDatabase {
+  constructor() {
+    this.collection = 'webhooks';
+    this.deliveriesCollection = 'webhook_deliveries';
+    // Keeps delivery ids unique when several are created within the same millisecond
+    this.sequence = 0;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Register a subscription; a signing secret is generated when none is given.
+  // The returned token manages the subscription and is only stored as a hash
+  async createSubscription({ url, events, description = '', secret = null }) {
+    try {
+      const webhookId = crypto.randomBytes(12).toString('hex');
+      const token = crypto.randomBytes(24).toString('hex');
+
+      const subscription = await crudOperations.create(this.collection, webhookId, {
+        url,
+        events,
+        description,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        tokenHash: this.hashToken(token),
+        active: true
+      });
+      return { ...subscription, token };
+    } catch (error) {
+      console.error('❌ Failed to create webhook subscription:', error.message);
+      throw error;
+    }
+  }
+
+  async getSubscription(webhookId) {
+    try {
+      return await crudOperations.read(this.collection, webhookId);
+    } catch (error) {
+      console.error(`❌ Failed to get webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getSubscriptions(limit = SUBSCRIPTION_QUERY_LIMIT) {
+    try {
+      return await crudOperations.findAll(this.collection, limit);
+    } catch (error) {
+      console.error('❌ Failed to get webhook subscriptions:', error.message);
+      throw error;
+    }
+  }
+
+  // Get the active subscriptions whose event filter includes an event
+  async getSubscriptionsForEvent(event) {
+    try {
+      const subscriptions = await crudOperations.findWhere(
+        this.collection, 'events', 'array-contains', event, SUBSCRIPTION_QUERY_LIMIT
+      );
+      return subscriptions.filter(subscription => subscription.active !== false);
+    } catch (error) {
+      console.error(`❌ Failed to get webhooks for ${event}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateSubscription(webhookId, fields) {
+    try {
+      return await crudOperations.update(this.collection, webhookId, fields);
+    } catch (error) {
+      console.error(`❌ Failed to update webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async deleteSubscription(webhookId) {
+    try {
+      return await crudOperations.delete(this.collection, webhookId);
+    } catch (error) {
+      console.error(`❌ Failed to delete webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Add a pending entry to the delivery log
+  async createDelivery(delivery) {
+    try {
+      const createdAt = new Date();
+      this.sequence = (this.sequence + 1) % 10000;
+      const deliveryId = `${delivery.webhookId}-${createdAt.getTime()}-${String(this.sequence).padStart(4, '0')}`;
+
+      return await crudOperations.create(this.deliveriesCollection, deliveryId, {
+        ...delivery,
+        status: 'pending',
+        attempts: 0,
+        responseStatus: null,
+        error: null,
+        createdAt,
+        completedAt: null
+      });
+    } catch (error) {
+      console.error(`❌ Failed to log delivery for webhook ${delivery.webhookId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateDelivery(deliveryId, fields) {
+    try {
+      return await crudOperations.update(this.deliveriesCollection, deliveryId, fields);
+    } catch (error) {
+      console.error(`❌ Failed to update delivery ${deliveryId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get a subscription's delivery log, newest first
+  async getDeliveries(webhookId, limit = 50) {
+    try {
+      const deliveries = await crudOperations.findWhere(
+        this.deliveriesCollection, 'webhookId', '==', webhookId, DELIVERY_QUERY_LIMIT
+      );
+
+      return deliveries
+        .sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt) || b.id.localeCompare(a.id))
+        .slice(0, limit);
+    } catch (error) {
+      console.error(`❌ Failed to get deliveries for webhook ${webhookId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const webhookDatabase = new WebhookDatabase();
+
+module.exports = { WebhookDatabase, webhookDatabase };
@@ -2,16 +2,27 @@
 class BillTracker {
     constructor() {
         this.bills = [];
+        // Pages loaded so far for the current filters; the server filters, sorts and pages
         this.filteredBills = [];
         this.displayedBills = [];
         this.billsPerPage = 10;
-        this.currentPage = 1;
+        this.totalBills = 0;
+        this.allBillsCount = 0;
+        this.nextCursor = null;
+        this.sort = '';
+        // Incremented per filter change so responses to older requests are ignored
+        this.billsRequestId = 0;
         this.filters = {
             search: '',
             topics: [],
             sponsors: [],
-            status: ''
+            status: '',
+            governor: ''
         };
+        // Document ids of bills on the visitor's watchlist
+        this.watchedBills = new Set();
+        // Bill document id -> next scheduled hearing, for the "Scheduled for hearing" badge
+        this.scheduledBills = new Map();
         
         this.initializeElements();
         this.bindEvents();
@@ -26,12 +37,18 @@ class BillTracker {
         this.resultsCountElement = document.getElementById('results-count');
         this.filterSummaryElement = document.getElementById('filter-summary');
         this.showMoreButton = document.getElementById('show-more-button');
+        this.hearingsPanel = document.getElementById('hearings-panel');
+        this.hearingsList = document.getElementById('hearings-list');
         
         this.searchInput = document.getElementById('search-input');
         this.topicsFilter = document.getElementById('topics-filter');
         this.sponsorsFilter = document.getElementById('sponsors-filter');
         this.statusFilter = document.getElementById('status-filter');
+        this.governorFilter = document.getElementById('governor-filter');
+        this.sortSelect = document.getElementById('sort-select');
         this.clearFiltersButton = document.getElementById('clear-filters');
+        this.exportFormatSelect = document.getElementById('export-format');
+        this.exportButton = document.getElementById('export-bills');
     }
 
     bindEvents() {
@@ -46,29 +63,11 @@ class BillTracker {
             // Update ARIA attributes for screen readers
             this.searchInput.setAttribute('aria-expanded', 'true');
             
-            searchTimeout = setTimeout(() => {
+            searchTimeout = setTimeout(async () => {
                 const searchTerm = e.target.value.toLowerCase().trim();
                 
-                // Cache search results for better performance
-                if (window.cacheManager) {
-                    const cacheKey = window.cacheManager.generateKey('search', { 
-                        term: searchTerm,
-                        filters: JSON.stringify(this.filters)
-                    });
-                    
-                    const cachedResults = window.cacheManager.get(cacheKey);
-                    if (cachedResults) {
-                        this.filteredBills = cachedResults;
-                        this.renderBills();
-                        this.updateResultsSummary();
-                        this.hideLiveSearchIndicator();
-                        this.announceSearchResults();
-                        return;
-                    }
-                }
-                
                 this.filters.search = searchTerm;
-                this.applyFiltersWithAnimation();
+                await this.applyFiltersWithAnimation();
                 this.hideLiveSearchIndicator();
                 this.announceSearchResults();
             }, 300); // Slightly longer delay for better performance
@@ -94,11 +93,30 @@ class BillTracker {
             this.applyFiltersWithAnimation();
         });
 
+        this.governorFilter.addEventListener('change', () => {
+            this.filters.governor = this.governorFilter.value;
+            this.applyFiltersWithAnimation();
+        });
+
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => {
+                this.sort = this.sortSelect.value;
+                this.applyFiltersWithAnimation();
+            });
+        }
+
         // Enhanced clear filters button with visual feedback
         this.clearFiltersButton.addEventListener('click', () => {
             this.clearAllFiltersWithAnimation();
         });
         
+        // Export button downloads every bill matching the current filters
+        if (this.exportButton) {
+            this.exportButton.addEventListener('click', () => {
+                this.exportBills();
+            });
+        }
+        
         // Show More button
         if (this.showMoreButton) {
             this.showMoreButton.addEventListener('click', () => {
@@ -159,34 +177,21 @@ class BillTracker {
             // Show loading state
             this.showLoading();
             
-            // Simple fetch without complex error boundary logic
-            const response = await fetch('/api/bills', {
-                headers: {
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load bills (${response.status})`);
-            }
-            
-            const data = await response.json();
-            
-            // Handle both new API format and legacy format
-            this.bills = data.data || data.bills || data || [];
-            this.filteredBills = [...this.bills];
+            const data = await this.fetchBillsPage();
+            this.setBillsPage(data);
+            this.bills = [...this.filteredBills];
+            this.allBillsCount = this.totalBills;
             
             if (this.bills.length === 0) {
                 this.showEmptyState();
                 return;
             }
             
-            this.populateFilterOptions();
+            await Promise.all([this.loadWatchlist(), this.loadHearings()]);
             this.renderBills();
             this.hideLoading();
             
-            console.log(`Loaded ${this.bills.length} bills successfully`);
+            console.log(`Loaded ${this.bills.length} of ${this.totalBills} bills successfully`);
             
         } catch (error) {
             console.error('Error loading bills:', error);
@@ -196,6 +201,225 @@ class BillTracker {
         }
     }
 
+    // Download the filtered bill list; the server sends it as an attachment
+    exportBills() {
+        const params = new URLSearchParams(this.buildBillsQuery());
+        params.delete('limit');
+        params.set('format', this.exportFormatSelect ? this.exportFormatSelect.value : 'csv');
+        
+        window.location.href = `/api/bills/export?${params.toString()}`;
+        this.announceToScreenReader('Export started');
+    }
+
+    // Query string for the current filters, sort and page size
+    buildBillsQuery(cursor = null) {
+        const params = new URLSearchParams();
+        
+        if (this.filters.search) {
+            params.set('search', this.filters.search);
+        }
+        this.filters.topics.forEach(topic => params.append('topic', topic));
+        this.filters.sponsors.forEach(sponsor => params.append('sponsor', sponsor));
+        if (this.filters.status) {
+            params.set('status', this.filters.status);
+        }
+        if (this.filters.governor) {
+            params.set('governor', this.filters.governor);
+        }
+        if (this.sort) {
+            params.set('sort', this.sort);
+        }
+        params.set('limit', this.billsPerPage);
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+        
+        return params.toString();
+    }
+
+    async fetchBillsPage(cursor = null) {
+        const response = await fetch(`/api/bills?${this.buildBillsQuery(cursor)}`, {
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to load bills (${response.status})`);
+        }
+        
+        return response.json();
+    }
+
+    // Keep a page of results, the total match count and the cursor for the next page
+    setBillsPage(data, append = false) {
+        const bills = data.data || [];
+        
+        this.filteredBills = append ? [...this.filteredBills, ...bills] : bills;
+        this.totalBills = typeof data.total === 'number' ? data.total : this.filteredBills.length;
+        this.nextCursor = data.nextCursor || null;
+        
+        if (!append) {
+            this.populateFilterOptions(data.facets || {});
+        }
+    }
+
+    // Anonymous watchlists are addressed by a token kept in local storage
+    getWatchlistToken() {
+        try {
+            return localStorage.getItem('awaretexas-watchlist-token');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async watchlistRequest(path, options = {}) {
+        const token = this.getWatchlistToken();
+        const response = await fetch(`/api/watchlists${path}`, {
+            ...options,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...(token ? { 'X-Watchlist-Token': token } : {})
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Watchlist request failed (${response.status})`);
+        }
+        return response.json();
+    }
+
+    async loadWatchlist() {
+        if (!this.getWatchlistToken()) {
+            return;
+        }
+
+        try {
+            const data = await this.watchlistRequest('');
+            this.watchedBills = new Set(data.data.bills.map(bill => bill.id));
+        } catch (error) {
+            console.warn('Could not load watchlist:', error.message);
+        }
+    }
+
+    // Upcoming committee hearings for the panel above the bill list and the hearing badges
+    async loadHearings() {
+        try {
+            const response = await fetch('/api/hearings', { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`Failed to load hearings (${response.status})`);
+            }
+
+            const data = await response.json();
+            const hearings = (data.data || []).filter(hearing => hearing.status === 'scheduled');
+
+            this.scheduledBills = new Map();
+            hearings.forEach(hearing => {
+                hearing.bills.filter(bill => bill.billId && !this.scheduledBills.has(bill.billId))
+                    .forEach(bill => this.scheduledBills.set(bill.billId, hearing));
+            });
+
+            this.renderHearingsPanel(hearings);
+        } catch (error) {
+            console.warn('Could not load hearings:', error.message);
+        }
+    }
+
+    formatHearingDate(date) {
+        return new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+
+    renderHearingsPanel(hearings) {
+        if (!this.hearingsPanel || !this.hearingsList) {
+            return;
+        }
+
+        this.hearingsList.innerHTML = '';
+        if (hearings.length === 0) {
+            this.hearingsPanel.classList.add('hidden');
+            return;
+        }
+
+        hearings.slice(0, 5).forEach(hearing => {
+            const item = document.createElement('li');
+            item.className = 'py-2 border-b border-gray-100 last:border-0';
+
+            const heading = document.createElement('div');
+            heading.className = 'flex flex-wrap items-baseline justify-between gap-2';
+
+            const committee = document.createElement('span');
+            committee.className = 'font-medium text-gray-900';
+            committee.textContent = `${hearing.chamber} ${hearing.committeeName}`;
+
+            const when = document.createElement('span');
+            when.className = 'text-xs text-gray-500';
+            when.textContent = [this.formatHearingDate(hearing.date), hearing.time, hearing.place].filter(Boolean).join(' · ');
+
+            heading.append(committee, when);
+            item.appendChild(heading);
+
+            if (hearing.bills.length > 0) {
+                const bills = document.createElement('div');
+                bills.className = 'mt-1 flex flex-wrap gap-2 text-xs';
+                hearing.bills.forEach(bill => {
+                    const link = document.createElement(bill.billId ? 'a' : 'span');
+                    link.className = bill.billId ? 'text-texas-blue hover:underline' : 'text-gray-500';
+                    link.textContent = bill.billNumber;
+                    if (bill.billId) {
+                        link.href = `bill-detail.html?id=${encodeURIComponent(bill.billId)}`;
+                    }
+                    if (bill.caption) {
+                        link.title = bill.caption;
+                    }
+                    bills.appendChild(link);
+                });
+                item.appendChild(bills);
+            }
+
+            this.hearingsList.appendChild(item);
+        });
+
+        this.hearingsPanel.classList.remove('hidden');
+    }
+
+    async toggleWatch(bill, button) {
+        const billId = bill.docId || bill.id;
+        button.disabled = true;
+
+        try {
+            if (!this.getWatchlistToken()) {
+                const created = await this.watchlistRequest('', { method: 'POST', body: '{}' });
+                localStorage.setItem('awaretexas-watchlist-token', created.data.token);
+            }
+
+            if (this.watchedBills.has(billId)) {
+                await this.watchlistRequest(`/bills/${encodeURIComponent(billId)}`, { method: 'DELETE' });
+                this.watchedBills.delete(billId);
+                this.announceToScreenReader(`Stopped following ${bill.billNumber}`);
+            } else {
+                await this.watchlistRequest('/bills', { method: 'POST', body: JSON.stringify({ billId }) });
+                this.watchedBills.add(billId);
+                this.announceToScreenReader(`Following ${bill.billNumber}`);
+            }
+
+            this.updateWatchButton(button, this.watchedBills.has(billId));
+        } catch (error) {
+            console.error('Error updating watchlist:', error);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    updateWatchButton(button, watched) {
+        button.setAttribute('aria-pressed', watched ? 'true' : 'false');
+        button.textContent = watched ? 'Following' : 'Follow';
+        button.classList.toggle('bg-texas-blue', watched);
+        button.classList.toggle('text-white', watched);
+        button.classList.toggle('text-texas-blue', !watched);
+    }
+
     // Fallback fetch for when optimizer is not available
     async fallbackFetch(url) {
         const controller = new AbortController();
@@ -237,7 +461,7 @@ class BillTracker {
         
         // Prefetch first 5 bills for instant loading
         const billsToPreload = this.bills.slice(0, 5);
-        const urls = billsToPreload.map(bill => `/api/bills/${bill.id || bill.billNumber}`);
+        const urls = billsToPreload.map(bill => `/api/bills/${bill.docId || bill.id || bill.billNumber}`);
         
         try {
             await window.apiOptimizer.prefetchData(urls, 'low');
@@ -391,104 +615,53 @@ class BillTracker {
         }
     }
 
-    populateFilterOptions() {
-        // Populate topics dropdown from actual bill data
-        const topics = [...new Set(this.bills.flatMap(bill => 
-            bill.topics && Array.isArray(bill.topics) ? bill.topics : []
-        ))].sort();
+    // Facet counts cover every bill matching the other filters, not just the loaded pages
+    populateFilterOptions(facets) {
+        this.fillFacetOptions(this.topicsFilter, 'All Topics', facets.topic || [], this.filters.topics);
+        this.fillFacetOptions(this.sponsorsFilter, 'All Sponsors', facets.sponsor || [], this.filters.sponsors);
         
-        this.topicsFilter.innerHTML = '<option value="">All Topics</option>';
-        topics.forEach(topic => {
-            const option = document.createElement('option');
-            option.value = topic;
-            option.textContent = topic;
-            this.topicsFilter.appendChild(option);
+        // Status and governor action options are fixed; only their counts change
+        this.fillFixedOptionCounts(this.statusFilter, facets.status || []);
+        this.fillFixedOptionCounts(this.governorFilter, facets.governor || []);
+    }
+
+    fillFixedOptionCounts(select, facetValues) {
+        const counts = new Map(facetValues.map(({ value, count }) => [value, count]));
+        Array.from(select.options).forEach(option => {
+            if (!option.value) return;
+            option.dataset.label = option.dataset.label || option.textContent;
+            option.textContent = `${option.dataset.label} (${counts.get(option.value) || 0})`;
         });
+    }
+
+    fillFacetOptions(select, allLabel, facetValues, selected) {
+        // Selected values stay listed even when no bill matches them any more
+        const counts = new Map(facetValues.map(({ value, count }) => [value, count]));
+        selected.forEach(value => counts.set(value, counts.get(value) || 0));
         
-        // Populate sponsors dropdown
-        const sponsors = [...new Set(this.bills.flatMap(bill => 
-            bill.sponsors ? bill.sponsors.map(sponsor => sponsor.name || sponsor) : []
-        ))].sort();
-        
-        this.sponsorsFilter.innerHTML = '<option value="">All Sponsors</option>';
-        sponsors.forEach(sponsor => {
+        select.innerHTML = `<option value="">${allLabel}</option>`;
+        [...counts.keys()].sort().forEach(value => {
             const option = document.createElement('option');
-            option.value = sponsor;
-            option.textContent = sponsor;
-            this.sponsorsFilter.appendChild(option);
+            option.value = value;
+            option.textContent = `${value} (${counts.get(value)})`;
+            option.selected = selected.includes(value);
+            select.appendChild(option);
         });
     }
 
-    applyFilters() {
-        // Generate cache key for this filter combination
-        const filterKey = window.cacheManager ? 
-            window.cacheManager.generateKey('search', { 
-                search: this.filters.search,
-                topics: this.filters.topics.sort(),
-                sponsors: this.filters.sponsors.sort(),
-                status: this.filters.status
-            }) : null;
-        
-        // Check cache first
-        if (filterKey && window.cacheManager) {
-            const cachedResults = window.cacheManager.get(filterKey);
-            if (cachedResults) {
-                this.filteredBills = cachedResults;
-                this.renderBills();
-                this.updateResultsSummary();
-                return;
-            }
-        }
+    async applyFilters() {
+        const requestId = ++this.billsRequestId;
         
-        // Apply filters
-        this.filteredBills = this.bills.filter(bill => {
-            // Enhanced search filter with multiple field matching
-            if (this.filters.search) {
-                const searchTerm = this.filters.search;
-                const searchableText = [
-                    bill.billNumber || '',
-                    bill.shortTitle || '',
-                    bill.fullTitle || '',
-                    bill.abstract || '',
-                    this.generateMeaningfulName(bill), // Include meaningful name in search
-                    // Include sponsor names in search
-                    ...(bill.sponsors ? bill.sponsors.map(s => s.name || s) : [])
-                ].join(' ').toLowerCase();
-                
-                // Support multiple search terms (AND logic)
-                const searchTerms = searchTerm.split(/\s+/).filter(term => term.length > 0);
-                if (!searchTerms.every(term => searchableText.includes(term))) {
-                    return false;
-                }
-            }
-
-            // Topics filter
-            if (this.filters.topics.length > 0) {
-                const billTopics = bill.topics || [];
-                if (!this.filters.topics.some(topic => billTopics.includes(topic))) {
-                    return false;
-                }
-            }
-
-            // Sponsors filter
-            if (this.filters.sponsors.length > 0) {
-                const billSponsors = bill.sponsors ? bill.sponsors.map(s => s.name || s) : [];
-                if (!this.filters.sponsors.some(sponsor => billSponsors.includes(sponsor))) {
-                    return false;
-                }
-            }
-
-            // Status filter
-            if (this.filters.status && bill.status !== this.filters.status) {
-                return false;
-            }
-
-            return true;
-        });
-
-        // Cache the results
-        if (filterKey && window.cacheManager) {
-            window.cacheManager.set(filterKey, this.filteredBills);
+        try {
+            const data = await this.fetchBillsPage();
+            if (requestId !== this.billsRequestId) return; // A newer filter change replaced this one
+            this.setBillsPage(data);
+        } catch (error) {
+            if (requestId !== this.billsRequestId) return;
+            console.error('Error filtering bills:', error);
+            this.filteredBills = [];
+            this.totalBills = 0;
+            this.nextCursor = null;
         }
 
         this.resetPagination();
@@ -496,21 +669,21 @@ class BillTracker {
         this.updateResultsSummary();
     }
 
-    applyFiltersWithAnimation() {
+    async applyFiltersWithAnimation() {
         // Add subtle loading state during filtering
         this.billGridElement.style.opacity = '0.7';
         this.billGridElement.style.transition = 'opacity 0.15s ease-out';
         
+        // Update clear button state
+        this.updateClearButtonState();
+        
         // Apply filters
-        this.applyFilters();
+        await this.applyFilters();
         
         // Restore opacity with animation
         setTimeout(() => {
             this.billGridElement.style.opacity = '1';
         }, 50);
-        
-        // Update clear button state
-        this.updateClearButtonState();
     }
 
     clearAllFilters() {
@@ -518,7 +691,8 @@ class BillTracker {
             search: '',
             topics: [],
             sponsors: [],
-            status: ''
+            status: '',
+            governor: ''
         };
 
         this.searchInput.value = '';
@@ -527,12 +701,10 @@ class BillTracker {
         Array.from(this.topicsFilter.options).forEach(option => option.selected = false);
         Array.from(this.sponsorsFilter.options).forEach(option => option.selected = false);
         this.statusFilter.selectedIndex = 0;
+        this.governorFilter.selectedIndex = 0;
 
-        this.filteredBills = [...this.bills];
-        this.resetPagination();
-        this.renderBills();
-        this.updateResultsSummary();
         this.updateClearButtonState();
+        return this.applyFilters();
     }
 
     clearAllFiltersWithAnimation() {
@@ -547,8 +719,8 @@ class BillTracker {
         // Show brief loading state
         this.showFilteringState();
         
-        setTimeout(() => {
-            this.clearAllFilters();
+        setTimeout(async () => {
+            await this.clearAllFilters();
             this.hideFilteringState();
         }, 150);
     }
@@ -576,9 +748,9 @@ class BillTracker {
 
     // Announce search results to screen readers
     announceSearchResults() {
-        const count = this.filteredBills.length;
+        const count = this.totalBills;
         const hasFilters = this.filters.search || this.filters.topics.length > 0 || 
-                          this.filters.sponsors.length > 0 || this.filters.status;
+                          this.filters.sponsors.length > 0 || this.filters.status || this.filters.governor;
         
         let message = `${count} bill${count !== 1 ? 's' : ''} found`;
         if (hasFilters) {
@@ -645,10 +817,8 @@ class BillTracker {
 
         this.hideNoResults();
         
-        // Calculate bills to display based on current page
-        const startIndex = 0;
-        const endIndex = this.currentPage * this.billsPerPage;
-        this.displayedBills = this.filteredBills.slice(startIndex, endIndex);
+        // Every loaded page is displayed; "Show More" fetches the next one
+        this.displayedBills = this.filteredBills;
         
         // Clear existing rows with fade out animation
         const existingRows = this.billGridElement.querySelectorAll('.bill-row');
@@ -835,7 +1005,7 @@ class BillTracker {
         const billTitle = bill.shortTitle || bill.fullTitle || 'Untitled Bill';
         const meaningfulName = this.generateMeaningfulName(bill);
         
-        row.setAttribute('aria-label', `${bill.billNumber}: ${billTitle}. Status: ${bill.status}. Click to view details.`);
+        row.setAttribute('aria-label', `${bill.billNumber}: ${billTitle}. Status: ${bill.statusLabel || bill.status}. Click to view details.`);
         
         // Add keyboard navigation support
         row.addEventListener('keydown', (e) => {
@@ -846,18 +1016,29 @@ class BillTracker {
             }
         });
         
-        // Enhanced status mapping using Texas flag color system
+        // Enhanced status mapping using Texas flag color system; one color per lifecycle status
         const statusColors = {
             'Filed': 'bg-blue-50 text-blue-700 border-blue-200',
-            'In Committee': 'bg-yellow-50 text-yellow-700 border-yellow-200', 
-            'Passed': 'bg-green-50 text-green-700 border-green-200',
-            'Vetoed': 'bg-red-50 text-red-700 border-red-200',
+            'Referred to Committee': 'bg-yellow-50 text-yellow-700 border-yellow-200',
+            'Reported from Committee': 'bg-amber-50 text-amber-700 border-amber-200',
+            'Placed on Calendar': 'bg-violet-50 text-violet-700 border-violet-200',
+            'Passed Originating Chamber': 'bg-teal-50 text-teal-700 border-teal-200',
+            'Received in Other Chamber': 'bg-cyan-50 text-cyan-700 border-cyan-200',
+            'Passed Both Chambers': 'bg-green-50 text-green-700 border-green-200',
+            'Sent to Governor': 'bg-indigo-50 text-indigo-700 border-indigo-200',
             'Signed': 'bg-emerald-50 text-emerald-700 border-emerald-200',
+            'Vetoed': 'bg-red-50 text-red-700 border-red-200',
+            'Filed Without Signature': 'bg-lime-50 text-lime-700 border-lime-200',
             'Effective': 'bg-purple-50 text-purple-700 border-purple-200'
         };
         
         const statusColor = statusColors[bill.status] || 'bg-gray-50 text-gray-700 border-gray-200';
         
+        const hearing = this.scheduledBills.get(bill.docId || bill.id);
+        const hearingLabel = hearing
+            ? `${hearing.committeeName}, ${this.formatHearingDate(hearing.date)}${hearing.time ? ` at ${hearing.time}` : ''}`
+            : '';
+        
         // Get primary sponsor and truncate if too long
         let primarySponsor = bill.sponsors && bill.sponsors.length > 0 ? 
             (bill.sponsors[0].name || bill.sponsors[0]) : 'Unknown';
@@ -876,8 +1057,13 @@ class BillTracker {
                             ${bill.billNumber}
                         </span>
                         <span class="status-badge text-xs font-medium px-2 py-1 rounded-full border ${statusColor}">
-                            ${bill.status}
+                            ${bill.statusLabel || bill.status}
+                        </span>
+                        ${hearing ? `
+                        <span class="hearing-badge text-xs font-medium px-2 py-1 rounded-full border bg-orange-50 text-orange-700 border-orange-200" title="${hearingLabel.replace(/"/g, '&quot;')}">
+                            Scheduled for hearing
                         </span>
+                        ` : ''}
                     </div>
                     
                     <h3 class="text-lg font-semibold text-gray-900 mb-2 line-clamp-1">
@@ -895,8 +1081,11 @@ class BillTracker {
                     </div>
                 </div>
                 
-                <!-- Right section: Action button -->
-                <div class="flex-shrink-0">
+                <!-- Right section: Action buttons -->
+                <div class="flex-shrink-0 flex items-center gap-2">
+                    <button type="button" class="watch-button text-texas-blue border border-texas-blue/30 font-medium text-sm transition-colors duration-200 px-3 py-2 rounded-lg hover:bg-texas-blue/5" aria-pressed="false">
+                        Follow
+                    </button>
                     <button class="flex items-center gap-2 text-texas-blue hover:text-texas-red font-medium text-sm transition-colors duration-200 px-3 py-2 rounded-lg hover:bg-texas-blue/5">
                         View Details
                         <svg class="w-4 h-4 transition-transform duration-200 group-hover:translate-x-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -907,13 +1096,24 @@ class BillTracker {
             </div>
         `;
 
+        // Follow/unfollow without opening the bill
+        const watchButton = row.querySelector('.watch-button');
+        this.updateWatchButton(watchButton, this.watchedBills.has(bill.docId || bill.id));
+        watchButton.setAttribute('aria-label', `Follow ${bill.billNumber}`);
+        watchButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleWatch(bill, watchButton);
+        });
+        watchButton.addEventListener('keydown', (e) => e.stopPropagation());
+
         // Click handler for navigation to detail page
         row.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
             console.log('Row clicked, navigating to detail page for:', bill.billNumber);
             // Navigate to bill detail page
-            const billId = bill.id || bill.billNumber;
+            const billId = bill.docId || bill.id || bill.billNumber;
             window.location.href = `bill-detail.html?id=${encodeURIComponent(billId)}`;
         });
 
@@ -921,18 +1121,33 @@ class BillTracker {
     }
 
     resetPagination() {
-        this.currentPage = 1;
         this.displayedBills = [];
     }
 
-    showMoreBills() {
-        this.currentPage++;
-        this.renderBills();
+    async showMoreBills() {
+        if (!this.nextCursor) return;
+        
+        const requestId = this.billsRequestId;
+        const firstNewIndex = this.filteredBills.length;
+        this.showMoreButton.disabled = true;
+        
+        try {
+            const data = await this.fetchBillsPage(this.nextCursor);
+            if (requestId !== this.billsRequestId) return; // Filters changed while the page loaded
+            this.setBillsPage(data, true);
+            this.renderBills();
+            this.updateResultsSummary();
+        } catch (error) {
+            console.error('Error loading more bills:', error);
+            return;
+        } finally {
+            this.showMoreButton.disabled = false;
+        }
         
         // Smooth scroll to the new content
         setTimeout(() => {
             const newRows = this.billGridElement.querySelectorAll('.bill-row');
-            const firstNewRow = newRows[Math.max(0, (this.currentPage - 1) * this.billsPerPage)];
+            const firstNewRow = newRows[firstNewIndex];
             if (firstNewRow) {
                 firstNewRow.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
             }
@@ -942,11 +1157,11 @@ class BillTracker {
     updateShowMoreButton() {
         if (!this.showMoreButton) return;
         
-        const hasMoreBills = this.displayedBills.length < this.filteredBills.length;
+        const hasMoreBills = Boolean(this.nextCursor);
         
         if (hasMoreBills) {
             this.showMoreButton.style.display = 'block';
-            const remainingCount = this.filteredBills.length - this.displayedBills.length;
+            const remainingCount = this.totalBills - this.displayedBills.length;
             const nextBatchSize = Math.min(this.billsPerPage, remainingCount);
             this.showMoreButton.textContent = `Show ${nextBatchSize} More Bills (${remainingCount} remaining)`;
         } else {
@@ -970,7 +1185,7 @@ class BillTracker {
         }
         
         // Navigate to bill detail page
-        const billId = bill.id || bill.billNumber;
+        const billId = bill.docId || bill.id || bill.billNumber;
         window.location.href = `bill-detail.html?id=${encodeURIComponent(billId)}`;
     }
 
@@ -1002,7 +1217,7 @@ class BillTracker {
                     <div>
                         <h2 class="text-2xl font-bold text-gray-900 mb-2">${bill.billNumber}</h2>
                         <span class="inline-block px-3 py-1 text-sm font-medium rounded-full ${this.getStatusColorClass(bill.status)}">
-                            ${bill.status}
+                            ${bill.statusLabel || bill.status}
                         </span>
                     </div>
                     <button class="close-modal text-gray-400 hover:text-gray-600 text-2xl font-bold" aria-label="Close modal">
@@ -1121,10 +1336,17 @@ class BillTracker {
     getStatusColorClass(status) {
         const statusColors = {
             'Filed': 'bg-blue-100 text-blue-800',
-            'In Committee': 'bg-yellow-100 text-yellow-800', 
-            'Passed': 'bg-green-100 text-green-800',
+            'Referred to Committee': 'bg-yellow-100 text-yellow-800',
+            'Reported from Committee': 'bg-amber-100 text-amber-800',
+            'Placed on Calendar': 'bg-violet-100 text-violet-800',
+            'Passed Originating Chamber': 'bg-teal-100 text-teal-800',
+            'Received in Other Chamber': 'bg-cyan-100 text-cyan-800',
+            'Passed Both Chambers': 'bg-green-100 text-green-800',
+            'Sent to Governor': 'bg-indigo-100 text-indigo-800',
+            'Signed': 'bg-emerald-100 text-emerald-800',
             'Vetoed': 'bg-red-100 text-red-800',
-            'Signed': 'bg-emerald-100 text-emerald-800'
+            'Filed Without Signature': 'bg-lime-100 text-lime-800',
+            'Effective': 'bg-purple-100 text-purple-800'
         };
         return statusColors[status] || 'bg-gray-100 text-gray-800';
     }
@@ -1199,7 +1421,7 @@ class BillTracker {
             <div class="text-xs text-gray-300 space-y-2">
                 <div class="flex justify-between items-center">
                     <span>Status:</span> 
-                    <span class="font-semibold px-2 py-1 rounded-full text-xs" style="background-color: var(--texas-blue-light); color: var(--texas-white);">${bill.status}</span>
+                    <span class="font-semibold px-2 py-1 rounded-full text-xs" style="background-color: var(--texas-blue-light); color: var(--texas-white);">${bill.statusLabel || bill.status}</span>
                 </div>
                 <div class="flex justify-between items-center">
                     <span>Sponsor:</span> 
@@ -1288,8 +1510,8 @@ class BillTracker {
     }
 
     updateResultsSummary() {
-        const totalBills = this.bills.length;
-        const filteredCount = this.filteredBills.length;
+        const totalBills = this.allBillsCount;
+        const filteredCount = this.totalBills;
         const displayedCount = this.displayedBills.length;
         
         // Update results count to show pagination info
@@ -1302,7 +1524,8 @@ class BillTracker {
         const hasActiveFilters = this.filters.search || 
                                 this.filters.topics.length > 0 || 
                                 this.filters.sponsors.length > 0 || 
-                                this.filters.status;
+                                this.filters.status || 
+                                this.filters.governor;
         
         if (hasActiveFilters) {
             this.filterSummaryElement.classList.remove('hidden');
@@ -1343,7 +1566,8 @@ class BillTracker {
         const hasActiveFilters = this.filters.search || 
                                 this.filters.topics.length > 0 || 
                                 this.filters.sponsors.length > 0 || 
-                                this.filters.status;
+                                this.filters.status || 
+                                this.filters.governor;
         
         if (hasActiveFilters) {
             this.clearFiltersButton.classList.remove('bg-gray-100', 'text-gray-600', 'border-gray-300');
@@ -1376,7 +1600,8 @@ class BillTracker {
         const hasActiveFilters = this.filters.search || 
                                 this.filters.topics.length > 0 || 
                                 this.filters.sponsors.length > 0 || 
-                                this.filters.status;
+                                this.filters.status || 
+                                this.filters.governor;
         
         if (hasActiveFilters) {
             const noResultsContent = this.noResultsElement.querySelector('h3');
@@ -108,8 +108,17 @@ class SimpleBillDetailApp {
         
         const statusColors = {
             'Filed': 'bg-yellow-50 text-yellow-700 border-yellow-400',
-            'In Committee': 'bg-blue-50 text-blue-700 border-blue-400',
-            'Passed': 'bg-green-50 text-green-700 border-green-400'
+            'Referred to Committee': 'bg-blue-50 text-blue-700 border-blue-400',
+            'Reported from Committee': 'bg-blue-50 text-blue-700 border-blue-400',
+            'Placed on Calendar': 'bg-violet-50 text-violet-700 border-violet-400',
+            'Passed Originating Chamber': 'bg-teal-50 text-teal-700 border-teal-400',
+            'Received in Other Chamber': 'bg-cyan-50 text-cyan-700 border-cyan-400',
+            'Passed Both Chambers': 'bg-green-50 text-green-700 border-green-400',
+            'Sent to Governor': 'bg-indigo-50 text-indigo-700 border-indigo-400',
+            'Signed': 'bg-emerald-50 text-emerald-700 border-emerald-400',
+            'Vetoed': 'bg-red-50 text-red-700 border-red-400',
+            'Filed Without Signature': 'bg-lime-50 text-lime-700 border-lime-400',
+            'Effective': 'bg-purple-50 text-purple-700 border-purple-400'
         };
         
         const statusColor = statusColors[this.bill.status] || 'bg-gray-50 text-gray-700 border-gray-300';
@@ -119,7 +128,7 @@ class SimpleBillDetailApp {
                 <div class="flex items-center gap-4 mb-4">
                     <h1 class="text-2xl font-bold text-gray-900">${this.bill.billNumber}</h1>
                     <span class="px-3 py-1 rounded-full text-sm font-medium border ${statusColor}">
-                        ${this.bill.status}
+                        ${this.bill.statusLabel || this.bill.status}
                     </span>
                 </div>
                 
@@ -219,7 +219,12 @@ class BillDetailApp {
                 console.log('  - Rendering voting chart...');
                 // Add small delay to ensure DOM elements are created
                 setTimeout(() => {
+                    this.renderGovernorAction();
+                    this.renderCompanions();
                     this.renderVotingChart();
+                    this.renderHistory();
+                    this.renderStructure();
+                    this.renderVersions();
                 }, 100);
 
                 console.log('✅ All components rendered successfully');
@@ -351,15 +356,30 @@ class BillDetailApp {
         }
     }
 
-    renderBillHeader() {
-        // Enhanced status color mapping with Texas flag theme
-        const statusColors = {
-            'Filed': 'bg-yellow-50 text-yellow-700 border-yellow-400',
-            'In Committee': 'bg-texas-blue text-white border-texas-blue',
-            'Passed': 'bg-green-50 text-green-700 border-green-400'
+    /**
+     * Badge color and icon for a lifecycle status
+     */
+    getStatusStyle(status) {
+        // Enhanced status color mapping with Texas flag theme; icons mark each lifecycle status
+        const statusStyles = {
+            'Filed': { color: 'bg-yellow-50 text-yellow-700 border-yellow-400', icon: '📄' },
+            'Referred to Committee': { color: 'bg-texas-blue text-white border-texas-blue', icon: '🏛️' },
+            'Reported from Committee': { color: 'bg-blue-50 text-blue-700 border-blue-400', icon: '📝' },
+            'Placed on Calendar': { color: 'bg-violet-50 text-violet-700 border-violet-400', icon: '📅' },
+            'Passed Originating Chamber': { color: 'bg-teal-50 text-teal-700 border-teal-400', icon: '✅' },
+            'Received in Other Chamber': { color: 'bg-cyan-50 text-cyan-700 border-cyan-400', icon: '📨' },
+            'Passed Both Chambers': { color: 'bg-green-50 text-green-700 border-green-400', icon: '✅' },
+            'Sent to Governor': { color: 'bg-indigo-50 text-indigo-700 border-indigo-400', icon: '📬' },
+            'Signed': { color: 'bg-emerald-50 text-emerald-700 border-emerald-400', icon: '✍️' },
+            'Vetoed': { color: 'bg-red-50 text-red-700 border-red-400', icon: '🚫' },
+            'Filed Without Signature': { color: 'bg-lime-50 text-lime-700 border-lime-400', icon: '🖋️' },
+            'Effective': { color: 'bg-purple-50 text-purple-700 border-purple-400', icon: '⭐' }
         };
+        return statusStyles[status] || { color: 'bg-gray-50 text-gray-700 border-gray-300', icon: '📋' };
+    }
 
-        const statusColor = statusColors[this.bill.status] || 'bg-gray-50 text-gray-700 border-gray-300';
+    renderBillHeader() {
+        const statusStyle = this.getStatusStyle(this.bill.status);
 
         // Format dates if available
         const formatDate = (dateString) => {
@@ -383,8 +403,8 @@ class BillDetailApp {
                 <div class="flex-1">
                     <div class="flex flex-col sm:flex-row sm:items-center gap-3 sm:gap-4 mb-4">
                         <h1 class="heading-primary">${this.bill.billNumber}</h1>
-                        <span class="status-badge ${statusColor} text-sm px-3 py-1">
-                            ${this.bill.status === 'Filed' ? '📄' : this.bill.status === 'In Committee' ? '🏛️' : this.bill.status === 'Passed' ? '✅' : '📋'} ${this.bill.status}
+                        <span class="status-badge ${statusStyle.color} text-sm px-3 py-1">
+                            ${statusStyle.icon} ${this.bill.statusLabel || this.bill.status}
                         </span>
                     </div>
                     
@@ -585,11 +605,42 @@ class BillDetailApp {
                     </div>
                 </div>
                 
+                <div id="governor-section" class="mt-6 pt-6 border-t border-gray-200 hidden">
+                    <h4 class="text-sm font-medium text-gray-700 mb-3">Governor Action</h4>
+                    <div id="governor-container" class="text-sm"></div>
+                </div>
+
+                <div id="companion-section" class="mt-6 pt-6 border-t border-gray-200 hidden">
+                    <h4 class="text-sm font-medium text-gray-700 mb-3">Companion Bill</h4>
+                    <div id="companion-container" class="space-y-3"></div>
+                </div>
+
                 <div id="voting-section" class="mt-6 pt-6 border-t border-gray-200 hidden">
                     <h4 class="text-sm font-medium text-gray-700 mb-3">Voting Results</h4>
                     <div id="voting-chart-container"></div>
                 </div>
                 
+                <div id="history-section" class="mt-6 pt-6 border-t border-gray-200 hidden">
+                    <h4 class="text-sm font-medium text-gray-700 mb-3">What Changed</h4>
+                    <div id="history-container"></div>
+                </div>
+
+                <div id="structure-section" class="mt-6 pt-6 border-t border-gray-200 hidden">
+                    <h4 class="text-sm font-medium text-gray-700 mb-3">Contents</h4>
+                    <div id="structure-container" class="text-sm"></div>
+                </div>
+
+                <div id="versions-section" class="mt-6 pt-6 border-t border-gray-200 hidden">
+                    <h4 class="text-sm font-medium text-gray-700 mb-3">Text Versions</h4>
+                    <div class="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                        <label for="version-from" class="text-gray-600">Compare</label>
+                        <select id="version-from" class="border border-gray-300 rounded px-2 py-1"></select>
+                        <label for="version-to" class="text-gray-600">with</label>
+                        <select id="version-to" class="border border-gray-300 rounded px-2 py-1"></select>
+                    </div>
+                    <div id="redline-container" class="text-sm"></div>
+                </div>
+                
 
             </div>
         `;
@@ -769,6 +820,18 @@ class BillDetailApp {
                             </svg>
                             Share Bill
                         </button>
+                        
+                        <a 
+                            href="/api/bills/${encodeURIComponent(this.billId)}/brief?format=pdf"
+                            target="_blank"
+                            rel="noopener"
+                            class="flex items-center justify-center px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                        >
+                            <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z"></path>
+                            </svg>
+                            Print Brief (PDF)
+                        </a>
                     </div>
                 </div>
                 
@@ -1043,6 +1106,473 @@ View Details: ${window.location.href}`;
         }
     }
 
+    /**
+     * Show the bill's companions in the other chamber, each beside this bill with both statuses
+     */
+    async renderCompanions() {
+        const companionSection = document.getElementById('companion-section');
+        const container = document.getElementById('companion-container');
+
+        if (!companionSection || !container || !this.bill.companions || this.bill.companions.length === 0) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/bills/${encodeURIComponent(this.billId)}/related`, {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                console.log(`No related bills available for ${this.billId} (${response.status})`);
+                return;
+            }
+
+            const data = await response.json();
+            const { bill, related = [] } = data.data || {};
+            if (!bill || related.length === 0) {
+                return;
+            }
+
+            const relationshipLabels = { identical: 'Identical', similar: 'Similar', companion: 'Companion' };
+            const renderSide = (side, isCurrent) => {
+                const statusStyle = this.getStatusStyle(side.status);
+                const name = isCurrent
+                    ? `<span class="font-semibold text-gray-900">${this.escapeHtml(side.billNumber)}</span>`
+                    : `<a href="bill-detail.html?id=${encodeURIComponent(side.billId)}" class="font-semibold text-texas-blue hover:underline">${this.escapeHtml(side.billNumber)}</a>`;
+                return `
+                    <div class="flex-1 p-3 rounded-lg bg-gray-50">
+                        <div class="flex items-center justify-between gap-2 mb-1">
+                            ${name}
+                            <span class="text-xs text-gray-500">${this.escapeHtml(side.chamber || '')}</span>
+                        </div>
+                        ${side.status ? `<span class="status-badge ${statusStyle.color} text-xs px-2 py-0.5">${statusStyle.icon} ${this.escapeHtml(side.statusLabel || side.status)}</span>` : '<span class="text-xs text-gray-500">Not tracked yet</span>'}
+                        ${side.lastAction ? `<p class="text-xs text-gray-600 mt-2">${this.escapeHtml(side.lastAction)}</p>` : ''}
+                    </div>
+                `;
+            };
+
+            container.innerHTML = related.map(link => `
+                <div class="border border-gray-200 rounded-lg p-3">
+                    <div class="flex items-center gap-2 mb-2 text-xs text-gray-600">
+                        <span class="inline-block px-2 py-0.5 rounded-full font-medium bg-blue-50 text-blue-700">${this.escapeHtml(relationshipLabels[link.relationship] || link.relationship)}</span>
+                        <span>${link.source === 'official' ? 'Listed by the Legislature' : `Detected from matching text (${Math.round((link.similarity || 0) * 100)}% shared)`}</span>
+                    </div>
+                    <div class="flex flex-col sm:flex-row gap-3">
+                        ${renderSide(bill, true)}
+                        ${renderSide(link.found ? link : { billId: link.billId, billNumber: link.billNumber }, false)}
+                    </div>
+                </div>
+            `).join('');
+            companionSection.classList.remove('hidden');
+        } catch (error) {
+            console.log('Related bills not available:', error.message);
+        }
+    }
+
+    /**
+     * Render the bill's change history ("What changed" between scrapes)
+     */
+    async renderHistory() {
+        const historyContainer = document.getElementById('history-container');
+        const historySection = document.getElementById('history-section');
+
+        if (!historyContainer) {
+            console.log('No history container found');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/bills/${encodeURIComponent(this.billId)}/history`, {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                console.log(`No history available for ${this.billId} (${response.status})`);
+                return;
+            }
+
+            const data = await response.json();
+            const revisions = (data.data && data.data.revisions || [])
+                .filter(revision => revision.changes && revision.changes.length > 0);
+
+            // Only show the section once something has actually changed
+            if (revisions.length === 0) {
+                return;
+            }
+
+            historyContainer.innerHTML = `
+                <ol class="space-y-4">
+                    ${revisions.map(revision => this.renderRevision(revision)).join('')}
+                </ol>
+            `;
+            if (historySection) {
+                historySection.classList.remove('hidden');
+            }
+        } catch (error) {
+            console.log('History not available:', error.message);
+        }
+    }
+
+    /**
+     * Render one history revision as a list of field changes
+     * @param {Object} revision - Revision from /api/bills/:id/history
+     */
+    renderRevision(revision) {
+        const fieldLabels = {
+            status: 'Status',
+            committee: 'Committee',
+            lastAction: 'Last action',
+            lastActionDate: 'Last action date',
+            shortTitle: 'Title',
+            fullTitle: 'Full title',
+            sponsors: 'Sponsors',
+            coSponsors: 'Co-sponsors',
+            topics: 'Topics',
+            filedDate: 'Filed date'
+        };
+
+        const changedAt = new Date(revision.changedAt).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+
+        const changes = revision.changes.map(change => `
+            <li class="text-sm text-gray-700">
+                <span class="font-medium">${this.escapeHtml(fieldLabels[change.field] || change.field)}:</span>
+                <span class="text-gray-500 line-through">${this.escapeHtml(this.formatHistoryValue(change.from))}</span>
+                <span aria-hidden="true">→</span>
+                <span class="sr-only">changed to</span>
+                <span class="text-gray-900">${this.escapeHtml(this.formatHistoryValue(change.to))}</span>
+            </li>
+        `).join('');
+
+        return `
+            <li>
+                <div class="text-xs text-gray-500 mb-1">${changedAt}</div>
+                <ul class="space-y-1">${changes}</ul>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the bill's table of contents: each section with the statutes it changes, plus effective dates
+     */
+    async renderStructure() {
+        const structureSection = document.getElementById('structure-section');
+        const container = document.getElementById('structure-container');
+
+        if (!structureSection || !container) {
+            console.log('No structure container found');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/bills/${encodeURIComponent(this.billId)}/structure`, {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                console.log(`No bill structure available for ${this.billId} (${response.status})`);
+                return;
+            }
+
+            const data = await response.json();
+            const structure = data.data;
+            if (!structure || structure.sections.length === 0) {
+                return;
+            }
+
+            const actionClasses = {
+                amended: 'bg-blue-50 text-blue-700',
+                added: 'bg-green-50 text-green-700',
+                repealed: 'bg-red-50 text-red-700'
+            };
+
+            const sections = structure.sections.map(section => {
+                const statutes = section.statutes.map(statute => `
+                    <li class="text-xs">
+                        <span class="inline-block px-1.5 rounded ${actionClasses[statute.action]}">${this.escapeHtml(statute.action)}</span>
+                        ${this.escapeHtml(statute.citation)}
+                    </li>
+                `).join('');
+
+                return `
+                    <li class="py-2 border-b border-gray-100">
+                        <div class="flex items-baseline justify-between gap-2">
+                            <span class="font-medium text-gray-800">${this.escapeHtml(section.heading)}</span>
+                            <span class="text-xs text-gray-400">${section.wordCount} words</span>
+                        </div>
+                        <p class="text-xs text-gray-600 mt-1">${this.escapeHtml(section.preview)}</p>
+                        ${statutes ? `<ul class="mt-1 space-y-1">${statutes}</ul>` : ''}
+                    </li>
+                `;
+            }).join('');
+
+            const effectiveDates = structure.effectiveDates.map(clause => `
+                <li class="text-xs text-gray-700">${this.escapeHtml(clause.text)}</li>
+            `).join('');
+
+            container.innerHTML = `
+                ${structure.amendedCodes.length > 0 ? `
+                    <p class="text-xs text-gray-600 mb-2">Changes the ${structure.amendedCodes.map(code => this.escapeHtml(code)).join(', ')}</p>
+                ` : ''}
+                ${effectiveDates ? `
+                    <div class="bg-gray-50 rounded-lg p-3 mb-3">
+                        <h5 class="text-xs font-medium text-gray-700 mb-1">Effective Date</h5>
+                        <ul class="space-y-1">${effectiveDates}</ul>
+                    </div>
+                ` : ''}
+                <ol>${sections}</ol>
+            `;
+            structureSection.classList.remove('hidden');
+        } catch (error) {
+            console.log('Bill structure not available:', error.message);
+        }
+    }
+
+    /**
+     * Show what the governor did with the bill, or how long is left to act on it
+     * The veto deadline counts 10 days (Sundays excepted) during the session, 20 days after sine die
+     */
+    renderGovernorAction() {
+        const governorSection = document.getElementById('governor-section');
+        const container = document.getElementById('governor-container');
+        const governorAction = this.bill.governorAction;
+
+        if (!governorSection || !container || !governorAction) {
+            return;
+        }
+
+        // Dates are calendar days (YYYY-MM-DD), so format them without shifting time zones
+        const formatDay = (dateKey) => dateKey
+            ? new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+            : null;
+
+        const actionStyles = {
+            'signed': 'bg-emerald-50 text-emerald-700',
+            'line-item-veto': 'bg-amber-50 text-amber-700',
+            'vetoed': 'bg-red-50 text-red-700',
+            'filed-without-signature': 'bg-lime-50 text-lime-700',
+            'pending': 'bg-orange-50 text-orange-700'
+        };
+
+        const vetoPeriod = governorAction.vetoPeriod;
+        let countdown = '';
+        if (vetoPeriod && vetoPeriod.deadline) {
+            const rule = vetoPeriod.rule === 'after-adjournment'
+                ? '20 days after the session adjourned'
+                : '10 days after it was presented, Sundays excepted';
+            let remaining = '';
+            if (governorAction.action === 'pending') {
+                remaining = vetoPeriod.expired
+                    ? ' — the deadline has passed'
+                    : ` — ${vetoPeriod.daysRemaining} day${vetoPeriod.daysRemaining !== 1 ? 's' : ''} left`;
+            }
+            countdown = `
+                <p class="text-xs text-gray-600 mt-2">
+                    Presented ${this.escapeHtml(formatDay(vetoPeriod.presentedDate))}.
+                    Deadline to act: <strong>${this.escapeHtml(formatDay(vetoPeriod.deadline))}</strong>${remaining}
+                    <span class="text-gray-400">(${rule})</span>
+                </p>
+            `;
+        }
+
+        const effective = this.bill.effective;
+        const takesEffect = effective && effective.date ? `
+            <p class="text-xs text-gray-600 mt-2">
+                Takes effect <strong>${this.escapeHtml(formatDay(effective.date))}</strong>${effective.immediateEffect ? ' (immediate effect)' : ''}
+                ${effective.provisions.length > 0 ? `<span class="text-gray-400">; ${effective.provisions.length} section${effective.provisions.length !== 1 ? 's' : ''} on other dates</span>` : ''}
+            </p>
+        ` : '';
+
+        const proclamation = governorAction.proclamation;
+        container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2">
+                <span class="inline-block px-3 py-1 rounded-full font-medium ${actionStyles[governorAction.action] || 'bg-gray-50 text-gray-700'}">
+                    ${this.escapeHtml(governorAction.label)}
+                </span>
+                ${governorAction.date ? `<span class="text-gray-600">${this.escapeHtml(formatDay(governorAction.date))}</span>` : ''}
+                ${governorAction.chapter ? `<span class="text-gray-600">Session law chapter ${this.escapeHtml(String(governorAction.chapter))}</span>` : ''}
+            </div>
+            ${countdown}
+            ${takesEffect}
+            ${proclamation ? `
+                <details class="mt-3 bg-gray-50 rounded-lg p-3">
+                    <summary class="text-xs font-medium text-gray-700 cursor-pointer">Veto proclamation</summary>
+                    ${proclamation.text ? `<p class="text-xs text-gray-700 mt-2 whitespace-pre-line">${this.escapeHtml(proclamation.text)}</p>` : ''}
+                    ${proclamation.url ? `<a href="${this.escapeHtml(proclamation.url)}" target="_blank" rel="noopener noreferrer" class="text-xs text-blue-700 underline mt-2 inline-block">Read the proclamation</a>` : ''}
+                </details>
+            ` : ''}
+        `;
+        governorSection.classList.remove('hidden');
+    }
+
+    /**
+     * Render the redline viewer when the bill has more than one text version
+     * Opens on the first committee substitute, since that is usually the version analysts want to compare
+     */
+    async renderVersions() {
+        const versionsSection = document.getElementById('versions-section');
+        const fromSelect = document.getElementById('version-from');
+        const toSelect = document.getElementById('version-to');
+
+        if (!versionsSection || !fromSelect || !toSelect) {
+            console.log('No versions container found');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/bills/${encodeURIComponent(this.billId)}/versions`, {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                console.log(`No text versions available for ${this.billId} (${response.status})`);
+                return;
+            }
+
+            const data = await response.json();
+            const versions = (data.data && data.data.versions) || [];
+            if (versions.length < 2) {
+                return;
+            }
+
+            const options = versions.map(version => `
+                <option value="${this.escapeHtml(version.code)}">${this.escapeHtml(version.name)}${version.isSubstitute ? ' (substitute)' : ''}</option>
+            `).join('');
+            fromSelect.innerHTML = options;
+            toSelect.innerHTML = options;
+
+            const substituteIndex = versions.findIndex(version => version.isSubstitute);
+            const toIndex = substituteIndex > 0 ? substituteIndex : versions.length - 1;
+            fromSelect.value = versions[toIndex - 1].code;
+            toSelect.value = versions[toIndex].code;
+
+            fromSelect.addEventListener('change', () => this.loadRedline());
+            toSelect.addEventListener('change', () => this.loadRedline());
+
+            versionsSection.classList.remove('hidden');
+            await this.loadRedline();
+        } catch (error) {
+            console.log('Text versions not available:', error.message);
+        }
+    }
+
+    /**
+     * Load and render the diff between the selected versions
+     */
+    async loadRedline() {
+        const container = document.getElementById('redline-container');
+        const from = document.getElementById('version-from').value;
+        const to = document.getElementById('version-to').value;
+
+        container.innerHTML = '<p class="text-gray-500">Comparing versions...</p>';
+
+        try {
+            const params = new URLSearchParams({ from, to });
+            const response = await fetch(`/api/bills/${encodeURIComponent(this.billId)}/versions/diff?${params}`, {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            container.innerHTML = this.renderRedline(data.data);
+        } catch (error) {
+            console.log('Version comparison not available:', error.message);
+            container.innerHTML = '<p class="text-gray-500">Could not compare these versions.</p>';
+        }
+    }
+
+    /**
+     * Render a version diff: changed sections in redline, unchanged sections collapsed to their headings
+     * @param {Object} diff - Diff from /api/bills/:id/versions/diff
+     * @returns {string} HTML
+     */
+    renderRedline(diff) {
+        const { stats } = diff;
+        const statusLabels = {
+            added: 'Added',
+            removed: 'Removed',
+            changed: 'Changed',
+            renumbered: 'Renumbered'
+        };
+
+        const renderOp = op => {
+            const text = this.escapeHtml(op.text);
+            if (op.type === 'insert') {
+                return `<ins class="bg-green-100 text-green-900 no-underline">${text}</ins>`;
+            }
+            if (op.type === 'delete') {
+                return `<del class="bg-red-100 text-red-800">${text}</del>`;
+            }
+            return text;
+        };
+
+        const sections = diff.sections.map(section => {
+            const heading = section.status === 'renumbered'
+                ? `${section.heading} (was ${section.previousHeading})`
+                : section.heading;
+
+            if (section.status === 'unchanged') {
+                return `<li class="text-xs text-gray-400">${this.escapeHtml(heading)} unchanged</li>`;
+            }
+
+            return `
+                <li class="border border-gray-200 rounded-lg p-3">
+                    <div class="flex items-center justify-between mb-2">
+                        <span class="text-xs font-medium text-gray-700">${this.escapeHtml(heading)}</span>
+                        <span class="text-xs text-gray-500">${statusLabels[section.status]}</span>
+                    </div>
+                    <p class="leading-relaxed text-gray-800">${section.ops.map(renderOp).join(' ')}</p>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <p class="text-xs text-gray-600 mb-3">
+                ${stats.wordsInserted} words added, ${stats.wordsDeleted} removed •
+                ${stats.sectionsChanged} sections changed, ${stats.sectionsAdded} added, ${stats.sectionsRemoved} removed
+            </p>
+            <ol class="space-y-2">${sections}</ol>
+        `;
+    }
+
+    /**
+     * Format a history value (strings, dates, sponsor lists) for display
+     */
+    formatHistoryValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return 'None';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => (item && typeof item === 'object' ? item.name : item)).filter(Boolean).join(', ') || 'None';
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            return new Date(value).toLocaleDateString('en-US');
+        }
+        return String(value);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Render voting results with real data
      * @param {HTMLElement} container - Container element
@@ -1120,6 +1650,9 @@ View Details: ${window.location.href}`;
                             <div class="text-xs text-gray-600">
                                 Total votes: ${totalVotes} • ${yeaPercent}% in favor
                             </div>
+
+                            ${vote.parties ? `<div id="voting-party-chart-${index}" class="pt-2"></div>` : ''}
+                            ${Array.isArray(vote.members) ? this.renderRollCallMembers(vote.members) : ''}
                         </div>
                     ` : `
                         <p class="text-sm text-gray-600">${vote.description || 'Vote recorded without detailed counts'}</p>
@@ -1143,6 +1676,50 @@ View Details: ${window.location.href}`;
         `;
 
         container.innerHTML = html;
+
+        // Party splits for roll calls with per-member votes
+        if (window.votingChart) {
+            sortedVotes.forEach((vote, index) => {
+                if (vote.parties) {
+                    window.votingChart.createDetailChart(`voting-party-chart-${index}`, window.votingChart.toPartySplit(vote));
+                }
+            });
+        }
+    }
+
+    /**
+     * Render a roll call's per-member votes, grouped by vote
+     * @param {Array} members - Roll call members ({ name, vote, party })
+     * @returns {string} HTML
+     */
+    renderRollCallMembers(members) {
+        const groups = [
+            { vote: 'yea', label: 'Yeas' },
+            { vote: 'nay', label: 'Nays' },
+            { vote: 'present', label: 'Present, not voting' },
+            { vote: 'absent', label: 'Absent' }
+        ];
+        const partyInitial = { Republican: 'R', Democrat: 'D' };
+
+        const lists = groups
+            .map(group => ({ ...group, members: members.filter(member => member.vote === group.vote) }))
+            .filter(group => group.members.length > 0)
+            .map(group => `
+                <div>
+                    <div class="font-medium text-gray-700">${group.label} (${group.members.length})</div>
+                    <p class="text-gray-600">${group.members
+                        .map(member => this.escapeHtml(member.name) + (partyInitial[member.party] ? ` (${partyInitial[member.party]})` : ''))
+                        .join(', ')}</p>
+                </div>
+            `)
+            .join('');
+
+        return `
+            <details class="text-xs">
+                <summary class="cursor-pointer text-blue-600 hover:text-blue-800">How each member voted</summary>
+                <div class="mt-2 space-y-2">${lists}</div>
+            </details>
+        `;
     }
 
 
@@ -0,0 +1,114 @@
+// Texas Senate Bill Tracker - New laws taking effect, grouped by effective date
+class EffectiveLawsApp {
+    constructor() {
+        this.fromInput = document.getElementById('effective-from');
+        this.toInput = document.getElementById('effective-to');
+        this.loadingElement = document.getElementById('loading');
+        this.summaryElement = document.getElementById('effective-summary');
+        this.groupsElement = document.getElementById('effective-groups');
+        this.errorElement = document.getElementById('effective-error');
+        // Incremented per range change so responses to older requests are ignored
+        this.requestId = 0;
+
+        // Default to the current month
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+        this.fromInput.value = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-01`;
+        this.toInput.value = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(lastDay)}`;
+
+        [this.fromInput, this.toInput].forEach(input => input.addEventListener('change', () => this.loadLaws()));
+        this.loadLaws();
+    }
+
+    async loadLaws() {
+        const requestId = ++this.requestId;
+        const params = new URLSearchParams({ from: this.fromInput.value, to: this.toInput.value });
+
+        this.loadingElement.classList.remove('hidden');
+        this.errorElement.classList.add('hidden');
+
+        try {
+            const response = await fetch(`/api/laws/effective?${params}`, { headers: { 'Accept': 'application/json' } });
+            const data = await response.json();
+            if (requestId !== this.requestId) return;
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to load laws (${response.status})`);
+            }
+            this.renderGroups(data.data, data.total);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('❌ Error loading effective dates:', error);
+            this.groupsElement.innerHTML = '';
+            this.summaryElement.classList.add('hidden');
+            this.errorElement.textContent = error.message;
+            this.errorElement.classList.remove('hidden');
+        } finally {
+            if (requestId === this.requestId) {
+                this.loadingElement.classList.add('hidden');
+            }
+        }
+    }
+
+    renderGroups(groups, total) {
+        this.summaryElement.textContent = total === 0
+            ? 'No enacted bills take effect in this range.'
+            : `${total} law${total !== 1 ? 's' : ''} taking effect on ${groups.length} day${groups.length !== 1 ? 's' : ''}`;
+        this.summaryElement.classList.remove('hidden');
+
+        this.groupsElement.innerHTML = groups.map(group => `
+            <section class="bg-white rounded-xl shadow-sm border border-gray-200 p-4" aria-label="Taking effect ${this.formatDay(group.date)}">
+                <h2 class="text-base font-semibold text-texas-blue mb-3">
+                    ${this.formatDay(group.date)}
+                    <span class="text-sm font-normal text-gray-500">(${group.count})</span>
+                </h2>
+                <ul class="divide-y divide-gray-100 text-sm">
+                    ${group.bills.map(bill => this.renderBill(bill)).join('')}
+                </ul>
+            </section>
+        `).join('');
+    }
+
+    renderBill(bill) {
+        const notes = [];
+        if (bill.immediateEffect) notes.push('Immediate effect');
+        if (bill.basis === 'default') notes.push('91st day after adjournment');
+        if (bill.governorAction === 'filed-without-signature') notes.push('Filed without signature');
+        if (bill.governorAction === 'line-item-veto') notes.push('Line-item vetoes');
+
+        const provisions = bill.provisions.map(provision => `
+            <li class="text-xs text-gray-600">${this.escapeHtml(provision.text)}</li>
+        `).join('');
+
+        return `
+            <li class="py-2">
+                <div class="flex flex-wrap items-baseline gap-2">
+                    <a href="bill-detail.html?id=${encodeURIComponent(bill.billId)}" class="font-medium text-texas-blue hover:underline">
+                        ${this.escapeHtml(bill.billNumber)}
+                    </a>
+                    <span class="text-gray-800">${this.escapeHtml(bill.shortTitle)}</span>
+                    ${bill.partial ? '<span class="text-xs px-2 rounded-full bg-amber-50 text-amber-700">Some sections</span>' : ''}
+                    ${notes.map(note => `<span class="text-xs text-gray-500">${note}</span>`).join('')}
+                </div>
+                ${provisions ? `<ul class="mt-1 space-y-1">${provisions}</ul>` : ''}
+            </li>
+        `;
+    }
+
+    // Dates are calendar days (YYYY-MM-DD), so format them without shifting time zones
+    formatDay(dateKey) {
+        return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.effectiveLawsApp = new EffectiveLawsApp();
+});
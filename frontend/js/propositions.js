@@ -0,0 +1,116 @@
+// Texas Senate Bill Tracker - Constitutional amendment propositions, grouped by election
+class PropositionsApp {
+    constructor() {
+        this.showPastInput = document.getElementById('show-past');
+        this.loadingElement = document.getElementById('loading');
+        this.summaryElement = document.getElementById('propositions-summary');
+        this.electionsElement = document.getElementById('elections');
+        this.errorElement = document.getElementById('propositions-error');
+        // Incremented per reload so responses to older requests are ignored
+        this.requestId = 0;
+
+        this.showPastInput.addEventListener('change', () => this.loadPropositions());
+        this.loadPropositions();
+    }
+
+    async loadPropositions() {
+        const requestId = ++this.requestId;
+        const query = this.showPastInput.checked ? '' : '?upcoming=true';
+
+        this.loadingElement.classList.remove('hidden');
+        this.errorElement.classList.add('hidden');
+
+        try {
+            const response = await fetch(`/api/propositions${query}`, { headers: { 'Accept': 'application/json' } });
+            const data = await response.json();
+            if (requestId !== this.requestId) return;
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to load propositions (${response.status})`);
+            }
+            this.renderElections(data.data, data.total);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('❌ Error loading propositions:', error);
+            this.electionsElement.innerHTML = '';
+            this.summaryElement.classList.add('hidden');
+            this.errorElement.textContent = error.message;
+            this.errorElement.classList.remove('hidden');
+        } finally {
+            if (requestId === this.requestId) {
+                this.loadingElement.classList.add('hidden');
+            }
+        }
+    }
+
+    renderElections(elections, total) {
+        this.summaryElement.textContent = total === 0
+            ? 'No constitutional amendments are on an upcoming ballot.'
+            : `${total} proposition${total !== 1 ? 's' : ''} on ${elections.length} ballot${elections.length !== 1 ? 's' : ''}`;
+        this.summaryElement.classList.remove('hidden');
+
+        this.electionsElement.innerHTML = elections.map(election => `
+            <section class="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                <h2 class="text-base font-semibold text-texas-blue mb-3">
+                    ${election.electionDate ? `${this.formatDay(election.electionDate)} Election` : 'Election date not set'}
+                    <span class="text-sm font-normal text-gray-500">(${election.count})</span>
+                </h2>
+                <ol class="divide-y divide-gray-100 text-sm">
+                    ${election.propositions.map(proposition => this.renderProposition(proposition)).join('')}
+                </ol>
+            </section>
+        `).join('');
+    }
+
+    renderProposition(proposition) {
+        const statusStyles = {
+            'on-ballot': 'bg-blue-50 text-blue-700',
+            'adopted': 'bg-green-50 text-green-700',
+            'rejected': 'bg-red-50 text-red-700'
+        };
+        const statusLabels = { 'on-ballot': 'On the ballot', 'adopted': 'Adopted', 'rejected': 'Rejected' };
+
+        let results = '';
+        if (proposition.results) {
+            const { for: votesFor, against } = proposition.results;
+            const share = votesFor + against > 0 ? Math.round((votesFor / (votesFor + against)) * 1000) / 10 : 0;
+            results = `
+                <p class="text-xs text-gray-600 mt-1">
+                    For ${votesFor.toLocaleString()} (${share}%), against ${against.toLocaleString()}
+                </p>
+            `;
+        }
+
+        return `
+            <li class="py-3">
+                <div class="flex flex-wrap items-baseline gap-2">
+                    <span class="font-semibold text-gray-900">${proposition.number ? `Proposition ${proposition.number}` : 'Number not yet assigned'}</span>
+                    <a href="bill-detail.html?id=${encodeURIComponent(proposition.billId)}" class="text-texas-blue hover:underline">
+                        ${this.escapeHtml(proposition.billNumber)}
+                    </a>
+                    <span class="text-xs px-2 rounded-full ${statusStyles[proposition.status] || 'bg-gray-50 text-gray-700'}">
+                        ${statusLabels[proposition.status] || this.escapeHtml(proposition.status)}
+                    </span>
+                </div>
+                <p class="text-gray-800 mt-1">${this.escapeHtml(proposition.ballotLanguage || proposition.shortTitle)}</p>
+                ${results}
+            </li>
+        `;
+    }
+
+    // Dates are calendar days (YYYY-MM-DD), so format them without shifting time zones
+    formatDay(dateKey) {
+        return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+            year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.propositionsApp = new PropositionsApp();
+});
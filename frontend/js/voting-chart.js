@@ -185,6 +185,25 @@ class VotingChart {
         );
     }
 
+    /**
+     * Party split of a roll call from the voting API
+     * @param {Object} rollCall - Roll call with party counts ({ parties, date })
+     * @returns {Object} Voting data for createChart
+     */
+    toPartySplit(rollCall) {
+        const parties = rollCall.parties || {};
+        const republican = parties.Republican || {};
+        const democrat = parties.Democrat || {};
+
+        return {
+            republicanYes: republican.yea || 0,
+            republicanNo: republican.nay || 0,
+            democratYes: democrat.yea || 0,
+            democratNo: democrat.nay || 0,
+            voteDate: rollCall.date
+        };
+    }
+
     /**
      * Create a mini chart for bill cards
      * @param {string} containerId - Container ID
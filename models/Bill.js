@@ -1,32 +1,159 @@
+const { billLifecycle, VALID_STATUSES } = require('../config/bill-lifecycle');
+const { idStandardizer } = require('../config/id-standardizer');
+
 /**
  * @typedef {Object} SponsorInfo
  * @property {string} name - Sponsor's name
  * @property {string} [photoUrl] - URL to sponsor's photo
  * @property {string} [district] - Sponsor's district
+ * @property {string} [legislatorId] - Linked legislator record (TLO member code)
+ */
+
+/**
+ * @typedef {Object} LegislatorLink
+ * @property {string} legislatorId - Legislator record (TLO member code)
+ * @property {string} name - Member's name
+ * @property {'author'|'coauthor'|'sponsor'} role - Member's role on the bill
+ */
+
+/**
+ * @typedef {Object} RollCallMember
+ * @property {string} name - Member's name as printed in the journal
+ * @property {'yea'|'nay'|'present'|'absent'} vote - Member's vote
+ * @property {string|null} legislatorId - Linked legislator record, null when unmatched
+ * @property {string|null} party - Member's party from the legislator directory
+ */
+
+/**
+ * @typedef {Object} RollCall
+ * @property {string} id - Chamber and record number (e.g., "House-1234")
+ * @property {'Senate'|'House'} chamber - Chamber that took the vote
+ * @property {Date} date - Date of the vote
+ * @property {string|null} recordNumber - Record vote number
+ * @property {string} description - History action the vote belongs to
+ * @property {'passed'|'failed'} result - Outcome of the vote
+ * @property {Object} votes - Counts by vote ({ yea, nay, present, absent })
+ * @property {RollCallMember[]} members - Per-member votes
+ * @property {Object} parties - Counts by vote for each party ("Unknown" for unmatched members)
+ * @property {string} journalUrl - Journal page the vote was parsed from
+ */
+
+/**
+ * @typedef {Object} StatuteReference
+ * @property {'amended'|'added'|'repealed'} action - What the bill does to the statute
+ * @property {string} code - Code name (e.g., "Education Code", "Code of Criminal Procedure")
+ * @property {'section'|'article'|'subchapter'|'chapter'|'subtitle'|'title'} unit - Unit of the code cited
+ * @property {string} number - Section, article or chapter-level identifier (e.g., "552.003", "C")
+ * @property {string|null} subsections - Subsections cited (e.g., "(a)(2)")
+ * @property {string|null} chapter - Chapter of a cited subchapter
+ * @property {string} citation - Citation as written in statute (e.g., "Section 552.003, Government Code")
+ * @property {string} billSection - Bill section making the change
+ */
+
+/**
+ * @typedef {Object} BillStructure
+ * @property {string} caption - Text before the first section
+ * @property {Object[]} sections - Sections ({ number, type, heading, preview, wordCount, statutes, hasEffectiveDate })
+ * @property {StatuteReference[]} statutes - Every statute the bill changes
+ * @property {string[]} amendedCodes - Codes the bill changes
+ * @property {Object[]} effectiveDates - Effective-date clauses ({ type, date, text, billSection })
+ * @property {Date} parsedAt - When the text was parsed
+ */
+
+/**
+ * @typedef {Object} LifecycleTransition
+ * @property {string} status - Lifecycle status the bill moved to
+ * @property {'Senate'|'House'|null} chamber - Chamber the step happened in, null for steps after both chambers
+ * @property {string} label - Display label (e.g., "Passed Senate")
+ * @property {string|null} date - Date of the action (YYYY-MM-DD)
+ * @property {string} action - Action text that caused the transition
+ */
+
+/**
+ * @typedef {Object} BillLifecycle
+ * @property {'Filed'|'Referred to Committee'|'Reported from Committee'|'Placed on Calendar'|'Passed Originating Chamber'|'Received in Other Chamber'|'Passed Both Chambers'|'Sent to Governor'|'Signed'|'Vetoed'|'Filed Without Signature'|'Effective'} status - Current lifecycle status
+ * @property {'Senate'|'House'|null} chamber - Chamber the bill is in, for steps taken in one chamber
+ * @property {string} label - Display label (e.g., "Passed Senate", "On House Calendar")
+ * @property {string|null} date - Date the bill reached the status (YYYY-MM-DD)
+ * @property {LifecycleTransition[]} transitions - Each step the bill has taken, oldest first
+ */
+
+/**
+ * @typedef {Object} GovernorAction
+ * @property {'signed'|'line-item-veto'|'vetoed'|'filed-without-signature'|null} action - What the governor did, null while awaiting action
+ * @property {string|null} date - Date of the action (YYYY-MM-DD)
+ * @property {string|null} presentedDate - Date the bill was sent to the governor (YYYY-MM-DD)
+ * @property {string|null} chapter - Session law chapter number
+ * @property {string|null} actionText - History action text
+ * @property {Object|null} proclamation - Veto proclamation ({ url, text })
+ * @property {string} historyUrl - History page the action was parsed from
+ */
+
+/**
+ * @typedef {Object} EffectiveDate
+ * @property {string|null} date - Date the Act takes effect (YYYY-MM-DD)
+ * @property {'history'|'immediate'|'text'|'default'} basis - History action, immediate-effect clause, other clause in the enrolled text, or the 91st day after adjournment
+ * @property {boolean|null} immediateEffect - Whether the bill took immediate effect, null when its record votes are unknown
+ * @property {string|null} lawDate - Date the bill became law (YYYY-MM-DD)
+ * @property {string|null} clause - Effective-date clause the date came from
+ * @property {Object[]} provisions - Sections taking effect on other dates ({ date, type, text, billSection })
+ */
+
+/**
+ * @typedef {Object} Proposition
+ * @property {string|null} electionDate - Election the amendment is submitted to the voters at (YYYY-MM-DD)
+ * @property {string|null} ballotLanguage - Proposition text printed on the ballot
+ */
+
+/**
+ * @typedef {Object} CompanionLink
+ * @property {string} billId - Document ID of the related bill (e.g., "89R-HB17")
+ * @property {string} billNumber - Related bill number (e.g., "HB 17")
+ * @property {'identical'|'similar'|'companion'} relationship - How closely the bills match
+ * @property {'official'|'text'} source - Companion field of the History page, or detected from the bill texts
+ * @property {string|null} author - Author of the related bill, as named on the History page
+ * @property {number|null} similarity - Share of wording the texts have in common, for detected links
  */
 
 /**
  * @typedef {Object} BillData
  * @property {string} id - Unique bill identifier
- * @property {string} billNumber - Official bill number (e.g., "SB 123")
+ * @property {string} billNumber - Official bill number (e.g., "SB 123", "HJR 4")
+ * @property {string} [session] - Legislative session code (e.g., "89R", "891")
+ * @property {'Senate'|'House'} [chamber] - Chamber the bill was filed in
  * @property {string} shortTitle - Short title of the bill
  * @property {string} fullTitle - Full title of the bill
- * @property {'Filed'|'In Committee'|'Passed'} status - Current status of the bill
+ * @property {string} status - Lifecycle status (see BillLifecycle); "In Committee" and "Passed" from older records are still accepted
+ * @property {Object[]} [stages] - Stages from BillStages.aspx ({ date, action, location, status, rawDate })
+ * @property {BillLifecycle} [lifecycle] - Lifecycle derived from the stages when the bill was scraped
+ * @property {GovernorAction} [governorAction] - Governor's action, scraped once the bill passes both chambers
+ * @property {EffectiveDate} [effective] - When the bill takes effect, once it is law
+ * @property {Proposition} [proposition] - Ballot details parsed from a joint resolution's text
+ * @property {CompanionLink[]} [companions] - Identical or similar bills in the other chamber
  * @property {SponsorInfo[]} [sponsors] - Array of sponsor information
  * @property {string} [officialUrl] - URL to official Texas Legislature page
  * @property {string} [billText] - Full text of the bill
  * @property {string} [abstract] - Bill abstract/summary
  * @property {string} [committee] - Committee handling the bill
  * @property {string[]} [coSponsors] - Array of co-sponsor names
+ * @property {string[]} [coauthors] - Array of coauthor names
+ * @property {LegislatorLink[]} [legislators] - Authors, coauthors and sponsors linked to legislator records
+ * @property {string[]} [legislatorIds] - Ids of every linked legislator, for lookups by member
  * @property {Date} [filedDate] - Date the bill was filed
  * @property {Date} [lastUpdated] - Last update timestamp
  * @property {string[]} [topics] - Array of topic tags
+ * @property {boolean} [missingFromReport] - Bill no longer appears in its filed bills report
+ * @property {Date} [lastSeenAt] - Last time the bill appeared in a report scrape
  * @property {Object} [voting] - Voting information for passed bills
  * @property {number} [voting.republicanYes] - Republican yes votes
  * @property {number} [voting.republicanNo] - Republican no votes
  * @property {number} [voting.democratYes] - Democrat yes votes
  * @property {number} [voting.democratNo] - Democrat no votes
  * @property {Date} [voting.voteDate] - Date of the vote
+ * @property {Object} [votingData] - Recorded votes ({ votes, summary, lastUpdated, source })
+ * @property {RollCall[]} [votingData.votes] - Roll calls parsed from the journals
+ * @property {BillStructure} [structure] - Sections and statute references parsed from the bill text
+ * @property {string[]} [amendedCodes] - Codes the bill amends, adds to or repeals
  */
 
 /**
@@ -42,9 +169,13 @@ class Bill {
     
     this.id = data.id;
     this.billNumber = data.billNumber;
+    this.billType = idStandardizer.getBillType(idStandardizer.standardize(data.billNumber));
+    this.session = data.session || null;
+    this.chamber = data.chamber || null;
     this.shortTitle = data.shortTitle;
     this.fullTitle = data.fullTitle;
-    this.status = data.status;
+    this.lifecycle = billLifecycle.resolve(data);
+    this.status = this.lifecycle.status;
     this.sponsors = data.sponsors || [];
     this.officialUrl = data.officialUrl || '';
     this.billText = data.billText || '';
@@ -55,6 +186,8 @@ class Bill {
     this.lastUpdated = data.lastUpdated || new Date();
     this.topics = data.topics || [];
     this.voting = data.voting || null;
+    this.missingFromReport = data.missingFromReport || false;
+    this.lastSeenAt = data.lastSeenAt || null;
   }
 
   /**
@@ -64,7 +197,6 @@ class Bill {
    */
   validateRequiredFields(data) {
     const requiredFields = ['id', 'billNumber', 'shortTitle', 'fullTitle', 'status'];
-    const validStatuses = ['Filed', 'In Committee', 'Passed', 'Signed', 'Vetoed', 'Effective'];
 
     for (const field of requiredFields) {
       if (!data[field] || typeof data[field] !== 'string' || data[field].trim() === '') {
@@ -72,13 +204,13 @@ class Bill {
       }
     }
 
-    if (!validStatuses.includes(data.status)) {
-      throw new Error(`Invalid status '${data.status}'. Must be one of: ${validStatuses.join(', ')}`);
+    if (!VALID_STATUSES.includes(data.status)) {
+      throw new Error(`Invalid status '${data.status}'. Must be one of: ${VALID_STATUSES.join(', ')}`);
     }
 
-    // Validate bill number format (should start with SB for Senate Bill)
-    if (!data.billNumber.match(/^SB\s*\d+$/i)) {
-      throw new Error(`Invalid bill number format '${data.billNumber}'. Expected format: SB ###`);
+    // Validate bill number format (Senate or House bill/resolution prefix followed by a number)
+    if (!data.billNumber.match(/^(SB|HB|SJR|HJR|SCR|HCR|SR|HR)\s*\d+$/i)) {
+      throw new Error(`Invalid bill number format '${data.billNumber}'. Expected format: SB ### or HB ###`);
     }
   }
 
@@ -87,12 +219,7 @@ class Bill {
    * @returns {string} Color name for the status
    */
   getStatusColor() {
-    const colors = {
-      'Filed': 'yellow',
-      'In Committee': 'blue',
-      'Passed': 'green'
-    };
-    return colors[this.status] || 'gray';
+    return billLifecycle.getStatusColor(this.status);
   }
 
   /**
@@ -194,9 +321,14 @@ class Bill {
     return {
       id: this.id,
       billNumber: this.billNumber,
+      billType: this.billType,
+      session: this.session,
+      chamber: this.chamber,
       shortTitle: this.shortTitle,
       fullTitle: this.fullTitle,
       status: this.status,
+      statusLabel: this.lifecycle.label,
+      lifecycle: this.lifecycle,
       sponsors: this.sponsors,
       officialUrl: this.officialUrl,
       billText: this.billText,
@@ -206,7 +338,9 @@ class Bill {
       filedDate: this.filedDate,
       lastUpdated: this.lastUpdated,
       topics: this.topics,
-      voting: this.voting
+      voting: this.voting,
+      missingFromReport: this.missingFromReport,
+      lastSeenAt: this.lastSeenAt
     };
   }
 }
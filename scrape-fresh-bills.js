@@ -60,9 +60,9 @@ async function scrapeFreshBills() {
             throw new Error('No bills were scraped from the website');
         }
         
-        console.log(`✅ Successfully scraped ${bills.length} bills (limited to 50 most recent)`);
+        console.log(`✅ Successfully scraped ${bills.length} bills from the full reports`);
         
-        // Bills are already sorted and limited by the scraper
+        // Bills are already sorted by the scraper
         const sortedBills = bills;
         
         console.log('✅ Bills are already sorted by most recent first');
@@ -74,7 +74,8 @@ async function scrapeFreshBills() {
         
         for (const bill of sortedBills) {
             try {
-                await billDatabase.saveBill(bill);
+                // The reports only list bills, so fetch text, stages and votes before saving
+                await billDatabase.saveBill(await scraper.fetchBillDetails(bill));
                 savedCount++;
                 
                 if (savedCount % 10 === 0) {
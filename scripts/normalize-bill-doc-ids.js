@@ -1,16 +1,13 @@
-// Migration helper: normalize existing bill document IDs to canonical form
+// Migration helper: normalize existing bill document IDs to canonical session-qualified form ("89R-SB1")
 // WARNING: This script will copy documents to new normalized IDs. It will NOT delete originals.
 // Run locally with: node scripts/normalize-bill-doc-ids.js
 
 require('dotenv').config();
 const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { idStandardizer } = require('../config/id-standardizer');
 const yargs = require('yargs');
 
-function normalizeId(rawId) {
-  if (!rawId) return null;
-  return String(rawId).replace(/\s+/g, '').toUpperCase();
-}
-
 const argv = yargs(process.argv.slice(2))
   .option('dry-run', {
     alias: 'd',
@@ -18,6 +15,11 @@ const argv = yargs(process.argv.slice(2))
     default: true,
     description: 'Do not write any documents; just show what would be copied'
   })
+  .option('session', {
+    alias: 's',
+    type: 'string',
+    description: 'Session for documents saved before sessions were tracked (defaults to LEGISLATIVE_SESSION or 89R)'
+  })
   .option('limit', {
     alias: 'l',
     type: 'number',
@@ -45,7 +47,8 @@ async function migrate() {
     for (const doc of docs) {
       const data = doc.data();
       const currentId = doc.id;
-      const canonical = normalizeId(currentId || data.billNumber || data.id);
+      const session = data.session || idStandardizer.standardizeSession(argv.session) || idStandardizer.defaultSession;
+      const canonical = billDatabase.getDocId({ ...data, id: currentId, session });
 
       if (!canonical) {
         console.warn(`Skipping ${currentId} - cannot determine canonical id`);
@@ -68,7 +71,7 @@ async function migrate() {
         // Write to canonical id without deleting original
         await db.collection('bills').doc(canonical).set({
           id: canonical,
-          ...data,
+          ...billDatabase.withSessionFields(data, canonical),
           migratedAt: new Date()
         });
         copied++;
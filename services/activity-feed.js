@@ -0,0 +1,251 @@
+const { historyDatabase } = require('../config/history-database');
+const { idStandardizer } = require('../config/id-standardizer');
+const { toDate } = require('../config/field-values');
+const { billQuery } = require('./bill-query');
+const { billCatalog } = require('./bill-catalog');
+const { summaryService } = require('./ai-summary');
+
+// Days of activity covered by the all-bill, topic and sponsor feeds
+const FEED_WINDOW_DAYS = 30;
+
+// Revisions scanned for one feed; topic and sponsor feeds skip the revisions of other bills
+const SCAN_LIMIT = 5000;
+
+// Revisions read per storage round trip; their bills and summaries are loaded together
+const SCAN_PAGE_SIZE = 200;
+
+const DEFAULT_ENTRIES = 50;
+const MAX_ENTRIES = 200;
+
+const FIELD_LABELS = {
+  status: 'Status',
+  committee: 'Committee',
+  lastAction: 'Last action',
+  lastActionDate: 'Last action date',
+  shortTitle: 'Short title',
+  fullTitle: 'Caption',
+  sponsors: 'Authors',
+  coSponsors: 'Sponsors',
+  topics: 'Topics',
+  filedDate: 'Filed'
+};
+
+const DATE_FIELDS = ['lastActionDate', 'filedDate'];
+
+function escapeXml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * ActivityFeed - Atom and RSS 2.0 feeds of bill changes detected by the scraper
+ *
+ * Features:
+ * - Entries come from the revisions recorded in bill_history whenever a scrape changes a tracked field
+ * - Feeds for all bills, one bill, a topic or a sponsor; topic and sponsor match as in GET /api/bills
+ * - Each entry carries the bill's cached plain-language summary when SummaryService has one
+ * - Entry ids are the revision ids, so feed readers never show the same change twice
+ */
+class ActivityFeed {
+  /**
+   * Load feed entries
+   * @param {Object} options - { billId, topic, sponsor, limit }
+   * @returns {Promise<Array>} Entries as { id, billId, billNumber, title, summary, changes, type, updated }, newest first
+   */
+  async getEntries(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_ENTRIES, 1), MAX_ENTRIES);
+    const filters = [['topic', options.topic], ['sponsor', options.sponsor]]
+      .map(([field, value]) => [field, billQuery.toList(value || [])])
+      .filter(([, values]) => values.length > 0);
+
+    if (options.billId) {
+      return this.toEntries(await historyDatabase.getHistory(options.billId, MAX_ENTRIES), filters, new Map(), limit);
+    }
+
+    const since = new Date(Date.now() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const bills = new Map();
+    const entries = [];
+    let startAfter = null;
+    for (let scanned = 0; scanned < SCAN_LIMIT && entries.length < limit;) {
+      const revisions = await historyDatabase.getRecentRevisions(since, SCAN_PAGE_SIZE, startAfter);
+      entries.push(...await this.toEntries(revisions, filters, bills, limit - entries.length));
+
+      scanned += revisions.length;
+      if (revisions.length < SCAN_PAGE_SIZE) {
+        break;
+      }
+      startAfter = revisions[revisions.length - 1];
+    }
+
+    return entries;
+  }
+
+  /**
+   * Entries for the scraper revisions of matching bills
+   * @param {Array} revisions - Revisions, newest first
+   * @param {Array} filters - Bill filters as [field, values]
+   * @param {Map} bills - Bills by id, filled in as revisions of new bills are seen
+   * @param {number} limit - Most entries returned
+   */
+  async toEntries(revisions, filters, bills, limit) {
+    const scraped = revisions.filter(revision => revision.source === 'scrape');
+
+    const unseen = Array.from(new Set(scraped.map(revision => revision.billId))).filter(billId => !bills.has(billId));
+    unseen.forEach(billId => bills.set(billId, null));
+    (await billCatalog.getBills(unseen)).forEach(bill => bills.set(bill.id, bill));
+
+    const matched = scraped
+      .filter(revision => bills.get(revision.billId) && billQuery.matchesFilters(bills.get(revision.billId), filters))
+      .slice(0, limit);
+    const summaries = await summaryService.getCachedSummaries(
+      Array.from(new Set(matched.map(revision => revision.billId))),
+      'high-level'
+    );
+
+    return matched.map(revision => this.toEntry(revision, bills.get(revision.billId), summaries.get(revision.billId) || null));
+  }
+
+  toEntry(revision, bill, summary) {
+    const billNumber = idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber || revision.billNumber));
+
+    return {
+      id: revision.id,
+      billId: bill.id,
+      billNumber,
+      session: bill.session || null,
+      type: revision.type,
+      title: this.getTitle(revision, billNumber, bill),
+      summary: summary || bill.shortTitle || bill.fullTitle || '',
+      hasAiSummary: Boolean(summary),
+      changes: (revision.changes || []).map(change => ({
+        field: change.field,
+        label: FIELD_LABELS[change.field] || change.field,
+        from: this.formatValue(change.field, change.from),
+        to: this.formatValue(change.field, change.to)
+      })),
+      topics: bill.topics || [],
+      updated: toDate(revision.changedAt)
+    };
+  }
+
+  // Headline of a change: a new bill, a new status, the latest action, or the fields that changed
+  getTitle(revision, billNumber, bill) {
+    const changes = revision.changes || [];
+    const change = field => changes.find(item => item.field === field);
+
+    if (revision.type === 'created') {
+      // The title the bill was first seen with, not its current one
+      const shortTitle = change('shortTitle') ? change('shortTitle').to : bill.shortTitle;
+      return `New bill: ${billNumber}${shortTitle ? ` - ${shortTitle}` : ''}`;
+    }
+    if (change('status') && change('status').to) {
+      return `${billNumber} status changed to ${change('status').to}`;
+    }
+    if (change('lastAction') && change('lastAction').to) {
+      return `${billNumber}: ${change('lastAction').to}`;
+    }
+    return `${billNumber} updated: ${changes.map(item => (FIELD_LABELS[item.field] || item.field).toLowerCase()).join(', ')}`;
+  }
+
+  formatValue(field, value) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => (item && typeof item === 'object' ? item.name || '' : item)).filter(Boolean).join(', ');
+    }
+    if (DATE_FIELDS.includes(field) && !Number.isNaN(new Date(value).getTime())) {
+      return new Date(value).toISOString().slice(0, 10);
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  getBillUrl(baseUrl, entry) {
+    return `${baseUrl}/bill-detail.html?id=${encodeURIComponent(entry.billId)}`;
+  }
+
+  // HTML body of an entry: the summary followed by each change
+  getContentHtml(entry) {
+    const changes = entry.changes
+      .filter(change => entry.type !== 'created' || change.to)
+      .map(change => entry.type === 'created'
+        ? `<li>${escapeXml(change.label)}: ${escapeXml(change.to)}</li>`
+        : `<li>${escapeXml(change.label)}: ${escapeXml(change.from || 'none')} &rarr; ${escapeXml(change.to || 'none')}</li>`);
+
+    return `<p>${escapeXml(entry.summary)}</p>${changes.length > 0 ? `<ul>${changes.join('')}</ul>` : ''}`;
+  }
+
+  /**
+   * Serialize entries as an Atom 1.0 document
+   * @param {Object} feed - { title, feedUrl, siteUrl }
+   */
+  buildAtom(feed, entries) {
+    const updated = entries.length > 0 ? entries[0].updated : new Date();
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <id>${escapeXml(feed.feedUrl)}</id>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+      `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+      `  <updated>${updated.toISOString()}</updated>`,
+      '  <generator>AwareTexas</generator>',
+      ...entries.flatMap(entry => [
+        '  <entry>',
+        `    <title>${escapeXml(entry.title)}</title>`,
+        `    <id>urn:awaretexas:revision:${escapeXml(entry.id)}</id>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(this.getBillUrl(feed.siteUrl, entry))}"/>`,
+        `    <updated>${entry.updated.toISOString()}</updated>`,
+        '    <author><name>Texas Legislature Online</name></author>',
+        `    <summary type="text">${escapeXml(entry.summary)}</summary>`,
+        `    <content type="html">${escapeXml(this.getContentHtml(entry))}</content>`,
+        ...entry.topics.map(topic => `    <category term="${escapeXml(topic)}"/>`),
+        '  </entry>'
+      ]),
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Serialize entries as an RSS 2.0 document
+   * @param {Object} feed - { title, description, feedUrl, siteUrl }
+   */
+  buildRss(feed, entries) {
+    const updated = entries.length > 0 ? entries[0].updated : new Date();
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.siteUrl)}</link>`,
+      `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+      `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+      `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+      '    <generator>AwareTexas</generator>',
+      ...entries.flatMap(entry => [
+        '    <item>',
+        `      <title>${escapeXml(entry.title)}</title>`,
+        `      <link>${escapeXml(this.getBillUrl(feed.siteUrl, entry))}</link>`,
+        `      <guid isPermaLink="false">urn:awaretexas:revision:${escapeXml(entry.id)}</guid>`,
+        `      <pubDate>${entry.updated.toUTCString()}</pubDate>`,
+        `      <description>${escapeXml(this.getContentHtml(entry))}</description>`,
+        ...entry.topics.map(topic => `      <category>${escapeXml(topic)}</category>`),
+        '    </item>'
+      ]),
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+}
+
+const activityFeed = new ActivityFeed();
+
+module.exports = { ActivityFeed, activityFeed };
@@ -1,13 +1,14 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { databaseService } = require('../config/database');
+const { crudOperations } = require('../config/crud-operations');
 const { AppError, retryManager, fallbackManager, circuitBreakers } = require('../backend/middleware/error-handler');
+const { webhookService } = require('./webhooks');
 
 /**
  * SummaryService - Handles AI-powered bill summaries using Google Gemini API
  * 
  * Features:
  * - Generate plain-language summaries in multiple reading levels
- * - Cache summaries in Firebase to avoid repeated API calls
+ * - Cache summaries in the database to avoid repeated API calls
  * - Auto-classify bill topics for filtering
  * - Error handling with graceful fallbacks
  */
@@ -124,6 +125,8 @@ IMPORTANT: Write only complete sentences. Do not use ellipsis (...) or cut off m
           
           // Store as fallback for future failures
           fallbackManager.setFallback(`summary-${billId}-${readingLevel}`, summary);
+
+          await webhookService.emit('summary.generated', { billId, readingLevel, summary });
           
           return summary;
         }, operationKey, {
@@ -256,7 +259,7 @@ Summary (${config.maxLength} characters max):`;
   }
 
   /**
-   * Get cached summary from Firebase
+   * Get cached summary from the database
    * @private
    */
   async getCachedSummary(billId, readingLevel) {
@@ -267,12 +270,10 @@ Summary (${config.maxLength} characters max):`;
         return this.cache.get(memoryKey);
       }
 
-      // Check Firebase cache
-      const db = databaseService.getDb();
-      const summaryDoc = await db.collection('summaries').doc(billId).get();
+      // Check database cache
+      const data = await crudOperations.read('summaries', billId);
       
-      if (summaryDoc.exists) {
-        const data = summaryDoc.data();
+      if (data) {
         const summary = data.summaries?.[readingLevel];
         
         if (summary) {
@@ -290,17 +291,46 @@ Summary (${config.maxLength} characters max):`;
   }
 
   /**
-   * Cache summary in Firebase and memory
+   * Get cached summaries of several bills with one database read
+   * @param {Array<string>} billIds - Bill document ids
+   * @param {string} readingLevel - Reading level
+   * @returns {Promise<Map>} Summaries by bill id; bills without one are left out
+   */
+  async getCachedSummaries(billIds, readingLevel) {
+    const summaries = new Map();
+    try {
+      const missing = [];
+      billIds.forEach(billId => {
+        const memoryKey = `${billId}_${readingLevel}`;
+        if (this.cache.has(memoryKey)) {
+          summaries.set(billId, this.cache.get(memoryKey));
+        } else {
+          missing.push(billId);
+        }
+      });
+
+      const documents = missing.length > 0 ? await crudOperations.getMany('summaries', missing) : [];
+      documents.forEach((data, index) => {
+        const summary = data && data.summaries ? data.summaries[readingLevel] : null;
+        if (summary) {
+          this.cache.set(`${missing[index]}_${readingLevel}`, summary);
+          summaries.set(missing[index], summary);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to retrieve cached summaries:', error.message);
+    }
+    return summaries;
+  }
+
+  /**
+   * Cache summary in the database and memory
    * @private
    */
   async cacheSummary(billId, readingLevel, summary) {
     try {
-      const db = databaseService.getDb();
-      const summaryRef = db.collection('summaries').doc(billId);
-      
       // Get existing document or create new one
-      const existingDoc = await summaryRef.get();
-      const existingData = existingDoc.exists ? existingDoc.data() : {};
+      const { id, ...existingData } = await crudOperations.read('summaries', billId) || {};
       
       // Update with new summary
       const updatedData = {
@@ -314,7 +344,7 @@ Summary (${config.maxLength} characters max):`;
         cached: true
       };
       
-      await summaryRef.set(updatedData);
+      await crudOperations.create('summaries', billId, updatedData);
       
       // Add to memory cache
       const memoryKey = `${billId}_${readingLevel}`;
@@ -413,13 +443,12 @@ Topics (comma-separated):`;
         this.cache.delete(`${billId}_${level}`);
       }
       
-      // Also clear from Firebase cache
+      // Also clear from database cache
       try {
-        const db = databaseService.getDb();
-        await db.collection('summaries').doc(billId).delete();
-        console.log(`🗑️ Cleared Firebase cache for bill ${billId}`);
+        await crudOperations.delete('summaries', billId);
+        console.log(`🗑️ Cleared database cache for bill ${billId}`);
       } catch (error) {
-        console.log(`⚠️ Could not clear Firebase cache for ${billId}: ${error.message}`);
+        console.log(`⚠️ Could not clear database cache for ${billId}: ${error.message}`);
       }
       
       console.log(`🗑️ Cleared all caches for bill ${billId}`);
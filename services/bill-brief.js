@@ -0,0 +1,305 @@
+const { idStandardizer } = require('../config/id-standardizer');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { toDate, names } = require('../config/field-values');
+const { summaryService } = require('./ai-summary');
+const { newsService } = require('./news');
+const { calendarFeed } = require('./calendar-feed');
+const { createPdf } = require('./pdf-writer');
+
+// Most bills one briefing packet may hold
+const MAX_BRIEFS = 50;
+
+const NEWS_ARTICLES = 3;
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// "2025-03-01" or a date -> "March 1, 2025"
+function formatDate(value) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? new Date(`${value}T12:00:00Z`) : toDate(value);
+  return date
+    ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/Chicago' })
+    : null;
+}
+
+/**
+ * BillBriefService - One-page bill briefs and multi-bill briefing packets, as PDF or printable HTML
+ *
+ * Features:
+ * - Header data, authors and sponsors, the high-level and detailed AI summaries, the stage
+ *   timeline, record votes and the top news articles of each bill
+ * - Summaries and news come from the caches; building a brief never calls Gemini or NewsAPI
+ * - Packets open with a table of contents linking to each bill, and each bill starts a new page
+ */
+class BillBriefService {
+  /**
+   * Gather everything a brief shows about a bill
+   * @param {Object} bill - Stored bill
+   * @param {Object} options - { baseUrl } for the link back to the bill page
+   * @returns {Promise<Object>} Brief data
+   */
+  async getBrief(bill, options = {}) {
+    const [highLevel, detailed, articles] = await Promise.all([
+      summaryService.getCachedSummary(bill.id, 'high-level'),
+      summaryService.getCachedSummary(bill.id, 'detailed'),
+      newsService.getCachedNews(bill.id)
+    ]);
+
+    const rollCalls = ((bill.votingData && bill.votingData.votes) || [])
+      .filter(rollCall => rollCall && rollCall.votes)
+      .sort((a, b) => (toDate(a.date) || 0) - (toDate(b.date) || 0));
+
+    return {
+      id: bill.id,
+      billNumber: idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber)),
+      session: bill.session || null,
+      chamber: bill.chamber || null,
+      status: billLifecycle.resolve(bill).label,
+      title: bill.fullTitle || bill.shortTitle || '',
+      shortTitle: bill.shortTitle && bill.shortTitle !== bill.fullTitle ? bill.shortTitle : null,
+      committee: bill.committee || null,
+      filedDate: formatDate(bill.filedDate),
+      lastAction: bill.lastAction || null,
+      lastActionDate: formatDate(bill.lastActionDate),
+      topics: bill.topics || [],
+      authors: names(bill.sponsors),
+      coauthors: names(bill.coauthors),
+      sponsors: names(bill.coSponsors),
+      summaries: { highLevel, detailed },
+      stages: (bill.stages || [])
+        .filter(stage => stage && stage.action)
+        .map(stage => ({ date: formatDate(calendarFeed.getStageDateKey(stage)), action: stage.action, location: stage.location || null })),
+      votes: rollCalls.map(rollCall => ({
+        chamber: rollCall.chamber,
+        date: formatDate(rollCall.date),
+        description: rollCall.description || null,
+        result: rollCall.result || null,
+        yea: rollCall.votes.yea || 0,
+        nay: rollCall.votes.nay || 0,
+        present: rollCall.votes.present || 0,
+        absent: rollCall.votes.absent || 0
+      })),
+      partySplit: bill.voting && typeof bill.voting.republicanYes === 'number' ? bill.voting : null,
+      news: (articles || [])
+        .filter(article => article && !article.isError && article.headline)
+        .slice(0, NEWS_ARTICLES)
+        .map(article => ({ headline: article.headline, source: article.source, url: article.url, publishedAt: formatDate(article.publishedAt) })),
+      officialUrl: bill.officialUrl || null,
+      url: options.baseUrl ? `${options.baseUrl}/bill-detail.html?id=${encodeURIComponent(bill.id)}` : null
+    };
+  }
+
+  getHeading(brief) {
+    return `${brief.billNumber}${brief.session ? ` (${brief.session})` : ''}`;
+  }
+
+  // "Senate, March 1, 2025: 20 yeas, 11 nays, 0 present - passed"
+  formatVote(vote) {
+    const when = [vote.chamber, vote.date].filter(Boolean).join(', ');
+    const counts = `${vote.yea} yeas, ${vote.nay} nays, ${vote.present} present`;
+    return `${when ? `${when}: ` : ''}${counts}${vote.result ? ` - ${vote.result}` : ''}${vote.description ? ` (${vote.description})` : ''}`;
+  }
+
+  formatPartySplit(split) {
+    const vote = [split.chamber, formatDate(split.voteDate)].filter(Boolean).join(', ');
+    return `Republicans ${split.republicanYes}-${split.republicanNo}, Democrats ${split.democratYes}-${split.democratNo}${vote ? ` (${vote})` : ''}`;
+  }
+
+  formatArticle(article) {
+    return [article.headline, [article.source, article.publishedAt].filter(Boolean).join(', ')].filter(Boolean).join(' - ');
+  }
+
+  getFields(brief) {
+    return [
+      ['Status', brief.status],
+      ['Chamber', brief.chamber],
+      ['Committee', brief.committee],
+      ['Filed', brief.filedDate],
+      ['Last action', [brief.lastAction, brief.lastActionDate].filter(Boolean).join(' - ')],
+      ['Topics', brief.topics.join(', ')],
+      ['Authors', brief.authors.join(', ')],
+      ['Coauthors', brief.coauthors.join(', ')],
+      ['Sponsors', brief.sponsors.join(', ')]
+    ];
+  }
+
+  // PDF blocks of one bill's brief
+  getBlocks(brief, anchor) {
+    const blocks = [
+      { type: 'title', text: `${this.getHeading(brief)}${brief.shortTitle ? `: ${brief.shortTitle}` : ''}`, anchor },
+      { type: 'paragraph', text: brief.title, style: 'subtitle' },
+      { type: 'rule' },
+      { type: 'fields', rows: this.getFields(brief) },
+      { type: 'heading', text: 'Summary' },
+      { type: 'paragraph', text: brief.summaries.highLevel || 'No plain-language summary has been generated for this bill yet.' }
+    ];
+
+    if (brief.summaries.detailed) {
+      blocks.push({ type: 'heading', text: 'Detailed summary' }, { type: 'paragraph', text: brief.summaries.detailed });
+    }
+    if (brief.stages.length > 0) {
+      blocks.push(
+        { type: 'heading', text: 'Timeline' },
+        { type: 'list', items: brief.stages.map(stage => [stage.date, stage.action, stage.location ? `(${stage.location})` : null].filter(Boolean).join(' ')) }
+      );
+    }
+    if (brief.votes.length > 0 || brief.partySplit) {
+      blocks.push({ type: 'heading', text: 'Votes' });
+      if (brief.votes.length > 0) {
+        blocks.push({ type: 'list', items: brief.votes.map(vote => this.formatVote(vote)) });
+      }
+      if (brief.partySplit) {
+        blocks.push({ type: 'fields', rows: [['Party split', this.formatPartySplit(brief.partySplit)]] });
+      }
+    }
+    if (brief.news.length > 0) {
+      blocks.push(
+        { type: 'heading', text: 'In the news' },
+        { type: 'list', items: brief.news.map(article => ({ text: this.formatArticle(article), url: article.url })) }
+      );
+    }
+
+    const links = [brief.officialUrl && `Texas Legislature Online: ${brief.officialUrl}`, brief.url && `AwareTexas: ${brief.url}`].filter(Boolean);
+    if (links.length > 0) {
+      blocks.push({ type: 'paragraph', text: links.join('\n'), style: 'note' });
+    }
+    return blocks;
+  }
+
+  getPacketTitle(briefs) {
+    return briefs.length === 1 ? `${this.getHeading(briefs[0])} bill brief` : `Texas bill briefing packet (${briefs.length} bills)`;
+  }
+
+  /**
+   * Render briefs as a PDF; several briefs become a packet with a table of contents
+   * @param {Array} briefs - Briefs from getBrief()
+   * @returns {Buffer}
+   */
+  buildPdf(briefs, generatedAt = new Date()) {
+    const title = this.getPacketTitle(briefs);
+    const footer = `AwareTexas - generated ${formatDate(generatedAt)}`;
+
+    if (briefs.length === 1) {
+      return createPdf({ title, footer, blocks: this.getBlocks(briefs[0]) });
+    }
+
+    const blocks = [
+      { type: 'title', text: 'Texas bill briefing packet' },
+      { type: 'paragraph', text: `${briefs.length} bills - generated ${formatDate(generatedAt)}`, style: 'subtitle' },
+      { type: 'rule' },
+      { type: 'heading', text: 'Contents' },
+      {
+        type: 'toc',
+        entries: briefs.map((brief, index) => ({
+          text: `${this.getHeading(brief)} - ${brief.shortTitle || brief.title}`,
+          anchor: `bill-${index}`
+        }))
+      }
+    ];
+    briefs.forEach((brief, index) => blocks.push({ type: 'pageBreak' }, ...this.getBlocks(brief, `bill-${index}`)));
+
+    return createPdf({ title, footer, blocks });
+  }
+
+  getBriefHtml(brief, anchor) {
+    const list = items => `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+    const fields = this.getFields(brief)
+      .filter(([, value]) => value)
+      .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+      .join('');
+
+    const sections = [
+      `<h2>Summary</h2><p>${escapeHtml(brief.summaries.highLevel || 'No plain-language summary has been generated for this bill yet.')}</p>`
+    ];
+    if (brief.summaries.detailed) {
+      sections.push(`<h2>Detailed summary</h2>${String(brief.summaries.detailed).split(/\n\s*\n|\n/).filter(text => text.trim())
+        .map(text => `<p>${escapeHtml(text.trim())}</p>`).join('')}`);
+    }
+    if (brief.stages.length > 0) {
+      sections.push(`<h2>Timeline</h2>${list(brief.stages.map(stage =>
+        `${stage.date ? `<time>${escapeHtml(stage.date)}</time> ` : ''}${escapeHtml(stage.action)}${stage.location ? ` <span class="muted">(${escapeHtml(stage.location)})</span>` : ''}`))}`);
+    }
+    if (brief.votes.length > 0 || brief.partySplit) {
+      sections.push(`<h2>Votes</h2>${brief.votes.length > 0 ? list(brief.votes.map(vote => escapeHtml(this.formatVote(vote)))) : ''}${
+        brief.partySplit ? `<p><strong>Party split:</strong> ${escapeHtml(this.formatPartySplit(brief.partySplit))}</p>` : ''}`);
+    }
+    if (brief.news.length > 0) {
+      sections.push(`<h2>In the news</h2>${list(brief.news.map(article =>
+        `<a href="${escapeHtml(article.url)}">${escapeHtml(article.headline)}</a> <span class="muted">${escapeHtml([article.source, article.publishedAt].filter(Boolean).join(', '))}</span>`))}`);
+    }
+
+    const links = [
+      brief.officialUrl && `<a href="${escapeHtml(brief.officialUrl)}">Texas Legislature Online</a>`,
+      brief.url && `<a href="${escapeHtml(brief.url)}">AwareTexas</a>`
+    ].filter(Boolean);
+
+    return [
+      `<article class="brief"${anchor ? ` id="${anchor}"` : ''}>`,
+      `<h1>${escapeHtml(this.getHeading(brief))}${brief.shortTitle ? `: ${escapeHtml(brief.shortTitle)}` : ''}</h1>`,
+      `<p class="caption">${escapeHtml(brief.title)}</p>`,
+      `<dl>${fields}</dl>`,
+      ...sections,
+      links.length > 0 ? `<p class="muted links">${links.join(' &middot; ')}</p>` : '',
+      '</article>'
+    ].join('\n');
+  }
+
+  /**
+   * Render briefs as a standalone, print-ready HTML page
+   * @param {Array} briefs - Briefs from getBrief()
+   * @returns {string}
+   */
+  buildHtml(briefs, generatedAt = new Date()) {
+    const title = this.getPacketTitle(briefs);
+    const packet = briefs.length > 1;
+    const contents = packet
+      ? `<nav class="contents"><h1>Texas bill briefing packet</h1><p class="muted">${briefs.length} bills &middot; generated ${escapeHtml(formatDate(generatedAt))}</p>` +
+        `<h2>Contents</h2><ol>${briefs.map((brief, index) =>
+          `<li><a href="#bill-${index}">${escapeHtml(this.getHeading(brief))}</a> ${escapeHtml(brief.shortTitle || brief.title)}</li>`).join('')}</ol></nav>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: letter; margin: 0.75in; }
+  body { font: 11pt/1.45 Helvetica, Arial, sans-serif; color: #1f2937; max-width: 7in; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 18pt; margin: 0 0 0.25rem; color: #002868; }
+  h2 { font-size: 12pt; margin: 1.1rem 0 0.3rem; color: #002868; break-after: avoid; }
+  .caption { color: #4b5563; margin: 0 0 0.5rem; padding-bottom: 0.5rem; border-bottom: 1px solid #d1d5db; }
+  dl { display: grid; grid-template-columns: 8rem 1fr; gap: 0.15rem 0.75rem; margin: 0.5rem 0; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  ul, ol { margin: 0.25rem 0; padding-left: 1.25rem; }
+  li { margin: 0.15rem 0; break-inside: avoid; }
+  time { font-variant-numeric: tabular-nums; }
+  .muted { color: #6b7280; font-size: 9.5pt; }
+  .links { margin-top: 1rem; }
+  .contents + .brief, .brief + .brief { break-before: page; margin-top: 2rem; }
+  footer { margin-top: 2rem; color: #6b7280; font-size: 8pt; }
+  a { color: #002868; }
+  @media print { body { margin: 0; max-width: none; } a { text-decoration: none; } }
+</style>
+</head>
+<body>
+${contents}
+${briefs.map((brief, index) => this.getBriefHtml(brief, packet ? `bill-${index}` : null)).join('\n')}
+<footer>AwareTexas &middot; generated ${escapeHtml(formatDate(generatedAt))}</footer>
+</body>
+</html>
+`;
+  }
+}
+
+const billBrief = new BillBriefService();
+
+module.exports = { BillBriefService, billBrief, MAX_BRIEFS };
@@ -0,0 +1,176 @@
+const { crudOperations } = require('../config/crud-operations');
+const { idStandardizer } = require('../config/id-standardizer');
+
+// Bills read per storage round trip while the catalog is built or refreshed
+const PAGE_SIZE = 500;
+
+// Change notifications only cover writes made by this process; scripts and other instances
+// sharing the store are picked up by rebuilding the catalog once it is this old
+const REBUILD_INTERVAL = 10 * 60 * 1000;
+
+// Bill fields copied into each row; bill text, versions, votes and history stay in storage
+const ROW_FIELDS = [
+  'billNumber', 'session', 'chamber', 'shortTitle', 'status', 'topics', 'sponsors', 'committee',
+  'amendedCodes', 'lastActionDate', 'filedDate', 'lastUpdated', 'missingFromReport'
+];
+
+function nextTick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * BillCatalog - Compact rows for every stored bill, kept in memory for listings
+ *
+ * Features:
+ * - Built once by paging through the bills collection, yielding to the event loop between pages
+ * - Kept current through CrudOperations change notifications; changed bills are re-read in batches on next use
+ * - Rebuilt in the background once it is older than REBUILD_INTERVAL, for writes made by other processes;
+ *   the current rows are served until the new ones are ready
+ * - Services register derived fields (lifecycle status, governor action, ...) that are computed once per change
+ *   from the full bill, so listings filter, sort and count without loading bills
+ * - Full bills are only loaded for the page a listing returns
+ */
+class BillCatalog {
+  constructor() {
+    this.rows = new Map(); // docId -> row
+    this.derivers = new Map(); // field -> derive(bill)
+    this.dirty = new Set();
+    this.isReady = false;
+    this.builtAt = 0;
+    this.building = null;
+    this.adapter = null;
+    this.listening = false;
+  }
+
+  /**
+   * Add a derived field to every row
+   * Registering after the catalog was built rebuilds it on next use
+   * @param {string} field - Row field name
+   * @param {Function} derive - Computes the value from a full bill; values that depend on the current date
+   *   are only recomputed when the bill changes or the catalog is rebuilt
+   */
+  register(field, derive) {
+    this.derivers.set(field, derive);
+    this.isReady = false;
+  }
+
+  /**
+   * Rows of stored bills, optionally for one session
+   * Rows are shared: callers must not modify them
+   * @param {Object} [options] - { session }
+   * @returns {Promise<Array>} Rows as { id, ...ROW_FIELDS, ...derived fields }
+   */
+  async getRows({ session = null } = {}) {
+    await this.ensureReady();
+    await this.refresh();
+
+    const rows = Array.from(this.rows.values());
+    if (!session) {
+      return rows;
+    }
+    const sessionCode = idStandardizer.standardizeSession(session);
+    return rows.filter(row => row.session === sessionCode);
+  }
+
+  /**
+   * Load the full bills behind rows, in the order given
+   * @param {Array<string>} billIds - Bill document ids
+   * @returns {Promise<Array>} Bills; ids deleted since are skipped
+   */
+  async getBills(billIds) {
+    const bills = [];
+    for (let i = 0; i < billIds.length; i += PAGE_SIZE) {
+      bills.push(...await crudOperations.getMany('bills', billIds.slice(i, i + PAGE_SIZE)));
+    }
+    return bills.filter(bill => bill && !bill._isStructureDoc);
+  }
+
+  async ensureReady() {
+    // Reconnecting (tests, scripts) replaces the storage adapter and invalidates every row
+    await crudOperations.initialize();
+    if (this.isReady && this.adapter === crudOperations.adapter) {
+      if (!this.building && Date.now() - this.builtAt >= REBUILD_INTERVAL) {
+        this.startBuild().catch(error => console.warn('⚠️ Bill catalog rebuild failed:', error.message));
+      }
+      return;
+    }
+    await (this.building || this.startBuild());
+  }
+
+  startBuild() {
+    this.building = this.build().finally(() => {
+      this.building = null;
+    });
+    return this.building;
+  }
+
+  async build() {
+    const startTime = Date.now();
+    if (!this.listening) {
+      crudOperations.onChange('bills', docIds => docIds.forEach(docId => this.dirty.add(docId)));
+      this.listening = true;
+    }
+
+    // Bills written while the pages are read are marked dirty and re-read afterwards
+    this.dirty.clear();
+    this.adapter = crudOperations.adapter;
+    const rows = new Map();
+    let startAfter = null;
+
+    for (;;) {
+      const page = await crudOperations.query('bills', { startAfter, limit: PAGE_SIZE });
+      page.filter(bill => !bill._isStructureDoc).forEach(bill => rows.set(bill.id, this.toRow(bill)));
+      if (page.length < PAGE_SIZE) {
+        break;
+      }
+      startAfter = [page[page.length - 1].id];
+      await nextTick();
+    }
+
+    this.rows = rows;
+    this.isReady = true;
+    this.builtAt = Date.now();
+    console.log(`🗂️ Bill catalog built: ${rows.size} bills in ${Date.now() - startTime}ms`);
+  }
+
+  // Re-read bills changed since the last use; during a rebuild, once the new rows are in place
+  async refresh() {
+    if (this.dirty.size > 0 && this.building) {
+      await this.building.catch(() => null);
+    }
+    while (this.dirty.size > 0) {
+      const docIds = Array.from(this.dirty).slice(0, PAGE_SIZE);
+      docIds.forEach(docId => this.dirty.delete(docId));
+
+      const bills = await crudOperations.getMany('bills', docIds);
+      bills.forEach((bill, index) => {
+        if (bill && !bill._isStructureDoc) {
+          this.rows.set(bill.id, this.toRow(bill));
+        } else {
+          this.rows.delete(docIds[index]);
+        }
+      });
+    }
+  }
+
+  toRow(bill) {
+    const row = { id: bill.id };
+    ROW_FIELDS.filter(field => bill[field] !== undefined).forEach(field => {
+      row[field] = bill[field];
+    });
+
+    this.derivers.forEach((derive, field) => {
+      try {
+        row[field] = derive(bill);
+      } catch (error) {
+        console.warn(`⚠️ Could not derive ${field} for bill ${bill.id}:`, error.message);
+        row[field] = null;
+      }
+    });
+    return row;
+  }
+}
+
+const billCatalog = new BillCatalog();
+
+module.exports = { BillCatalog, billCatalog, REBUILD_INTERVAL };
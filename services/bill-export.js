@@ -0,0 +1,186 @@
+const { idStandardizer } = require('../config/id-standardizer');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { toDateKey, names } = require('../config/field-values');
+const { calendarFeed } = require('./calendar-feed');
+const { WorkbookWriter } = require('./xlsx-writer');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Yeas and nays of a chamber's latest record vote
+function chamberVotes(bill, chamber) {
+  const rollCalls = ((bill.votingData && bill.votingData.votes) || [])
+    .filter(rollCall => rollCall && rollCall.chamber === chamber && rollCall.votes && typeof rollCall.votes.yea === 'number');
+  const latest = rollCalls[rollCalls.length - 1];
+  return latest ? latest.votes : {};
+}
+
+function count(value) {
+  return typeof value === 'number' ? value : null;
+}
+
+// Export columns; list fields are joined with "; " and stages with " | "
+const COLUMNS = [
+  ['id', bill => bill.id],
+  ['billNumber', bill => idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber))],
+  ['session', bill => bill.session || ''],
+  ['chamber', bill => bill.chamber || ''],
+  ['status', bill => billLifecycle.resolve(bill).status],
+  ['statusLabel', bill => billLifecycle.resolve(bill).label],
+  ['shortTitle', bill => bill.shortTitle || ''],
+  ['fullTitle', bill => bill.fullTitle || ''],
+  ['committee', bill => bill.committee || ''],
+  ['authors', bill => names(bill.sponsors).join('; ')],
+  ['coauthors', bill => names(bill.coauthors).join('; ')],
+  ['sponsors', bill => names(bill.coSponsors).join('; ')],
+  ['topics', bill => (bill.topics || []).join('; ')],
+  ['amendedCodes', bill => (bill.amendedCodes || []).join('; ')],
+  ['filedDate', bill => toDateKey(bill.filedDate) || ''],
+  ['lastAction', bill => bill.lastAction || ''],
+  ['lastActionDate', bill => toDateKey(bill.lastActionDate) || ''],
+  ['stageCount', bill => (bill.stages || []).length],
+  ['stages', bill => (bill.stages || [])
+    .map(stage => [calendarFeed.getStageDateKey(stage), stage.action].filter(Boolean).join(' '))
+    .join(' | ')],
+  ['senateYeas', bill => count(chamberVotes(bill, 'Senate').yea)],
+  ['senateNays', bill => count(chamberVotes(bill, 'Senate').nay)],
+  ['houseYeas', bill => count(chamberVotes(bill, 'House').yea)],
+  ['houseNays', bill => count(chamberVotes(bill, 'House').nay)],
+  ['republicanYes', bill => count(bill.voting && bill.voting.republicanYes)],
+  ['republicanNo', bill => count(bill.voting && bill.voting.republicanNo)],
+  ['democratYes', bill => count(bill.voting && bill.voting.democratYes)],
+  ['democratNo', bill => count(bill.voting && bill.voting.democratNo)],
+  ['officialUrl', bill => bill.officialUrl || '']
+];
+
+/**
+ * BillExportService - Bulk bill exports as CSV, JSON Lines and .xlsx
+ *
+ * Features:
+ * - One flat row per bill: sponsors, topics, stages and vote totals become plain columns
+ * - Every format is written a page of bills at a time, waiting for the response to drain
+ * - Exports stop loading bills as soon as the client goes away
+ * - .xlsx workbooks have a bold, frozen header row
+ */
+class BillExportService {
+  getFormat(format) {
+    return FORMATS[format] || null;
+  }
+
+  getHeaders() {
+    return COLUMNS.map(([header]) => header);
+  }
+
+  toRow(bill) {
+    return COLUMNS.map(([, value]) => {
+      const cell = value(bill);
+      return cell === undefined ? null : cell;
+    });
+  }
+
+  // Quote CSV fields when needed; text that spreadsheets would run as a formula is prefixed with an apostrophe
+  toCsvField(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Bytes written before, for each page of bills, and after the rows of an export
+  getSerializer(format) {
+    const headers = this.getHeaders();
+
+    if (format === 'xlsx') {
+      const workbook = new WorkbookWriter('Bills', headers);
+      return {
+        start: () => workbook.start(),
+        rows: bills => workbook.addRows(bills.map(bill => this.toRow(bill))),
+        end: () => workbook.finish()
+      };
+    }
+    if (format === 'csv') {
+      return {
+        // Byte order mark so Excel opens the file as UTF-8
+        start: () => `\uFEFF${headers.join(',')}\r\n`,
+        rows: bills => bills.map(bill => `${this.toRow(bill).map(value => this.toCsvField(value)).join(',')}\r\n`).join(''),
+        end: () => ''
+      };
+    }
+    return {
+      start: () => '',
+      rows: bills => bills
+        .map(bill => `${JSON.stringify(Object.fromEntries(this.toRow(bill).map((value, i) => [headers[i], value])))}\n`)
+        .join(''),
+      end: () => ''
+    };
+  }
+
+  /**
+   * Write bills to a response in the requested format, a page at a time
+   * @param {Object} stream - Writable (the HTTP response)
+   * @param {string} format - csv, jsonl or xlsx
+   * @param {AsyncIterable<Array>} pages - Pages of bills in export order
+   * @returns {Promise<boolean>} False when the export stopped early because the client went away or a page failed to load
+   */
+  async write(stream, format, pages) {
+    const serializer = this.getSerializer(format);
+
+    try {
+      if (!await this.writeChunk(stream, serializer.start())) {
+        return false;
+      }
+      for await (const bills of pages) {
+        if (!await this.writeChunk(stream, serializer.rows(bills))) {
+          return false;
+        }
+      }
+    } catch (error) {
+      // The headers are already sent, so the download is cut short instead of answered with an error
+      console.error('❌ Bill export failed part way:', error.message);
+      stream.destroy(error);
+      return false;
+    }
+
+    stream.end(serializer.end());
+    return true;
+  }
+
+  /**
+   * Write a chunk, waiting for the stream to drain when its buffer is full
+   * @returns {Promise<boolean>} False once the stream is closed
+   */
+  async writeChunk(stream, chunk) {
+    if (stream.destroyed) {
+      return false;
+    }
+    if (chunk.length === 0 || stream.write(chunk)) {
+      return true;
+    }
+
+    return new Promise(resolve => {
+      const settle = drained => {
+        stream.off('drain', onDrain);
+        stream.off('close', onClose);
+        stream.off('error', onClose);
+        resolve(drained);
+      };
+      const onDrain = () => settle(true);
+      const onClose = () => settle(false);
+
+      stream.on('drain', onDrain);
+      stream.on('close', onClose);
+      stream.on('error', onClose);
+    });
+  }
+}
+
+const billExport = new BillExportService();
+
+module.exports = { BillExportService, billExport, FORMATS };
@@ -0,0 +1,238 @@
+const { idStandardizer } = require('../config/id-standardizer');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { toTime } = require('../config/field-values');
+const { searchIndex } = require('./search-index');
+const { billCatalog } = require('./bill-catalog');
+const { AppError } = require('../backend/middleware/error-handler');
+
+// Registers the governor row field the governor filter reads
+require('./governor');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Bills loaded at a time while an export is written
+const EXPORT_PAGE_SIZE = 250;
+
+// "SB 12" -> "SB00012" so bill numbers sort numerically within each bill type
+function billNumberKey(bill) {
+  const match = /^([A-Z]+)(\d+)$/.exec(idStandardizer.standardize(bill.billNumber) || '');
+  return match ? `${match[1]}${match[2].padStart(5, '0')}` : null;
+}
+
+function sponsorNames(bill) {
+  return (bill.sponsors || []).map(sponsor => (sponsor && sponsor.name) || sponsor).filter(name => typeof name === 'string' && name);
+}
+
+// Sort keys with their default order; missing values always sort last
+const SORT_KEYS = {
+  relevance: { order: 'desc', value: (bill, matches) => matches.get(bill.id).score },
+  lastAction: { order: 'desc', value: bill => toTime(bill.lastActionDate || bill.filedDate || bill.lastUpdated) },
+  filedDate: { order: 'desc', value: bill => toTime(bill.filedDate) },
+  billNumber: { order: 'asc', value: billNumberKey },
+  sponsor: { order: 'asc', value: bill => (sponsorNames(bill)[0] || '').toLowerCase() || null }
+};
+
+// Filterable fields of catalog rows; exact fields match whole values, the rest match case-insensitive substrings.
+// expand turns one requested value into the values it stands for
+const FILTER_FIELDS = {
+  chamber: { exact: true, values: bill => [bill.chamber || idStandardizer.getChamber(idStandardizer.standardize(bill.billNumber))] },
+  // Lifecycle status; "In Committee" and "Passed" still select every state they used to cover
+  status: { exact: true, values: bill => [bill.lifecycleStatus], expand: value => billLifecycle.expandStatusFilter(value) },
+  // Governor action: signed, line-item-veto, vetoed, filed-without-signature or pending
+  governor: { exact: true, values: bill => [bill.governor ? bill.governor.action || 'pending' : null] },
+  topic: { values: bill => bill.topics || [] },
+  sponsor: { values: sponsorNames },
+  committee: { values: bill => [bill.committee] },
+  code: { exact: true, values: bill => bill.amendedCodes || [] }
+};
+
+const FACET_FIELDS = ['status', 'governor', 'topic', 'sponsor', 'committee'];
+
+/**
+ * BillQueryService - Filtered, sorted and paginated bill listings
+ *
+ * Features:
+ * - Filters by session, chamber, status, governor action, topic, sponsor, committee and amended code, plus full-text search
+ * - Sorting by relevance, last action, filed date, bill number or sponsor
+ * - Opaque keyset cursors that stay stable when bills are added between pages
+ * - Facet counts for status, governor action, topic, sponsor and committee across every matching bill
+ * - Filters, sorts and counts BillCatalog rows; full bills are only loaded for the returned page
+ */
+class BillQueryService {
+  /**
+   * Run a bill listing query
+   * @param {Object} options - { search, session, filters, sort, order, cursor, limit }
+   *   filters maps chamber/status/governor/topic/sponsor/committee/code to a value or a list of values (any may match)
+   * @returns {Promise<Object>} { bills, matches, total, nextCursor, facets, sort, order, limit }
+   */
+  async query(options = {}) {
+    const { cursor } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const { sorted, matches, facets, sort, order, compare } = await this.match(options, { facets: true });
+
+    const start = cursor ? this.findStart(sorted, this.decodeCursor(cursor, sort, order), compare) : 0;
+    const page = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+
+    return {
+      bills: await billCatalog.getBills(page.map(item => item.id)),
+      matches,
+      total: sorted.length,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort, order) : null,
+      facets,
+      sort,
+      order,
+      limit
+    };
+  }
+
+  /**
+   * Every bill matching a listing query, in listing order and without paging (for exports)
+   * Only the matching ids are kept; bills are loaded a page at a time as the pages are read
+   * @param {Object} options - { search, session, filters, sort, order }
+   * @returns {Promise<Object>} { pages, total, sort, order }, where pages yields arrays of bills
+   */
+  async queryAll(options = {}) {
+    const { sorted, sort, order } = await this.match(options);
+    return { pages: this.loadPages(sorted.map(item => item.id)), total: sorted.length, sort, order };
+  }
+
+  async *loadPages(billIds) {
+    for (let start = 0; start < billIds.length; start += EXPORT_PAGE_SIZE) {
+      yield await billCatalog.getBills(billIds.slice(start, start + EXPORT_PAGE_SIZE));
+    }
+  }
+
+  // First position after a cursor, found by binary search over the sorted rows
+  findStart(sorted, position, compare) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (compare(sorted[middle], position) > 0) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  }
+
+  // Search, filter and sort catalog rows; facets are only counted when asked for
+  async match(options, { facets: countFacets = false } = {}) {
+    const { search, session, filters = {} } = options;
+    const sort = options.sort || (search ? 'relevance' : 'lastAction');
+
+    const sortKey = SORT_KEYS[sort];
+    if (!sortKey || (sort === 'relevance' && !search)) {
+      const supported = Object.keys(SORT_KEYS).filter(key => search || key !== 'relevance');
+      throw new AppError(`Invalid sort. Must be one of: ${supported.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    const order = options.order || sortKey.order;
+    if (!['asc', 'desc'].includes(order)) {
+      throw new AppError('Invalid order. Must be asc or desc', 'VALIDATION_ERROR', 400);
+    }
+
+    const activeFilters = Object.entries(filters)
+      .filter(([field]) => FILTER_FIELDS[field])
+      .map(([field, value]) => [field, this.toList(value)])
+      .map(([field, values]) => [field, FILTER_FIELDS[field].expand ? values.flatMap(FILTER_FIELDS[field].expand) : values])
+      .filter(([, values]) => values.length > 0);
+
+    let bills = await billCatalog.getRows({ session });
+
+    let matches = null;
+    if (search) {
+      matches = new Map((await searchIndex.search(search)).map(match => [match.id, match]));
+      bills = bills.filter(bill => matches.has(bill.id));
+    }
+
+    const facets = countFacets ? this.countFacets(bills, activeFilters) : null;
+    const compare = this.comparator(order);
+    const sorted = bills
+      .filter(bill => this.matchesFilters(bill, activeFilters))
+      .map(bill => ({ id: bill.id, value: sortKey.value(bill, matches) }))
+      .sort(compare);
+
+    return { sorted, matches, facets, sort, order, compare };
+  }
+
+  toList(value) {
+    return (Array.isArray(value) ? value : [value])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim().toLowerCase());
+  }
+
+  matchesFilters(bill, activeFilters) {
+    return activeFilters.every(([field, wanted]) => {
+      const { exact, values } = FILTER_FIELDS[field];
+      const billValues = values(bill).filter(Boolean).map(value => String(value).toLowerCase());
+      return wanted.some(want => billValues.some(value => (exact ? value === want : value.includes(want))));
+    });
+  }
+
+  /**
+   * Count facet values; each facet ignores its own filter so the other options keep their counts
+   * @returns {Object} Facet name -> [{ value, count }] sorted by count
+   */
+  countFacets(bills, activeFilters) {
+    return Object.fromEntries(FACET_FIELDS.map(field => {
+      const otherFilters = activeFilters.filter(([name]) => name !== field);
+      const counts = new Map();
+
+      bills
+        .filter(bill => this.matchesFilters(bill, otherFilters))
+        .forEach(bill => {
+          new Set(FILTER_FIELDS[field].values(bill).filter(Boolean)).forEach(value => {
+            counts.set(value, (counts.get(value) || 0) + 1);
+          });
+        });
+
+      const values = Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+      return [field, values];
+    }));
+  }
+
+  // Order by sort value (missing values last), then by document id so every position is unique
+  comparator(order) {
+    return (a, b) => {
+      if (a.value !== b.value) {
+        if (a.value === null) return 1;
+        if (b.value === null) return -1;
+        const diff = a.value < b.value ? -1 : 1;
+        return order === 'desc' ? -diff : diff;
+      }
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    };
+  }
+
+  encodeCursor(item, sort, order) {
+    return Buffer.from(JSON.stringify({ sort, order, value: item.value, id: item.id })).toString('base64url');
+  }
+
+  decodeCursor(cursor, sort, order) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      position = null;
+    }
+
+    if (!position || typeof position.id !== 'string' || position.value === undefined) {
+      throw new AppError('Invalid cursor', 'VALIDATION_ERROR', 400);
+    }
+    if (position.sort !== sort || position.order !== order) {
+      throw new AppError('Cursor does not match the requested sort; start again without a cursor', 'VALIDATION_ERROR', 400);
+    }
+    return position;
+  }
+}
+
+const billQuery = new BillQueryService();
+
+billCatalog.register('lifecycleStatus', bill => billLifecycle.resolve(bill).status);
+
+module.exports = { BillQueryService, billQuery, SORT_KEYS, MAX_PAGE_SIZE };
@@ -0,0 +1,220 @@
+const { splitSections } = require('./text-diff');
+
+// Statute names as cited in bill text: "Education Code", "Health and Safety Code", "Code of Criminal Procedure"
+const CODE_NAME = "Code of Criminal Procedure|(?:[A-Z][A-Za-z]*,?\\s+(?:(?:and|&)\\s+)?){1,5}Code";
+
+// "Section 45.003(d), Education Code, is amended" / "Subchapter C, Chapter 39, Education Code, is amended by adding Section 39.0241"
+const AMENDMENT_CLAUSE = new RegExp(
+  `(\\b(?:Sections?|Articles?|Subchapters?|Chapters?|Subtitles?|Titles?)\\s+(?:[^;:.]|\\.(?=\\S))*?),\\s*(${CODE_NAME}),\\s*(?:is|are)\\s+(amended|repealed)` +
+  '(?:\\s+by\\s+adding\\s+(.+?)\\s+to\\s+read)?',
+  'g'
+);
+
+// "The following provisions of the Education Code are repealed: (1) Section 12.001; (2) Section 12.002"
+const REPEAL_LIST = new RegExp(`following\\s+(?:provisions|sections)\\s+of\\s+the\\s+(${CODE_NAME})\\s+are\\s+repealed:?(.*)$`);
+
+// Any citation of a code unit: "Sections 411.0205 and 411.0207, Government Code", "Chapter 411, Government Code".
+// Identifiers must contain a digit or be a bare capital ("Subchapter C") so ordinary words never join a citation
+const UNIT_IDENTIFIER = '(?:\\d[0-9A-Za-z.\\-]*|[A-Z](?![a-z])[0-9A-Z\\-]*)?(?:\\([0-9A-Za-z\\-]+\\))*';
+const CITATION = new RegExp(
+  `(\\b(?:Sections?|Articles?|Subchapters?|Chapters?)\\s+${UNIT_IDENTIFIER}` +
+  `(?:(?:,\\s*|\\s+)(?:(?:and|or|through)\\s+)?(?:(?:Sections?|Articles?|Subchapters?|Chapters?|Subsections?)\\s+)?${UNIT_IDENTIFIER})*)` +
+  `,\\s*(?:the\\s+)?(${CODE_NAME})\\b`,
+  'g'
+);
+
+// Dotted code section numbers ("552.003", "39.0241", "42A.054"); chapter-level units use bare identifiers
+const SECTION_NUMBER = /(\d+[A-Z]?\.\d+[A-Za-z0-9]*)((?:\([A-Za-z0-9-]+\))*)/g;
+const UNIT_WORDS = { section: 'Section', article: 'Article', subchapter: 'Subchapter', chapter: 'Chapter', subtitle: 'Subtitle', title: 'Title' };
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December';
+const PREVIEW_LENGTH = 160;
+
+/**
+ * BillTextParser - Structure extracted from Texas bill text
+ *
+ * Features:
+ * - Splits bill text into its caption and SECTION / ARTICLE headings
+ * - Finds the code sections each bill section amends, adds or repeals
+ * - Captures effective-date clauses (dates, immediate effect, 91st day after adjournment)
+ * - Works on the flattened text stored on bills
+ */
+class BillTextParser {
+  /**
+   * Parse bill text
+   * @param {string} text - Bill text
+   * @returns {Object|null} { caption, sections, statutes, amendedCodes, effectiveDates, parsedAt }, or null without text
+   */
+  parse(text) {
+    const parts = splitSections(text);
+    if (parts.length === 0) {
+      return null;
+    }
+
+    const caption = parts[0].key === 'caption' ? parts[0].text : '';
+    const sections = parts
+      .filter(part => part.key !== 'caption')
+      .map(part => this.parseSection(part));
+
+    const statutes = sections.flatMap(section => section.statutes.map(statute => ({ ...statute, billSection: section.number })));
+    const effectiveDates = sections.flatMap(section => section.effectiveDates.map(clause => ({ ...clause, billSection: section.number })));
+
+    return {
+      caption,
+      sections: sections.map(({ effectiveDates: clauses, ...section }) => ({ ...section, hasEffectiveDate: clauses.length > 0 })),
+      statutes,
+      amendedCodes: Array.from(new Set(statutes.map(statute => statute.code))).sort(),
+      effectiveDates,
+      parsedAt: new Date()
+    };
+  }
+
+  parseSection(part) {
+    const [, unit, number] = part.heading.match(/^(SECTION|ARTICLE)\s+(.+)\.$/);
+    const body = part.text.slice(part.heading.length).trim();
+
+    return {
+      number,
+      type: unit.toLowerCase(),
+      heading: part.heading,
+      preview: body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH).replace(/\s+\S*$/, '')}...` : body,
+      wordCount: body.split(/\s+/).filter(Boolean).length,
+      statutes: this.parseStatutes(body),
+      effectiveDates: this.parseEffectiveDates(body)
+    };
+  }
+
+  /**
+   * Code sections amended, added or repealed by one bill section
+   * Adding subsections amends the section they are added to; adding sections, subchapters or
+   * chapters adds those units
+   * @returns {Array} [{ action, code, unit, number, subsections, chapter, citation }]
+   */
+  parseStatutes(text) {
+    const statutes = [];
+    const add = (action, code, { unit, number, subsections, chapter }) => {
+      const citation = `${UNIT_WORDS[unit]} ${number}${subsections || ''}${chapter ? `, Chapter ${chapter}` : ''}, ${code}`;
+      if (!statutes.some(statute => statute.citation === citation && statute.action === action)) {
+        statutes.push({ action, code, unit, number, subsections: subsections || null, chapter: chapter || null, citation });
+      }
+    };
+
+    for (const match of text.matchAll(AMENDMENT_CLAUSE)) {
+      const [, target, codeName, verb, adding] = match;
+      const code = this.normalizeCode(codeName);
+      const targets = this.parseTargets(target);
+      const addedTargets = adding ? this.parseTargets(adding) : [];
+
+      if (verb === 'repealed') {
+        targets.forEach(item => add('repealed', code, item));
+      } else if (addedTargets.length > 0) {
+        // A subchapter added to "Chapter 29" belongs to that chapter
+        const parent = targets.find(item => item.unit === 'chapter');
+        addedTargets.forEach(item => add('added', code, {
+          ...item,
+          subsections: '',
+          chapter: item.chapter || (item.unit === 'subchapter' && parent ? parent.number : null)
+        }));
+      } else {
+        // Plain amendments, and additions of subsections or subdivisions to a section
+        targets
+          .filter(item => item.unit === 'section' || item.unit === 'article' || !adding)
+          .forEach(item => add('amended', code, item));
+      }
+    }
+
+    const repealList = text.match(REPEAL_LIST);
+    if (repealList) {
+      const code = this.normalizeCode(repealList[1]);
+      this.parseTargets(repealList[2]).forEach(item => add('repealed', code, item));
+    }
+
+    return statutes;
+  }
+
+  /**
+   * Every code unit the text cites with its code name, whether or not the bill changes it
+   * @param {string} text - Bill text
+   * @returns {Array} [{ code, unit, number, subsections, chapter, citation }]
+   */
+  parseCitations(text) {
+    const citations = new Map();
+
+    for (const [, target, codeName] of String(text || '').replace(/\s+/g, ' ').matchAll(CITATION)) {
+      const code = this.normalizeCode(codeName);
+      this.parseTargets(target).forEach(({ unit, number, subsections, chapter }) => {
+        const citation = `${UNIT_WORDS[unit]} ${number}${chapter ? `, Chapter ${chapter}` : ''}, ${code}`;
+        if (!citations.has(citation)) {
+          citations.set(citation, { code, unit, number, subsections: subsections || null, chapter: chapter || null, citation });
+        }
+      });
+    }
+
+    return Array.from(citations.values());
+  }
+
+  /**
+   * Units cited in a clause: "Sections 11.1511(a) and 11.162" or "Subchapter C, Chapter 39"
+   * A subchapter is cited with its chapter ("C, Chapter 39"); section numbers are dotted
+   * @returns {Array} [{ unit, number, subsections, chapter }]
+   */
+  parseTargets(text) {
+    const targets = [];
+    const unitPattern = /\b(Sections?|Articles?|Subchapters?|Chapters?|Subtitles?|Titles?)\s+/g;
+    const mentions = Array.from(String(text).matchAll(unitPattern));
+
+    mentions.forEach((mention, index) => {
+      const unit = mention[1].toLowerCase().replace(/s$/, '');
+      const rest = text.slice(mention.index + mention[0].length, index + 1 < mentions.length ? mentions[index + 1].index : text.length);
+
+      if (unit === 'section' || unit === 'article') {
+        for (const [, number, subsections] of rest.matchAll(SECTION_NUMBER)) {
+          targets.push({ unit, number, subsections });
+        }
+      } else {
+        const identifier = rest.match(/^([0-9A-Z]+(?:-[0-9A-Z]+)?)\b/);
+        const chapter = unit === 'subchapter' ? rest.match(/^[0-9A-Z]+,\s*$/) && text.slice(mention.index).match(/Chapter\s+([0-9A-Z]+)/) : null;
+        if (identifier) {
+          targets.push({ unit, number: identifier[1], subsections: '', chapter: chapter ? chapter[1] : null });
+        }
+      }
+    });
+
+    // A subchapter's chapter is part of its citation, not a separate target
+    return targets.filter((target, index) => !(target.unit === 'chapter' && index > 0 &&
+      targets[index - 1].unit === 'subchapter' && targets[index - 1].chapter === target.number));
+  }
+
+  normalizeCode(codeName) {
+    return codeName.replace(/,/g, '').replace(/\s+/g, ' ').replace(/^(?:the|Texas)\s+/i, '').trim();
+  }
+
+  /**
+   * Effective-date clauses in one bill section
+   * @returns {Array} [{ type: 'date'|'immediate'|'ninety-first-day'|'other', date, text }]
+   */
+  parseEffectiveDates(text) {
+    const sentences = text.match(/[^.]*\btakes\s+effect\b[^.]*(?:\.\d[^.]*)*\./gi) || [];
+
+    return sentences.map(sentence => {
+      const clause = sentence.replace(/^\s*(?:\([a-z0-9]+\)\s*)*/i, '').trim();
+      const dateMatch = clause.match(new RegExp(`\\b(${MONTHS})\\s+(\\d{1,2}),\\s+(\\d{4})`));
+      const date = dateMatch ? new Date(`${dateMatch[1]} ${dateMatch[2]}, ${dateMatch[3]} UTC`) : null;
+
+      let type = 'other';
+      if (/\bimmediately\b/i.test(clause)) {
+        type = 'immediate';
+      } else if (/\b91st\s+day\b|\bninety-first\s+day\b/i.test(clause)) {
+        type = 'ninety-first-day';
+      } else if (date) {
+        type = 'date';
+      }
+
+      return { type, date: date ? date.toISOString().slice(0, 10) : null, text: clause };
+    });
+  }
+}
+
+const billTextParser = new BillTextParser();
+
+module.exports = { BillTextParser, billTextParser };
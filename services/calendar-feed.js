@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { committeeDatabase } = require('../config/committee-database');
+const { idStandardizer } = require('../config/id-standardizer');
+const { toDate, toLocalDateKey, usDateToKey } = require('../config/field-values');
+const { committeeService } = require('./committees');
+
+// Domain part of every event UID; UIDs must stay the same across feed refreshes
+const UID_DOMAIN = 'awaretexas';
+
+// Hearings are held in Austin
+const TIMEZONE = 'America/Chicago';
+
+// Hearing notices give no end time; a two-hour block keeps timed hearings visible in calendar apps
+const HEARING_DURATION = 'PT2H';
+
+// US Central time rules since 2007, enough for every timed event the feeds produce
+const CENTRAL_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0600',
+  'TZOFFSETTO:-0500',
+  'TZNAME:CDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0600',
+  'TZNAME:CST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// "2025-03-11" -> "20250311"
+function toDateValue(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+// Date -> "20250311T150000Z"
+function toUtcValue(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * CalendarFeed - RFC 5545 iCalendar feeds of hearings and bill stages
+ *
+ * Features:
+ * - One event per committee hearing, timed in Central time or all-day when the notice gives no clock time
+ * - One all-day event per bill stage from fetchBillStages() data
+ * - Stable UIDs derived from hearing notices and stage dates and actions, so refreshed feeds update events in place
+ * - Cancelled hearings are kept with STATUS:CANCELLED so subscribed calendars drop them
+ */
+class CalendarFeed {
+  // Escape TEXT property values (RFC 5545 section 3.3.11)
+  escapeText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold content lines longer than 75 octets (RFC 5545 section 3.1) without splitting characters
+  foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      const limit = parts.length === 0 ? 75 : 74;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  // Calendar date of a stage: its date as printed by TLO when available, else the parsed date
+  getStageDateKey(stage) {
+    return usDateToKey(stage.rawDate) || toLocalDateKey(stage.date);
+  }
+
+  getHearingUid(hearing) {
+    return `hearing-${hearing.id}@${UID_DOMAIN}`;
+  }
+
+  getStageUid(billId, dateKey, action) {
+    const digest = crypto.createHash('sha1').update(String(action || '').toLowerCase()).digest('hex').slice(0, 12);
+    return `stage-${billId}-${toDateValue(dateKey)}-${digest}@${UID_DOMAIN}`;
+  }
+
+  /**
+   * Event for a committee hearing
+   * @param {Object} hearing - Stored hearing
+   * @param {Object} [options] - { bills: display numbers named in the summary }
+   */
+  getHearingEvent(hearing, options = {}) {
+    const committee = `${hearing.chamber} ${hearing.committeeName}`;
+    const bills = options.bills && options.bills.length > 0 ? `: ${options.bills.join(', ')}` : '';
+    const billLines = (hearing.bills || []).map(bill => {
+      const number = idStandardizer.toDisplayFormat(bill.billNumber);
+      return `${number}${bill.author ? ` (${bill.author})` : ''}${bill.caption ? ` - ${bill.caption}` : ''}${bill.pending ? ' [pending]' : ''}`;
+    });
+
+    return {
+      uid: this.getHearingUid(hearing),
+      date: hearing.date,
+      minutes: committeeService.getMinutes(hearing.time),
+      summary: `${hearing.status === 'cancelled' ? 'Cancelled: ' : ''}${committee} hearing${bills}`,
+      description: [
+        hearing.time ? `Time: ${hearing.time}` : '',
+        hearing.chair ? `Chair: ${hearing.chair}` : '',
+        billLines.length > 0 ? `Bills:\n${billLines.join('\n')}` : ''
+      ].filter(Boolean).join('\n'),
+      location: hearing.place || '',
+      url: hearing.noticeUrl || '',
+      status: hearing.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      lastModified: toDate(hearing.lastScrapedAt)
+    };
+  }
+
+  /**
+   * All-day events for the dated stages of a bill
+   * @param {Object} bill - Stored bill with stages
+   * @param {Object} [options] - { baseUrl: site URL for links to the bill page }
+   */
+  getStageEvents(bill, options = {}) {
+    const billNumber = idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber));
+    const seen = new Set();
+
+    return (bill.stages || []).flatMap(stage => {
+      const dateKey = this.getStageDateKey(stage);
+      if (!dateKey || !stage.action) {
+        return [];
+      }
+
+      const uid = this.getStageUid(bill.id, dateKey, stage.action);
+      if (seen.has(uid)) {
+        return [];
+      }
+      seen.add(uid);
+
+      return [{
+        uid,
+        date: dateKey,
+        minutes: null,
+        summary: `${billNumber}: ${stage.action}`,
+        description: [
+          bill.shortTitle || '',
+          stage.status ? `Status: ${stage.status}` : '',
+          stage.location ? `Location: ${stage.location}` : ''
+        ].filter(Boolean).join('\n'),
+        location: '',
+        url: options.baseUrl ? `${options.baseUrl}/bill-detail.html?id=${encodeURIComponent(bill.id)}` : '',
+        status: 'CONFIRMED',
+        lastModified: toDate(bill.lastUpdated)
+      }];
+    });
+  }
+
+  /**
+   * Events for a set of bills: their stages and the hearings they are scheduled for
+   * A hearing shared by several of the bills becomes one event naming each of them
+   * @returns {Promise<Array>} Events
+   */
+  async getBillEvents(bills, options = {}) {
+    const events = bills.flatMap(bill => this.getStageEvents(bill, options));
+    const hearings = new Map();
+
+    for (const bill of bills) {
+      const billNumber = idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber));
+      for (const hearing of await committeeDatabase.getBillHearings(bill.id)) {
+        const entry = hearings.get(hearing.id) || { hearing, bills: [] };
+        entry.bills.push(billNumber);
+        hearings.set(hearing.id, entry);
+      }
+    }
+
+    hearings.forEach(({ hearing, bills: billNumbers }) => events.push(this.getHearingEvent(hearing, { bills: billNumbers })));
+    return events;
+  }
+
+  formatEvent(event, stamp) {
+    const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`];
+
+    if (event.minutes === null || event.minutes === undefined) {
+      lines.push(`DTSTART;VALUE=DATE:${toDateValue(event.date)}`);
+    } else {
+      const hours = String(Math.floor(event.minutes / 60)).padStart(2, '0');
+      const minutes = String(event.minutes % 60).padStart(2, '0');
+      lines.push(`DTSTART;TZID=${TIMEZONE}:${toDateValue(event.date)}T${hours}${minutes}00`, `DURATION:${HEARING_DURATION}`);
+    }
+
+    lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    lines.push(`STATUS:${event.status}`);
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${toUtcValue(event.lastModified)}`);
+    }
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * Serialize events as an iCalendar document
+   * @param {string} name - Calendar name shown by calendar apps
+   * @param {Array} events - Events from getHearingEvent(), getStageEvents() or getBillEvents()
+   * @returns {string} text/calendar body with CRLF line endings
+   */
+  buildCalendar(name, events) {
+    const stamp = toUtcValue(new Date());
+    const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date) || a.uid.localeCompare(b.uid));
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//AwareTexas//Texas Bill Tracker//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `X-WR-TIMEZONE:${TIMEZONE}`,
+      ...(sorted.some(event => event.minutes !== null && event.minutes !== undefined) ? CENTRAL_VTIMEZONE : []),
+      ...sorted.flatMap(event => this.formatEvent(event, stamp)),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+const calendarFeed = new CalendarFeed();
+
+module.exports = { CalendarFeed, calendarFeed };
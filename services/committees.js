@@ -0,0 +1,389 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { committeeDatabase } = require('../config/committee-database');
+const { billDatabase } = require('../config/bill-database');
+const { idStandardizer } = require('../config/id-standardizer');
+const { toTime, usDateToKey } = require('../config/field-values');
+
+// TLO committee pages use one-letter chamber codes
+const CHAMBER_CODES = { Senate: 'S', House: 'H' };
+
+// Committee membership changes a few times a session; the scheduler refreshes it when older than this
+const REFRESH_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+// Hearing notices are posted days ahead; the scheduler refreshes the calendar when older than this
+const HEARING_REFRESH_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Bill lines in hearing notices: "SB 12  Creighton | et al." or "CSHB 2  Buckley"
+const NOTICE_BILL = /^(?:CS)?(HJR|SJR|HCR|SCR|HB|SB|HR|SR)\s*(\d+)\b\s*(.*)$/i;
+
+const POSITIONS = [
+  { position: 'Vice Chair', pattern: /vice[\s-]*chair/i },
+  { position: 'Chair', pattern: /chair/i },
+  { position: 'Member', pattern: /member/i }
+];
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * CommitteeService - Committee rosters and hearing notices scraped from TLO
+ *
+ * Features:
+ * - Scrapes Senate and House committee lists and their membership (chair, vice chair, members)
+ * - Scrapes upcoming committee meetings and parses each hearing notice for place, chair and bills
+ * - Links bills on a hearing notice to their stored bill records
+ * - Marks cancelled meetings instead of dropping them
+ */
+class CommitteeService {
+  constructor() {
+    this.baseUrl = 'https://capitol.texas.gov';
+    this.axiosConfig = {
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    };
+  }
+
+  getCommitteeListUrl(chamber) {
+    return `${this.baseUrl}/Committees/CommitteesMbrs.aspx?Chamber=${CHAMBER_CODES[chamber]}`;
+  }
+
+  getMembershipUrl(committeeCode, session = idStandardizer.defaultSession) {
+    return `${this.baseUrl}/Committees/MembershipCmte.aspx?LegSess=${session}&CmteCode=${committeeCode}`;
+  }
+
+  getUpcomingMeetingsUrl(chamber) {
+    return `${this.baseUrl}/Committees/MeetingsUpcoming.aspx?Chamber=${CHAMBER_CODES[chamber]}`;
+  }
+
+  /**
+   * Scrape the committee list of a chamber
+   * @param {string} chamber - "Senate" or "House"
+   * @returns {Promise<Array>} Committees as { id, code, chamber, name, url }
+   */
+  async scrapeCommitteeList(chamber) {
+    const url = this.getCommitteeListUrl(chamber);
+    const response = await axios.get(url, this.axiosConfig);
+    return this.parseCommitteeList(response.data, chamber, url);
+  }
+
+  parseCommitteeList(html, chamber, pageUrl = this.getCommitteeListUrl(chamber)) {
+    const $ = cheerio.load(html);
+    const committees = new Map();
+
+    $('a[href*="CmteCode="]').each((i, link) => {
+      const url = new URL($(link).attr('href'), pageUrl).toString();
+      const code = (new URL(url).searchParams.get('CmteCode') || '').toUpperCase();
+      const name = cleanText($(link).text());
+
+      if (code && name && !committees.has(code)) {
+        committees.set(code, { id: code, code, chamber, name, url: this.getMembershipUrl(code) });
+      }
+    });
+
+    return Array.from(committees.values());
+  }
+
+  /**
+   * Fetch a committee's membership page
+   * @param {Object} committee - Committee from the committee list
+   * @returns {Promise<Object>} { members, clerk, phone, room }
+   */
+  async fetchMembership(committee) {
+    const response = await axios.get(committee.url, this.axiosConfig);
+    return this.parseMembership(response.data);
+  }
+
+  // Rows give a position label ("Chair:", "Members:") that carries over to the unlabelled rows below it
+  parseMembership(html) {
+    const $ = cheerio.load(html);
+    const members = [];
+    let position = 'Member';
+
+    $('tr').each((i, row) => {
+      const link = $(row).find('a[href*="MemberInfo.aspx"]').first();
+      const label = cleanText($(row).children('td').first().text());
+      const labelled = POSITIONS.find(({ pattern }) => pattern.test(label));
+      if (labelled) {
+        position = labelled.position;
+      }
+
+      if (link.length === 0) {
+        return;
+      }
+
+      const code = (new URL(link.attr('href'), this.baseUrl).searchParams.get('Code') || '').toUpperCase();
+      members.push({
+        legislatorId: code || null,
+        name: cleanText(link.text()).replace(/^(?:Sen|Rep)\.\s*/, ''),
+        position
+      });
+    });
+
+    const field = label => {
+      const cell = $('td').filter((i, td) => new RegExp(`^${label}:?$`, 'i').test(cleanText($(td).text()))).first();
+      return cell.length > 0 ? cleanText(cell.next('td').text()) : '';
+    };
+
+    return { members, clerk: field('Clerk'), phone: field('Phone'), room: field('Room') };
+  }
+
+  /**
+   * Refresh committee rosters when they are missing or older than the refresh interval
+   * @returns {Promise<Object|null>} Refresh counts, or null when the rosters are current
+   */
+  async refreshIfStale() {
+    const committees = await committeeDatabase.getCommittees();
+    const newest = Math.max(0, ...committees.map(committee => toTime(committee.lastScrapedAt)));
+
+    if (committees.length > 0 && Date.now() - newest < REFRESH_INTERVAL) {
+      return null;
+    }
+    return this.refreshCommittees();
+  }
+
+  /**
+   * Scrape every committee of both chambers with its membership
+   * A committee whose membership page fails is still saved with the list data
+   * @returns {Promise<Object>} { committees }
+   */
+  async refreshCommittees() {
+    let saved = 0;
+
+    for (const chamber of Object.keys(CHAMBER_CODES)) {
+      const committees = await this.scrapeCommitteeList(chamber);
+
+      for (const committee of committees) {
+        let membership = {};
+        try {
+          membership = await this.fetchMembership(committee);
+        } catch (error) {
+          console.warn(`⚠️ Could not fetch membership for ${committee.name}:`, error.message);
+        }
+
+        await committeeDatabase.saveCommittee({ ...committee, ...membership, lastScrapedAt: new Date() });
+        saved++;
+        await this.delay(500); // Avoid overwhelming TLO between membership fetches
+      }
+    }
+
+    console.log(`🏛️ Committees refreshed: ${saved} committees`);
+    return { committees: saved };
+  }
+
+  /**
+   * Scrape the upcoming meetings of a chamber
+   * @returns {Promise<Array>} Meetings as { id, chamber, committeeId, committeeName, date, time, noticeUrl, session, status }
+   */
+  async scrapeUpcomingMeetings(chamber) {
+    const url = this.getUpcomingMeetingsUrl(chamber);
+    const response = await axios.get(url, this.axiosConfig);
+    return this.parseUpcomingMeetings(response.data, chamber, url);
+  }
+
+  // Each meeting row links its committee and its hearing notice; the notice file name identifies the hearing
+  parseUpcomingMeetings(html, chamber, pageUrl = this.getUpcomingMeetingsUrl(chamber)) {
+    const $ = cheerio.load(html);
+    const meetings = new Map();
+
+    $('a[href*="/schedules/"]').each((i, link) => {
+      const row = $(link).closest('tr');
+      const cells = row.children('td').toArray().map(cell => cleanText($(cell).text()));
+      const committeeLink = row.find('a[href*="CmteCode="]').first();
+      const noticeUrl = new URL($(link).attr('href'), pageUrl).toString();
+      const id = (noticeUrl.match(/\/([A-Z0-9]+)\.HTML?$/i) || [])[1];
+      const date = cells.map(usDateToKey).find(Boolean);
+
+      if (!id || !date || committeeLink.length === 0 || meetings.has(id.toUpperCase())) {
+        return;
+      }
+
+      const timeCell = cells.find(text => /\b\d{1,2}:\d{2}\s*[AP]\.?M\.?|\bupon\b|\bduring\b|\bafter\b/i.test(text));
+      const session = (noticeUrl.match(/\/tlodocs\/(\d+[A-Z0-9]*)\//i) || [])[1];
+
+      meetings.set(id.toUpperCase(), {
+        id: id.toUpperCase(),
+        chamber,
+        committeeId: (new URL(committeeLink.attr('href'), pageUrl).searchParams.get('CmteCode') || '').toUpperCase(),
+        committeeName: cleanText(committeeLink.text()),
+        date,
+        time: timeCell || '',
+        noticeUrl,
+        session: session ? idStandardizer.standardizeSession(session) : idStandardizer.defaultSession,
+        status: /\bcancel+ed\b/i.test(row.text()) ? 'cancelled' : 'scheduled'
+      });
+    });
+
+    return Array.from(meetings.values());
+  }
+
+  async fetchNotice(meeting) {
+    const response = await axios.get(meeting.noticeUrl, this.axiosConfig);
+    return this.parseNotice(response.data);
+  }
+
+  /**
+   * Parse a hearing notice
+   * Bills are listed as "SB 12  Creighton | et al." followed by their caption; bills after
+   * "Pending Business" were heard before and are left pending in committee
+   * @returns {Object} { place, chair, bills: [{ billNumber, author, caption, pending }] }
+   */
+  parseNotice(html) {
+    const $ = cheerio.load(html);
+    $('br').replaceWith('\n');
+
+    const lines = $('p, div, td').toArray()
+      .filter(element => $(element).children('p, div, td').length === 0)
+      .flatMap(element => $(element).text().split('\n'))
+      .map(cleanText)
+      .filter(Boolean);
+
+    const field = label => {
+      const line = lines.find(text => new RegExp(`^${label}:`, 'i').test(text));
+      return line ? line.replace(new RegExp(`^${label}:\\s*`, 'i'), '') : '';
+    };
+
+    const bills = [];
+    let pending = false;
+    lines.forEach(line => {
+      if (/^pending business/i.test(line)) {
+        pending = true;
+        return;
+      }
+
+      const billMatch = line.match(NOTICE_BILL);
+      if (billMatch) {
+        const billNumber = `${billMatch[1].toUpperCase()}${billMatch[2]}`;
+        if (!bills.some(bill => bill.billNumber === billNumber)) {
+          bills.push({ billNumber, author: billMatch[3].split(/\s*[|/]\s*/)[0].trim(), caption: '', pending });
+        }
+        return;
+      }
+
+      const last = bills[bills.length - 1];
+      if (last && !last.caption && /^relating to\b/i.test(line)) {
+        last.caption = line;
+      }
+    });
+
+    return { place: field('PLACE'), chair: field('CHAIR'), bills };
+  }
+
+  /**
+   * Link bills on a notice to their stored records
+   * @returns {Promise<Array>} Bills with billId (document id) or null when the bill is not stored
+   */
+  async linkBills(bills, session) {
+    const linked = [];
+    for (const bill of bills) {
+      const stored = await billDatabase.getBill(bill.billNumber, session);
+      linked.push({ ...bill, billId: stored ? stored.id : null });
+    }
+    return linked;
+  }
+
+  /**
+   * Refresh the hearing calendar when it was never scraped or is older than the hearing refresh interval
+   * @returns {Promise<Object|null>} { hearings, billsScheduled }, or null when the calendar is current
+   */
+  async refreshHearingsIfStale() {
+    const latest = await committeeDatabase.getLatestHearing();
+
+    if (latest && Date.now() - toTime(latest.lastScrapedAt) < HEARING_REFRESH_INTERVAL) {
+      return null;
+    }
+    return this.refreshHearings();
+  }
+
+  /**
+   * Scrape upcoming meetings of both chambers with their notices and save them as hearings
+   * A meeting whose notice cannot be fetched is saved without bills
+   * @returns {Promise<Object>} { hearings, billsScheduled }
+   */
+  async refreshHearings() {
+    let saved = 0;
+    let billsScheduled = 0;
+
+    for (const chamber of Object.keys(CHAMBER_CODES)) {
+      const meetings = await this.scrapeUpcomingMeetings(chamber);
+
+      for (const meeting of meetings) {
+        let notice = { place: '', chair: '', bills: [] };
+        try {
+          notice = await this.fetchNotice(meeting);
+        } catch (error) {
+          console.warn(`⚠️ Could not fetch hearing notice for ${meeting.committeeName} on ${meeting.date}:`, error.message);
+        }
+
+        const bills = await this.linkBills(notice.bills, meeting.session);
+        await committeeDatabase.saveHearing({
+          ...meeting,
+          place: notice.place,
+          chair: notice.chair,
+          bills,
+          billIds: bills.map(bill => bill.billId).filter(Boolean)
+        });
+        saved++;
+        billsScheduled += bills.length;
+        await this.delay(500); // Avoid overwhelming TLO between notice fetches
+      }
+    }
+
+    console.log(`📅 Hearings refreshed: ${saved} meetings, ${billsScheduled} bills scheduled`);
+    return { hearings: saved, billsScheduled };
+  }
+
+  // Minutes after midnight of a meeting time ("9:00 AM" -> 540), or null for "Upon adjournment" and the like
+  getMinutes(time) {
+    const match = String(time || '').match(/\b(\d{1,2}):(\d{2})\s*([AP])\.?M\b/i);
+    if (!match) {
+      return null;
+    }
+    return (Number(match[1]) % 12 + (match[3].toUpperCase() === 'P' ? 12 : 0)) * 60 + Number(match[2]);
+  }
+
+  // Order hearings by date, then clock time; meetings without a clock time follow the clock times of their day
+  compareHearings(a, b) {
+    const minutes = hearing => {
+      const value = this.getMinutes(hearing.time);
+      return value === null ? 24 * 60 : value;
+    };
+    return (a.date || '').localeCompare(b.date || '') ||
+      minutes(a) - minutes(b) ||
+      (a.committeeName || '').localeCompare(b.committeeName || '');
+  }
+
+  // Public shape of a stored hearing
+  formatHearing(hearing) {
+    return {
+      id: hearing.id,
+      chamber: hearing.chamber,
+      committeeId: hearing.committeeId,
+      committeeName: hearing.committeeName,
+      date: hearing.date,
+      time: hearing.time || '',
+      place: hearing.place || '',
+      chair: hearing.chair || '',
+      status: hearing.status,
+      noticeUrl: hearing.noticeUrl,
+      bills: (hearing.bills || []).map(bill => ({
+        billNumber: idStandardizer.toDisplayFormat(bill.billNumber),
+        billId: bill.billId || null,
+        author: bill.author || '',
+        caption: bill.caption || '',
+        pending: Boolean(bill.pending)
+      }))
+    };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+const committeeService = new CommitteeService();
+
+module.exports = { CommitteeService, committeeService };
@@ -0,0 +1,392 @@
+// Companion bills - the other chamber's identical or similar bill, from TLO History pages or the bill text
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { billDatabase } = require('../config/bill-database');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { idStandardizer } = require('../config/id-standardizer');
+const { billCatalog } = require('./bill-catalog');
+const { tokenize } = require('./search-index');
+
+const RELATIONSHIPS = ['identical', 'similar', 'companion'];
+
+// Captions must share this much of their wording before the texts are compared
+const CAPTION_SIMILARITY = 0.5;
+
+// Share of word shingles two texts must have in common to be linked, and to count as identical
+const MIN_TEXT_SIMILARITY = 0.6;
+const IDENTICAL_SIMILARITY = 0.9;
+
+// Consecutive terms per shingle
+const SHINGLE_SIZE = 4;
+
+// Most text matches linked to one bill
+const MAX_TEXT_MATCHES = 3;
+
+// "HB 17 by Bonnen, Identical"
+const COMPANION_PATTERN = /\b(SJR|HJR|SCR|HCR|SB|HB|SR|HR)\s*(\d+)\b(?:\s+by\s+([^,]+?))?(?:\s*,\s*(identical|similar))?\s*$/i;
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Header lines ("By: Perry  S.B. No. 12") differ between companions, so texts are compared from the caption on
+function getBody(text) {
+  const body = String(text || '');
+  const start = body.search(/\brelating\s+to\b/i);
+  return start > 0 ? body.slice(start) : body;
+}
+
+function getCaption(bill) {
+  return bill.fullTitle || bill.abstract || '';
+}
+
+// Unique caption terms, or null for bills without text to compare
+function getCaptionTerms(bill) {
+  return bill.billText ? Array.from(new Set(tokenize(getCaption(bill)).map(token => token.term))) : null;
+}
+
+// Changes whenever the caption or the text from the caption on changes
+function getTextKey(bill) {
+  if (!bill.billText) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(`${cleanText(getCaption(bill))}\n${cleanText(getBody(bill.billText))}`).digest('hex');
+}
+
+function getBucket(billNumber) {
+  const standardId = idStandardizer.standardize(billNumber);
+  return standardId ? `${idStandardizer.getBillType(standardId)}:${idStandardizer.getChamber(standardId)}` : null;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  smaller.forEach(value => {
+    if (larger.has(value)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * CompanionService - Links bills to their companions in the other chamber
+ *
+ * Features:
+ * - Parses the Companion field ("HB 17 by Bonnen, Identical") from TLO History pages
+ * - Falls back to text similarity for bills without one: captions are compared first,
+ *   then word shingles of the bill text
+ * - Only bills whose caption or text changed since they were last matched are compared again,
+ *   against candidates from the bill catalog grouped by measure type and chamber
+ * - Links are stored on both bills; an official link replaces the text matches of both
+ * - Related bills are listed with their lifecycle statuses for side-by-side display
+ */
+class CompanionService {
+  /**
+   * Read a bill's companion from its History page
+   * @param {Object} history - History page fetched by the scraper's fetchHistoryPage, as { $, url }
+   * @param {string} session - TLO session code
+   * @returns {Object|null} Link to the companion (see toLink), or null when the page names none
+   */
+  getCompanion(history, session) {
+    const companion = this.parseCompanion(history.$);
+    return companion ? this.toLink(companion.billNumber, session, { ...companion, source: 'official' }) : null;
+  }
+
+  /**
+   * Find the Companion field in a History page
+   * @param {string|Function} html - Page HTML, or the page loaded with cheerio
+   * @returns {Object|null} { billNumber, author, relationship }
+   */
+  parseCompanion(html) {
+    const $ = typeof html === 'string' ? cheerio.load(html) : html;
+    let value = null;
+
+    $('td').each((i, cell) => {
+      if (/^companion:?$/i.test(cleanText($(cell).text()))) {
+        value = cleanText($(cell).next('td').text());
+        return false;
+      }
+      return undefined;
+    });
+
+    const match = value ? value.match(COMPANION_PATTERN) : null;
+    if (!match) {
+      return null;
+    }
+
+    return {
+      billNumber: idStandardizer.toDisplayFormat(`${match[1].toUpperCase()}${match[2]}`),
+      author: match[3] ? cleanText(match[3]) : null,
+      relationship: match[4] ? match[4].toLowerCase() : 'companion'
+    };
+  }
+
+  /**
+   * A stored link to another bill
+   * @returns {Object} { billId, billNumber, relationship, source: official|text, author, similarity }
+   */
+  toLink(billNumber, session, { relationship = 'companion', source = 'official', author = null, similarity = null } = {}) {
+    const standardId = idStandardizer.standardize(billNumber);
+    return {
+      billId: idStandardizer.toDocumentId(standardId, session),
+      billNumber: idStandardizer.toDisplayFormat(standardId),
+      relationship,
+      source,
+      author,
+      similarity
+    };
+  }
+
+  /**
+   * Share of wording two texts have in common, from 0 to 1
+   */
+  getSimilarity(textA, textB) {
+    return jaccard(this.getShingles(textA), this.getShingles(textB));
+  }
+
+  getShingles(text) {
+    const terms = tokenize(getBody(text)).map(token => token.term);
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= terms.length; i++) {
+      shingles.add(terms.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    if (shingles.size === 0 && terms.length > 0) {
+      shingles.add(terms.join(' '));
+    }
+    return shingles;
+  }
+
+  /**
+   * Group a session's catalog rows for text matching, by measure type and chamber
+   * @param {Array} rows - Bill catalog rows of one session
+   * @returns {Map} "type:chamber" -> [{ id, billNumber, terms }] for bills with text
+   */
+  indexCandidates(rows) {
+    const buckets = new Map();
+    rows.filter(row => row.captionTerms).forEach(row => {
+      const bucket = getBucket(row.billNumber);
+      if (!bucket) {
+        return;
+      }
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push({ id: row.id, billNumber: row.billNumber, terms: new Set(row.captionTerms) });
+    });
+    return buckets;
+  }
+
+  /**
+   * Bills from the other chamber whose text matches the bill's
+   * Only the same kind of measure from the same session is compared, and only texts whose captions match are loaded
+   * @param {Object} bill - Bill data with billText
+   * @param {Map} candidates - Candidates of the bill's session, from indexCandidates
+   * @param {Map} [shingleCache] - Shingles by bill ID, reused across calls
+   * @returns {Promise<Array>} Links, best match first
+   */
+  async findCandidates(bill, candidates, shingleCache = new Map()) {
+    const standardId = idStandardizer.standardize(bill.billNumber);
+    if (!standardId || !bill.billText) {
+      return [];
+    }
+
+    const otherChamber = idStandardizer.getChamber(standardId) === 'Senate' ? 'House' : 'Senate';
+    const captionTerms = new Set(getCaptionTerms(bill));
+    const matches = (candidates.get(`${idStandardizer.getBillType(standardId)}:${otherChamber}`) || [])
+      .filter(candidate => candidate.id !== bill.id && jaccard(captionTerms, candidate.terms) >= CAPTION_SIMILARITY);
+
+    const unloaded = matches.filter(candidate => !shingleCache.has(candidate.id)).map(candidate => candidate.id);
+    (await billCatalog.getBills(unloaded)).forEach(candidate => shingleCache.set(candidate.id, this.getShingles(candidate.billText)));
+    if (!shingleCache.has(bill.id)) {
+      shingleCache.set(bill.id, this.getShingles(bill.billText));
+    }
+
+    return matches
+      .filter(candidate => shingleCache.has(candidate.id))
+      .map(candidate => ({ candidate, similarity: jaccard(shingleCache.get(bill.id), shingleCache.get(candidate.id)) }))
+      .filter(match => match.similarity >= MIN_TEXT_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_TEXT_MATCHES)
+      .map(({ candidate, similarity }) => this.toLink(candidate.billNumber, bill.session, {
+        relationship: similarity >= IDENTICAL_SIMILARITY ? 'identical' : 'similar',
+        source: 'text',
+        similarity: Math.round(similarity * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Link freshly saved bills to their companions, on both records
+   * A bill keeps its official link and any links other bills hold to it. Text matches are dropped
+   * once either bill has an official link or its caption or text changes, and only searched for
+   * again for bills without an official link whose caption or text changed
+   * @param {Array} savedBills - Bills just saved by ingestion
+   * @returns {Promise<number>} Number of bills whose links changed
+   */
+  async linkBills(savedBills) {
+    const sessions = new Map();
+    savedBills.filter(bill => bill && bill.session).forEach(bill => {
+      if (!sessions.has(bill.session)) {
+        sessions.set(bill.session, []);
+      }
+      sessions.get(bill.session).push(bill);
+    });
+
+    const updates = new Map(); // billId -> fields
+    let updated = 0;
+    for (const [session, bills] of sessions) {
+      const rows = await billCatalog.getRows({ session });
+      const rowsById = new Map(rows.map(row => [row.id, row]));
+      const linksById = new Map(rows.map(row => [row.id, row.companions || []]));
+      bills.forEach(bill => linksById.set(bill.id, bill.companions || []));
+      const candidates = this.indexCandidates(rows);
+      const changed = new Set();
+      const shingleCache = new Map();
+
+      // Bills holding a link to each bill; entries may outlive the link, so lookups check it is still there
+      const linkedFrom = new Map();
+      const addLinkedFrom = (billId, fromId) => {
+        if (!linkedFrom.has(billId)) {
+          linkedFrom.set(billId, new Set());
+        }
+        linkedFrom.get(billId).add(fromId);
+      };
+      linksById.forEach((links, billId) => links.forEach(link => addLinkedFrom(link.billId, billId)));
+      const getLink = (fromId, billId) => (linksById.get(fromId) || []).find(link => link.billId === billId);
+
+      const removeLink = (billId, otherId) => {
+        const links = linksById.get(billId) || [];
+        if (links.some(link => link.billId === otherId)) {
+          linksById.set(billId, links.filter(link => link.billId !== otherId));
+          changed.add(billId);
+        }
+      };
+
+      // Drop text matches to and from a bill
+      const unlinkText = billId => {
+        (linksById.get(billId) || []).filter(link => link.source === 'text').forEach(link => {
+          removeLink(billId, link.billId);
+          removeLink(link.billId, billId);
+        });
+        (linkedFrom.get(billId) || []).forEach(fromId => {
+          const link = getLink(fromId, billId);
+          if (link && link.source === 'text') {
+            removeLink(fromId, billId);
+          }
+        });
+      };
+
+      // Links to bills not stored yet are completed when the other bill is ingested
+      const addLink = (billId, link) => {
+        if (billId === link.billId || !linksById.has(billId)) {
+          return;
+        }
+        const existing = getLink(billId, link.billId);
+        if (existing && (existing.source === 'official' || link.source !== 'official')) {
+          return;
+        }
+        if (link.source === 'official') {
+          unlinkText(billId);
+        }
+        linksById.set(billId, [...linksById.get(billId).filter(other => other.billId !== link.billId), link]);
+        addLinkedFrom(link.billId, billId);
+        changed.add(billId);
+      };
+      const linkBoth = (bill, link) => {
+        addLink(bill.id, link);
+        addLink(link.billId, this.toLink(bill.billNumber, session, { ...link, author: null }));
+      };
+
+      for (const bill of bills) {
+        const textKey = getTextKey(bill);
+        const textChanged = textKey !== (bill.textMatchKey || null);
+        if (textChanged) {
+          unlinkText(bill.id);
+          updates.set(bill.id, { ...updates.get(bill.id), textMatchKey: textKey });
+        }
+
+        // Ingestion replaces a bill's links with its History page companion, so links other bills hold are restored
+        (linkedFrom.get(bill.id) || []).forEach(fromId => {
+          const other = getLink(fromId, bill.id);
+          if (other && rowsById.has(fromId)) {
+            addLink(bill.id, this.toLink(rowsById.get(fromId).billNumber, session, { ...other, author: null }));
+          }
+        });
+        (linksById.get(bill.id) || []).forEach(link => linkBoth(bill, link));
+
+        const links = linksById.get(bill.id) || [];
+        if (links.some(link => link.source === 'official')) {
+          unlinkText(bill.id);
+        } else if (textChanged) {
+          (await this.findCandidates(bill, candidates, shingleCache)).forEach(link => linkBoth(bill, link));
+        }
+      }
+
+      changed.forEach(billId => updates.set(billId, { ...updates.get(billId), companions: linksById.get(billId) }));
+      updated += changed.size;
+    }
+
+    if (updates.size > 0) {
+      await billDatabase.updateEach(Array.from(updates, ([docId, fields]) => ({ docId, fields })));
+    }
+    if (updated > 0) {
+      console.log(`🔗 Linked companion bills on ${updated} records`);
+    }
+    return updated;
+  }
+
+  /**
+   * A bill's companions with their current statuses
+   * @param {Object} bill - Bill data
+   * @returns {Promise<Array>} Links with { found, shortTitle, chamber, status, statusLabel, lastAction, lastActionDate }
+   */
+  async getRelated(bill) {
+    const links = (bill.companions || []).slice().sort((a, b) => {
+      if (a.source !== b.source) {
+        return a.source === 'official' ? -1 : 1;
+      }
+      return (b.similarity || 0) - (a.similarity || 0);
+    });
+
+    return Promise.all(links.map(async link => {
+      const related = await billDatabase.getBill(link.billId);
+      if (!related) {
+        return { ...link, found: false };
+      }
+
+      return {
+        ...link,
+        found: true,
+        ...this.getStatus(related)
+      };
+    }));
+  }
+
+  /**
+   * Status fields shown for each side of a companion pair
+   */
+  getStatus(bill) {
+    const lifecycle = billLifecycle.resolve(bill);
+    return {
+      billId: bill.id,
+      billNumber: idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber)),
+      shortTitle: bill.shortTitle || '',
+      chamber: bill.chamber || idStandardizer.getChamber(idStandardizer.standardize(bill.billNumber)),
+      status: lifecycle.status,
+      statusLabel: lifecycle.label,
+      lastAction: bill.lastAction || null,
+      lastActionDate: bill.lastActionDate || null
+    };
+  }
+}
+
+const companionService = new CompanionService();
+
+// Each bill's links and caption terms, so linking reads a session from memory and loads only likely matches
+billCatalog.register('companions', bill => bill.companions || []);
+billCatalog.register('captionTerms', getCaptionTerms);
+
+module.exports = { CompanionService, companionService, RELATIONSHIPS };
@@ -0,0 +1,203 @@
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { idStandardizer } = require('../config/id-standardizer');
+const { toDateKey, parseDateKey, usDateToKey } = require('../config/field-values');
+const { governorService } = require('./governor');
+const { billCatalog } = require('./bill-catalog');
+
+// Governor actions after which a bill is law
+const ENACTED_ACTIONS = ['signed', 'line-item-veto', 'filed-without-signature'];
+
+// Immediate effect needs two-thirds of all the members elected to each house (Tex. Const. art. III, §39)
+const TWO_THIRDS = { House: 100, Senate: 21 };
+
+// "This Act takes effect ..." or "Except as otherwise provided by this Act, this Act takes effect ..."
+const ACT_CLAUSE = /^(?:except\s+as\s+(?:otherwise\s+)?provided\b[^,]*,\s*)?this\s+act\s+takes\s+effect\b/i;
+const FALLBACK_CLAUSE = /does\s+not\s+receive\s+the\s+vote/i;
+const CONDITIONAL_CLAUSE = /two-thirds|vote\s+necessary|\bvote\s+of\b/i;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * EffectiveDateService - When enacted bills take effect
+ *
+ * Features:
+ * - Reads "Effective on" and "Effective immediately" actions from the bill's History rows
+ * - Falls back to the effective-date clauses in the enrolled text: a fixed date, immediate effect
+ *   or the 91st day after adjournment
+ * - Immediate effect that depends on a two-thirds vote is checked against the record votes
+ * - Bills without a clause take effect on the 91st day after the regular session adjourns
+ * - Sections with their own effective dates are kept as provisions
+ */
+class EffectiveDateService {
+  /**
+   * Work out when an enacted bill takes effect
+   * @param {Object} bill - Bill data with stages, structure, governorAction and votingData
+   * @param {Object|null} [governorAction] - The bill's governor action, when the caller already has it
+   * @returns {Object|null} { date, basis: history|immediate|text|default, immediateEffect, lawDate, clause, provisions },
+   *   or null for bills that have not become law
+   */
+  resolve(bill, governorAction = governorService.getAction(bill)) {
+    const effectiveAction = billLifecycle.getEffectiveAction(bill.stages);
+    const enacted = Boolean(effectiveAction) ||
+      Boolean(governorAction && ENACTED_ACTIONS.includes(governorAction.action));
+    if (!enacted) {
+      return null;
+    }
+
+    // The day the bill became law, which is also the day it takes immediate effect
+    const lawDate = (governorAction && governorAction.date) || null;
+    const clauses = ((bill.structure && bill.structure.effectiveDates) || [])
+      .map(clause => ({ ...clause, date: this.resolveClause(clause, bill.session, lawDate) }));
+    const actClauses = clauses.filter(clause => ACT_CLAUSE.test(clause.text) || FALLBACK_CLAUSE.test(clause.text));
+
+    const result = {
+      date: null,
+      basis: 'text',
+      immediateEffect: false,
+      lawDate,
+      clause: null,
+      provisions: []
+    };
+
+    const immediate = actClauses.find(clause => clause.type === 'immediate');
+    const fallback = actClauses.find(clause => FALLBACK_CLAUSE.test(clause.text));
+    const stated = actClauses.find(clause => clause !== immediate && clause !== fallback);
+
+    if (immediate) {
+      const twoThirds = CONDITIONAL_CLAUSE.test(immediate.text) ? this.hasTwoThirdsVote(bill) : true;
+      if (twoThirds === true) {
+        Object.assign(result, { date: immediate.date, basis: 'immediate', immediateEffect: true, clause: immediate.text });
+      } else if (fallback) {
+        Object.assign(result, { date: fallback.date, immediateEffect: twoThirds, clause: fallback.text });
+      } else {
+        Object.assign(result, { date: this.getNinetyFirstDay(bill.session), basis: 'default', immediateEffect: twoThirds });
+      }
+    } else if (stated) {
+      Object.assign(result, { date: stated.date, clause: stated.text });
+    } else {
+      Object.assign(result, { date: this.getNinetyFirstDay(bill.session), basis: 'default' });
+    }
+
+    // The History page records the date the bill takes effect
+    if (effectiveAction) {
+      const immediately = /\bimmediately\b/i.test(effectiveAction.action);
+      result.date = immediately ? lawDate || effectiveAction.date : usDateToKey(effectiveAction.action) || effectiveAction.date;
+      result.basis = 'history';
+      if (immediately) {
+        result.immediateEffect = true;
+      }
+    }
+
+    result.provisions = clauses
+      .filter(clause => !actClauses.includes(clause) && clause.date && clause.date !== result.date)
+      .map(({ date, type, text, billSection }) => ({ date, type, text, billSection }));
+    return result;
+  }
+
+  resolveClause(clause, session, lawDate) {
+    if (clause.type === 'immediate') {
+      return lawDate;
+    }
+    if (clause.type === 'ninety-first-day') {
+      return this.getNinetyFirstDay(session);
+    }
+    return clause.date || null;
+  }
+
+  /**
+   * 91st day after a regular session adjourns, the default effective date
+   * @param {string} session - Session code (e.g., "89R")
+   * @returns {string|null} YYYY-MM-DD, or null for special sessions
+   */
+  getNinetyFirstDay(session) {
+    const sessionEnd = governorService.getSessionEnd(session);
+    return sessionEnd ? toDateKey(parseDateKey(sessionEnd) + 91 * DAY) : null;
+  }
+
+  /**
+   * Whether the last record vote in each chamber reached two-thirds of the members elected
+   * @returns {boolean|null} Null when a chamber has no record vote
+   */
+  hasTwoThirdsVote(bill) {
+    const votes = ((bill.votingData && bill.votingData.votes) || [])
+      .filter(vote => vote && vote.votes && vote.result !== 'failed');
+
+    const results = Object.keys(TWO_THIRDS).map(chamber => {
+      const latest = votes
+        .filter(vote => vote.chamber === chamber)
+        .reduce((last, vote) => (!last || new Date(vote.date) >= new Date(last.date) ? vote : last), null);
+      return latest ? (latest.votes.yea || 0) >= TWO_THIRDS[chamber] : null;
+    });
+
+    if (results.includes(false)) {
+      return false;
+    }
+    return results.includes(null) ? null : true;
+  }
+
+  /**
+   * The stored effective date, or one worked out now for bills scraped before effective dates were stored
+   */
+  getEffective(bill, governorAction) {
+    return bill.effective || this.resolve(bill, governorAction);
+  }
+
+  /**
+   * Enacted bills taking effect between two dates, grouped by day
+   * A bill is listed on the day the Act takes effect and on each day one of its provisions does
+   * @param {Object} options - { from, to: YYYY-MM-DD inclusive, session }
+   * @returns {Promise<Object>} { dates: [{ date, count, bills }], total }
+   */
+  async listEffective({ from, to, session = null }) {
+    const rows = await billCatalog.getRows({ session });
+
+    const groups = new Map();
+    const add = (date, entry) => {
+      if (!date || date < from || date > to) {
+        return;
+      }
+      if (!groups.has(date)) {
+        groups.set(date, []);
+      }
+      groups.get(date).push(entry);
+    };
+
+    rows
+      .filter(row => row.effective && row.billNumber)
+      .forEach(row => {
+        const { effective } = row;
+        const entry = {
+          billId: row.id,
+          billNumber: idStandardizer.toDisplayFormat(idStandardizer.standardize(row.billNumber)),
+          session: row.session || null,
+          shortTitle: row.shortTitle || '',
+          governorAction: row.governor ? row.governor.action || 'pending' : null,
+          basis: effective.basis,
+          immediateEffect: effective.immediateEffect
+        };
+
+        add(effective.date, { ...entry, partial: false, provisions: [] });
+        const provisionDates = Array.from(new Set(effective.provisions.map(provision => provision.date)));
+        provisionDates.forEach(date => add(date, {
+          ...entry,
+          partial: true,
+          provisions: effective.provisions.filter(provision => provision.date === date)
+        }));
+      });
+
+    const dates = Array.from(groups.keys()).sort().map(date => ({
+      date,
+      count: groups.get(date).length,
+      bills: groups.get(date).sort((a, b) => a.billNumber.localeCompare(b.billNumber, 'en', { numeric: true }))
+    }));
+
+    return { dates, total: dates.reduce((sum, group) => sum + group.count, 0) };
+  }
+}
+
+const effectiveDateService = new EffectiveDateService();
+
+billCatalog.register('effective', bill => effectiveDateService.getEffective(bill));
+billLifecycle.registerEffectiveDate(bill => effectiveDateService.getEffective(bill));
+
+module.exports = { EffectiveDateService, effectiveDateService };
@@ -0,0 +1,385 @@
+// Governor actions - signatures, vetoes, session law chapters and veto deadlines
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { idStandardizer } = require('../config/id-standardizer');
+const { toDateKey, parseDateKey, usDateToKey } = require('../config/field-values');
+const { billCatalog } = require('./bill-catalog');
+
+let pdfParse;
+try {
+  pdfParse = require('pdf-parse');
+} catch (error) {
+  pdfParse = null;
+}
+
+// Most actions returned by one listing
+const MAX_LIST_RESULTS = 1000;
+
+const ACTIONS = ['signed', 'line-item-veto', 'vetoed', 'filed-without-signature', 'pending'];
+
+const ACTION_LABELS = {
+  'signed': 'Signed',
+  'line-item-veto': 'Signed with line-item vetoes',
+  'vetoed': 'Vetoed',
+  'filed-without-signature': 'Filed without signature',
+  'pending': 'Awaiting action'
+};
+
+// History action text for each outcome, most specific first
+const ACTION_PATTERNS = [
+  { action: 'line-item-veto', pattern: /line[- ]item veto/i },
+  { action: 'filed-without-signature', pattern: /filed without (the )?governor'?s signature/i },
+  { action: 'vetoed', pattern: /\bvetoed\b/i },
+  { action: 'signed', pattern: /signed by (the )?governor|governor signed/i }
+];
+
+// Lifecycle statuses that record the governor's decision
+const STATUS_ACTIONS = { 'Signed': 'signed', 'Vetoed': 'vetoed', 'Filed Without Signature': 'filed-without-signature' };
+
+const PRESENTED_PATTERN = /sent to (the )?governor|received by (the )?governor/i;
+
+// "Ch. 412", "Chapter 412"
+const CHAPTER_PATTERN = /\bCh(?:apter|\.)\s*(\d+)\b/i;
+
+// Tex. Const. art. IV, sec. 14: ten days to act, Sundays excepted, while the Legislature can
+// receive a veto; twenty days after final adjournment for bills it can no longer return to
+const IN_SESSION_DAYS = 10;
+const POST_SESSION_DAYS = 20;
+
+// Tex. Const. art. III, secs. 5 and 24: regular sessions convene on the second Tuesday in
+// January of odd-numbered years and last at most 140 days
+const REGULAR_SESSION_DAYS = 140;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * GovernorService - What the governor did with a bill, and when the veto period runs out
+ *
+ * Features:
+ * - Parses signed, vetoed, line-item vetoed and filed-without-signature actions from TLO History pages
+ * - Keeps each action's date, the session law chapter number and the veto proclamation text
+ * - Veto-period countdown from the constitutional deadlines: ten days (Sundays excepted) in session,
+ *   twenty days after sine die for bills presented late in a regular session
+ * - Falls back to the bill's lifecycle for bills scraped before governor actions were parsed
+ */
+class GovernorService {
+  constructor() {
+    this.baseUrl = 'https://capitol.texas.gov';
+    this.axiosConfig = {
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; TexasBillTracker/1.0)'
+      }
+    };
+  }
+
+  getHistoryUrl(billNumber, session) {
+    return `${this.baseUrl}/BillLookup/History.aspx?LegSess=${session}&Bill=${billNumber}`;
+  }
+
+  /**
+   * Scrape a bill's governor action from its History page
+   * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {string} session - TLO session code
+   * @param {Object} [history] - History page already fetched, as { $, url }
+   * @returns {Promise<Object|null>} { action, date, presentedDate, chapter, actionText, proclamation, historyUrl }
+   */
+  async scrapeAction(billNumber, session, history = null) {
+    const historyUrl = history ? history.url : this.getHistoryUrl(billNumber, session);
+    const page = history ? history.$ : (await axios.get(historyUrl, this.axiosConfig)).data;
+    const governorAction = this.parseHistory(page, historyUrl);
+
+    if (governorAction && governorAction.proclamation) {
+      try {
+        governorAction.proclamation.text = await this.fetchProclamation(governorAction.proclamation.url);
+      } catch (error) {
+        console.warn(`⚠️ Could not read the veto proclamation for ${billNumber}:`, error.message);
+      }
+    }
+    return governorAction;
+  }
+
+  /**
+   * Find the governor's action, the date the bill was presented and the chapter number in a History page
+   * Rows are: chamber, description, comment, date, time, journal page
+   * @param {string|Function} html - Page HTML, or the page loaded with cheerio
+   * @returns {Object|null} Null when the bill has not reached the governor
+   */
+  parseHistory(html, pageUrl) {
+    const $ = typeof html === 'string' ? cheerio.load(html) : html;
+    const result = { action: null, date: null, presentedDate: null, chapter: null, actionText: null, proclamation: null, historyUrl: pageUrl };
+
+    $('tr').each((i, row) => {
+      const cells = $(row).children('td');
+      if (cells.length < 4) {
+        return;
+      }
+
+      const description = cleanText(cells.eq(1).text());
+      const comment = cleanText(cells.eq(2).text());
+      const date = usDateToKey(cells.eq(3).text());
+      const chapter = `${description} ${comment}`.match(CHAPTER_PATTERN);
+      if (chapter) {
+        result.chapter = chapter[1];
+      }
+
+      if (PRESENTED_PATTERN.test(description)) {
+        result.presentedDate = date;
+        return;
+      }
+
+      const match = ACTION_PATTERNS.find(({ pattern }) => pattern.test(description));
+      if (!match) {
+        return;
+      }
+
+      result.action = match.action;
+      result.date = date;
+      result.actionText = description;
+
+      // Veto proclamations are linked from the veto row
+      const link = $(row).find('a').filter((j, a) => /veto|proclamation/i.test(`${$(a).attr('href')} ${$(a).text()}`)).first();
+      if (link.length > 0 && match.action !== 'signed') {
+        result.proclamation = { url: new URL(link.attr('href'), pageUrl).toString(), text: null };
+      }
+    });
+
+    // The History page header also lists the chapter once the bill is law
+    $('td, span').each((i, element) => {
+      if (!result.chapter && /^Chapter:?$/i.test(cleanText($(element).text()))) {
+        const value = cleanText($(element).next().text()).match(/\d+/);
+        result.chapter = value ? value[0] : null;
+      }
+    });
+
+    return result.action || result.presentedDate ? result : null;
+  }
+
+  async fetchProclamation(url) {
+    const isPdf = /\.pdf($|\?)/i.test(url);
+    const response = await axios.get(url, { ...this.axiosConfig, responseType: isPdf ? 'arraybuffer' : 'text' });
+
+    if (isPdf) {
+      if (!pdfParse) {
+        return null;
+      }
+      const pdf = await pdfParse(Buffer.from(response.data));
+      return cleanText(pdf.text) || null;
+    }
+
+    const $ = cheerio.load(response.data);
+    return cleanText($('body').text()) || null;
+  }
+
+  /**
+   * Stage-shaped History rows for the lifecycle, so governor actions move the bill's status
+   */
+  toStages(governorAction) {
+    if (!governorAction) {
+      return [];
+    }
+
+    const toStage = (dateKey, action) => ({
+      date: dateKey ? new Date(parseDateKey(dateKey)) : null,
+      rawDate: dateKey ? `${dateKey.slice(5, 7)}/${dateKey.slice(8, 10)}/${dateKey.slice(0, 4)}` : '',
+      action,
+      location: ''
+    });
+    const stages = [];
+    if (governorAction.presentedDate) {
+      stages.push(toStage(governorAction.presentedDate, 'Sent to the Governor'));
+    }
+    if (governorAction.action) {
+      stages.push(toStage(governorAction.date, governorAction.actionText || ACTION_LABELS[governorAction.action]));
+    }
+    return stages;
+  }
+
+  /**
+   * Last day of a regular session, or null for special sessions, whose length varies
+   * @param {string} session - Session code (e.g., "89R")
+   * @returns {string|null} YYYY-MM-DD
+   */
+  getSessionEnd(session) {
+    const match = /^(\d+)R$/.exec(idStandardizer.standardizeSession(session) || '');
+    if (!match) {
+      return null;
+    }
+
+    const year = 1847 + 2 * Number(match[1]);
+    const firstTuesday = 1 + ((2 - new Date(Date.UTC(year, 0, 1)).getUTCDay() + 7) % 7);
+    const convenes = Date.UTC(year, 0, firstTuesday + 7);
+    return toDateKey(convenes + (REGULAR_SESSION_DAYS - 1) * DAY);
+  }
+
+  /**
+   * Deadline for the governor to act on a bill presented on a given day
+   * @param {string} presentedDate - YYYY-MM-DD
+   * @param {string} [session] - Session code; regular sessions get the post-adjournment rule
+   * @param {Date} [today] - Reference date for the countdown
+   * @returns {Object} { presentedDate, deadline, rule: in-session|after-adjournment, sessionEnd, daysRemaining, expired }
+   */
+  getVetoPeriod(presentedDate, session = null, today = new Date()) {
+    let deadline = parseDateKey(presentedDate);
+    for (let counted = 0; counted < IN_SESSION_DAYS;) {
+      deadline += DAY;
+      if (new Date(deadline).getUTCDay() !== 0) {
+        counted += 1;
+      }
+    }
+
+    const sessionEnd = this.getSessionEnd(session);
+    let rule = 'in-session';
+    if (sessionEnd && toDateKey(deadline) > sessionEnd) {
+      // Adjournment prevents the bill's return, so the governor has twenty days after it
+      deadline = parseDateKey(sessionEnd) + POST_SESSION_DAYS * DAY;
+      rule = 'after-adjournment';
+    }
+
+    const todayKey = toDateKey(today.getTime ? today.getTime() : today);
+    const daysRemaining = Math.round((deadline - parseDateKey(todayKey)) / DAY);
+    return {
+      presentedDate,
+      deadline: toDateKey(deadline),
+      rule,
+      sessionEnd,
+      daysRemaining: Math.max(daysRemaining, 0),
+      expired: daysRemaining < 0
+    };
+  }
+
+  /**
+   * A bill's governor action, from the scraped History page or, failing that, its lifecycle
+   * @param {Object} bill - Bill data
+   * @param {Date} [today] - Reference date for the veto-period countdown
+   * @returns {Object|null} { action, label, date, chapter, proclamation, vetoPeriod }, or null before the bill reaches the governor
+   */
+  getAction(bill, today = new Date()) {
+    const record = this.getActionRecord(bill);
+    return record ? this.toAction(record, bill.session, today) : null;
+  }
+
+  /**
+   * The parts of a bill's governor action that do not depend on the current date
+   * @returns {Object|null} { action, date, chapter, proclamation, presentedDate }; action is null while pending
+   */
+  getActionRecord(bill) {
+    const stored = bill.governorAction || {};
+    const lifecycle = billLifecycle.resolveRecorded(bill);
+    const transition = status => lifecycle.transitions.filter(step => step.status === status).pop();
+
+    let action = stored.action || null;
+    let date = stored.date || null;
+    if (!action) {
+      const outcome = transition('Vetoed') || transition('Filed Without Signature') || transition('Signed');
+      if (outcome) {
+        const match = ACTION_PATTERNS.find(({ pattern }) => pattern.test(outcome.action));
+        action = match ? match.action : STATUS_ACTIONS[outcome.status];
+        date = outcome.date;
+      } else {
+        action = STATUS_ACTIONS[lifecycle.status] || null;
+      }
+    }
+
+    const sent = transition('Sent to Governor');
+    const presentedDate = stored.presentedDate || (sent && sent.date) || null;
+    if (!action && !stored.presentedDate && lifecycle.status !== 'Sent to Governor') {
+      return null;
+    }
+
+    return {
+      action,
+      date,
+      chapter: stored.chapter || null,
+      proclamation: stored.proclamation || null,
+      presentedDate
+    };
+  }
+
+  /**
+   * A governor action as returned by getAction, with the veto-period countdown as of today
+   * @param {Object} record - From getActionRecord
+   * @param {string} session - Session code
+   * @param {Date} [today] - Reference date for the countdown
+   */
+  toAction(record, session, today = new Date()) {
+    const { action, date, chapter, proclamation, presentedDate } = record;
+    const vetoPeriod = presentedDate ? this.getVetoPeriod(presentedDate, session, today) : null;
+    if (vetoPeriod && action) {
+      // The countdown stops once the governor acts
+      vetoPeriod.daysRemaining = null;
+      vetoPeriod.expired = false;
+    }
+
+    return {
+      action: action || 'pending',
+      label: ACTION_LABELS[action || 'pending'],
+      date,
+      chapter,
+      proclamation,
+      vetoPeriod
+    };
+  }
+
+  /**
+   * Bills the governor has acted on or still has to act on
+   * @param {Object} options - { session, actions: filter to these actions, limit, today }
+   * @returns {Promise<Object>} { actions, total, counts } with pending bills first by deadline, then the latest actions
+   */
+  async listActions({ session = null, actions = [], limit = 100, today = new Date() } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIST_RESULTS);
+    const rows = await billCatalog.getRows({ session });
+
+    const entries = rows
+      .filter(row => row.governor && row.billNumber)
+      .map(row => ({ bill: row, governorAction: this.toAction(row.governor, row.session, today) }));
+
+    const counts = Object.fromEntries(ACTIONS.map(action => [action, 0]));
+    entries.forEach(({ governorAction }) => { counts[governorAction.action] += 1; });
+
+    const matching = entries
+      .filter(({ governorAction }) => actions.length === 0 || actions.includes(governorAction.action))
+      .sort((a, b) => this.compareEntries(a, b));
+
+    return {
+      actions: matching.slice(0, pageSize).map(({ bill, governorAction }) => ({
+        billId: bill.id,
+        billNumber: idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber)),
+        session: bill.session || null,
+        shortTitle: bill.shortTitle || '',
+        ...governorAction
+      })),
+      total: matching.length,
+      counts
+    };
+  }
+
+  // Pending bills first, soonest deadline first; then acted-on bills, newest first
+  compareEntries(a, b) {
+    const pendingA = a.governorAction.action === 'pending';
+    const pendingB = b.governorAction.action === 'pending';
+    if (pendingA !== pendingB) {
+      return pendingA ? -1 : 1;
+    }
+
+    const key = entry => (pendingA
+      ? (entry.governorAction.vetoPeriod && entry.governorAction.vetoPeriod.deadline) || '9999-12-31'
+      : entry.governorAction.date || '');
+    const diff = key(a).localeCompare(key(b));
+    if (diff !== 0) {
+      return pendingA ? diff : -diff;
+    }
+    return String(a.bill.id).localeCompare(String(b.bill.id));
+  }
+}
+
+const governorService = new GovernorService();
+
+billCatalog.register('governor', bill => governorService.getActionRecord(bill));
+
+module.exports = { GovernorService, governorService, ACTIONS, ACTION_LABELS };
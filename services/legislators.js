@@ -0,0 +1,324 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { legislatorDatabase } = require('../config/legislator-database');
+const { billDatabase } = require('../config/bill-database');
+const { idStandardizer } = require('../config/id-standardizer');
+const { toTime } = require('../config/field-values');
+
+// TLO member list and profile pages use one-letter chamber codes
+const CHAMBER_CODES = { Senate: 'S', House: 'H' };
+
+// Upper bound on stored bills re-linked after a directory refresh
+const BILL_SCAN_LIMIT = 20000;
+
+// The in-memory name index is reloaded from the database at most this often
+const DIRECTORY_TTL = 60 * 60 * 1000;
+
+// Member records rarely change; the scheduler refreshes them when they are older than this
+const REFRESH_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+const PHONE_PATTERN = /\(?\d{3}\)?[\s.-]*\d{3}-\d{4}/;
+
+// Lowercase, accent-free name for matching ("González" -> "gonzalez")
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^(sen|senator|rep|representative)\.?\s+/, '')
+    .replace(/[^a-z, '-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "Creighton, Brandon" or "Brandon Creighton" -> { firstName, lastName }
+function splitName(name) {
+  const cleaned = String(name || '').replace(/\s+/g, ' ').trim();
+  if (cleaned.includes(',')) {
+    const [lastName, firstName] = cleaned.split(',').map(part => part.trim());
+    return { firstName: firstName || '', lastName };
+  }
+
+  const parts = cleaned.split(' ').filter(part => !/^(jr|sr|ii|iii|iv)\.?$/i.test(part));
+  return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] || '' };
+}
+
+/**
+ * LegislatorService - Member directory scraped from TLO, linked to the bills members carry
+ *
+ * Features:
+ * - Scrapes member lists and profiles (party, district, committees, contact info, photo)
+ * - Matches author, coauthor and sponsor names on bills to member records
+ * - Re-links stored bills whenever the directory is refreshed
+ */
+class LegislatorService {
+  constructor() {
+    this.baseUrl = 'https://capitol.texas.gov';
+    this.axiosConfig = {
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    };
+    this.directory = null; // `${chamber}|${last name}` -> member records
+    this.directoryLoadedAt = 0;
+  }
+
+  getMemberListUrl(chamber) {
+    return `${this.baseUrl}/Members/Members.aspx?Chamber=${CHAMBER_CODES[chamber]}`;
+  }
+
+  /**
+   * Scrape the member list of a chamber
+   * @param {string} chamber - "Senate" or "House"
+   * @returns {Promise<Array>} Members as { id, code, chamber, name, firstName, lastName, profileUrl }
+   */
+  async scrapeMemberList(chamber) {
+    const url = this.getMemberListUrl(chamber);
+    const response = await axios.get(url, this.axiosConfig);
+    return this.parseMemberList(response.data, chamber, url);
+  }
+
+  parseMemberList(html, chamber, pageUrl = this.getMemberListUrl(chamber)) {
+    const $ = cheerio.load(html);
+    const members = new Map();
+
+    $('a[href*="MemberInfo.aspx"]').each((i, link) => {
+      const profileUrl = new URL($(link).attr('href'), pageUrl).toString();
+      const code = new URL(profileUrl).searchParams.get('Code');
+      const label = $(link).text().replace(/\s+/g, ' ').trim();
+
+      if (!code || !label || members.has(code.toUpperCase())) {
+        return;
+      }
+
+      const { firstName, lastName } = splitName(label);
+      members.set(code.toUpperCase(), {
+        id: code.toUpperCase(),
+        code: code.toUpperCase(),
+        chamber,
+        name: [firstName, lastName].filter(Boolean).join(' '),
+        firstName,
+        lastName,
+        profileUrl
+      });
+    });
+
+    return Array.from(members.values());
+  }
+
+  /**
+   * Fetch a member's profile page
+   * @param {Object} member - Member from the member list
+   * @returns {Promise<Object>} { district, party, committees, contact, photoUrl }
+   */
+  async fetchMemberProfile(member) {
+    const response = await axios.get(member.profileUrl, this.axiosConfig);
+    return this.parseMemberProfile(response.data, member.profileUrl);
+  }
+
+  parseMemberProfile(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const text = $('body').text().replace(/\s+/g, ' ').trim();
+
+    const districtMatch = text.match(/District\s*(?:No\.?)?\s*:?\s*(\d{1,3})\b/i);
+    const partyMatch = text.match(/\b(Republican|Democrat(?:ic)?)\b/i) || text.match(/\(([RD])\)/);
+    const party = partyMatch ? (/^r/i.test(partyMatch[1]) ? 'Republican' : 'Democrat') : null;
+
+    // Committee links sit in rows that also give the member's position
+    const committees = [];
+    $('a[href*="Committees/"]').each((i, link) => {
+      const name = $(link).text().replace(/\s+/g, ' ').trim();
+      const rowText = $(link).closest('tr').text();
+      if (name && !committees.some(committee => committee.name === name)) {
+        committees.push({
+          name,
+          position: /vice[\s-]*chair/i.test(rowText) ? 'Vice Chair' : /chair/i.test(rowText) ? 'Chair' : 'Member'
+        });
+      }
+    });
+
+    const photo = $('img').toArray()
+      .map(img => $(img).attr('src') || '')
+      .find(src => /member|photo/i.test(src));
+    const email = $('a[href^="mailto:"]').first().attr('href');
+
+    return {
+      district: districtMatch ? districtMatch[1] : '',
+      party,
+      committees,
+      contact: {
+        ...this.parseOffice(text, 'Capitol Office', 'capitol'),
+        ...this.parseOffice(text, 'District Office', 'district'),
+        email: email ? email.replace(/^mailto:/i, '').trim() : ''
+      },
+      photoUrl: photo ? new URL(photo, pageUrl).toString() : ''
+    };
+  }
+
+  // Address and phone from an office section of the profile text
+  parseOffice(text, label, prefix) {
+    const section = text.match(new RegExp(`${label}:?\\s*(.+?)(?=Capitol Office|District Office|Committee|$)`, 'i'));
+    const body = section ? section[1] : '';
+    const phone = body.match(PHONE_PATTERN);
+
+    return {
+      [`${prefix}Office`]: body.split(/Phone|Fax/i)[0].replace(PHONE_PATTERN, '').trim(),
+      [`${prefix}Phone`]: phone ? phone[0] : ''
+    };
+  }
+
+  /**
+   * Refresh the directory when it is empty or older than the refresh interval
+   * @returns {Promise<Object|null>} Refresh counts, or null when the directory is current
+   */
+  async refreshIfStale() {
+    const legislators = await legislatorDatabase.getLegislators();
+    const newest = Math.max(0, ...legislators.map(legislator => toTime(legislator.lastScrapedAt)));
+
+    if (legislators.length > 0 && Date.now() - newest < REFRESH_INTERVAL) {
+      return null;
+    }
+    return this.refreshDirectory();
+  }
+
+  /**
+   * Scrape every member of both chambers, then re-link stored bills to the new records
+   * A member whose profile page fails is still saved with the list data
+   * @returns {Promise<Object>} { legislators, billsRelinked }
+   */
+  async refreshDirectory() {
+    const legislature = idStandardizer.defaultSession.slice(0, 2);
+    let saved = 0;
+
+    for (const chamber of Object.keys(CHAMBER_CODES)) {
+      const members = await this.scrapeMemberList(chamber);
+
+      for (const member of members) {
+        let profile = {};
+        try {
+          profile = await this.fetchMemberProfile(member);
+        } catch (error) {
+          console.warn(`⚠️ Could not fetch profile for ${member.name}:`, error.message);
+        }
+
+        await legislatorDatabase.saveLegislator({ ...member, ...profile, legislature, lastScrapedAt: new Date() });
+        saved++;
+        await this.delay(500); // Avoid overwhelming TLO between profile fetches
+      }
+    }
+
+    this.directory = null;
+    const billsRelinked = await this.relinkBills();
+
+    console.log(`👥 Legislator directory refreshed: ${saved} members, ${billsRelinked} bills re-linked`);
+    return { legislators: saved, billsRelinked };
+  }
+
+  // Load the name index from stored member records
+  async getDirectory() {
+    if (this.directory && Date.now() - this.directoryLoadedAt < DIRECTORY_TTL) {
+      return this.directory;
+    }
+
+    const directory = new Map();
+    (await legislatorDatabase.getLegislators()).forEach(legislator => {
+      const key = `${legislator.chamber}|${normalizeName(legislator.lastName)}`;
+      directory.set(key, [...(directory.get(key) || []), legislator]);
+    });
+
+    this.directory = directory;
+    this.directoryLoadedAt = Date.now();
+    return directory;
+  }
+
+  /**
+   * Find the member a name on a bill refers to
+   * Reports usually give last names only; a first name after a comma tells namesakes apart
+   * @returns {Object|null} Member record, or null when unknown or ambiguous
+   */
+  findMember(directory, name, chamber) {
+    const { firstName, lastName } = splitName(name);
+    const candidates = directory.get(`${chamber}|${normalizeName(lastName)}`) || [];
+    const first = normalizeName(firstName);
+    const matches = first
+      ? candidates.filter(candidate => normalizeName(candidate.firstName).startsWith(first))
+      : candidates;
+
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Compute a bill's legislator links
+   * Authors are bill.sponsors and coauthors bill.coauthors, both from the bill's chamber;
+   * the report's "Sponsor:" row (the other chamber's sponsor) is stored in bill.coSponsors
+   * @returns {Object} { sponsors, legislators, legislatorIds }
+   */
+  getLinks(bill, directory) {
+    const chamber = bill.chamber || idStandardizer.getChamber(idStandardizer.standardize(bill.billNumber));
+    const otherChamber = chamber === 'Senate' ? 'House' : 'Senate';
+    const legislators = [];
+
+    const link = (name, role, inChamber) => {
+      const member = this.findMember(directory, name, inChamber);
+      if (member && !legislators.some(entry => entry.legislatorId === member.id && entry.role === role)) {
+        legislators.push({ legislatorId: member.id, name: member.name, role });
+      }
+      return member;
+    };
+
+    const sponsors = (bill.sponsors || []).map(sponsor => {
+      const info = typeof sponsor === 'string' ? { name: sponsor, photoUrl: '', district: '' } : sponsor;
+      const member = link(info.name, 'author', chamber);
+      return member
+        ? { ...info, legislatorId: member.id, photoUrl: info.photoUrl || member.photoUrl || '', district: info.district || member.district || '' }
+        : info;
+    });
+    (bill.coauthors || []).forEach(name => link(name, 'coauthor', chamber));
+    (bill.coSponsors || []).forEach(name => link(name, 'sponsor', otherChamber));
+
+    return {
+      sponsors,
+      legislators,
+      legislatorIds: Array.from(new Set(legislators.map(entry => entry.legislatorId)))
+    };
+  }
+
+  /**
+   * Link a bill's authors, coauthors and sponsors to member records before it is saved
+   * @param {Object} bill - Bill data
+   * @returns {Promise<Object>} Bill data with sponsors[].legislatorId, legislators and legislatorIds
+   */
+  async linkBill(bill) {
+    try {
+      const directory = await this.getDirectory();
+      return directory.size > 0 ? { ...bill, ...this.getLinks(bill, directory) } : bill;
+    } catch (error) {
+      console.warn(`⚠️ Could not link legislators for ${bill.billNumber}:`, error.message);
+      return bill;
+    }
+  }
+
+  // Recompute links for every stored bill and save the ones that changed
+  async relinkBills() {
+    const directory = await this.getDirectory();
+    const bills = await billDatabase.getAllBills(BILL_SCAN_LIMIT);
+
+    const changed = bills
+      .map(bill => ({ bill, fields: this.getLinks(bill, directory) }))
+      .filter(({ bill, fields }) =>
+        JSON.stringify(fields.legislators) !== JSON.stringify(bill.legislators || []) ||
+        JSON.stringify(fields.sponsors) !== JSON.stringify(bill.sponsors || []))
+      .map(({ bill, fields }) => ({ docId: bill.id, fields }));
+
+    return billDatabase.updateEach(changed);
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+const legislatorService = new LegislatorService();
+
+module.exports = { LegislatorService, legislatorService, normalizeName };
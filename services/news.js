@@ -1,6 +1,8 @@
 const NewsAPI = require('newsapi');
 const { databaseService } = require('../config/database');
+const { crudOperations } = require('../config/crud-operations');
 const { AppError, retryManager, fallbackManager, circuitBreakers } = require('../backend/middleware/error-handler');
+const { webhookService } = require('./webhooks');
 
 /**
  * NewsService - Handles news article fetching using News API
@@ -150,6 +152,19 @@ Respond with only "RELEVANT" or "NOT_RELEVANT" - no explanation needed.`;
           
           // Store as fallback for future failures
           fallbackManager.setFallback(`news-${billId}`, processedArticles);
+
+          if (processedArticles.length > 0) {
+            await webhookService.emit('news.found', {
+              billId,
+              billNumber: billData.billNumber || null,
+              articles: processedArticles.map(article => ({
+                headline: article.headline,
+                source: article.source,
+                url: article.url,
+                publishedAt: article.publishedAt
+              }))
+            });
+          }
           
           return processedArticles;
         }, operationKey, {
@@ -477,7 +492,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT" - no explanation needed.`;
   }
 
   /**
-   * Get cached news from Firebase
+   * Get cached news from the database
    * @private
    */
   async getCachedNews(billId) {
@@ -492,20 +507,19 @@ Respond with only "RELEVANT" or "NOT_RELEVANT" - no explanation needed.`;
         }
       }
 
-      // Try Firebase cache only if database is connected
+      // Try database cache only if database is connected
       if (databaseService.isConnected) {
-        const db = databaseService.getDb();
-        const newsDoc = await db.collection('news_cache').doc(billId).get();
+        const data = await crudOperations.read('news_cache', billId);
         
-        if (newsDoc.exists) {
-          const data = newsDoc.data();
-          const cacheAge = Date.now() - data.lastFetched.toMillis();
+        if (data) {
+          const lastFetched = data.lastFetched.toMillis ? data.lastFetched.toMillis() : new Date(data.lastFetched).getTime();
+          const cacheAge = Date.now() - lastFetched;
           
           if (cacheAge < this.cacheExpiry) {
             // Add to memory cache
             this.cache.set(billId, {
               articles: data.articles,
-              timestamp: data.lastFetched.toMillis()
+              timestamp: lastFetched
             });
             return data.articles;
           }
@@ -520,7 +534,7 @@ Respond with only "RELEVANT" or "NOT_RELEVANT" - no explanation needed.`;
   }
 
   /**
-   * Cache news articles in Firebase and memory
+   * Cache news articles in the database and memory
    * @private
    */
   async cacheNews(billId, articles) {
@@ -531,11 +545,8 @@ Respond with only "RELEVANT" or "NOT_RELEVANT" - no explanation needed.`;
         timestamp: Date.now()
       });
       
-      // Try Firebase cache only if database is connected
+      // Try database cache only if database is connected
       if (databaseService.isConnected) {
-        const db = databaseService.getDb();
-        const newsRef = db.collection('news_cache').doc(billId);
-        
         const cacheData = {
           billId,
           articles,
@@ -543,8 +554,8 @@ Respond with only "RELEVANT" or "NOT_RELEVANT" - no explanation needed.`;
           articleCount: articles.length
         };
         
-        await newsRef.set(cacheData);
-        console.log(`💾 Cached ${articles.length} news articles for bill ${billId} in Firebase`);
+        await crudOperations.create('news_cache', billId, cacheData);
+        console.log(`💾 Cached ${articles.length} news articles for bill ${billId} in database`);
       } else {
         console.log(`💾 Cached ${articles.length} news articles for bill ${billId} in memory only`);
       }
@@ -0,0 +1,305 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { watchlistDatabase } = require('../config/watchlist-database');
+const { toIso } = require('../config/field-values');
+const { resolvePublicUrl } = require('./outbound-url');
+
+/**
+ * Email transport - delivers notifications over SMTP
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and NOTIFIER_FROM
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.from = options.from || process.env.NOTIFIER_FROM || 'AwareTexas <no-reply@awaretexas.org>';
+    this.host = options.host || process.env.SMTP_HOST;
+    this.mailer = options.mailer || (this.host ? nodemailer.createTransport({
+      host: this.host,
+      port: parseInt(options.port || process.env.SMTP_PORT || '587'),
+      secure: (options.secure || process.env.SMTP_SECURE) === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    }) : null);
+  }
+
+  canDeliver(watchlist) {
+    return Boolean(this.mailer && watchlist.email);
+  }
+
+  async send(watchlist, message) {
+    await this.mailer.sendMail({
+      from: this.from,
+      to: watchlist.email,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+}
+
+/**
+ * Generic webhook transport - POSTs the notification as JSON to the watchlist's webhook URL
+ * The host is re-resolved before each send, private addresses are refused and the request connects only
+ * to the addresses checked
+ */
+class WebhookTransport {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.timeout = options.timeout || 10000;
+  }
+
+  canDeliver(watchlist) {
+    return Boolean(watchlist.webhookUrl);
+  }
+
+  async send(watchlist, message) {
+    const { url, httpAgent, httpsAgent } = await resolvePublicUrl(watchlist.webhookUrl);
+    await axios.post(url, message.payload, {
+      timeout: this.timeout,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'AwareTexas-Notifier/1.0' }
+    });
+  }
+}
+
+/**
+ * Local stub transport - keeps delivered messages in memory for tests and development
+ */
+class StubTransport {
+  constructor() {
+    this.name = 'stub';
+    this.sent = [];
+  }
+
+  canDeliver() {
+    return true;
+  }
+
+  async send(watchlist, message) {
+    this.sent.push({ watchlistId: watchlist.id, ...message });
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+const TRANSPORTS = {
+  smtp: SmtpTransport,
+  webhook: WebhookTransport,
+  stub: StubTransport
+};
+
+/**
+ * Notifier - Turns bill changes into notifications for the watchlists following them
+ *
+ * Features:
+ * - Detects status changes, new votes, new committees and new bill text
+ * - Stores every notification so watchlists without a delivery target can still read them
+ * - Delivers through pluggable transports selected with NOTIFIER_TRANSPORTS (smtp, webhook, stub)
+ */
+class Notifier {
+  constructor() {
+    this.transports = this.createTransports(process.env.NOTIFIER_TRANSPORTS || 'smtp,webhook');
+  }
+
+  /**
+   * Build transports from a comma separated list of names
+   * @param {string|Array} names - Transport names, e.g. "smtp,webhook"
+   * @returns {Array} Transport instances
+   */
+  createTransports(names) {
+    const list = Array.isArray(names) ? names : String(names).split(',');
+
+    return list
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => {
+        if (!TRANSPORTS[name]) {
+          throw new Error(`Unknown notifier transport: ${name}`);
+        }
+        return new TRANSPORTS[name]();
+      });
+  }
+
+  /**
+   * Replace the active transports
+   * @param {Array} transports - Objects implementing name, canDeliver(watchlist) and send(watchlist, message)
+   */
+  setTransports(transports) {
+    this.transports = transports;
+  }
+
+  /**
+   * List the changes between two versions of a bill that watchers care about
+   * @param {Object} previousBill - Stored bill before the update
+   * @param {Object} nextBill - Bill about to be (or just) saved
+   * @returns {Array} Events such as { type: 'status', from, to }
+   */
+  detectEvents(previousBill, nextBill) {
+    const events = [];
+
+    if (!previousBill || !nextBill) {
+      return events;
+    }
+
+    if (nextBill.status && nextBill.status !== previousBill.status) {
+      events.push({ type: 'status', from: previousBill.status || null, to: nextBill.status });
+    }
+
+    if (nextBill.committee && nextBill.committee !== previousBill.committee) {
+      events.push({ type: 'committee', from: previousBill.committee || null, to: nextBill.committee });
+    }
+
+    const previousVotes = new Set(this.getVotes(previousBill).map(vote => this.getVoteKey(vote)));
+    for (const vote of this.getVotes(nextBill)) {
+      if (!previousVotes.has(this.getVoteKey(vote))) {
+        events.push({
+          type: 'vote',
+          vote: {
+            chamber: vote.chamber || null,
+            description: vote.description || null,
+            votes: vote.votes || {}
+          }
+        });
+      }
+    }
+
+    if (nextBill.billText && nextBill.billText !== previousBill.billText) {
+      events.push({ type: 'text', from: previousBill.billText ? 'updated' : null, to: 'available' });
+    }
+
+    return events;
+  }
+
+  getVotes(bill) {
+    return (bill.votingData && Array.isArray(bill.votingData.votes)) ? bill.votingData.votes : [];
+  }
+
+  // Scraped vote dates fall back to the scrape time, so votes are identified by their content
+  getVoteKey(vote) {
+    return JSON.stringify([vote.chamber || '', vote.description || '', vote.votes || {}]);
+  }
+
+  /**
+   * Notify every watchlist following a bill about its changes
+   * Failures are logged and never interrupt the caller's ingestion
+   * @param {Object} previousBill - Stored bill before the update
+   * @param {Object} nextBill - Updated bill
+   * @returns {Promise<Array>} Notifications created
+   */
+  async notifyBillChange(previousBill, nextBill) {
+    const events = this.detectEvents(previousBill, nextBill);
+    if (events.length === 0) {
+      return [];
+    }
+
+    const billId = previousBill.id || nextBill.id;
+    const billNumber = nextBill.billNumber || previousBill.billNumber;
+    const notifications = [];
+
+    try {
+      const watchlists = await watchlistDatabase.getWatchlistsForBill(billId);
+
+      for (const watchlist of watchlists) {
+        try {
+          const notification = await watchlistDatabase.saveNotification({
+            watchlistId: watchlist.id,
+            billId,
+            billNumber,
+            events,
+            deliveries: []
+          });
+
+          notification.deliveries = await this.deliver(watchlist, notification);
+          if (notification.deliveries.length > 0) {
+            await watchlistDatabase.updateDeliveries(notification.id, notification.deliveries);
+          }
+
+          notifications.push(notification);
+        } catch (error) {
+          console.error(`❌ Failed to notify watchlist ${watchlist.id} about ${billNumber}:`, error.message);
+        }
+      }
+
+      if (notifications.length > 0) {
+        console.log(`🔔 Sent ${notifications.length} notifications for ${billNumber}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load watchlists for ${billNumber}:`, error.message);
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Send a notification through every transport that can reach the watchlist
+   * @returns {Promise<Array>} Delivery results { transport, status, error }
+   */
+  async deliver(watchlist, notification) {
+    const message = this.formatMessage(notification);
+    const deliveries = [];
+
+    for (const transport of this.transports) {
+      if (!transport.canDeliver(watchlist)) {
+        continue;
+      }
+
+      try {
+        await transport.send(watchlist, message);
+        deliveries.push({ transport: transport.name, status: 'sent', error: null });
+      } catch (error) {
+        console.warn(`⚠️ ${transport.name} delivery failed for watchlist ${watchlist.id}:`, error.message);
+        deliveries.push({ transport: transport.name, status: 'failed', error: error.message });
+      }
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Render a notification as an email subject/body and a webhook payload
+   */
+  formatMessage(notification) {
+    const { billId, billNumber, events } = notification;
+    const baseUrl = (process.env.FRONTEND_URL && process.env.FRONTEND_URL !== '*') ? process.env.FRONTEND_URL : '';
+    const link = `${baseUrl}/bill-detail.html?id=${encodeURIComponent(billId)}`;
+    const lines = events.map(event => this.describeEvent(event));
+
+    return {
+      subject: `${billNumber}: ${lines[0]}${events.length > 1 ? ` (+${events.length - 1} more)` : ''}`,
+      text: [`Updates for ${billNumber}:`, '', ...lines.map(line => `- ${line}`), '', `View the bill: ${link}`].join('\n'),
+      payload: {
+        type: 'bill.updated',
+        billId,
+        billNumber,
+        events,
+        url: link,
+        createdAt: toIso(notification.createdAt)
+      }
+    };
+  }
+
+  describeEvent(event) {
+    switch (event.type) {
+      case 'status':
+        return `Status changed from ${event.from || 'unknown'} to ${event.to}`;
+      case 'committee':
+        return `Referred to ${event.to}`;
+      case 'vote': {
+        const chamber = event.vote.chamber ? `${event.vote.chamber} ` : '';
+        const counts = Object.entries(event.vote.votes).map(([type, count]) => `${count} ${type}`).join(', ');
+        return `New ${chamber}vote${counts ? `: ${counts}` : ''}`;
+      }
+      case 'text':
+        return event.from ? 'Bill text was updated' : 'Bill text is now available';
+      default:
+        return `Bill ${event.type} changed`;
+    }
+  }
+}
+
+// Create singleton instance
+const notifier = new Notifier();
+
+module.exports = { Notifier, SmtpTransport, WebhookTransport, StubTransport, notifier };
@@ -0,0 +1,114 @@
+// Outbound URL checks - webhooks may only be delivered to public http(s) hosts
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local, shared (CGNAT), benchmarking, documentation, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Local development and tests deliver to receivers on this machine
+function allowsPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/**
+ * Whether an IP address is outside the public internet
+ * IPv4-mapped IPv6 addresses ("::ffff:127.0.0.1") are checked as IPv4
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for private and reserved addresses, and for anything that is not an IP
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i.exec(String(address));
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  const family = net.isIP(String(address));
+  if (!family) {
+    return true;
+  }
+  return BLOCKED_RANGES.check(String(address), family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup that only ever answers with addresses that were already checked
+function createPinnedLookup(addresses) {
+  const entries = addresses.map(address => ({ address, family: net.isIP(address) }));
+
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (options.all) {
+      return callback(null, entries);
+    }
+    callback(null, entries[0].address, entries[0].family);
+  };
+}
+
+/**
+ * Check a URL like assertPublicUrl, and return agents that connect only to the addresses checked
+ * Pass the agents to axios so a second DNS answer (DNS rebinding) cannot send the request to a private host
+ * @param {string} value - URL to check
+ * @returns {Promise<Object>} { url, httpAgent, httpsAgent }; no agents when private hosts are allowed
+ * @throws {Error} When the URL is malformed, not http(s), or points at a private host
+ */
+async function resolvePublicUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('URL must be an http(s) URL');
+  }
+  if (allowsPrivateHosts()) {
+    return { url: url.toString() };
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new Error(`URL host ${hostname} could not be resolved`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new Error(`URL host ${hostname} is not a public address`);
+  }
+
+  const lookup = createPinnedLookup(addresses);
+  return {
+    url: url.toString(),
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+}
+
+/**
+ * Check that a URL is http(s) and that every address its host resolves to is public
+ * Run when a URL is saved; deliveries use resolvePublicUrl, since DNS answers can change
+ * @param {string} value - URL to check
+ * @returns {Promise<string>} The normalized URL
+ * @throws {Error} When the URL is malformed, not http(s), or points at a private host
+ */
+async function assertPublicUrl(value) {
+  return (await resolvePublicUrl(value)).url;
+}
+
+module.exports = { isPrivateAddress, assertPublicUrl, resolvePublicUrl };
@@ -0,0 +1,413 @@
+// Minimal PDF writer for text documents
+// Lays out titles, headings, paragraphs, label/value rows, bullet lists and a table of contents on
+// US Letter pages using the standard Helvetica fonts, which PDF viewers provide without embedding
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_Y = 32;
+const LABEL_WIDTH = 110;
+const LIST_INDENT = 14;
+
+// Advance widths (1/1000 em) of characters 32-126
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// WinAnsiEncoding codes of the punctuation outside Latin-1 that bill text and news headlines use
+const WIN_ANSI = {
+  '\u20AC': 0x80, '\u2026': 0x85, '\u2018': 0x91, '\u2019': 0x92, '\u201C': 0x93,
+  '\u201D': 0x94, '\u2022': 0x95, '\u2013': 0x96, '\u2014': 0x97, '\u2122': 0x99
+};
+const WIN_ANSI_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x97: 1000, 0xA0: 278 };
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+const STYLES = {
+  title: { font: 'bold', size: 18, leading: 22, spaceBefore: 0, spaceAfter: 4 },
+  subtitle: { font: 'regular', size: 10, leading: 13, spaceBefore: 0, spaceAfter: 6, gray: 0.35 },
+  heading: { font: 'bold', size: 12, leading: 15, spaceBefore: 12, spaceAfter: 3 },
+  paragraph: { font: 'regular', size: 10, leading: 13.5, spaceBefore: 0, spaceAfter: 6 },
+  note: { font: 'regular', size: 9, leading: 12, spaceBefore: 0, spaceAfter: 6, gray: 0.35 },
+  footer: { font: 'regular', size: 8, gray: 0.45 }
+};
+
+function encode(text) {
+  return Array.from(String(text).replace(/\s+/g, ' '), char => {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) {
+      return code;
+    }
+    return WIN_ANSI[char] || 0x3F;
+  });
+}
+
+function charWidth(code, font) {
+  if (code >= 32 && code <= 126) {
+    return WIDTHS[font][code - 32];
+  }
+  return WIN_ANSI_WIDTHS[code] || 556;
+}
+
+/**
+ * Width of text in points
+ * @param {string|number[]} text - Text, or WinAnsi codes from encode()
+ */
+function textWidth(text, font, size) {
+  const codes = typeof text === 'string' ? encode(text) : text;
+  return codes.reduce((width, code) => width + charWidth(code, font), 0) * size / 1000;
+}
+
+// Break text into lines of WinAnsi codes no wider than width; words longer than a line are split
+function wrap(text, font, size, width) {
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  const space = charWidth(32, font) * size / 1000;
+
+  encode(text).reduce((words, code) => {
+    if (code === 32) {
+      words.push([]);
+    } else {
+      words[words.length - 1].push(code);
+    }
+    return words;
+  }, [[]]).filter(word => word.length > 0).forEach(word => {
+    let wordWidth = textWidth(word, font, size);
+    if (line.length > 0 && lineWidth + space + wordWidth <= width) {
+      line.push(32, ...word);
+      lineWidth += space + wordWidth;
+      return;
+    }
+    if (line.length > 0) {
+      lines.push(line);
+    }
+    line = [];
+    lineWidth = 0;
+    while (wordWidth > width) {
+      let count = 1;
+      while (count < word.length && textWidth(word.slice(0, count + 1), font, size) <= width) {
+        count++;
+      }
+      lines.push(word.slice(0, count));
+      word = word.slice(count);
+      wordWidth = textWidth(word, font, size);
+    }
+    line = word;
+    lineWidth = wordWidth;
+  });
+
+  if (line.length > 0) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+function hex(codes) {
+  return `<${codes.map(code => code.toString(16).padStart(2, '0')).join('')}>`;
+}
+
+// PDF text string for the document information dictionary (UTF-16BE with a byte order mark)
+function infoString(text) {
+  const buffer = Buffer.from(`\uFEFF${text}`, 'utf16le').swap16();
+  return `<${buffer.toString('hex')}>`;
+}
+
+// PDF string for a link target; URIs are 7-bit ASCII
+function uriString(url) {
+  const ascii = String(url).replace(/[^\x21-\x7E]/g, char => encodeURIComponent(char));
+  return `(${ascii.replace(/[\\()]/g, '\\$&')})`;
+}
+
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Page layout state: the pages' drawing operations and the current position
+ */
+class Layout {
+  constructor() {
+    this.pages = [];
+    this.anchors = {};
+    this.links = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = { ops: [], annotations: [] };
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  // Start a new page unless height fits above the bottom margin
+  ensureSpace(height) {
+    if (this.y - height < MARGIN && this.y < PAGE_HEIGHT - MARGIN) {
+      this.addPage();
+    }
+  }
+
+  // Space before a block, a page break when its first lines do not fit, and its anchor
+  start(block, style, keepHeight) {
+    if (this.y < PAGE_HEIGHT - MARGIN) {
+      this.y -= style.spaceBefore || 0;
+    }
+    this.ensureSpace(keepHeight);
+    if (block.anchor) {
+      this.anchors[block.anchor] = { page: this.pages.length - 1, y: this.y };
+    }
+  }
+
+  text(codes, x, style, font = style.font) {
+    this.page.ops.push({ type: 'text', codes, x, y: this.y - style.size, font, size: style.size, gray: style.gray });
+  }
+
+  // Lines of one wrapped text, page-breaking between lines
+  lines(lines, x, style, { font = style.font, url } = {}) {
+    lines.forEach(line => {
+      this.ensureSpace(style.leading);
+      this.text(line, x, style, font);
+      if (url) {
+        this.page.annotations.push({ rect: [x, this.y - style.leading, x + textWidth(line, font, style.size), this.y], url });
+      }
+      this.y -= style.leading;
+    });
+  }
+
+  rule() {
+    this.ensureSpace(8);
+    this.y -= 4;
+    this.page.ops.push({ type: 'rule', y: this.y });
+    this.y -= 8;
+  }
+}
+
+const RENDERERS = {
+  title(layout, block) {
+    const style = STYLES.title;
+    const lines = wrap(block.text, style.font, style.size, CONTENT_WIDTH);
+    layout.start(block, style, style.leading * Math.min(lines.length, 2));
+    layout.lines(lines, MARGIN, style);
+    layout.y -= style.spaceAfter;
+  },
+
+  heading(layout, block) {
+    const style = STYLES.heading;
+    // Keep a heading with the first lines that follow it
+    layout.start(block, style, style.leading + 2 * STYLES.paragraph.leading);
+    layout.lines(wrap(block.text, style.font, style.size, CONTENT_WIDTH), MARGIN, style);
+    layout.y -= style.spaceAfter;
+  },
+
+  paragraph(layout, block) {
+    const style = STYLES[block.style] || STYLES.paragraph;
+    String(block.text || '').split(/\n\s*\n|\n/).map(text => text.trim()).filter(Boolean).forEach((text, index) => {
+      const lines = wrap(text, style.font, style.size, CONTENT_WIDTH);
+      if (index === 0) {
+        layout.start(block, style, style.leading * Math.min(lines.length, 2));
+      }
+      layout.lines(lines, MARGIN, style);
+      layout.y -= style.spaceAfter;
+    });
+  },
+
+  fields(layout, block) {
+    const style = STYLES.paragraph;
+    block.rows.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value], index) => {
+      const lines = wrap(String(value), style.font, style.size, CONTENT_WIDTH - LABEL_WIDTH);
+      if (index === 0) {
+        layout.start(block, style, style.leading);
+      }
+      layout.ensureSpace(style.leading);
+      layout.text(encode(label), MARGIN, style, 'bold');
+      layout.lines(lines, MARGIN + LABEL_WIDTH, style);
+      layout.y -= 2;
+    });
+    layout.y -= style.spaceAfter;
+  },
+
+  list(layout, block) {
+    const style = STYLES.paragraph;
+    block.items.forEach((item, index) => {
+      const { text, url } = typeof item === 'object' ? item : { text: item };
+      const lines = wrap(text, style.font, style.size, CONTENT_WIDTH - LIST_INDENT);
+      if (index === 0) {
+        layout.start(block, style, style.leading);
+      }
+      layout.ensureSpace(style.leading);
+      layout.text(encode('\u2022'), MARGIN + 3, style);
+      layout.lines(lines, MARGIN + LIST_INDENT, style, { url });
+      layout.y -= 2;
+    });
+    layout.y -= style.spaceAfter;
+  },
+
+  // One line per entry, with the page its anchor lands on right-aligned
+  toc(layout, block) {
+    const style = STYLES.paragraph;
+    block.entries.forEach((entry, index) => {
+      if (index === 0) {
+        layout.start(block, style, style.leading);
+      }
+      layout.ensureSpace(style.leading);
+      const [line] = wrap(entry.text, style.font, style.size, CONTENT_WIDTH - 40);
+      layout.text(line || [], MARGIN, style);
+      // Placeholder for the page number, filled in once every anchor has been placed
+      layout.text([], PAGE_WIDTH - MARGIN, style);
+      layout.links.push({ page: layout.page, op: layout.page.ops[layout.page.ops.length - 1], y: layout.y, anchor: entry.anchor });
+      layout.y -= style.leading + 2;
+    });
+    layout.y -= style.spaceAfter;
+  },
+
+  rule(layout) {
+    layout.rule();
+  },
+
+  pageBreak(layout) {
+    if (layout.y < PAGE_HEIGHT - MARGIN) {
+      layout.addPage();
+    }
+  }
+};
+
+function contentStream(page, pageNumber, pageCount, footer) {
+  const commands = page.ops.map(op => {
+    if (op.type === 'rule') {
+      return `0.75 G 0.5 w ${MARGIN} ${round(op.y)} m ${PAGE_WIDTH - MARGIN} ${round(op.y)} l S`;
+    }
+    const text = `BT /${FONTS[op.font]} ${op.size} Tf ${round(op.x)} ${round(op.y)} Td ${hex(op.codes)} Tj ET`;
+    return op.gray ? `${op.gray} g ${text} 0 g` : text;
+  });
+
+  const style = STYLES.footer;
+  const pageLabel = encode(`Page ${pageNumber} of ${pageCount}`);
+  commands.push(`${style.gray} g`);
+  if (footer) {
+    commands.push(`BT /F1 ${style.size} Tf ${MARGIN} ${FOOTER_Y} Td ${hex(encode(footer))} Tj ET`);
+  }
+  commands.push(`BT /F1 ${style.size} Tf ${round(PAGE_WIDTH - MARGIN - textWidth(pageLabel, 'regular', style.size))} ${FOOTER_Y} Td ${hex(pageLabel)} Tj ET`);
+  commands.push('0 g');
+
+  return commands.join('\n');
+}
+
+/**
+ * Lay out blocks and serialize them as a PDF document
+ * Blocks (each may carry an anchor that toc entries point at):
+ * - { type: 'title' | 'heading', text }
+ * - { type: 'paragraph', text, style: 'paragraph' | 'subtitle' | 'note' } (blank lines start new paragraphs)
+ * - { type: 'fields', rows: [[label, value]] } (rows with empty values are skipped)
+ * - { type: 'list', items: [text | { text, url }] }
+ * - { type: 'toc', entries: [{ text, anchor }] }
+ * - { type: 'rule' }, { type: 'pageBreak' }
+ * @param {Object} document - { title, footer, blocks }
+ * @returns {Buffer} PDF file contents
+ */
+function createPdf({ title, footer, blocks }) {
+  const layout = new Layout();
+  blocks.forEach(block => {
+    const render = RENDERERS[block.type];
+    if (!render) {
+      throw new Error(`Unknown PDF block type: ${block.type}`);
+    }
+    render(layout, block);
+  });
+
+  // Table of contents page numbers, right-aligned and linked to their section
+  const style = STYLES.paragraph;
+  layout.links.forEach(link => {
+    const target = layout.anchors[link.anchor];
+    if (!target) {
+      return;
+    }
+    link.op.codes = encode(String(target.page + 1));
+    link.op.x = PAGE_WIDTH - MARGIN - textWidth(link.op.codes, style.font, style.size);
+    link.page.annotations.push({ rect: [MARGIN, link.y - style.leading, PAGE_WIDTH - MARGIN, link.y], target });
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+  const pageCount = layout.pages.length;
+  const pageObject = index => 6 + index * 2;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${layout.pages.map((_, index) => `${pageObject(index)} 0 R`).join(' ')}] /Count ${pageCount} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title ${infoString(title || '')} /Producer ${infoString('AwareTexas')} /CreationDate (${pdfDate(new Date())}) >>`
+  ];
+
+  layout.pages.forEach((page, index) => {
+    const annotations = page.annotations.map(annotation => {
+      const rect = annotation.rect.map(round).join(' ');
+      const action = annotation.url
+        ? `/A << /S /URI /URI ${uriString(annotation.url)} >>`
+        : `/Dest [${pageObject(annotation.target.page)} 0 R /XYZ null ${round(annotation.target.y)} null]`;
+      return `<< /Type /Annot /Subtype /Link /Rect [${rect}] /Border [0 0 0] ${action} >>`;
+    });
+    const stream = zlib.deflateSync(Buffer.from(contentStream(page, index + 1, pageCount, footer), 'latin1'));
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObject(index) + 1} 0 R` +
+      `${annotations.length > 0 ? ` /Annots [${annotations.join(' ')}]` : ''} >>`,
+      Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ])
+    );
+  });
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+  objects.forEach((object, index) => {
+    const part = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    offsets.push(length);
+    parts.push(part);
+    length += part.length;
+  });
+
+  parts.push(Buffer.from([
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n'), 'latin1'));
+
+  return Buffer.concat(parts);
+}
+
+module.exports = { createPdf, textWidth, wrap };
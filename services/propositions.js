@@ -0,0 +1,165 @@
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { idStandardizer } = require('../config/id-standardizer');
+const { propositionDatabase } = require('../config/proposition-database');
+const { billCatalog } = require('./bill-catalog');
+
+const PROPOSITION_STATUSES = ['in-legislature', 'on-ballot', 'adopted', 'rejected'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// "shall be submitted to the voters at an election to be held November 4, 2025"
+const ELECTION_PATTERN = new RegExp(`submitted\\s+to\\s+the\\s+voters\\s+at\\s+an\\s+election\\s+to\\s+be\\s+held\\s+(?:on\\s+)?(${MONTHS.join('|')})\\s+(\\d{1,2}),\\s+(\\d{4})`, 'i');
+
+// 'The ballot shall be printed to permit voting for or against the proposition: "The constitutional amendment ..."'
+const BALLOT_PATTERN = /ballot\s+shall\s+be\s+printed\s+to\s+(?:permit|provide\s+for)\s+voting\s+for\s+or\s+against\s+the\s+proposition:\s*["“]([^"”]+)["”]/i;
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * PropositionService - Constitutional amendments proposed by joint resolutions
+ *
+ * Features:
+ * - Parses the election date and ballot language from a joint resolution's text
+ * - Defaults to the November uniform election in the session's year when the text names no date
+ * - Merges proposition numbers and election results entered locally through the admin API
+ * - Groups propositions by election, with each ballot's propositions in number order
+ */
+class PropositionService {
+  /**
+   * Election date and ballot language from a joint resolution's text
+   * @param {string} text - Bill text, preferably the enrolled version
+   * @returns {Object|null} { electionDate, ballotLanguage }, or null when the text has neither
+   */
+  parseBallot(text) {
+    const flattened = cleanText(text);
+    const election = flattened.match(ELECTION_PATTERN);
+    const ballot = flattened.match(BALLOT_PATTERN);
+    if (!election && !ballot) {
+      return null;
+    }
+
+    const electionDate = election
+      ? `${election[3]}-${String(MONTHS.findIndex(month => month.toLowerCase() === election[1].toLowerCase()) + 1).padStart(2, '0')}-${election[2].padStart(2, '0')}`
+      : null;
+    return { electionDate, ballotLanguage: ballot ? cleanText(ballot[1]) : null };
+  }
+
+  /**
+   * November uniform election date in the session's year: the first Tuesday after the first Monday
+   * @param {string} session - Session code (e.g., "89R")
+   * @returns {string|null} YYYY-MM-DD
+   */
+  getDefaultElectionDate(session) {
+    const code = idStandardizer.standardizeSession(session);
+    if (!code) {
+      return null;
+    }
+
+    const year = 1847 + 2 * parseInt(code.slice(0, 2), 10);
+    const firstMonday = 1 + ((1 - new Date(Date.UTC(year, 10, 1)).getUTCDay() + 7) % 7);
+    return new Date(Date.UTC(year, 10, firstMonday + 1)).toISOString().slice(0, 10);
+  }
+
+  isJointResolution(bill) {
+    return Boolean(bill && idStandardizer.isJointResolution(idStandardizer.standardize(bill.billNumber)));
+  }
+
+  /**
+   * A joint resolution as a ballot proposition
+   * @param {Object} bill - Bill data
+   * @param {Object} [local] - Locally entered record from the propositions collection
+   * @returns {Object} { billId, billNumber, session, shortTitle, number, electionDate, ballotLanguage, status, results }
+   */
+  getProposition(bill, local = null) {
+    return this.withLocal(this.getScrapedProposition(bill), local);
+  }
+
+  // The proposition as scraped, before locally entered fields are merged
+  getScrapedProposition(bill) {
+    const scraped = bill.proposition || {};
+    const onBallot = billLifecycle.hasReached(billLifecycle.resolve(bill).status, 'Passed Both Chambers');
+
+    return {
+      billId: bill.id,
+      billNumber: idStandardizer.toDisplayFormat(idStandardizer.standardize(bill.billNumber)),
+      session: bill.session || null,
+      shortTitle: bill.shortTitle || '',
+      number: null,
+      electionDate: scraped.electionDate || this.getDefaultElectionDate(bill.session),
+      ballotLanguage: scraped.ballotLanguage || null,
+      status: onBallot ? 'on-ballot' : 'in-legislature',
+      results: null
+    };
+  }
+
+  // Locally entered numbers, dates, ballot language and results take precedence over scraped ones
+  withLocal(proposition, local) {
+    const entered = local || {};
+    const results = entered.results || null;
+
+    return {
+      ...proposition,
+      number: entered.number || null,
+      electionDate: entered.electionDate || proposition.electionDate,
+      ballotLanguage: entered.ballotLanguage || proposition.ballotLanguage,
+      status: results ? (results.adopted ? 'adopted' : 'rejected') : proposition.status,
+      results
+    };
+  }
+
+  /**
+   * Propositions grouped by election, oldest election first
+   * Only joint resolutions adopted by both chambers are on a ballot
+   * @param {Object} options - { session, status: filter to these statuses, upcoming: only elections from today on, today }
+   * @returns {Promise<Object>} { elections: [{ electionDate, count, propositions }], total }
+   */
+  async listPropositions({ session = null, status = [], upcoming = false, today = new Date() } = {}) {
+    const [rows, locals] = await Promise.all([
+      billCatalog.getRows({ session }),
+      propositionDatabase.getPropositions()
+    ]);
+    const localById = new Map(locals.map(local => [local.billId || local.id, local]));
+    const todayKey = today.toISOString().slice(0, 10);
+
+    const propositions = rows
+      .filter(row => row.proposition)
+      .map(row => this.withLocal(row.proposition, localById.get(row.id)))
+      .filter(proposition => proposition.status !== 'in-legislature')
+      .filter(proposition => status.length === 0 || status.includes(proposition.status))
+      .filter(proposition => !upcoming || (proposition.electionDate && proposition.electionDate >= todayKey));
+
+    const groups = new Map();
+    propositions.forEach(proposition => {
+      const key = proposition.electionDate || '';
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(proposition);
+    });
+
+    const elections = Array.from(groups.keys()).sort().map(electionDate => ({
+      electionDate: electionDate || null,
+      count: groups.get(electionDate).length,
+      propositions: groups.get(electionDate).sort((a, b) => this.compareBallotOrder(a, b))
+    }));
+    return { elections, total: propositions.length };
+  }
+
+  // Numbered propositions in order, then resolutions still waiting for a number
+  compareBallotOrder(a, b) {
+    if (a.number !== b.number) {
+      if (a.number === null) return 1;
+      if (b.number === null) return -1;
+      return a.number - b.number;
+    }
+    return a.billNumber.localeCompare(b.billNumber, 'en', { numeric: true });
+  }
+}
+
+const propositionService = new PropositionService();
+
+billCatalog.register('proposition', bill => (propositionService.isJointResolution(bill) ? propositionService.getScrapedProposition(bill) : null));
+
+module.exports = { PropositionService, propositionService, PROPOSITION_STATUSES };
@@ -0,0 +1,314 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { idStandardizer } = require('../config/id-standardizer');
+const { legislatorService } = require('./legislators');
+
+// History page chamber codes
+const CHAMBERS = { H: 'House', S: 'Senate' };
+
+// Journals cover a whole legislative day, so consecutive bills usually hit the same few pages
+const JOURNAL_CACHE_SIZE = 10;
+
+// Member list labels in journal vote blocks, e.g. "Yeas — Allen; Bell." (House) or "Nays: Blanco, Eckhardt." (Senate)
+const VOTE_LABELS = [
+  { vote: 'present', pattern: /^Present,?\s*not\s+voting\s*(?:—|–|-|:)\s*/i },
+  { vote: 'absent', pattern: /^Absent(?:,\s*Excused|-excused)?(?:\s+on\s+Committee\s+Business)?\s*(?:—|–|-|:)\s*/i },
+  { vote: 'yea', pattern: /^Yeas\s*(?:—|–|-|:)\s*/i },
+  { vote: 'nay', pattern: /^Nays\s*(?:—|–|-|:)\s*/i }
+];
+
+const VOTE_TYPES = ['yea', 'nay', 'present', 'absent'];
+
+function emptyCounts() {
+  return Object.fromEntries(VOTE_TYPES.map(vote => [vote, 0]));
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * RollCallService - Record votes parsed from the Senate and House journals
+ *
+ * Features:
+ * - Finds a bill's record votes and their journal pages on the TLO History page
+ * - Parses per-member yea, nay, present-not-voting and absent lists from journal vote blocks
+ * - Party breakdowns computed from the legislator directory
+ * - Output matches the votingData shape stored on bills, so existing vote views keep working
+ */
+class RollCallService {
+  constructor() {
+    this.baseUrl = 'https://capitol.texas.gov';
+    this.axiosConfig = {
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    };
+    this.journals = new Map(); // journal URL -> HTML, oldest first
+  }
+
+  getHistoryUrl(billNumber, session) {
+    return `${this.baseUrl}/BillLookup/History.aspx?LegSess=${session}&Bill=${billNumber}`;
+  }
+
+  /**
+   * Scrape every record vote on a bill
+   * A vote whose journal page cannot be fetched or parsed is skipped
+   * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {string} session - TLO session code
+   * @param {Object} [history] - History page already fetched, as { $, url }
+   * @returns {Promise<Array>} Roll calls, oldest first
+   */
+  async scrapeRollCalls(billNumber, session, history = null) {
+    const historyUrl = history ? history.url : this.getHistoryUrl(billNumber, session);
+    const page = history ? history.$ : (await axios.get(historyUrl, this.axiosConfig)).data;
+    const recordVotes = this.parseHistoryVotes(page, historyUrl);
+    const directory = await legislatorService.getDirectory();
+    const rollCalls = [];
+
+    for (const recordVote of recordVotes) {
+      try {
+        const html = await this.fetchJournal(recordVote.journalUrl);
+        const rollCall = this.parseJournalVote(html, billNumber, recordVote);
+
+        if (rollCall) {
+          rollCalls.push(this.addParties(rollCall, directory));
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not read journal for ${billNumber} record vote ${recordVote.recordNumber || ''}:`, error.message);
+      }
+    }
+
+    return rollCalls;
+  }
+
+  /**
+   * Find record votes and their journal pages in a History page
+   * Rows are: chamber, description, comment, date, time, journal page
+   * @param {string|Function} html - Page HTML, or the page loaded with cheerio
+   * @returns {Array} [{ chamber, description, recordNumber, date, journalUrl }]
+   */
+  parseHistoryVotes(html, pageUrl) {
+    const $ = typeof html === 'string' ? cheerio.load(html) : html;
+    const votes = [];
+
+    $('tr').each((i, row) => {
+      const cells = $(row).children('td');
+      if (cells.length < 6) {
+        return;
+      }
+
+      const chamber = CHAMBERS[cleanText(cells.eq(0).text()).toUpperCase()];
+      const description = cleanText(cells.eq(1).text());
+      const comment = cleanText(cells.eq(2).text());
+      const journalLink = cells.last().find('a').attr('href');
+      const recordMatch = comment.match(/RV#\s*(\d+)/i);
+
+      if (!chamber || !journalLink || !(recordMatch || /record vote/i.test(`${description} ${comment}`))) {
+        return;
+      }
+
+      const date = new Date(cleanText(cells.eq(3).text()));
+      votes.push({
+        chamber,
+        description,
+        recordNumber: recordMatch ? recordMatch[1] : null,
+        date: Number.isNaN(date.getTime()) ? null : date,
+        journalUrl: this.toHtmlJournalUrl(new URL(journalLink, pageUrl).toString())
+      });
+    });
+
+    return votes;
+  }
+
+  // History pages link the PDF journals; the HTML edition sits beside each one
+  toHtmlJournalUrl(url) {
+    return url
+      .replace(/#.*$/, '')
+      .replace(/\/pdf\//i, '/HTML/')
+      .replace(/\.pdf$/i, '.HTM');
+  }
+
+  async fetchJournal(url) {
+    if (this.journals.has(url)) {
+      return this.journals.get(url);
+    }
+
+    const response = await axios.get(url, this.axiosConfig);
+    this.journals.set(url, response.data);
+    if (this.journals.size > JOURNAL_CACHE_SIZE) {
+      this.journals.delete(this.journals.keys().next().value);
+    }
+    return response.data;
+  }
+
+  /**
+   * Parse one record vote out of a journal
+   * House votes are found by record number; Senate votes by the paragraph that names the bill and
+   * gives the vote. The member lists are the paragraphs that follow.
+   * @param {string} html - Journal HTML
+   * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {Object} recordVote - Entry from parseHistoryVotes
+   * @returns {Object|null} Roll call, or null when the vote is not in the journal
+   */
+  parseJournalVote(html, billNumber, recordVote) {
+    const $ = cheerio.load(html);
+    const paragraphs = $('p').toArray().map(paragraph => cleanText($(paragraph).text())).filter(Boolean);
+    const billPattern = this.getBillPattern(billNumber);
+
+    let start = recordVote.recordNumber
+      ? paragraphs.findIndex(text => new RegExp(`\\(Record\\s+${recordVote.recordNumber}\\)`, 'i').test(text))
+      : -1;
+    if (start === -1) {
+      start = paragraphs.findIndex(text => billPattern && billPattern.test(text) && /following vote|\(Record\s+\d+\)|Yeas\s*\d+/i.test(text));
+    }
+    if (start === -1) {
+      return null;
+    }
+
+    const header = paragraphs[start];
+    const members = [];
+    for (const text of paragraphs.slice(start + 1)) {
+      const label = VOTE_LABELS.find(({ pattern }) => pattern.test(text));
+      if (!label) {
+        break;
+      }
+      this.splitMemberList(text.replace(label.pattern, ''), recordVote.chamber)
+        .forEach(name => members.push({ name, vote: label.vote }));
+    }
+
+    if (members.length === 0) {
+      return null;
+    }
+
+    const counts = emptyCounts();
+    members.forEach(member => counts[member.vote]++);
+    const date = recordVote.date || new Date();
+
+    return {
+      id: `${recordVote.chamber}-${recordVote.recordNumber || date.toISOString().slice(0, 10)}`,
+      chamber: recordVote.chamber,
+      date,
+      recordNumber: recordVote.recordNumber,
+      description: recordVote.description || header.slice(0, 200),
+      motion: header.slice(0, 300),
+      result: /\bfailed\b|\bnot\s+(?:passed|adopted)\b/i.test(header) ? 'failed' : 'passed',
+      votes: { ...counts, ...this.parseHeaderCounts(header) },
+      members,
+      journalUrl: recordVote.journalUrl
+    };
+  }
+
+  // "SB1" -> matches "SB 1", "S.B. 1" and "CSSB 1" but not "SB 10"
+  getBillPattern(billNumber) {
+    const match = /^([A-Z]+)(\d+)$/.exec(idStandardizer.standardize(billNumber) || '');
+    if (!match) {
+      return null;
+    }
+    const type = match[1].split('').join('\\.?\\s*');
+    return new RegExp(`\\b(?:CS)?${type}\\.?\\s*${match[2]}\\b`, 'i');
+  }
+
+  // House lists are separated by semicolons ("Thompson, E.; Thompson, S."), Senate lists by commas;
+  // the list's closing period is dropped unless it ends an initial
+  splitMemberList(text, chamber) {
+    return text
+      .split(chamber === 'House' ? ';' : ',')
+      .map(name => cleanText(name.replace(/\(C\)/g, '')).replace(/(?<!\b[A-Z])\.$/, ''))
+      .filter(Boolean);
+  }
+
+  // Counts stated in the vote header win over the list lengths: "(Record 12): 120 Yeas, 25 Nays, 2 Present, not voting"
+  parseHeaderCounts(header) {
+    const counts = {};
+    const patterns = {
+      yea: [/(\d+)\s+Yeas/i, /Yeas\s+(\d+)/i],
+      nay: [/(\d+)\s+Nays/i, /Nays\s+(\d+)/i],
+      present: [/(\d+)\s+Present/i]
+    };
+
+    Object.entries(patterns).forEach(([vote, candidates]) => {
+      const match = candidates.map(pattern => header.match(pattern)).find(Boolean);
+      if (match) {
+        counts[vote] = parseInt(match[1]);
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Link each member to the legislator directory and total the votes by party
+   * Members who cannot be matched are counted under "Unknown"
+   * @returns {Object} Roll call with members[].legislatorId/party and parties
+   */
+  addParties(rollCall, directory) {
+    const parties = {};
+    const members = rollCall.members.map(member => {
+      const legislator = legislatorService.findMember(directory, member.name, rollCall.chamber);
+      const party = (legislator && legislator.party) || 'Unknown';
+
+      parties[party] = parties[party] || emptyCounts();
+      parties[party][member.vote]++;
+
+      return {
+        ...member,
+        legislatorId: legislator ? legislator.id : null,
+        party: legislator ? legislator.party || null : null
+      };
+    });
+
+    return { ...rollCall, members, parties };
+  }
+
+  /**
+   * Build the votingData stored on a bill
+   * @param {string} billNumber - Bill number
+   * @param {Array} rollCalls - Roll calls from scrapeRollCalls
+   * @returns {Object} { billNumber, votes, summary, lastUpdated, source }
+   */
+  toVotingData(billNumber, rollCalls) {
+    const latest = this.getLatest(rollCalls);
+
+    return {
+      billNumber,
+      votes: rollCalls,
+      summary: latest
+        ? `${latest.chamber} record vote${latest.recordNumber ? ` ${latest.recordNumber}` : ''}: ${latest.votes.yea} yeas, ${latest.votes.nay} nays`
+        : null,
+      lastUpdated: new Date(),
+      source: 'texas_legislature_journals'
+    };
+  }
+
+  /**
+   * Party split of the latest roll call, for the bill's voting field
+   * @returns {Object|null} { republicanYes, republicanNo, democratYes, democratNo, voteDate, chamber }
+   */
+  getPartySplit(rollCalls) {
+    const latest = this.getLatest(rollCalls);
+    if (!latest) {
+      return null;
+    }
+
+    const republican = latest.parties.Republican || emptyCounts();
+    const democrat = latest.parties.Democrat || emptyCounts();
+    return {
+      republicanYes: republican.yea,
+      republicanNo: republican.nay,
+      democratYes: democrat.yea,
+      democratNo: democrat.nay,
+      voteDate: latest.date,
+      chamber: latest.chamber
+    };
+  }
+
+  getLatest(rollCalls) {
+    return rollCalls.reduce((latest, rollCall) =>
+      (!latest || new Date(rollCall.date) >= new Date(latest.date) ? rollCall : latest), null);
+  }
+}
+
+const rollCallService = new RollCallService();
+
+module.exports = { RollCallService, rollCallService };
@@ -1,7 +1,15 @@
 const cron = require('node-cron');
 const { TexasLegislatureScraper } = require('./scraper');
+const { notifier } = require('./notifier');
+const { webhookService } = require('./webhooks');
+const { legislatorService } = require('./legislators');
+const { statuteIndex } = require('./statute-index');
+const { companionService } = require('./companions');
+const { committeeService } = require('./committees');
 const { billDatabase } = require('../config/bill-database');
+const { versionDatabase } = require('../config/version-database');
 const { databaseService } = require('../config/database');
+const { billCatalog } = require('./bill-catalog');
 
 /**
  * Automated scraping scheduler service
@@ -9,7 +17,11 @@ const { databaseService } = require('../config/database');
  */
 class ScrapingScheduler {
   constructor() {
-    this.scraper = new TexasLegislatureScraper();
+    // Sessions and chambers to scrape, e.g. SCRAPE_SESSIONS=89R,89-1 SCRAPE_CHAMBERS=Senate,House
+    this.scraper = new TexasLegislatureScraper({
+      sessions: process.env.SCRAPE_SESSIONS,
+      chambers: process.env.SCRAPE_CHAMBERS
+    });
     this.isRunning = false;
     this.lastRun = null;
     this.nextRun = null;
@@ -89,16 +101,17 @@ class ScrapingScheduler {
 
   /**
    * Manually trigger a scraping job
+   * @param {Object} [options] - Optional sessions/chambers overriding the configured ones
    */
-  async runManualScrape() {
+  async runManualScrape(options = {}) {
     this.logger.info('Manual scraping job triggered');
-    return await this.runScrapingJob();
+    return await this.runScrapingJob(options);
   }
 
   /**
    * Main scraping job execution with error handling and retry logic
    */
-  async runScrapingJob() {
+  async runScrapingJob(options = {}) {
     if (this.isRunning) {
       this.logger.warn('Scraping job already running, skipping this execution');
       return { success: false, message: 'Job already running' };
@@ -112,7 +125,18 @@ class ScrapingScheduler {
       this.logger.info('Starting scraping job execution');
       console.log('🔄 Starting automated bill scraping...');
 
-      const result = await this.executeScrapingWithRetry();
+      // Refresh member records first so new bills link to current legislators
+      const legislators = await this.refreshLegislators();
+
+      // Lifecycle events collected while ingesting, pushed to webhook subscribers once the job succeeds
+      const events = [];
+      const result = await this.executeScrapingWithRetry(options, events);
+      result.webhookEvents = await this.emitWebhookEvents(events);
+      result.legislatorsRefreshed = legislators ? legislators.legislators : 0;
+
+      // Hearings come after ingestion so newly scraped bills link to their hearing notices
+      const hearings = await this.refreshHearings();
+      result.hearingsScheduled = hearings ? hearings.hearings : 0;
       
       this.isRunning = false;
       this.nextRun = this.getNextRunTime();
@@ -132,10 +156,97 @@ class ScrapingScheduler {
     }
   }
 
+  /**
+   * Refresh the statute cross-references of a saved bill
+   * Indexing failures are logged and never block ingestion
+   */
+  async indexStatutes(bill) {
+    try {
+      await statuteIndex.indexBill(bill);
+    } catch (error) {
+      this.logger.error(`Failed to index statute references for ${bill.billNumber}`, error);
+    }
+  }
+
+  /**
+   * Link newly saved bills to their companions in the other chamber, on both records
+   * Runs once per ingestion so links are written in a single batch
+   */
+  async linkCompanions(bills) {
+    try {
+      await companionService.linkBills(bills);
+    } catch (error) {
+      this.logger.error('Failed to link companion bills', error);
+    }
+  }
+
+  /**
+   * Refresh the legislator directory when it is stale (or always, with force)
+   * Directory problems are logged and never stop bill ingestion
+   * @param {Object} [options] - { force: true } refreshes regardless of age
+   * @returns {Promise<Object|null>} Refresh counts, or null when skipped or failed
+   */
+  async refreshLegislators(options = {}) {
+    try {
+      const result = options.force
+        ? await legislatorService.refreshDirectory()
+        : await legislatorService.refreshIfStale();
+
+      if (result) {
+        this.logger.info(`Legislator directory refreshed: ${result.legislators} members, ${result.billsRelinked} bills re-linked`);
+      }
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to refresh legislator directory', error);
+      return null;
+    }
+  }
+
+  /**
+   * Refresh committee rosters and the upcoming hearing calendar when they are stale (or always, with force)
+   * Committee problems are logged and never fail the scraping job
+   * @param {Object} [options] - { force: true } refreshes regardless of age
+   * @returns {Promise<Object|null>} { hearings, billsScheduled }, or null when skipped or failed
+   */
+  async refreshHearings(options = {}) {
+    try {
+      await committeeService.refreshIfStale();
+      const result = options.force
+        ? await committeeService.refreshHearings()
+        : await committeeService.refreshHearingsIfStale();
+
+      if (result) {
+        this.logger.info(`Hearing calendar refreshed: ${result.hearings} hearings, ${result.billsScheduled} bills scheduled`);
+      }
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to refresh committee hearings', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send collected bill lifecycle events to webhook subscribers
+   * @param {Array} events - Events as { event, data }
+   * @returns {Promise<number>} Number of events emitted
+   */
+  async emitWebhookEvents(events) {
+    for (const { event, data } of events) {
+      await webhookService.emit(event, data);
+    }
+
+    if (events.length > 0) {
+      this.logger.info(`Emitted ${events.length} webhook events`);
+    }
+    return events.length;
+  }
+
   /**
    * Execute scraping with exponential backoff retry logic
+   * @param {Object} [options] - Optional sessions/chambers overriding the configured ones
+   * @param {Array} [events] - Collects bill lifecycle events for webhooks
    */
-  async executeScrapingWithRetry() {
+  async executeScrapingWithRetry(options = {}, events = []) {
     while (this.retryAttempts < this.maxRetries) {
       try {
         this.retryAttempts++;
@@ -143,24 +254,33 @@ class ScrapingScheduler {
         this.logger.info(`Scraping attempt ${this.retryAttempts}/${this.maxRetries}`);
         console.log(`🔄 Scraping attempt ${this.retryAttempts}/${this.maxRetries}`);
 
-        // Scrape bills with details
-        const bills = await this.scraper.scrapeBillsWithDetails();
+        // Scrape the full filed bills reports (report rows only)
+        const scrapedBills = await this.scraper.scrapeBills(options);
         
-        if (!bills || bills.length === 0) {
+        // Placeholder and cached fallback bills carry no fresh report data
+        const bills = (scrapedBills || []).filter(bill => !bill.isPlaceholder && !bill.isStale);
+        
+        if (bills.length === 0) {
           throw new Error('No bills scraped - possible website structure change');
         }
 
-        // Save bills to database
-        const saveResult = await this.saveBillsToDatabase(bills);
+        // Save new and changed bills, fetching detail pages only for those
+        const ingestResult = await this.ingestBills(bills, events);
         
         this.logger.info(`Scraping completed successfully. Processed ${bills.length} bills`);
-        console.log(`✅ Scraping completed successfully. Processed ${bills.length} bills`);
+        console.log(`✅ Scraping completed successfully. Processed ${bills.length} bills ` +
+          `(${ingestResult.new} new, ${ingestResult.changed} changed, ${ingestResult.unchanged} unchanged, ${ingestResult.missing} missing)`);
 
         return {
           success: true,
           billsProcessed: bills.length,
-          billsSaved: saveResult.saved,
-          billsUpdated: saveResult.updated,
+          billsNew: ingestResult.new,
+          billsChanged: ingestResult.changed,
+          billsUnchanged: ingestResult.unchanged,
+          billsMissing: ingestResult.missing,
+          billsSaved: ingestResult.new,
+          billsUpdated: ingestResult.changed,
+          errors: ingestResult.errors,
           timestamp: new Date(),
           attempt: this.retryAttempts
         };
@@ -185,64 +305,154 @@ class ScrapingScheduler {
   }
 
   /**
-   * Save scraped bills to Firebase database
+   * Ingest bills from a full report scrape incrementally
+   * Detail pages are only fetched for new bills and bills whose last action changed.
+   * Stored bills that no longer appear in their report are flagged, never deleted.
+   * @param {Array} bills - Bills parsed from the filed bills reports
+   * @param {Array} [events] - Collects bill lifecycle events for webhooks
+   * @returns {Promise<Object>} Counts of new, changed, unchanged and missing bills
    */
-  async saveBillsToDatabase(bills) {
-    try {
-      let saved = 0;
-      let updated = 0;
-      const errors = [];
-
-      this.logger.info(`Saving ${bills.length} bills to database`);
-
-      for (const bill of bills) {
-        try {
-          // Check if bill already exists
-          const existingBill = await billDatabase.getBill(bill.billNumber);
-          
-          if (existingBill) {
-            // Update existing bill
-            await billDatabase.saveBill({
-              ...bill,
-              lastUpdated: new Date()
-            });
-            updated++;
-            this.logger.debug(`Updated bill: ${bill.billNumber}`);
-          } else {
-            // Create new bill
-            await billDatabase.saveBill({
-              ...bill,
-              lastUpdated: new Date()
-            });
-            saved++;
-            this.logger.debug(`Saved new bill: ${bill.billNumber}`);
+  async ingestBills(bills, events = []) {
+    const seenAt = new Date();
+    const seenIds = new Set();
+    const unchangedIds = [];
+    const errors = [];
+    const savedBills = [];
+    let newBills = 0;
+    let changed = 0;
+
+    this.logger.info(`Ingesting ${bills.length} bills from reports`);
+
+    for (const bill of bills) {
+      // Seen before the read, so a failed read never flags a bill that is in the report as missing
+      seenIds.add(bill.id);
+      try {
+        const existingBill = await billDatabase.getBill(bill.id || bill.billNumber, bill.session);
+
+        if (existingBill) {
+          seenIds.add(existingBill.id);
+
+          if (!this.hasBillChanged(existingBill, bill)) {
+            unchangedIds.push(existingBill.id);
+            continue;
           }
-        } catch (error) {
-          errors.push({
-            billNumber: bill.billNumber,
-            error: error.message
-          });
-          this.logger.error(`Failed to save bill ${bill.billNumber}`, error);
         }
+
+        const detailedBill = await this.scraper.fetchBillDetails(bill);
+        await this.delay(1000); // Avoid overwhelming TLO between detail page fetches
+        
+        // Text versions are large, so they live in their own collection
+        const { textVersions = [], ...linkedBill } = await legislatorService.linkBill(detailedBill);
+        const savedBill = await billDatabase.saveBill({
+          ...linkedBill,
+          lastSeenAt: seenAt,
+          missingFromReport: false,
+          missingSince: null,
+          lastUpdated: new Date()
+        });
+        await this.indexStatutes(savedBill);
+        savedBills.push(savedBill);
+
+        if (textVersions.length > 0) {
+          try {
+            await versionDatabase.saveVersions(savedBill.id, textVersions);
+          } catch (error) {
+            this.logger.error(`Failed to save text versions for ${bill.billNumber}`, error);
+          }
+        }
+
+        events.push(...webhookService.getBillEvents(existingBill, detailedBill));
+
+        if (existingBill) {
+          await notifier.notifyBillChange(existingBill, detailedBill);
+          changed++;
+          this.logger.debug(`Updated changed bill: ${bill.billNumber}`);
+        } else {
+          newBills++;
+          this.logger.debug(`Saved new bill: ${bill.billNumber}`);
+        }
+      } catch (error) {
+        errors.push({
+          billNumber: bill.billNumber,
+          error: error.message
+        });
+        this.logger.error(`Failed to ingest bill ${bill.billNumber}`, error);
       }
+    }
+
+    await this.linkCompanions(savedBills);
+    await billDatabase.markBillsSeen(unchangedIds, seenAt);
+    const missing = await this.flagMissingBills(bills, seenIds, seenAt);
+
+    if (errors.length > 0) {
+      this.logger.warn(`${errors.length} bills failed to ingest`, { errors });
+    }
+
+    this.logger.info(`Ingestion completed. New: ${newBills}, Changed: ${changed}, Unchanged: ${unchangedIds.length}, Missing: ${missing}, Errors: ${errors.length}`);
+
+    return {
+      new: newBills,
+      changed,
+      unchanged: unchangedIds.length,
+      missing,
+      errors: errors.length,
+      errorDetails: errors
+    };
+  }
 
-      if (errors.length > 0) {
-        this.logger.warn(`${errors.length} bills failed to save`, { errors });
+  /**
+   * Decide whether a stored bill needs its detail pages fetched again
+   * The report's last action is the change signal; bills stored without
+   * details (or before incremental ingestion) are always refreshed once
+   */
+  hasBillChanged(existingBill, bill) {
+    if (!existingBill.detailsFetchedAt) {
+      return true;
+    }
+
+    const previousAction = existingBill.reportAction !== undefined
+      ? existingBill.reportAction
+      : existingBill.lastAction;
+
+    return String(previousAction || '').trim() !== String(bill.reportAction || '').trim();
+  }
+
+  /**
+   * Flag stored bills missing from the reports that were just scraped
+   * Only sessions/chambers present in this scrape are checked, so a failed
+   * report never marks its whole session as missing. Stored bills are read from the catalog rows,
+   * once per session
+   * @returns {Promise<number>} Number of bills currently missing from those reports
+   */
+  async flagMissingBills(bills, seenIds, seenAt) {
+    const reports = new Map(); // session -> chambers
+    bills.forEach(bill => {
+      if (bill.session && bill.chamber) {
+        reports.set(bill.session, new Set([...(reports.get(bill.session) || []), bill.chamber]));
       }
+    });
 
-      this.logger.info(`Database save completed. Saved: ${saved}, Updated: ${updated}, Errors: ${errors.length}`);
+    let missing = 0;
 
-      return {
-        saved,
-        updated,
-        errors: errors.length,
-        errorDetails: errors
-      };
+    for (const [session, chambers] of reports) {
+      const rows = await billCatalog.getRows({ session });
 
-    } catch (error) {
-      this.logger.error('Failed to save bills to database', error);
-      throw new Error(`Database save failed: ${error.message}`);
+      for (const chamber of chambers) {
+        const missingBills = rows.filter(row => row.chamber === chamber && !seenIds.has(row.id));
+        const newlyMissing = missingBills.filter(row => !row.missingFromReport);
+
+        if (newlyMissing.length > 0) {
+          await billDatabase.markBillsMissing(newlyMissing.map(row => row.id), seenAt);
+          this.logger.warn(`${newlyMissing.length} ${chamber} bills dropped out of the ${session} report`, {
+            bills: newlyMissing.map(row => row.billNumber)
+          });
+        }
+
+        missing += missingBills.length;
+      }
     }
+
+    return missing;
   }
 
   /**
@@ -281,7 +491,9 @@ class ScrapingScheduler {
       lastRun: this.lastRun,
       nextRun: this.nextRun,
       retryAttempts: this.retryAttempts,
-      maxRetries: this.maxRetries
+      maxRetries: this.maxRetries,
+      sessions: this.scraper.sessions,
+      chambers: this.scraper.chambers
     };
   }
 
@@ -1,6 +1,14 @@
 const axios = require('axios');
 const { AppError, retryManager, fallbackManager, circuitBreakers } = require('../backend/middleware/error-handler');
 const { idStandardizer } = require('../config/id-standardizer');
+const { versionDatabase } = require('../config/version-database');
+const { rollCallService } = require('./roll-calls');
+const { billTextParser } = require('./bill-text-parser');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { governorService } = require('./governor');
+const { effectiveDateService } = require('./effective-dates');
+const { propositionService } = require('./propositions');
+const { companionService } = require('./companions');
 
 // Conditional cheerio import for testing compatibility
 let cheerio;
@@ -20,16 +28,30 @@ try {
   pdfParse = null;
 }
 
+// Filed bills report and bill number pattern for each chamber
+// Longer prefixes come first so "SJR 1" is not read as "SR"
+const CHAMBER_REPORTS = {
+  Senate: { reportId: 'senatefiled', pattern: /\b(SJR|SCR|SB|SR)\s*(\d+)/i },
+  House: { reportId: 'housefiled', pattern: /\b(HJR|HCR|HB|HR)\s*(\d+)/i }
+};
+
 /**
  * Texas Legislature Online scraper service
  * Scrapes bill data from the Texas Legislature Online (TLO) website
  */
 class TexasLegislatureScraper {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string|string[]} [options.sessions] - Session codes to scrape (e.g. "89R", "89-1")
+   * @param {string[]} [options.chambers] - Chambers to scrape ("Senate", "House")
+   */
+  constructor(options = {}) {
     this.baseUrl = 'https://capitol.texas.gov';
     this.billsListUrl = 'https://capitol.texas.gov/BillLookup/BillNumber.aspx';
-    // Use the Senate filed bills report - much more efficient!
-    this.senateReportUrl = 'https://capitol.texas.gov/Reports/Report.aspx?LegSess=89R&ID=senatefiled';
+    this.sessions = this.normalizeSessions(options.sessions);
+    this.chambers = this.normalizeChambers(options.chambers);
+    // Use the filed bills reports - much more efficient than individual bill searches!
+    this.senateReportUrl = this.getReportUrl(this.sessions[0], 'Senate');
     this.axiosConfig = {
       timeout: 30000,
       headers: {
@@ -39,44 +61,112 @@ class TexasLegislatureScraper {
   }
 
   /**
-   * Scrape all current Senate bills from TLO Senate Filed Bills report
-   * Much more efficient than individual bill searches!
+   * Normalize session codes, falling back to the default session
+   * @param {string|string[]} sessions - Raw session values
+   * @returns {string[]} TLO session codes (e.g. ["89R", "891"])
+   */
+  normalizeSessions(sessions) {
+    const list = Array.isArray(sessions) ? sessions : String(sessions || '').split(',');
+    const codes = list.map(session => idStandardizer.standardizeSession(session)).filter(Boolean);
+
+    return codes.length > 0 ? Array.from(new Set(codes)) : [idStandardizer.defaultSession];
+  }
+
+  /**
+   * Normalize chamber names, defaulting to both chambers
+   * @param {string|string[]} chambers - Raw chamber values
+   * @returns {string[]} Chamber names ("Senate", "House")
+   */
+  normalizeChambers(chambers) {
+    const list = Array.isArray(chambers) ? chambers : String(chambers || '').split(',');
+    const names = list
+      .map(chamber => String(chamber).trim().toLowerCase())
+      .map(chamber => Object.keys(CHAMBER_REPORTS).find(name => name.toLowerCase() === chamber))
+      .filter(Boolean);
+
+    return names.length > 0 ? Array.from(new Set(names)) : Object.keys(CHAMBER_REPORTS);
+  }
+
+  /**
+   * Get the filed bills report URL for a session and chamber
+   * @param {string} session - TLO session code (e.g. "89R")
+   * @param {string} chamber - "Senate" or "House"
+   * @returns {string} Report URL
+   */
+  getReportUrl(session, chamber) {
+    return `${this.baseUrl}/Reports/Report.aspx?LegSess=${session}&ID=${CHAMBER_REPORTS[chamber].reportId}`;
+  }
+
+  /**
+   * Scrape current bills from the TLO filed bills reports
+   * Covers every configured session and chamber. Only the report rows are parsed;
+   * use fetchBillDetails() for text, stages and votes.
+   * @param {Object} [options] - Override the configured sessions/chambers
    * @returns {Promise<Array>} Array of bill objects
    */
-  async scrapeBills() {
-    const operationKey = 'scrape-bills';
+  async scrapeBills(options = {}) {
+    const sessions = options.sessions ? this.normalizeSessions(options.sessions) : this.sessions;
+    const chambers = options.chambers ? this.normalizeChambers(options.chambers) : this.chambers;
+    const bills = [];
+
+    for (const session of sessions) {
+      for (const chamber of chambers) {
+        bills.push(...await this.scrapeReport(session, chamber));
+      }
+    }
+
+    if (bills.length > 0) {
+      return bills;
+    }
+
+    // Generate minimal fallback data if no report produced bills
+    console.log('Generating minimal fallback bills data');
+    return fallbackManager.generateFallbackBills();
+  }
+
+  /**
+   * Scrape one filed bills report
+   * @param {string} session - TLO session code (e.g. "89R")
+   * @param {string} chamber - "Senate" or "House"
+   * @returns {Promise<Array>} Array of bill objects (cached data when scraping fails)
+   */
+  async scrapeReport(session, chamber) {
+    const operationKey = `scrape-bills-${session}-${chamber}`;
+    const fallbackKey = `bills-list-${session}-${chamber}`;
+    const reportUrl = this.getReportUrl(session, chamber);
+    const { pattern } = CHAMBER_REPORTS[chamber];
     
     try {
       return await circuitBreakers.scraper.execute(async () => {
         return await retryManager.executeWithRetry(async () => {
-          console.log('Starting to scrape Texas Senate bills from reports...');
+          console.log(`Starting to scrape Texas ${chamber} bills for session ${session} from reports...`);
           
           if (!cheerio) {
             throw new AppError('Cheerio not available in test environment', 'SCRAPING_ERROR');
           }
           
-          // Get the Senate filed bills report page
+          // Get the filed bills report page
           const controller = new AbortController();
           const timeoutId = setTimeout(() => controller.abort(), 45000); // 45 second timeout for large report
           
           try {
-            const response = await axios.get(this.senateReportUrl, {
+            const response = await axios.get(reportUrl, {
               ...this.axiosConfig,
               signal: controller.signal
             });
             clearTimeout(timeoutId);
             
             if (!response.data || response.data.length < 1000) {
-              throw new AppError('Invalid or empty response from Senate reports page', 'SCRAPING_ERROR');
+              throw new AppError(`Invalid or empty response from ${chamber} reports page`, 'SCRAPING_ERROR');
             }
             
             const $ = cheerio.load(response.data);
             const bills = [];
             
-            console.log('Parsing Senate bills from report...');
+            console.log(`Parsing ${chamber} bills from report...`);
             
             // Each bill has its own table structure
-            // Look for tables that contain bill numbers (SB pattern)
+            // Look for tables that contain bill numbers for this chamber (SB, SJR, HB, HCR...)
             const tables = $('table').toArray();
             
             for (let tableIndex = 0; tableIndex < tables.length; tableIndex++) {
@@ -84,13 +174,13 @@ class TexasLegislatureScraper {
                 const $table = $(tables[tableIndex]);
                 const tableText = $table.text();
                 
-                // Check if this table contains a Senate bill
-                const billMatch = tableText.match(/SB\s*(\d+)/i);
+                // Check if this table contains a bill from this chamber
+                const billMatch = tableText.match(pattern);
                 if (billMatch) {
-                  const billNumber = `SB ${billMatch[1]}`;
+                  const billNumber = `${billMatch[1].toUpperCase()} ${billMatch[2]}`;
                   
                   // Extract bill information from the table structure
-                  const billData = await this.parseBillTable($table, billNumber, $);
+                  const billData = await this.parseBillTable($table, billNumber, $, session);
                   
                   if (billData && this.validateBillData(billData)) {
                     bills.push(billData);
@@ -107,12 +197,12 @@ class TexasLegislatureScraper {
             }
             
             if (bills.length === 0) {
-              throw new AppError('No Senate bills found in the report', 'SCRAPING_ERROR');
+              throw new AppError(`No ${chamber} bills found in the ${session} report`, 'SCRAPING_ERROR');
             }
             
-            console.log(`Successfully scraped ${bills.length} Senate bills from report`);
+            console.log(`Successfully scraped ${bills.length} ${chamber} bills from the ${session} report`);
             
-            // Sort bills by most recent first and limit to 50
+            // Sort bills by most recent first
             const sortedBills = bills.sort((a, b) => {
               // Sort by lastActionDate first, then filedDate, then lastUpdated
               const dateA = new Date(a.lastActionDate || a.filedDate || a.lastUpdated || 0);
@@ -120,20 +210,16 @@ class TexasLegislatureScraper {
               return dateB - dateA; // Most recent first
             });
             
-            // Limit to 50 most recent bills
-            const recentBills = sortedBills.slice(0, 50);
-            console.log(`Limited to ${recentBills.length} most recent bills`);
-            
             // Store successful result as fallback
-            fallbackManager.setFallback('bills-list', recentBills);
+            fallbackManager.setFallback(fallbackKey, sortedBills);
             
-            return recentBills;
+            return sortedBills;
             
           } catch (axiosError) {
             clearTimeout(timeoutId);
             
             if (axiosError.name === 'AbortError') {
-              throw new AppError('Request timeout while scraping Senate report', 'TIMEOUT');
+              throw new AppError(`Request timeout while scraping ${chamber} report`, 'TIMEOUT');
             } else if (axiosError.code === 'ENOTFOUND' || axiosError.code === 'ECONNREFUSED') {
               throw new AppError('Cannot connect to Texas Legislature website', 'NETWORK_ERROR');
             } else {
@@ -151,10 +237,10 @@ class TexasLegislatureScraper {
         });
       });
     } catch (error) {
-      console.error('Scraping failed after all retries:', error.message);
+      console.error(`Scraping ${chamber} ${session} report failed after all retries:`, error.message);
       
       // Try to return fallback data
-      const fallbackBills = fallbackManager.getFallback('bills-list');
+      const fallbackBills = fallbackManager.getFallback(fallbackKey);
       if (fallbackBills) {
         console.log('Returning cached fallback bills data');
         return fallbackBills.map(bill => ({
@@ -165,20 +251,45 @@ class TexasLegislatureScraper {
         }));
       }
       
-      // Generate minimal fallback data if no cache available
-      console.log('Generating minimal fallback bills data');
-      return fallbackManager.generateFallbackBills();
+      return [];
     }
   }
 
+  /**
+   * Text of the cell following a label cell ("Coauthor:") in a report table
+   * @returns {string} Cleaned cell text, or '' when the table has no such label
+   */
+  getLabeledCell($table, $, labelPattern) {
+    let value = '';
+    $table.find('td').each((i, cell) => {
+      if (labelPattern.test($(cell).text().replace(/\s+/g, ' ').trim())) {
+        value = $(cell).next('td').text().replace(/\s+/g, ' ').trim();
+        return false;
+      }
+      return undefined;
+    });
+    return value;
+  }
+
+  /**
+   * Split a list of member names ("De Ayala | Bettencourt")
+   * Lists are pipe-separated; commas separate names only when there are no pipes, since
+   * members who share a last name are listed as "González, Mary"
+   */
+  splitNames(text) {
+    const separator = text.includes('|') ? '|' : ',';
+    return text.split(separator).map(name => name.trim()).filter(name => name.length > 0);
+  }
+
   /**
    * Parse bill information from a table element
    * @param {Object} $table - Cheerio table element
    * @param {string} billNumber - Bill number (e.g., "SB 1")
    * @param {Object} $ - Cheerio instance
+   * @param {string} [session] - TLO session code the report belongs to
    * @returns {Object|null} Bill data object or null if parsing fails
    */
-  async parseBillTable($table, billNumber, $) {
+  async parseBillTable($table, billNumber, $, session = this.sessions[0]) {
     try {
       const tableText = $table.text();
       
@@ -194,6 +305,9 @@ class TexasLegislatureScraper {
       const sponsorMatch = tableText.match(/Sponsor:\s*([^|]+)/i);
       const sponsors = sponsorMatch ? sponsorMatch[1].trim().split(/\s+/) : [];
       
+      // Extract coauthor information
+      const coauthors = this.splitNames(this.getLabeledCell($table, $, /^coauthors?:?$/i));
+      
       // Extract last action/status
       const actionMatch = tableText.match(/Last Action:\s*([^|]+)/i);
       const lastAction = actionMatch ? actionMatch[1].trim() : '';
@@ -203,7 +317,7 @@ class TexasLegislatureScraper {
       const caption = captionMatch ? captionMatch[1].trim() : '';
       
       // Extract status from last action
-      const status = this.extractStatusFromAction(lastAction);
+      const status = this.extractStatusFromAction(lastAction, billNumber);
       
       // Build sponsors array
       const sponsorsList = [];
@@ -220,109 +334,228 @@ class TexasLegislatureScraper {
       const filedDate = this.extractFiledDate(tableText) || lastActionDate;
       
       const billData = {
-        id: standardizedBillNumber, // Use standardized format as document ID (e.g., "SB1")
+        id: idStandardizer.toDocumentId(standardizedBillNumber, session), // Session-qualified document ID (e.g., "89R-SB1")
         billNumber: displayBillNumber, // Use display format for UI (e.g., "SB 1")
+        session: session,
+        chamber: idStandardizer.getChamber(standardizedBillNumber),
         shortTitle: this.extractShortTitle(caption),
         fullTitle: caption || `${displayBillNumber} - Title not available`,
         status: status,
         sponsors: sponsorsList,
-        officialUrl: `https://capitol.texas.gov/BillLookup/History.aspx?LegSess=89R&Bill=${standardizedBillNumber}`,
+        officialUrl: `https://capitol.texas.gov/BillLookup/History.aspx?LegSess=${session}&Bill=${standardizedBillNumber}`,
         billText: '',
-        abstract: '', // Will be populated from Caption Text field
+        abstract: caption, // Replaced by the Caption Text field when details are fetched
         committee: this.extractCommittee(tableText),
         coSponsors: sponsors.slice(0, 5).map(name => name.trim()).filter(name => name.length > 0),
+        coauthors,
         filedDate: filedDate,
         lastActionDate: lastActionDate,
         lastAction: lastAction,
+        // Bill stages can refine lastAction later, so keep the report's own value for change detection
+        reportAction: lastAction,
         lastUpdated: new Date(),
         topics: this.extractTopicsFromTitle(caption)
       };
       
-      // Try to fetch bill text and summary from the website
-      try {
-        console.log(`📄 Attempting to fetch bill text for ${displayBillNumber}...`);
-        const textResult = await this.fetchBillText(standardizedBillNumber);
-        
-        if (textResult.billText && textResult.billText.length > 100) {
-          billData.billText = textResult.billText;
-          console.log(`✅ Successfully fetched bill text for ${displayBillNumber} (${textResult.billText.length} characters)`);
-        }
-        
-        if (textResult.summary && textResult.summary.length > 20) {
-          // Use the Caption Text as the abstract
-          billData.abstract = textResult.summary;
-          console.log(`✅ Successfully fetched Caption Text for ${displayBillNumber} (${textResult.summary.length} characters)`);
-        } else if (caption && caption.length > 20) {
-          // Fallback to caption from table if Caption Text not found
-          billData.abstract = caption;
-          console.log(`⚠️ Using table caption as fallback for ${displayBillNumber}`);
+      return billData;
+      
+    } catch (error) {
+      console.warn(`Error parsing bill table for ${billNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the detail pages for a bill parsed from a report: text, caption, stages and votes
+   * These are the expensive requests, so ingestion only calls this for new or changed bills
+   * @param {Object} bill - Bill data from parseBillTable
+   * @returns {Promise<Object>} Bill data enriched with detail page content
+   */
+  async fetchBillDetails(bill) {
+    const billData = { ...bill };
+    const standardizedBillNumber = idStandardizer.standardize(bill.billNumber);
+    const displayBillNumber = idStandardizer.toDisplayFormat(standardizedBillNumber);
+    const session = bill.session || this.sessions[0];
+
+    // Try to fetch bill text and summary from the website
+    try {
+      console.log(`📄 Attempting to fetch bill text for ${displayBillNumber}...`);
+      const textResult = await this.fetchBillText(standardizedBillNumber, session);
+
+      if (textResult.billText && textResult.billText.length > 100) {
+        billData.billText = textResult.billText;
+        console.log(`✅ Successfully fetched bill text for ${displayBillNumber} (${textResult.billText.length} characters)`);
+      }
+
+      if (textResult.summary && textResult.summary.length > 20) {
+        // Use the Caption Text as the abstract
+        billData.abstract = textResult.summary;
+        console.log(`✅ Successfully fetched Caption Text for ${displayBillNumber} (${textResult.summary.length} characters)`);
+      } else if (billData.abstract) {
+        // Keep the caption from the report table if Caption Text not found
+        console.log(`⚠️ Using table caption as fallback for ${displayBillNumber}`);
+      }
+
+      if (!textResult.billText && !textResult.summary) {
+        console.log(`⚠️ No substantial content found for ${displayBillNumber}`);
+      }
+    } catch (error) {
+      console.warn(`❌ Failed to fetch bill content for ${displayBillNumber}:`, error.message);
+    }
+
+    // Fetch bill stages information
+    try {
+      console.log(`📊 Attempting to fetch bill stages for ${displayBillNumber}...`);
+      const stagesResult = await this.fetchBillStages(standardizedBillNumber, session);
+
+      if (stagesResult && stagesResult.length > 0) {
+        billData.stages = stagesResult;
+        console.log(`✅ Successfully fetched ${stagesResult.length} bill stages for ${displayBillNumber}`);
+
+        // Derive the lifecycle status from the stages; the latest stage is the last action
+        const latestStage = stagesResult[stagesResult.length - 1];
+        if (latestStage) {
+          billData.lastAction = latestStage.action || billData.lastAction;
+          billData.lastActionDate = latestStage.date || billData.lastActionDate;
         }
-        
-        if (!textResult.billText && !textResult.summary) {
-          console.log(`⚠️ No substantial content found for ${displayBillNumber}`);
+        const lifecycle = billLifecycle.derive(stagesResult, billData);
+        billData.status = lifecycle.status;
+        billData.lifecycle = lifecycle;
+      } else {
+        billData.stages = [];
+        console.log(`⚠️ No bill stages found for ${displayBillNumber}`);
+      }
+    } catch (error) {
+      console.warn(`❌ Failed to fetch bill stages for ${displayBillNumber}:`, error.message);
+      billData.stages = [];
+    }
+
+    // The History page holds the governor's action, the companion and the record votes; it is fetched once for all three
+    let history = null;
+    try {
+      history = await this.fetchHistoryPage(standardizedBillNumber, session);
+    } catch (error) {
+      console.warn(`❌ Failed to fetch the History page for ${displayBillNumber}:`, error.message);
+    }
+
+    // Governor actions are on the History page once a bill has passed both chambers;
+    // joint resolutions go to the voters instead
+    const isJointResolution = idStandardizer.isJointResolution(standardizedBillNumber);
+    if (history && !isJointResolution && billLifecycle.hasReached(billData.status, 'Passed Both Chambers')) {
+      try {
+        const governorAction = await governorService.scrapeAction(standardizedBillNumber, session, history);
+
+        if (governorAction) {
+          billData.governorAction = governorAction;
+          const lifecycle = billLifecycle.derive([...(billData.stages || []), ...governorService.toStages(governorAction)], billData);
+          billData.status = lifecycle.status;
+          billData.lifecycle = lifecycle;
+          console.log(`✅ Governor action for ${displayBillNumber}: ${governorAction.action || 'awaiting action'}`);
         }
       } catch (error) {
-        console.warn(`❌ Failed to fetch bill content for ${displayBillNumber}:`, error.message);
+        console.warn(`❌ Failed to fetch governor action for ${displayBillNumber}:`, error.message);
       }
+    }
 
-      // Fetch bill stages information
+    // The History page names the other chamber's companion; bills without one are matched by text after saving
+    if (history) {
       try {
-        console.log(`📊 Attempting to fetch bill stages for ${displayBillNumber}...`);
-        const stagesResult = await this.fetchBillStages(standardizedBillNumber);
-        
-        if (stagesResult && stagesResult.length > 0) {
-          billData.stages = stagesResult;
-          console.log(`✅ Successfully fetched ${stagesResult.length} bill stages for ${displayBillNumber}`);
-          
-          // Update status based on latest stage if available
-          const latestStage = stagesResult[stagesResult.length - 1];
-          if (latestStage && latestStage.status) {
-            billData.status = latestStage.status;
-            billData.lastAction = latestStage.action || billData.lastAction;
-            billData.lastActionDate = latestStage.date || billData.lastActionDate;
-          }
-        } else {
-          billData.stages = [];
-          console.log(`⚠️ No bill stages found for ${displayBillNumber}`);
+        const companion = companionService.getCompanion(history, session);
+
+        if (companion) {
+          billData.companions = [companion];
+          console.log(`🔗 ${displayBillNumber} has ${companion.relationship} companion ${companion.billNumber}`);
         }
       } catch (error) {
-        console.warn(`❌ Failed to fetch bill stages for ${displayBillNumber}:`, error.message);
-        billData.stages = [];
+        console.warn(`❌ Failed to read companion for ${displayBillNumber}:`, error.message);
       }
-      
-      return billData;
-      
+    }
+
+    // Fetch text versions not stored yet; they are stored apart from the bill
+    let storedVersions = [];
+    try {
+      storedVersions = await versionDatabase.getVersions(idStandardizer.toDocumentId(standardizedBillNumber, session));
+      billData.textVersions = await this.fetchBillVersions(standardizedBillNumber, session, storedVersions.map(version => version.code));
     } catch (error) {
-      console.warn(`Error parsing bill table for ${billNumber}:`, error.message);
-      return null;
+      console.warn(`❌ Failed to fetch text versions for ${displayBillNumber}:`, error.message);
+    }
+
+    // Parse sections, amended statutes and effective dates out of the current text
+    const versions = [...storedVersions, ...(billData.textVersions || [])].sort((a, b) => a.order - b.order);
+    const currentText = billData.billText || (versions.length > 0 ? versions[versions.length - 1].text : '');
+    const structure = billTextParser.parse(currentText);
+    if (structure) {
+      billData.structure = structure;
+      billData.amendedCodes = structure.amendedCodes;
+      console.log(`✅ Parsed ${structure.sections.length} sections and ${structure.statutes.length} statute references for ${displayBillNumber}`);
     }
+
+    // Joint resolutions name the election and the ballot language of the amendment they propose
+    if (isJointResolution) {
+      const proposition = propositionService.parseBallot(currentText);
+      if (proposition) {
+        billData.proposition = proposition;
+        console.log(`🗳️ ${displayBillNumber} goes to the voters ${proposition.electionDate || 'on an unnamed date'}`);
+      }
+    }
+
+    // Fetch recorded votes: per-member roll calls from the journals, else the counts on the Actions/History pages
+    let rollCalls = [];
+    if (history) {
+      try {
+        rollCalls = await rollCallService.scrapeRollCalls(standardizedBillNumber, session, history);
+      } catch (error) {
+        console.warn(`⚠️ Failed to fetch roll calls for ${displayBillNumber}, using vote counts instead:`, error.message);
+      }
+    }
+
+    if (rollCalls.length > 0) {
+      billData.votingData = rollCallService.toVotingData(displayBillNumber, rollCalls);
+      billData.voting = rollCallService.getPartySplit(rollCalls);
+      console.log(`✅ Parsed ${rollCalls.length} record votes for ${displayBillNumber} from the journals`);
+    } else {
+      try {
+        const votingData = await this.scrapeVotingData(standardizedBillNumber, session);
+
+        if (votingData && (votingData.votes.length > 0 || votingData.summary)) {
+          billData.votingData = votingData;
+        }
+      } catch (error) {
+        console.warn(`❌ Failed to fetch voting data for ${displayBillNumber}:`, error.message);
+      }
+    }
+
+    // Effective date from the History actions, the enrolled text's clauses and the record votes
+    const effective = effectiveDateService.resolve(billData);
+    if (effective) {
+      billData.effective = effective;
+      console.log(`📅 ${displayBillNumber} takes effect ${effective.date || 'on an unknown date'} (${effective.basis})`);
+    }
+
+    billData.detailsFetchedAt = new Date();
+    return billData;
+  }
+
+  /**
+   * Fetch a bill's History page, loaded for the governor, companion and record vote parsers
+   * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {string} session - TLO session code
+   * @returns {Promise<Object>} { $, url }
+   */
+  async fetchHistoryPage(billNumber, session) {
+    const url = `${this.baseUrl}/BillLookup/History.aspx?LegSess=${session}&Bill=${billNumber}`;
+    const response = await axios.get(url, this.axiosConfig);
+    return { $: cheerio.load(response.data), url };
   }
 
   /**
    * Extract status from last action text
    * @param {string} actionText - Last action text
-   * @returns {string} Normalized status
+   * @param {string} [billNumber] - Bill number, to tell passage in the originating chamber from the other
+   * @returns {string} Lifecycle status (see config/bill-lifecycle.js)
    */
-  extractStatusFromAction(actionText) {
-    if (!actionText) return 'Filed';
-    
-    const actionLower = actionText.toLowerCase();
-    
-    if (actionLower.includes('effective') || actionLower.includes('enacted')) {
-      return 'Passed';
-    } else if (actionLower.includes('signed')) {
-      return 'Signed';
-    } else if (actionLower.includes('vetoed')) {
-      return 'Vetoed';
-    } else if (actionLower.includes('committee') || actionLower.includes('referred')) {
-      return 'In Committee';
-    } else if (actionLower.includes('passed') || actionLower.includes('engrossed')) {
-      return 'Passed';
-    } else if (actionLower.includes('filed') || actionLower.includes('introduced')) {
-      return 'Filed';
-    }
-    
-    return 'Filed'; // Default status
+  extractStatusFromAction(actionText, billNumber = '') {
+    return billLifecycle.derive([], { billNumber, lastAction: actionText }).status;
   }
 
   /**
@@ -444,13 +677,14 @@ class TexasLegislatureScraper {
   /**
    * Fetch bill stages from BillStages.aspx page
    * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {string} [session] - TLO session code; recent sessions are searched when omitted
    * @returns {Promise<Array>} Array of stage objects with date, action, status, and location
    */
-  async fetchBillStages(billNumber) {
+  async fetchBillStages(billNumber, session = null) {
     if (!billNumber) return [];
     
     try {
-      const sessions = ['89R', '88R', '87R', '86R'];
+      const sessions = this.getSessionsToTry(session, ['89R', '88R', '87R', '86R']);
       
       for (const session of sessions) {
         try {
@@ -586,46 +820,15 @@ class TexasLegislatureScraper {
 
   /**
    * Extract status from stage action text
+   * Stages are read one at a time here, so passage is not told apart by chamber;
+   * the bill's own status is derived from all of its stages in fetchBillDetails
    * @param {string} actionText - Stage action text
-   * @returns {string} Normalized status
+   * @returns {string} Lifecycle status, or 'In Progress' for readings and other steps that do not change it
    */
   extractStatusFromStageAction(actionText) {
     if (!actionText) return 'Filed';
-    
-    const actionLower = actionText.toLowerCase();
-    
-    // More specific status mapping based on legislative process
-    if (actionLower.includes('effective') || actionLower.includes('enacted')) {
-      return 'Effective';
-    } else if (actionLower.includes('signed by governor') || actionLower.includes('governor signed')) {
-      return 'Signed';
-    } else if (actionLower.includes('vetoed')) {
-      return 'Vetoed';
-    } else if (actionLower.includes('sent to governor') || actionLower.includes('enrolled')) {
-      return 'Sent to Governor';
-    } else if (actionLower.includes('passed') && actionLower.includes('house')) {
-      return 'Passed House';
-    } else if (actionLower.includes('passed') && actionLower.includes('senate')) {
-      return 'Passed Senate';
-    } else if (actionLower.includes('committee') || actionLower.includes('referred')) {
-      return 'In Committee';
-    } else if (actionLower.includes('reported') || actionLower.includes('committee report')) {
-      return 'Committee Report';
-    } else if (actionLower.includes('engrossed')) {
-      return 'Engrossed';
-    } else if (actionLower.includes('amended')) {
-      return 'Amended';
-    } else if (actionLower.includes('read') && actionLower.includes('first')) {
-      return 'First Reading';
-    } else if (actionLower.includes('read') && actionLower.includes('second')) {
-      return 'Second Reading';
-    } else if (actionLower.includes('read') && actionLower.includes('third')) {
-      return 'Third Reading';
-    } else if (actionLower.includes('filed') || actionLower.includes('introduced')) {
-      return 'Filed';
-    }
-    
-    return 'In Progress'; // Default for unrecognized actions
+
+    return billLifecycle.classifyAction(actionText) ? billLifecycle.normalizeStatus(actionText) : 'In Progress';
   }
 
   /**
@@ -662,20 +865,21 @@ class TexasLegislatureScraper {
   /**
    * Fetch bill text from Texas Legislature website
    * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {string} [session] - TLO session code; recent sessions are searched when omitted
    * @returns {Promise<Object>} Object with billText and summary
    */
-  async fetchBillText(billNumber) {
+  async fetchBillText(billNumber, session = null) {
     if (!billNumber) return { billText: '', summary: '' };
     
     try {
       // Try the Text.aspx page first (most reliable)
-      const textPageResult = await this.fetchBillTextFromTextPage(billNumber);
+      const textPageResult = await this.fetchBillTextFromTextPage(billNumber, session);
       if (textPageResult.billText || textPageResult.summary) {
         return textPageResult;
       }
       
       // Fallback to direct document URLs
-      const directText = await this.fetchBillTextFromDirectUrls(billNumber);
+      const directText = await this.fetchBillTextFromDirectUrls(billNumber, session);
       return { billText: directText, summary: '' };
       
     } catch (error) {
@@ -687,12 +891,13 @@ class TexasLegislatureScraper {
   /**
    * Fetch bill text and summary using the correct Texas Legislature URLs
    * @param {string} billNumber - Standardized bill number
+   * @param {string} [session] - TLO session code; recent sessions are searched when omitted
    * @returns {Promise<Object>} Object with billText and summary
    */
-  async fetchBillTextFromTextPage(billNumber) {
+  async fetchBillTextFromTextPage(billNumber, session = null) {
     try {
       // Try different session numbers
-      const sessions = ['89R', '88R', '87R', '86R'];
+      const sessions = this.getSessionsToTry(session, ['89R', '88R', '87R', '86R']);
       
       for (const session of sessions) {
         const result = { billText: '', summary: '' };
@@ -909,28 +1114,30 @@ class TexasLegislatureScraper {
   /**
    * Fetch bill text from direct document URLs (fallback method)
    * @param {string} billNumber - Standardized bill number
+   * @param {string} [session] - TLO session code; recent sessions are searched when omitted
    * @returns {Promise<string>} Bill text content
    */
-  async fetchBillTextFromDirectUrls(billNumber) {
+  async fetchBillTextFromDirectUrls(billNumber, session = null) {
     // Try HTML first, then PDF
-    const htmlText = await this.fetchBillTextFromHTML(billNumber);
+    const htmlText = await this.fetchBillTextFromHTML(billNumber, session);
     if (htmlText && htmlText.length > 100) {
       return htmlText;
     }
     
-    const pdfText = await this.fetchBillTextFromPDF(billNumber);
+    const pdfText = await this.fetchBillTextFromPDF(billNumber, session);
     return pdfText || '';
   }
 
   /**
    * Fetch bill text from HTML version (direct document URLs)
    * @param {string} billNumber - Standardized bill number
+   * @param {string} [session] - TLO session code; recent sessions are searched when omitted
    * @returns {Promise<string>} Bill text content
    */
-  async fetchBillTextFromHTML(billNumber) {
+  async fetchBillTextFromHTML(billNumber, session = null) {
     try {
       // Try different session formats and URL patterns
-      const sessions = ['89R', '88R', '87R']; // Current and recent sessions
+      const sessions = this.getSessionsToTry(session, ['89R', '88R', '87R']); // Current and recent sessions
       const urlPatterns = [
         (session, bill) => `https://capitol.texas.gov/tlodocs/${session}/billtext/html/${bill}00001I.HTM`,
         (session, bill) => `https://capitol.texas.gov/tlodocs/${session}/billtext/html/${bill}00001F.HTM`,
@@ -989,9 +1196,10 @@ class TexasLegislatureScraper {
   /**
    * Fetch bill text from PDF version
    * @param {string} billNumber - Standardized bill number
+   * @param {string} [session] - TLO session code; recent sessions are searched when omitted
    * @returns {Promise<string>} Bill text content
    */
-  async fetchBillTextFromPDF(billNumber) {
+  async fetchBillTextFromPDF(billNumber, session = null) {
     if (!pdfParse) {
       console.log('📄 PDF parsing not available, skipping PDF text extraction');
       return '';
@@ -999,7 +1207,7 @@ class TexasLegislatureScraper {
     
     try {
       // Try different sessions and PDF formats
-      const sessions = ['89R', '88R', '87R'];
+      const sessions = this.getSessionsToTry(session, ['89R', '88R', '87R']);
       const pdfPatterns = [
         (session, bill) => `https://capitol.texas.gov/tlodocs/${session}/billtext/pdf/${bill}00001I.pdf`,
         (session, bill) => `https://capitol.texas.gov/tlodocs/${session}/billtext/pdf/${bill}00001F.pdf`,
@@ -1013,29 +1221,10 @@ class TexasLegislatureScraper {
             const pdfUrl = pattern(session, billNumber);
             console.log(`🔗 Trying PDF URL: ${pdfUrl}`);
             
-            const response = await axios.get(pdfUrl, {
-              timeout: 15000,
-              responseType: 'arraybuffer',
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; TexasBillTracker/1.0)'
-              }
-            });
-            
-            if (response.status === 200 && response.data) {
-              console.log(`📄 Parsing PDF content for ${billNumber}...`);
-              const pdfData = await pdfParse(response.data);
-              
-              if (pdfData.text && pdfData.text.length > 100) {
-                // Clean up PDF text
-                let text = pdfData.text
-                  .replace(/\f/g, '\n') // Replace form feeds with newlines
-                  .replace(/\s+/g, ' ')
-                  .replace(/\n\s*\n/g, '\n')
-                  .trim();
-                
-                console.log(`✅ Successfully extracted ${text.length} characters from PDF in session ${session}`);
-                return text;
-              }
+            const text = await this.fetchPdfText(pdfUrl);
+            if (text.length > 100) {
+              console.log(`✅ Successfully extracted ${text.length} characters from PDF in session ${session}`);
+              return text;
             }
           } catch (pdfError) {
             if (pdfError.response?.status !== 404) {
@@ -1052,13 +1241,154 @@ class TexasLegislatureScraper {
     }
   }
 
+  /**
+   * Download a PDF and extract its text as a single line
+   * @param {string} pdfUrl - PDF URL
+   * @returns {Promise<string>} Text, empty when the PDF has none
+   */
+  async fetchPdfText(pdfUrl) {
+    const response = await axios.get(pdfUrl, {
+      timeout: 15000,
+      responseType: 'arraybuffer',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; TexasBillTracker/1.0)'
+      }
+    });
+
+    if (response.status !== 200 || !response.data) {
+      return '';
+    }
+
+    const pdfData = await pdfParse(response.data);
+    return (pdfData.text || '')
+      .replace(/\f/g, '\n') // Replace form feeds with newlines
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Fetch the text versions of a bill that are not stored yet: introduced, committee reports
+   * (where committee substitutes appear), engrossed and enrolled
+   * Only versions the bill's Text page lists are requested; each is read from its HTML document,
+   * falling back to the PDF
+   * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {string} session - TLO session code
+   * @param {Array<string>} [storedCodes] - Version codes already stored for the bill
+   * @returns {Promise<Array>} New versions in legislative order as { code, order, url, format, text, isSubstitute }
+   */
+  async fetchBillVersions(billNumber, session, storedCodes = []) {
+    const documentNumber = this.formatBillNumberForDocument(billNumber);
+    const codes = versionDatabase.getVersionCodes(idStandardizer.getChamber(billNumber));
+    const listedCodes = await this.fetchListedVersionCodes(billNumber, session);
+    const versions = [];
+
+    for (const [order, code] of codes.entries()) {
+      if (!listedCodes.has(code) || storedCodes.includes(code)) {
+        continue;
+      }
+
+      const version = await this.fetchBillVersion(session, documentNumber, code);
+      if (version) {
+        versions.push({
+          code,
+          order,
+          ...version,
+          isSubstitute: /\bC\.\s*S\.\s*[HS]\.\s*[BJCR]/.test(version.text.slice(0, 500))
+        });
+      }
+    }
+
+    console.log(`📚 Found ${versions.length} new text versions for ${billNumber}: ${versions.map(version => version.code).join(', ') || 'none'}`);
+    return versions;
+  }
+
+  /**
+   * Version codes the bill's Text page links documents for ("/tlodocs/89R/billtext/html/SB00001I.htm")
+   * @param {string} billNumber - Standardized bill number
+   * @param {string} session - TLO session code
+   * @returns {Promise<Set<string>>} Version codes
+   */
+  async fetchListedVersionCodes(billNumber, session) {
+    const response = await axios.get(this.getBillTextUrl(billNumber, session), {
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; TexasBillTracker/1.0)'
+      }
+    });
+
+    const $ = cheerio.load(response.data);
+    const pattern = new RegExp(`/billtext/(?:html|pdf)/${this.formatBillNumberForDocument(billNumber)}([A-Z])\\.(?:htm|pdf)\\b`, 'i');
+    const codes = new Set();
+    $('a[href]').each((i, link) => {
+      const match = pattern.exec($(link).attr('href'));
+      if (match) {
+        codes.add(match[1].toUpperCase());
+      }
+    });
+    return codes;
+  }
+
+  async fetchBillVersion(session, documentNumber, code) {
+    const htmlUrl = `https://capitol.texas.gov/tlodocs/${session}/billtext/html/${documentNumber}${code}.htm`;
+    try {
+      const response = await axios.get(htmlUrl, {
+        timeout: 10000,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; TexasBillTracker/1.0)'
+        }
+      });
+
+      if (response.status === 200 && response.data) {
+        const $ = cheerio.load(response.data);
+        $('script, style, nav, header, footer').remove();
+        const text = $('body').text().replace(/\s+/g, ' ').trim();
+
+        if (text.length > 100) {
+          return { url: htmlUrl, format: 'html', text };
+        }
+      }
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.warn(`Error fetching version ${code} of ${documentNumber}:`, error.message);
+      }
+    }
+
+    if (!pdfParse) {
+      return null;
+    }
+
+    const pdfUrl = `https://capitol.texas.gov/tlodocs/${session}/billtext/pdf/${documentNumber}${code}.pdf`;
+    try {
+      const text = await this.fetchPdfText(pdfUrl);
+      return text.length > 100 ? { url: pdfUrl, format: 'pdf', text } : null;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.warn(`Error fetching PDF version ${code} of ${documentNumber}:`, error.message);
+      }
+      return null;
+    }
+  }
+
   /**
    * Get bill text URL for a given bill number
    * @param {string} billNumber - Standardized bill number
+   * @param {string} [session] - TLO session code (defaults to the scraper's first session)
    * @returns {string} URL to bill text
    */
-  getBillTextUrl(billNumber) {
-    return `https://capitol.texas.gov/BillLookup/Text.aspx?LegSess=88R&Bill=${billNumber}`;
+  getBillTextUrl(billNumber, session = this.sessions[0]) {
+    return `https://capitol.texas.gov/BillLookup/Text.aspx?LegSess=${session}&Bill=${billNumber}`;
+  }
+
+  /**
+   * Sessions to search for a bill: its own session when known, otherwise recent
+   * sessions, since a bare bill number like "SB1" exists in every session
+   * @param {string|null} session - Known session for the bill
+   * @param {string[]} recentSessions - Sessions to search when the session is unknown
+   * @returns {string[]} Session codes to try in order
+   */
+  getSessionsToTry(session, recentSessions) {
+    const sessionCode = idStandardizer.standardizeSession(session);
+    return sessionCode ? [sessionCode] : recentSessions;
   }
 
   /**
@@ -1168,9 +1498,10 @@ class TexasLegislatureScraper {
   /**
    * Scrape voting data for a specific bill
    * @param {string} billNumber - Standardized bill number (e.g., "SB1")
+   * @param {string} [session] - TLO session code; recent sessions are searched when omitted
    * @returns {Promise<Object>} Voting data object
    */
-  async scrapeVotingData(billNumber) {
+  async scrapeVotingData(billNumber, session = null) {
     try {
       console.log(`🗳️ Scraping voting data for ${billNumber}...`);
       
@@ -1179,7 +1510,7 @@ class TexasLegislatureScraper {
       }
       
       // Try different session numbers for voting records
-      const sessions = ['89R', '88R', '87R'];
+      const sessions = this.getSessionsToTry(session, ['89R', '88R', '87R']);
       
       for (const session of sessions) {
         try {
@@ -1513,22 +1844,10 @@ class TexasLegislatureScraper {
   /**
    * Normalize status text to standard values
    * @param {string} status - Raw status text
-   * @returns {string} Normalized status
+   * @returns {string} Lifecycle status (see config/bill-lifecycle.js)
    */
   normalizeStatus(status) {
-    if (!status) return 'Filed';
-    
-    const statusLower = status.toLowerCase();
-    
-    if (statusLower.includes('filed') || statusLower.includes('introduced')) {
-      return 'Filed';
-    } else if (statusLower.includes('committee') || statusLower.includes('referred')) {
-      return 'In Committee';
-    } else if (statusLower.includes('passed') || statusLower.includes('enacted')) {
-      return 'Passed';
-    }
-    
-    return 'Filed'; // Default status
+    return billLifecycle.normalizeStatus(status);
   }
 
   /**
@@ -1546,8 +1865,8 @@ class TexasLegislatureScraper {
       }
     }
     
-    // Validate bill number format (SB followed by number)
-    if (!/^SB\s*\d+$/i.test(billData.billNumber)) {
+    // Validate bill number format (known Senate or House prefix followed by number)
+    if (!idStandardizer.isValidBillId(billData.billNumber.replace(/\s+/g, '').toUpperCase())) {
       console.warn(`Invalid bill number format: ${billData.billNumber}`);
       return false;
     }
@@ -1558,16 +1877,19 @@ class TexasLegislatureScraper {
   /**
    * Scrape bills with enhanced details
    * @param {number} limit - Maximum number of bills to process (for testing)
+   * @param {Object} [options] - Sessions/chambers to scrape (see scrapeBills)
    * @returns {Promise<Array>} Array of detailed bill objects
    */
-  async scrapeBillsWithDetails(limit = null) {
+  async scrapeBillsWithDetails(limit = null, options = {}) {
     try {
-      const bills = await this.scrapeBills();
+      const bills = await this.scrapeBills(options);
       const detailedBills = [];
       
       const billsToProcess = limit ? bills.slice(0, limit) : bills;
       
-      for (const bill of billsToProcess) {
+      for (const reportBill of billsToProcess) {
+        const bill = reportBill.isPlaceholder ? reportBill : await this.fetchBillDetails(reportBill);
+        
         if (bill.officialUrl) {
           try {
             const details = await this.getBillDetails(bill.officialUrl);
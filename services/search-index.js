@@ -0,0 +1,671 @@
+const { stem } = require('./stemmer');
+const { crudOperations } = require('../config/crud-operations');
+
+// Indexed fields and their ranking weights
+const FIELD_WEIGHTS = {
+  billNumber: 8,
+  shortTitle: 4,
+  fullTitle: 2,
+  abstract: 1.5,
+  summary: 1.5,
+  billText: 1
+};
+
+// Fields a summary update replaces; every other field comes from the bill itself
+const BILL_FIELDS = ['billNumber', 'shortTitle', 'fullTitle', 'abstract', 'billText'];
+
+// Documents read per storage round trip while the index is built or refreshed
+const PAGE_SIZE = 500;
+
+// Bill texts run to hundreds of pages; only their opening is indexed to keep memory bounded
+const MAX_FIELD_TOKENS = 20000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Bill numbers ("SB 1", "hb12") are kept as single tokens so they never match unrelated numbers
+const TOKEN_PATTERN = /\b(?:sjr|hjr|scr|hcr|sb|hb|sr|hr)\s*\d+\b|[a-z0-9]+(?:'[a-z]+)?/gi;
+const BILL_NUMBER_PATTERN = /^(?:sjr|hjr|scr|hcr|sb|hb|sr|hr)\s*\d+$/i;
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Split text into normalized terms with their positions and character offsets
+ * Stopwords take up a position but produce no term, so phrase offsets stay accurate
+ * @param {string} text - Raw text
+ * @returns {Array} Tokens as { term, position, start, end }
+ */
+function tokenize(text) {
+  const tokens = [];
+  if (!text) {
+    return tokens;
+  }
+
+  let position = 0;
+  for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+    const raw = match[0].toLowerCase();
+    const term = normalizeTerm(raw);
+
+    if (term) {
+      tokens.push({ term, position, start: match.index, end: match.index + match[0].length });
+    }
+    position++;
+  }
+
+  return tokens;
+}
+
+function normalizeTerm(raw) {
+  if (BILL_NUMBER_PATTERN.test(raw)) {
+    return raw.replace(/\s+/g, '');
+  }
+
+  const word = raw.replace(/'s$/, '').replace(/'/g, '');
+  if (STOPWORDS.has(word)) {
+    return null;
+  }
+  return /^\d+$/.test(word) ? word : stem(word);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a search query into a tree
+ * Supports "quoted phrases", AND / OR / NOT (uppercase), -term negation and parentheses.
+ * Adjacent terms are combined with AND; AND binds tighter than OR.
+ * @param {string} query - Search query
+ * @returns {Object|null} Query tree, or null when nothing searchable remains
+ */
+function parseQuery(query) {
+  const lexemes = [];
+  const lexPattern = /(-?)"([^"]*)"?|(\()|(\))|(\S+)/g;
+  // "SB 1" is indexed as a single token, so join bill numbers before splitting on whitespace
+  const text = String(query || '').replace(/\b(sjr|hjr|scr|hcr|sb|hb|sr|hr)\s+(\d+)\b/gi, '$1$2');
+
+  for (const match of text.matchAll(lexPattern)) {
+    if (match[2] !== undefined) {
+      lexemes.push({ type: 'phrase', text: match[2], negate: match[1] === '-' });
+    } else if (match[3]) {
+      lexemes.push({ type: '(' });
+    } else if (match[4]) {
+      lexemes.push({ type: ')' });
+    } else if (['AND', 'OR', 'NOT'].includes(match[5])) {
+      lexemes.push({ type: match[5] });
+    } else {
+      // Words glued to parentheses ("(water") are split apart
+      const parts = match[5].split(/([()])/).filter(Boolean);
+      for (const part of parts) {
+        if (part === '(' || part === ')') {
+          lexemes.push({ type: part });
+        } else if (part.startsWith('-') && part.length > 1) {
+          lexemes.push({ type: 'word', text: part.slice(1), negate: true });
+        } else {
+          lexemes.push({ type: 'word', text: part.replace(/^\+/, ''), negate: false });
+        }
+      }
+    }
+  }
+
+  let index = 0;
+
+  function peek() {
+    return lexemes[index];
+  }
+
+  // A phrase or word lexeme becomes a term, phrase or nothing (stopwords only)
+  function toNode(lexeme) {
+    const tokens = tokenize(lexeme.text);
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    // Quoted text and words that split into several tokens ("water-rights") must match as phrases
+    const first = tokens[0].position;
+    const node = tokens.length === 1
+      ? { type: 'term', term: tokens[0].term }
+      : { type: 'phrase', terms: tokens.map(token => ({ term: token.term, offset: token.position - first })) };
+    return lexeme.negate ? { type: 'not', child: node } : node;
+  }
+
+  function parsePrimary() {
+    const lexeme = peek();
+    if (!lexeme) {
+      return null;
+    }
+    index++;
+
+    if (lexeme.type === '(') {
+      const node = parseOr();
+      if (peek() && peek().type === ')') {
+        index++;
+      }
+      return node;
+    }
+    if (lexeme.type === 'NOT') {
+      const child = parsePrimary();
+      return child ? { type: 'not', child } : null;
+    }
+    if (lexeme.type === 'word' || lexeme.type === 'phrase') {
+      return toNode(lexeme);
+    }
+    // Stray operators and closing parentheses are ignored
+    return null;
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        index++;
+        continue;
+      }
+      const node = parsePrimary();
+      if (node) {
+        children.push(node);
+      }
+    }
+    return children.length > 1 ? { type: 'and', children } : (children[0] || null);
+  }
+
+  function parseOr() {
+    const children = [];
+    let node = parseAnd();
+    if (node) {
+      children.push(node);
+    }
+    while (peek() && peek().type === 'OR') {
+      index++;
+      node = parseAnd();
+      if (node) {
+        children.push(node);
+      }
+    }
+    return children.length > 1 ? { type: 'or', children } : (children[0] || null);
+  }
+
+  let tree = parseOr();
+  // Skip unmatched closing parentheses and keep parsing what follows
+  while (index < lexemes.length) {
+    index++;
+    const rest = parseOr();
+    if (rest) {
+      tree = tree ? { type: 'and', children: [tree, rest] } : rest;
+    }
+  }
+  return tree;
+}
+
+// Collect the positive terms and phrases of a query tree, for highlighting
+function collectMatchers(node, matchers = { terms: new Set(), phrases: [] }) {
+  if (!node || node.type === 'not') {
+    return matchers;
+  }
+  if (node.type === 'term') {
+    matchers.terms.add(node.term);
+  } else if (node.type === 'phrase') {
+    matchers.phrases.push(node.terms);
+  } else {
+    node.children.forEach(child => collectMatchers(child, matchers));
+  }
+  return matchers;
+}
+
+/**
+ * SearchIndex - In-memory inverted index over bill numbers, titles, abstracts, bill text and AI summaries
+ *
+ * Features:
+ * - Tokenization with stopwords and Porter stemming
+ * - Phrase queries using term positions, AND / OR / NOT operators and parentheses
+ * - BM25F relevance ranking with per-field weights
+ * - Highlighted snippets around the best match
+ * - Built from the database page by page on first use, then kept current through CrudOperations change
+ *   notifications for bills and summaries; changed documents are re-read in batches on next use
+ */
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(docId -> { field: [positions] })
+    this.documents = new Map(); // docId -> { field: { length, terms: Set } }
+    this.fieldTotals = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 0]));
+    this.fieldDocuments = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 0]));
+    this.isReady = false;
+    this.building = null;
+    this.adapter = null;
+    this.listening = false;
+    this.dirty = { bills: new Set(), summaries: new Set() };
+  }
+
+  /**
+   * Build the index from stored bills and summaries on first use, and re-index documents changed since
+   */
+  async ensureReady() {
+    // Reconnecting (tests, scripts) replaces the storage adapter and invalidates a built index
+    await crudOperations.initialize();
+    if (!this.isReady || (this.adapter && this.adapter !== crudOperations.adapter)) {
+      if (!this.building) {
+        this.building = this.build().finally(() => {
+          this.building = null;
+        });
+      }
+      await this.building;
+    }
+    await this.refresh();
+  }
+
+  async build() {
+    const startTime = Date.now();
+    if (!this.listening) {
+      Object.keys(this.dirty).forEach(collection => {
+        crudOperations.onChange(collection, docIds => docIds.forEach(docId => this.dirty[collection].add(docId)));
+      });
+      this.listening = true;
+    }
+
+    // Documents written while the pages are read are marked dirty and re-indexed afterwards
+    Object.values(this.dirty).forEach(docIds => docIds.clear());
+    this.adapter = crudOperations.adapter;
+    this.clear();
+
+    await this.readPages('bills', bills => bills.filter(bill => !bill._isStructureDoc).forEach(bill => this.updateBill(bill)));
+    await this.readPages('summaries', summaries => summaries.forEach(summary => {
+      this.updateSummary(summary.billId || summary.id, summary.summaries);
+    }));
+
+    this.isReady = true;
+    console.log(`🔎 Search index built: ${this.documents.size} documents, ${this.postings.size} terms in ${Date.now() - startTime}ms`);
+  }
+
+  async readPages(collection, handle) {
+    let startAfter = null;
+    for (;;) {
+      const page = await crudOperations.query(collection, { startAfter, limit: PAGE_SIZE });
+      handle(page);
+      if (page.length < PAGE_SIZE) {
+        return;
+      }
+      startAfter = [page[page.length - 1].id];
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  // Re-index bills and summaries changed since the last use; deleted ones are dropped
+  async refresh() {
+    for (const collection of Object.keys(this.dirty)) {
+      const dirty = this.dirty[collection];
+      while (dirty.size > 0) {
+        const docIds = Array.from(dirty).slice(0, PAGE_SIZE);
+        docIds.forEach(docId => dirty.delete(docId));
+
+        const docs = await crudOperations.getMany(collection, docIds);
+        docs.forEach((doc, index) => {
+          if (collection === 'summaries') {
+            this.updateSummary(docIds[index], doc ? doc.summaries : {});
+          } else if (doc && !doc._isStructureDoc) {
+            this.updateBill(doc);
+          } else {
+            this.removeBill(docIds[index]);
+          }
+        });
+      }
+    }
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    Object.keys(this.fieldTotals).forEach(field => {
+      this.fieldTotals[field] = 0;
+      this.fieldDocuments[field] = 0;
+    });
+    this.isReady = false;
+  }
+
+  getBillFields(bill) {
+    return Object.fromEntries(BILL_FIELDS.map(field => [field, bill[field] || '']));
+  }
+
+  // All reading levels of a bill's summary are indexed together
+  getSummaryFields(summaries = {}) {
+    return { summary: Object.values(summaries || {}).filter(Boolean).join('\n') };
+  }
+
+  /**
+   * Index (or re-index) a stored bill; its summary stays indexed
+   * @param {Object} bill - Bill data with its document id
+   */
+  updateBill(bill) {
+    if (bill && bill.id) {
+      this.indexFields(bill.id, this.getBillFields(bill));
+    }
+  }
+
+  /**
+   * Index (or re-index) the cached summaries of a bill
+   * @param {string} billId - Bill document id
+   * @param {Object} summaries - Summaries keyed by reading level
+   */
+  updateSummary(billId, summaries) {
+    this.indexFields(billId, this.getSummaryFields(summaries));
+  }
+
+  removeBill(billId) {
+    this.indexFields(billId, Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, ''])));
+  }
+
+  // Replace the indexed content of the given fields of a document
+  indexFields(docId, fields) {
+    if (!docId) {
+      return;
+    }
+
+    const document = this.documents.get(docId) || {};
+
+    for (const [field, text] of Object.entries(fields)) {
+      this.removeField(docId, document, field);
+
+      const tokens = tokenize(text).slice(0, MAX_FIELD_TOKENS);
+      if (tokens.length === 0) {
+        continue;
+      }
+
+      const terms = new Set();
+      for (const { term, position } of tokens) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        const docPostings = this.postings.get(term);
+        if (!docPostings.has(docId)) {
+          docPostings.set(docId, {});
+        }
+        const fieldPositions = docPostings.get(docId);
+        (fieldPositions[field] = fieldPositions[field] || []).push(position);
+        terms.add(term);
+      }
+
+      document[field] = { length: tokens.length, terms };
+      this.fieldTotals[field] += tokens.length;
+      this.fieldDocuments[field]++;
+    }
+
+    if (Object.keys(document).length > 0) {
+      this.documents.set(docId, document);
+    } else {
+      this.documents.delete(docId);
+    }
+  }
+
+  removeField(docId, document, field) {
+    const indexed = document[field];
+    if (!indexed) {
+      return;
+    }
+
+    for (const term of indexed.terms) {
+      const docPostings = this.postings.get(term);
+      const fieldPositions = docPostings && docPostings.get(docId);
+      if (!fieldPositions) {
+        continue;
+      }
+      delete fieldPositions[field];
+      if (Object.keys(fieldPositions).length === 0) {
+        docPostings.delete(docId);
+      }
+      if (docPostings.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.fieldTotals[field] -= indexed.length;
+    this.fieldDocuments[field]--;
+    delete document[field];
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Matches ranked by relevance as { id, score, fields }
+   */
+  async search(query) {
+    await this.ensureReady();
+
+    const tree = parseQuery(query);
+    if (!tree) {
+      return [];
+    }
+
+    const results = this.evaluate(tree);
+    return Array.from(results.entries())
+      .map(([id, match]) => ({ id, score: Math.round(match.score * 1000) / 1000, fields: Array.from(match.fields) }))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  }
+
+  // Evaluate a query tree to Map(docId -> { score, fields })
+  evaluate(node) {
+    switch (node.type) {
+      case 'term':
+        return this.scoreOccurrences(this.getTermOccurrences(node.term));
+      case 'phrase':
+        return this.scoreOccurrences(this.getPhraseOccurrences(node.terms));
+      case 'not':
+        return this.subtract(this.allDocuments(), this.evaluate(node.child));
+      case 'or': {
+        const results = new Map();
+        node.children.forEach(child => this.merge(results, this.evaluate(child)));
+        return results;
+      }
+      case 'and': {
+        const positive = node.children.filter(child => child.type !== 'not');
+        const negative = node.children.filter(child => child.type === 'not');
+        let results = null;
+
+        for (const child of positive) {
+          const childResults = this.evaluate(child);
+          results = results ? this.intersect(results, childResults) : childResults;
+        }
+        results = results || this.allDocuments();
+
+        for (const child of negative) {
+          results = this.subtract(results, this.evaluate(child.child));
+        }
+        return results;
+      }
+      default:
+        return new Map();
+    }
+  }
+
+  // Map(docId -> { field: occurrence count }) for a single term
+  getTermOccurrences(term) {
+    const occurrences = new Map();
+    const docPostings = this.postings.get(term);
+
+    if (docPostings) {
+      for (const [docId, fieldPositions] of docPostings) {
+        occurrences.set(docId, Object.fromEntries(
+          Object.entries(fieldPositions).map(([field, positions]) => [field, positions.length])
+        ));
+      }
+    }
+    return occurrences;
+  }
+
+  // Map(docId -> { field: occurrence count }) for terms appearing at consecutive positions
+  getPhraseOccurrences(terms) {
+    const occurrences = new Map();
+    const lists = terms.map(({ term }) => this.postings.get(term));
+    if (lists.some(list => !list)) {
+      return occurrences;
+    }
+
+    // Walk the rarest term's documents and check the others at their offsets
+    const rarest = lists.reduce((best, list, i) => (list.size < lists[best].size ? i : best), 0);
+
+    for (const [docId, anchorFields] of lists[rarest]) {
+      const counts = {};
+
+      for (const [field, anchorPositions] of Object.entries(anchorFields)) {
+        const positionSets = lists.map(list => {
+          const fieldPositions = list.get(docId);
+          return new Set(fieldPositions && fieldPositions[field] ? fieldPositions[field] : []);
+        });
+
+        let count = 0;
+        for (const anchorPosition of anchorPositions) {
+          const start = anchorPosition - terms[rarest].offset;
+          if (terms.every(({ offset }, i) => positionSets[i].has(start + offset))) {
+            count++;
+          }
+        }
+        if (count > 0) {
+          counts[field] = count;
+        }
+      }
+
+      if (Object.keys(counts).length > 0) {
+        occurrences.set(docId, counts);
+      }
+    }
+    return occurrences;
+  }
+
+  // BM25F: field-weighted, length-normalized term frequency with an IDF factor
+  scoreOccurrences(occurrences) {
+    const results = new Map();
+    const totalDocs = this.documents.size;
+    const idf = Math.log(1 + (totalDocs - occurrences.size + 0.5) / (occurrences.size + 0.5));
+
+    for (const [docId, counts] of occurrences) {
+      const document = this.documents.get(docId) || {};
+      let weightedFrequency = 0;
+
+      for (const [field, count] of Object.entries(counts)) {
+        const length = document[field] ? document[field].length : 0;
+        const averageLength = this.fieldDocuments[field] > 0 ? this.fieldTotals[field] / this.fieldDocuments[field] : 1;
+        weightedFrequency += FIELD_WEIGHTS[field] * count / (1 - B + B * length / (averageLength || 1));
+      }
+
+      results.set(docId, {
+        score: idf * weightedFrequency * (K1 + 1) / (weightedFrequency + K1),
+        fields: new Set(Object.keys(counts))
+      });
+    }
+    return results;
+  }
+
+  allDocuments() {
+    return new Map(Array.from(this.documents.keys()).map(docId => [docId, { score: 0, fields: new Set() }]));
+  }
+
+  merge(target, source) {
+    for (const [docId, match] of source) {
+      const existing = target.get(docId);
+      if (existing) {
+        existing.score += match.score;
+        match.fields.forEach(field => existing.fields.add(field));
+      } else {
+        target.set(docId, { score: match.score, fields: new Set(match.fields) });
+      }
+    }
+    return target;
+  }
+
+  intersect(left, right) {
+    const results = new Map();
+    for (const [docId, match] of left) {
+      const other = right.get(docId);
+      if (other) {
+        results.set(docId, { score: match.score + other.score, fields: new Set([...match.fields, ...other.fields]) });
+      }
+    }
+    return results;
+  }
+
+  subtract(left, right) {
+    return new Map(Array.from(left).filter(([docId]) => !right.has(docId)));
+  }
+
+  /**
+   * Build a snippet of text around the best match, with matches wrapped in <mark>
+   * Text outside the marks is HTML-escaped
+   * @param {string} text - Field text
+   * @param {string} query - Search query
+   * @returns {string|null} Snippet, or null when nothing in the text matches
+   */
+  highlight(text, query) {
+    const { terms, phrases } = collectMatchers(parseQuery(query));
+    const tokens = tokenize(text);
+    const byPosition = new Map(tokens.map((token, i) => [token.position, i]));
+    const matched = new Set();
+
+    tokens.forEach((token, i) => {
+      if (terms.has(token.term)) {
+        matched.add(i);
+      }
+
+      for (const phrase of phrases) {
+        if (token.term !== phrase[0].term) {
+          continue;
+        }
+        const span = phrase.map(({ term, offset }) => {
+          const j = byPosition.get(token.position + offset);
+          return j !== undefined && tokens[j].term === term ? j : -1;
+        });
+        if (span.every(j => j >= 0)) {
+          span.forEach(j => matched.add(j));
+        }
+      }
+    });
+
+    if (matched.size === 0) {
+      return null;
+    }
+
+    // Start the snippet at the match with the most other matches within half a snippet after it
+    const matches = Array.from(matched).sort((a, b) => a - b);
+    let best = matches[0];
+    let bestCount = 0;
+    for (let i = 0, j = 0; i < matches.length; i++) {
+      while (j < matches.length && tokens[matches[j]].end <= tokens[matches[i]].start + SNIPPET_LENGTH / 2) {
+        j++;
+      }
+      if (j - i > bestCount) {
+        best = matches[i];
+        bestCount = j - i;
+      }
+    }
+
+    const source = String(text);
+    const start = Math.max(0, tokens[best].start - SNIPPET_LENGTH / 4);
+    const end = Math.min(source.length, start + SNIPPET_LENGTH);
+    let snippet = '';
+    let cursor = start;
+
+    for (const i of matches) {
+      const { start: tokenStart, end: tokenEnd } = tokens[i];
+      if (tokenStart < start || tokenEnd > end) {
+        continue;
+      }
+      snippet += escapeHtml(source.slice(cursor, tokenStart)) + `<mark>${escapeHtml(source.slice(tokenStart, tokenEnd))}</mark>`;
+      cursor = tokenEnd;
+    }
+    snippet += escapeHtml(source.slice(cursor, end));
+
+    return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < source.length ? '…' : ''}`;
+  }
+}
+
+// Create singleton instance
+const searchIndex = new SearchIndex();
+
+module.exports = { SearchIndex, searchIndex, tokenize, parseQuery, FIELD_WEIGHTS };
@@ -0,0 +1,289 @@
+const { billTextParser } = require('./bill-text-parser');
+const { statuteDatabase } = require('../config/statute-database');
+const { billDatabase } = require('../config/bill-database');
+const { crudOperations } = require('../config/crud-operations');
+
+// Abbreviations used by the Texas Constitution and Statutes site (statutes.capitol.texas.gov)
+const CODE_ABBREVIATIONS = {
+  'Agriculture Code': 'AG',
+  'Alcoholic Beverage Code': 'AL',
+  'Business and Commerce Code': 'BC',
+  'Business Organizations Code': 'BO',
+  'Civil Practice and Remedies Code': 'CP',
+  'Code of Criminal Procedure': 'CR',
+  'Education Code': 'ED',
+  'Election Code': 'EL',
+  'Estates Code': 'ES',
+  'Family Code': 'FA',
+  'Finance Code': 'FI',
+  'Government Code': 'GV',
+  'Health and Safety Code': 'HS',
+  'Human Resources Code': 'HR',
+  'Insurance Code': 'IN',
+  'Labor Code': 'LA',
+  'Local Government Code': 'LG',
+  'Natural Resources Code': 'NR',
+  'Occupations Code': 'OC',
+  'Parks and Wildlife Code': 'PW',
+  'Penal Code': 'PE',
+  'Property Code': 'PR',
+  'Special District Local Laws Code': 'SD',
+  'Tax Code': 'TX',
+  'Transportation Code': 'TN',
+  'Utilities Code': 'UT',
+  'Water Code': 'WA'
+};
+
+// Bills read per storage round trip while the index is rebuilt
+const REBUILD_PAGE_SIZE = 100;
+
+// Most statutes returned by one search
+const MAX_SEARCH_RESULTS = 500;
+
+// "Government Code" -> "government", "Code of Criminal Procedure" -> "criminal-procedure"
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\bcode\b(?:\s+of\b)?/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const CODES_BY_SLUG = new Map(Object.entries(CODE_ABBREVIATIONS).map(([name, id]) => [slugify(name), { name, id }]));
+
+/**
+ * StatuteIndex - Reverse index from Texas statute citations to the bills that cite them
+ *
+ * Features:
+ * - Records every code section, article, chapter and subchapter a bill's text cites
+ * - Marks whether each bill amends, adds, repeals or only refers to the statute
+ * - Lookups by code section ("Section 411.0205, Government Code") or by chapter ("Chapter 411")
+ * - Statute search with bill counts; kept current by the scheduler whenever it saves bill text
+ */
+class StatuteIndex {
+  /**
+   * Resolve a code from a URL or query value
+   * Accepts statute-site abbreviations ("GV"), names ("Government Code") and slugs ("government", "criminal-procedure")
+   * @returns {Object|null} { id, name }; codes without an abbreviation use their slug as id
+   */
+  resolveCode(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+      return null;
+    }
+
+    const upper = text.toUpperCase();
+    const byAbbreviation = Object.entries(CODE_ABBREVIATIONS).find(([, id]) => id === upper);
+    if (byAbbreviation) {
+      return { id: upper, name: byAbbreviation[0] };
+    }
+
+    const slug = slugify(text);
+    return CODES_BY_SLUG.get(slug) || (slug ? { id: slug, name: text } : null);
+  }
+
+  getCodeId(codeName) {
+    return CODE_ABBREVIATIONS[codeName] || slugify(codeName);
+  }
+
+  // Chapter a unit belongs to: "411.0205" -> "411", "42A.054" -> "42A"; chapters are their own chapter
+  getChapter(reference) {
+    if (reference.unit === 'chapter') {
+      return reference.number;
+    }
+    if (reference.unit === 'subchapter') {
+      return reference.chapter || null;
+    }
+    return reference.unit === 'section' || reference.unit === 'article' ? reference.number.split('.')[0] : null;
+  }
+
+  /**
+   * Index entries for every statute a bill's text cites
+   * Changes parsed from the section clauses carry their action; other citations are "referenced"
+   * @param {Object} bill - Saved bill with its document id and billText
+   * @returns {Array} Reference documents with their ids
+   */
+  getReferences(bill) {
+    const structure = billTextParser.parse(bill.billText);
+    if (!structure) {
+      return [];
+    }
+
+    const references = new Map();
+    const add = (citation, action, billSection = null) => {
+      const codeId = this.getCodeId(citation.code);
+      const chapter = this.getChapter(citation);
+      const unitKey = citation.unit === 'subchapter' && chapter ? `${chapter}-${citation.number}` : citation.number;
+      const id = `${bill.id}:${codeId}:${citation.unit}:${unitKey}`;
+
+      if (!references.has(id)) {
+        const isSection = citation.unit === 'section' || citation.unit === 'article';
+        references.set(id, {
+          id,
+          session: bill.session || null,
+          billNumber: bill.billNumber,
+          code: citation.code,
+          codeId,
+          unit: citation.unit,
+          number: citation.number,
+          chapter,
+          citation: citation.citation.replace(/(?:\([^)]*\))+(?=,)/, ''),
+          chapterKey: chapter ? `${codeId}:${chapter}` : null,
+          sectionKey: isSection ? `${codeId}:${citation.number}` : null,
+          actions: [],
+          billSections: []
+        });
+      }
+
+      const reference = references.get(id);
+      if (!reference.actions.includes(action)) {
+        reference.actions.push(action);
+      }
+      if (billSection && !reference.billSections.includes(billSection)) {
+        reference.billSections.push(billSection);
+      }
+    };
+
+    structure.statutes.forEach(statute => add(statute, statute.action, statute.billSection));
+    billTextParser.parseCitations(bill.billText).forEach(citation => {
+      const changed = structure.statutes.some(statute =>
+        statute.code === citation.code && statute.unit === citation.unit && statute.number === citation.number);
+      if (!changed) {
+        add(citation, 'referenced');
+      }
+    });
+
+    return Array.from(references.values());
+  }
+
+  /**
+   * Re-index one saved bill; bills saved without text keep their previous references
+   * @param {Object} bill - Saved bill with its document id
+   * @returns {Promise<number>} Number of statutes indexed
+   */
+  async indexBill(bill) {
+    if (!bill || !bill.id || !bill.billText) {
+      return 0;
+    }
+    return await statuteDatabase.replaceBillReferences(bill.id, this.getReferences(bill));
+  }
+
+  /**
+   * Index every stored bill with text, e.g. after the index was introduced
+   * @returns {Promise<Object>} { bills, references }
+   */
+  async rebuild() {
+    const startTime = Date.now();
+    let bills = 0;
+    let references = 0;
+    let startAfter = null;
+
+    for (;;) {
+      const page = await crudOperations.query('bills', { startAfter, limit: REBUILD_PAGE_SIZE });
+      for (const bill of page.filter(doc => !doc._isStructureDoc && doc.billText)) {
+        references += await this.indexBill(bill);
+        bills++;
+      }
+      if (page.length < REBUILD_PAGE_SIZE) {
+        break;
+      }
+      startAfter = [page[page.length - 1].id];
+    }
+
+    console.log(`📚 Statute index rebuilt: ${references} references from ${bills} bills in ${Date.now() - startTime}ms`);
+    return { bills, references };
+  }
+
+  /**
+   * Bills citing a code section, or anything in a chapter when the section has no dot ("411")
+   * @param {Object} code - Code from resolveCode
+   * @param {string} section - Section ("411.0205") or chapter ("411") number
+   * @param {Object} options - { session }
+   * @returns {Promise<Array>} Bills as { bill, references }, ordered by bill id
+   */
+  async getBills(code, section, options = {}) {
+    const isSection = String(section).includes('.');
+    const references = (await statuteDatabase.getReferences(isSection ? 'sectionKey' : 'chapterKey', `${code.id}:${section}`))
+      .filter(reference => !options.session || reference.session === options.session);
+
+    const byBill = new Map();
+    references.forEach(reference => {
+      byBill.set(reference.billId, [...(byBill.get(reference.billId) || []), reference]);
+    });
+
+    const results = [];
+    for (const [billId, billReferences] of byBill) {
+      const bill = await billDatabase.getBill(billId);
+      if (bill) {
+        results.push({ bill, references: billReferences.sort((a, b) => this.compareReferences(a, b)) });
+      }
+    }
+
+    return results.sort((a, b) => a.bill.id.localeCompare(b.bill.id, undefined, { numeric: true }));
+  }
+
+  /**
+   * Search indexed statutes by code and citation text
+   * @param {Object} options - { code, query, session, limit }; query matches citations ("411.02", "Chapter 411")
+   * @returns {Promise<Object>} { statutes: [{ code, codeId, unit, number, chapter, citation, url, billCount, actions }], total }
+   */
+  async search(options = {}) {
+    const { code, session } = options;
+    const query = String(options.query || '').trim().toLowerCase();
+    const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_SEARCH_RESULTS);
+
+    const summaries = (await statuteDatabase.getStatutes({ codeId: code ? code.id : null, session }))
+      .filter(summary => !query ||
+        summary.citation.toLowerCase().includes(query) ||
+        summary.number.toLowerCase().startsWith(query));
+
+    // Summaries are kept per session; without a session filter each statute's sessions are combined
+    const statutes = new Map();
+    summaries.forEach(summary => {
+      const key = summary.id.slice(summary.id.indexOf(':') + 1);
+      if (!statutes.has(key)) {
+        statutes.set(key, {
+          code: summary.code,
+          codeId: summary.codeId,
+          unit: summary.unit,
+          number: summary.number,
+          chapter: summary.chapter,
+          citation: summary.citation,
+          url: this.getStatuteUrl(summary),
+          billIds: new Set(),
+          actions: new Set()
+        });
+      }
+      const statute = statutes.get(key);
+      Object.entries(summary.bills || {}).forEach(([billId, actions]) => {
+        statute.billIds.add(billId);
+        (actions || []).forEach(action => statute.actions.add(action));
+      });
+    });
+
+    const results = Array.from(statutes.values())
+      .sort((a, b) => this.compareReferences(a, b))
+      .map(({ billIds, actions, ...statute }) => ({ ...statute, billCount: billIds.size, actions: Array.from(actions).sort() }));
+
+    return { statutes: results.slice(0, limit), total: results.length };
+  }
+
+  // Link to the chapter on the statutes site; only codes with a known abbreviation have one
+  getStatuteUrl(reference) {
+    if (!Object.values(CODE_ABBREVIATIONS).includes(reference.codeId) || !reference.chapter) {
+      return null;
+    }
+    const anchor = reference.unit === 'section' || reference.unit === 'article' ? `#${reference.number}` : '';
+    return `https://statutes.capitol.texas.gov/Docs/${reference.codeId}/htm/${reference.codeId}.${reference.chapter}.htm${anchor}`;
+  }
+
+  compareReferences(a, b) {
+    return a.code.localeCompare(b.code) ||
+      String(a.chapter || '').localeCompare(String(b.chapter || ''), undefined, { numeric: true }) ||
+      a.number.localeCompare(b.number, undefined, { numeric: true });
+  }
+}
+
+const statuteIndex = new StatuteIndex();
+
+module.exports = { StatuteIndex, statuteIndex, CODE_ABBREVIATIONS };
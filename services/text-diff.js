@@ -0,0 +1,239 @@
+// Section-aware word diff for bill text versions
+// Texts are split at their "SECTION n." headings, sections are paired across versions, and each pair
+// is compared word by word (E.W. Myers, "An O(ND) Difference Algorithm and Its Variations", 1986)
+
+// Edit distance at which a section pair is reported as fully replaced instead of diffed
+const MAX_EDIT_DISTANCE = 2000;
+
+// Section headings are uppercase; references in the text itself read "Section 12.001, Education Code"
+const SECTION_HEADING = /\b(?:SECTION|ARTICLE)\s+(\d+[A-Z]?(?:\.\d+)*)\./g;
+
+function words(text) {
+  return String(text || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Split bill text into its caption and sections
+ * @param {string} text - Bill text
+ * @returns {Array} [{ key, heading, text }]; repeated headings get "#2", "#3" keys
+ */
+function splitSections(text) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const headings = Array.from(source.matchAll(SECTION_HEADING));
+  const sections = [];
+  const seen = new Map();
+
+  const caption = source.slice(0, headings.length > 0 ? headings[0].index : source.length).trim();
+  if (caption) {
+    sections.push({ key: 'caption', heading: 'Caption', text: caption });
+  }
+
+  headings.forEach((match, index) => {
+    const heading = match[0];
+    const count = (seen.get(heading) || 0) + 1;
+    seen.set(heading, count);
+
+    sections.push({
+      key: count > 1 ? `${heading}#${count}` : heading,
+      heading,
+      text: source.slice(match.index, index + 1 < headings.length ? headings[index + 1].index : source.length).trim()
+    });
+  });
+
+  return sections;
+}
+
+// Shortest edit script between two word lists, or null when it is longer than the limit
+function myers(a, b, limit) {
+  const n = a.length;
+  const m = b.length;
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // trace[d] holds the furthest x on diagonals -d-1..d+1 before step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = k => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', word: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { type: 'insert', word: b[--y] } : { type: 'delete', word: a[--x] });
+    }
+  }
+
+  return ops.reverse();
+}
+
+// Join consecutive words of the same type into { type, text } runs
+function mergeOps(wordOps) {
+  return wordOps.reduce((runs, op) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type) {
+      last.text += ` ${op.word}`;
+    } else {
+      runs.push({ type: op.type, text: op.word });
+    }
+    return runs;
+  }, []);
+}
+
+/**
+ * Word-level diff of two texts
+ * @returns {Array} Runs as { type: 'equal'|'insert'|'delete', text }
+ */
+function diffWords(fromText, toText) {
+  const a = words(fromText);
+  const b = words(toText);
+
+  // Unchanged leading and trailing words are common in amended sections, so skip them before diffing
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB, Math.min(middleA.length + middleB.length, MAX_EDIT_DISTANCE)) || [
+    ...middleA.map(word => ({ type: 'delete', word })),
+    ...middleB.map(word => ({ type: 'insert', word }))
+  ];
+
+  return mergeOps([
+    ...a.slice(0, start).map(word => ({ type: 'equal', word })),
+    ...middle,
+    ...a.slice(endA).map(word => ({ type: 'equal', word }))
+  ]);
+}
+
+function countWords(ops, type) {
+  return ops.filter(op => op.type === type).reduce((sum, op) => sum + words(op.text).length, 0);
+}
+
+/**
+ * Compare two versions of a bill section by section
+ * Sections whose wording is unchanged are paired even when renumbered, the rest by heading;
+ * sections only in the older text are listed where they used to be
+ * @returns {Object} { sections: [{ key, heading, previousHeading, status, ops }], stats }
+ */
+function diffSections(fromText, toText) {
+  const fromSections = splitSections(fromText);
+  const toSections = splitSections(toText);
+  const body = section => section.text.slice(section.heading === 'Caption' ? 0 : section.heading.length).trim();
+
+  // to-section index -> paired from-section index
+  const pairs = new Map();
+  const paired = new Set();
+  const pair = (toIndex, fromIndex) => {
+    pairs.set(toIndex, fromIndex);
+    paired.add(fromIndex);
+  };
+
+  toSections.forEach((section, toIndex) => {
+    const sameKey = fromSections.findIndex(candidate => candidate.key === section.key);
+    if (sameKey !== -1 && body(fromSections[sameKey]) === body(section)) {
+      pair(toIndex, sameKey);
+    }
+  });
+  toSections.forEach((section, toIndex) => {
+    const moved = pairs.has(toIndex) ? -1 : fromSections.findIndex((candidate, fromIndex) =>
+      !paired.has(fromIndex) && body(candidate) === body(section));
+    if (moved !== -1) {
+      pair(toIndex, moved);
+    }
+  });
+  toSections.forEach((section, toIndex) => {
+    const sameKey = pairs.has(toIndex) ? -1 : fromSections.findIndex((candidate, fromIndex) =>
+      !paired.has(fromIndex) && candidate.key === section.key);
+    if (sameKey !== -1) {
+      pair(toIndex, sameKey);
+    }
+  });
+
+  const sections = [];
+  const emitted = new Set();
+  const removeUntil = end => {
+    fromSections.slice(0, end).forEach((section, fromIndex) => {
+      if (!paired.has(fromIndex) && !emitted.has(fromIndex)) {
+        emitted.add(fromIndex);
+        sections.push({ key: section.key, heading: section.heading, status: 'removed', ops: [{ type: 'delete', text: section.text }] });
+      }
+    });
+  };
+
+  toSections.forEach((section, toIndex) => {
+    if (!pairs.has(toIndex)) {
+      sections.push({ key: section.key, heading: section.heading, status: 'added', ops: [{ type: 'insert', text: section.text }] });
+      return;
+    }
+
+    const from = fromSections[pairs.get(toIndex)];
+    removeUntil(pairs.get(toIndex));
+
+    const ops = diffWords(from.text, section.text);
+    const status = from.key !== section.key && body(from) === body(section)
+      ? 'renumbered'
+      : ops.some(op => op.type !== 'equal') ? 'changed' : 'unchanged';
+    sections.push({ key: section.key, heading: section.heading, previousHeading: from.heading, status, ops });
+  });
+  removeUntil(fromSections.length);
+
+  const allOps = sections.flatMap(section => section.ops);
+  const countStatus = status => sections.filter(section => section.status === status).length;
+
+  return {
+    sections,
+    stats: {
+      wordsInserted: countWords(allOps, 'insert'),
+      wordsDeleted: countWords(allOps, 'delete'),
+      sectionsAdded: countStatus('added'),
+      sectionsRemoved: countStatus('removed'),
+      sectionsChanged: countStatus('changed'),
+      sectionsRenumbered: countStatus('renumbered'),
+      sectionsUnchanged: countStatus('unchanged')
+    }
+  };
+}
+
+module.exports = { splitSections, diffWords, diffSections };
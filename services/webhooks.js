@@ -0,0 +1,218 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { webhookDatabase } = require('../config/webhook-database');
+const { notifier } = require('./notifier');
+const { retryManager } = require('../backend/middleware/error-handler');
+const { resolvePublicUrl } = require('./outbound-url');
+
+// Events subscriptions can filter on
+const WEBHOOK_EVENTS = [
+  'bill.created',
+  'bill.status_changed',
+  'bill.voted',
+  'summary.generated',
+  'news.found'
+];
+
+/**
+ * WebhookService - Pushes bill lifecycle events to subscribed URLs
+ *
+ * Features:
+ * - Subscriptions filter on WEBHOOK_EVENTS
+ * - Payloads are signed with HMAC-SHA256 using the subscription's secret
+ * - Failed deliveries are retried with backoff through the shared RetryManager
+ * - Every delivery attempt is recorded in the webhook_deliveries log
+ * - Target hosts are re-resolved before each delivery and private addresses are refused
+ */
+class WebhookService {
+  constructor() {
+    this.timeout = 10000; // 10 seconds per attempt
+    this.retryOptions = { maxRetries: 3, baseDelay: 2000 };
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Sign a payload the way receivers should verify it:
+   * HMAC-SHA256 over "<timestamp>.<raw body>" with the subscription secret
+   * @returns {string} Signature header value, e.g. "sha256=..."
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Convert a stored bill into the compact form included in payloads
+   */
+  toBillPayload(bill) {
+    return {
+      id: bill.id,
+      billNumber: bill.billNumber,
+      session: bill.session || null,
+      chamber: bill.chamber || null,
+      shortTitle: bill.shortTitle || null,
+      status: bill.status || null,
+      committee: bill.committee || null,
+      lastAction: bill.lastAction || null
+    };
+  }
+
+  /**
+   * List the webhook events produced by saving a scraped bill
+   * @param {Object|null} previousBill - Stored bill before the update, null for new bills
+   * @param {Object} nextBill - Bill that was saved
+   * @returns {Array} Events as { event, data }
+   */
+  getBillEvents(previousBill, nextBill) {
+    const bill = this.toBillPayload({ ...nextBill, id: (previousBill && previousBill.id) || nextBill.id });
+
+    if (!previousBill) {
+      return [{ event: 'bill.created', data: { bill } }];
+    }
+
+    const changes = notifier.detectEvents(previousBill, nextBill);
+    const events = [];
+
+    const statusChange = changes.find(change => change.type === 'status');
+    if (statusChange) {
+      events.push({ event: 'bill.status_changed', data: { bill, from: statusChange.from, to: statusChange.to } });
+    }
+
+    const votes = changes.filter(change => change.type === 'vote').map(change => change.vote);
+    if (votes.length > 0) {
+      events.push({ event: 'bill.voted', data: { bill, votes } });
+    }
+
+    return events;
+  }
+
+  /**
+   * Emit an event to every subscription filtering on it
+   * Deliveries are logged as pending and sent in the background; errors never reach the caller
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   * @returns {Promise<Array>} Delivery log entries created
+   */
+  async emit(event, data) {
+    try {
+      if (!WEBHOOK_EVENTS.includes(event)) {
+        throw new Error(`Unknown webhook event: ${event}`);
+      }
+
+      const subscriptions = await webhookDatabase.getSubscriptionsForEvent(event);
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+      const deliveries = [];
+
+      for (const subscription of subscriptions) {
+        const delivery = await webhookDatabase.createDelivery({
+          webhookId: subscription.id,
+          event,
+          eventId: payload.id,
+          url: subscription.url,
+          payload
+        });
+
+        const sending = this.deliver(subscription, delivery).finally(() => this.inFlight.delete(sending));
+        this.inFlight.add(sending);
+        deliveries.push(delivery);
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.error(`❌ Failed to emit webhook event ${event}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Send one delivery, retrying server errors, rate limits and network failures
+   * @returns {Promise<Object>} Final delivery log entry
+   */
+  async deliver(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    let attempts = 0;
+    let responseStatus = null;
+
+    try {
+      // DNS answers can change after the subscription was saved, so requests connect only to the
+      // addresses checked here; redirects are not followed
+      const { url, httpAgent, httpsAgent } = await resolvePublicUrl(subscription.url);
+
+      await retryManager.executeWithRetry(async () => {
+        attempts++;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        try {
+          const response = await axios.post(url, body, {
+            timeout: this.timeout,
+            maxRedirects: 0,
+            httpAgent,
+            httpsAgent,
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'AwareTexas-Webhooks/1.0',
+              'X-AwareTexas-Event': delivery.event,
+              'X-AwareTexas-Delivery': delivery.id,
+              'X-AwareTexas-Timestamp': timestamp,
+              'X-AwareTexas-Signature': this.sign(subscription.secret, timestamp, body)
+            }
+          });
+          responseStatus = response.status;
+        } catch (error) {
+          responseStatus = error.response ? error.response.status : null;
+          throw error;
+        }
+      }, `webhook-${delivery.id}`, {
+        ...this.retryOptions,
+        retryCondition: (error) => this.isRetryable(error)
+      });
+
+      console.log(`📤 Delivered ${delivery.event} to ${subscription.url}`);
+      return await webhookDatabase.updateDelivery(delivery.id, {
+        status: 'delivered',
+        attempts,
+        responseStatus,
+        error: null,
+        completedAt: new Date()
+      });
+    } catch (error) {
+      console.warn(`⚠️ Webhook delivery ${delivery.id} failed after ${attempts} attempts:`, error.message);
+      try {
+        return await webhookDatabase.updateDelivery(delivery.id, {
+          status: 'failed',
+          attempts,
+          responseStatus,
+          error: error.message,
+          completedAt: new Date()
+        });
+      } catch (logError) {
+        return null;
+      }
+    }
+  }
+
+  // Receivers that reject the payload (4xx) will keep rejecting it, so only retry transient failures
+  isRetryable(error) {
+    if (!error.response) {
+      return true;
+    }
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+
+  /**
+   * Wait for every background delivery to finish
+   */
+  async flush() {
+    await Promise.all(Array.from(this.inFlight));
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = { WebhookService, webhookService, WEBHOOK_EVENTS };
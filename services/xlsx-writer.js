@@ -0,0 +1,288 @@
+// Minimal Office Open XML (.xlsx) writer for single-sheet tables
+// A workbook is a ZIP archive of XML parts (ECMA-376 part 1); this writes the few parts Excel,
+// LibreOffice and Google Sheets need, with strings inlined in the sheet instead of a shared string table
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+// Excel's limit on the length of a cell's text
+const MAX_CELL_LENGTH = 32767;
+
+// CRC-32 of a buffer; pass the previous result to continue a checksum across chunks
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 -> "A", 25 -> "Z", 26 -> "AA"
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// General purpose flags: sizes and CRC follow the data (bit 3), UTF-8 file names (bit 11)
+const ZIP_FLAGS = 0x0808;
+
+/**
+ * ZipWriter - A ZIP archive produced an entry, and a chunk of entry data, at a time
+ *
+ * Features:
+ * - Each method returns the archive bytes to write next, so callers stream them out as they go
+ * - Entry data is deflated chunk by chunk; chunks are flushed to a byte boundary without ending
+ *   the deflate stream, so they concatenate into one stream per entry
+ * - Each entry's CRC and sizes follow its data in a data descriptor
+ */
+class ZipWriter {
+  constructor() {
+    this.offset = 0;
+    this.entries = [];
+    this.entry = null;
+
+    // DOS date and time of the archive entries
+    const now = new Date();
+    this.time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    this.date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  }
+
+  // Local file header of a new entry
+  startEntry(name) {
+    this.entry = { name: Buffer.from(name, 'utf8'), offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // Version needed to extract
+    local.writeUInt16LE(ZIP_FLAGS, 6);
+    local.writeUInt16LE(8, 8); // Deflate
+    local.writeUInt16LE(this.time, 10);
+    local.writeUInt16LE(this.date, 12);
+    local.writeUInt16LE(this.entry.name.length, 26);
+    return this.emit(Buffer.concat([local, this.entry.name]));
+  }
+
+  // Deflated bytes of the next chunk of the current entry
+  addData(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const compressed = zlib.deflateRawSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    this.entry.crc = crc32(buffer, this.entry.crc);
+    this.entry.size += buffer.length;
+    this.entry.compressedSize += compressed.length;
+    return this.emit(compressed);
+  }
+
+  // Final deflate block and data descriptor of the current entry
+  endEntry() {
+    const last = zlib.deflateRawSync(Buffer.alloc(0));
+    this.entry.compressedSize += last.length;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(this.entry.crc, 4);
+    descriptor.writeUInt32LE(this.entry.compressedSize, 8);
+    descriptor.writeUInt32LE(this.entry.size, 12);
+
+    this.entries.push(this.entry);
+    this.entry = null;
+    return this.emit(Buffer.concat([last, descriptor]));
+  }
+
+  addEntry(name, data) {
+    return Buffer.concat([this.startEntry(name), this.addData(data), this.endEntry()]);
+  }
+
+  // Central directory listing every entry, and the end of the archive
+  finish() {
+    const centralParts = this.entries.map(entry => {
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4); // Version made by
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(ZIP_FLAGS, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(this.time, 12);
+      central.writeUInt16LE(this.date, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.compressedSize, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.name.length, 28);
+      central.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([central, entry.name]);
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(this.offset, 16);
+    return this.emit(Buffer.concat([centralDirectory, end]));
+  }
+
+  emit(buffer) {
+    this.offset += buffer.length;
+    return buffer;
+  }
+}
+
+/**
+ * Pack files into a ZIP archive, deflating each one
+ * @param {Array} files - [{ name, data: string|Buffer }]
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const zip = new ZipWriter();
+  return Buffer.concat([...files.map(file => zip.addEntry(file.name, file.data)), zip.finish()]);
+}
+
+function cellXml(value, ref, style) {
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+function rowXml(values, rowIndex, style) {
+  return `<row r="${rowIndex + 1}">${
+    values.map((value, column) => cellXml(value, `${columnName(column)}${rowIndex + 1}`, style)).join('')
+  }</row>`;
+}
+
+// Every part of a workbook except the sheet data
+function getWorkbookParts(sheetName) {
+  return [
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      // Style 0 is the default; style 1 is bold, for the header row
+      name: 'xl/styles.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    }
+  ];
+}
+
+/**
+ * WorkbookWriter - A one-sheet workbook produced a batch of rows at a time
+ *
+ * Features:
+ * - A bold, frozen header row followed by the rows
+ * - Numbers are written as numbers, everything else as text
+ * - Each method returns the .xlsx bytes to write next
+ */
+class WorkbookWriter {
+  /**
+   * @param {string} sheetName - Sheet tab name (at most 31 characters)
+   * @param {string[]} headers - Column headers
+   */
+  constructor(sheetName, headers) {
+    this.zip = new ZipWriter();
+    this.sheetName = sheetName;
+    this.headers = headers;
+    this.rowCount = 0;
+  }
+
+  // Workbook parts and the start of the sheet, through the header row
+  start() {
+    return Buffer.concat([
+      ...getWorkbookParts(this.sheetName).map(part => this.zip.addEntry(part.name, part.data)),
+      this.zip.startEntry('xl/worksheets/sheet1.xml'),
+      this.zip.addData([
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+        '<sheetData>',
+        rowXml(this.headers, 0, 1)
+      ].join(''))
+    ]);
+  }
+
+  // Rows of cell values
+  addRows(rows) {
+    return this.zip.addData(rows.map(values => rowXml(values, ++this.rowCount)).join(''));
+  }
+
+  // End of the sheet and of the archive
+  finish() {
+    return Buffer.concat([this.zip.addData('</sheetData></worksheet>'), this.zip.endEntry(), this.zip.finish()]);
+  }
+}
+
+/**
+ * Build a workbook with one sheet: a bold, frozen header row followed by the rows
+ * @param {string} sheetName - Sheet tab name (at most 31 characters)
+ * @param {string[]} headers - Column headers
+ * @param {Array[]} rows - Cell values; numbers are written as numbers, everything else as text
+ * @returns {Buffer} .xlsx file contents
+ */
+function createWorkbook(sheetName, headers, rows) {
+  const workbook = new WorkbookWriter(sheetName, headers);
+  return Buffer.concat([workbook.start(), workbook.addRows(rows), workbook.finish()]);
+}
+
+module.exports = { createWorkbook, createZip, crc32, columnName, ZipWriter, WorkbookWriter };
@@ -0,0 +1,212 @@
+// API key, rate limit and quota tests - admin key management, per-key limits and 429 responses
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { apiKeyDatabase } = require('../config/api-key-database');
+const { crudOperations } = require('../config/crud-operations');
+const { summaryService } = require('../services/ai-summary');
+const { RateLimiter, rateLimiter, USAGE_SYNC_INTERVAL } = require('../backend/middleware/rate-limit');
+
+const ADMIN = { Authorization: 'Bearer test-admin-key' };
+
+async function issueKey(body) {
+  const response = await request(app).post('/api/admin/keys').set(ADMIN).send(body).expect(201);
+  return response.body.data;
+}
+
+describe('API keys and rate limits', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+    await billDatabase.saveBill({ billNumber: 'SB 12', session: '89R', status: 'Filed', shortTitle: 'Parental rights in public education', abstract: 'Relating to parental rights in public education.' });
+  });
+
+  beforeEach(() => {
+    rateLimiter.reset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('admins should issue, list and revoke keys, and revoked keys should be rejected', async () => {
+    await request(app).post('/api/admin/keys').send({ name: 'Texas Tribune' }).expect(401);
+    await request(app).post('/api/admin/keys').set({ Authorization: 'Bearer wrong' }).send({ name: 'Texas Tribune' }).expect(401);
+    const invalid = await request(app).post('/api/admin/keys').set(ADMIN).send({ name: 'Texas Tribune', tier: 'anonymous' }).expect(400);
+    expect(invalid.body.type).toBe('VALIDATION_ERROR');
+
+    const issued = await issueKey({ name: 'Texas Tribune', email: 'data@example.com', tier: 'partner' });
+    expect(issued.key).toMatch(/^atx_[0-9a-f]{48}$/);
+    expect(issued.key.startsWith(issued.keyPreview)).toBe(true);
+    expect(issued.limits.requests.perMinute).toBe(1200);
+
+    const stored = await apiKeyDatabase.getKey(issued.id);
+    expect(stored.keyHash).toBe(apiKeyDatabase.hashKey(issued.key));
+    expect(JSON.stringify(stored)).not.toContain(issued.key);
+
+    const authorized = await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(200);
+    expect(authorized.headers['ratelimit-limit']).toBe('1200');
+    expect(authorized.headers['ratelimit-remaining']).toBe('1199');
+
+    const listed = await request(app).get('/api/admin/keys').set(ADMIN).expect(200);
+    expect(listed.body.data.map(apiKey => apiKey.id)).toContain(issued.id);
+    expect(listed.body.data.find(apiKey => apiKey.id === issued.id)).not.toHaveProperty('key');
+    const detail = await request(app).get(`/api/admin/keys/${issued.id}`).set(ADMIN).expect(200);
+    expect(detail.body.data.usage.requests.perDay.used).toBe(1);
+
+    const revoked = await request(app).delete(`/api/admin/keys/${issued.id}`).set(ADMIN).expect(200);
+    expect(revoked.body.data).toMatchObject({ active: false });
+    expect(revoked.body.data.revokedAt).toBeTruthy();
+
+    const rejected = await request(app).get('/api/bills/SB12').query({ api_key: issued.key }).expect(401);
+    expect(rejected.body.type).toBe('UNAUTHORIZED');
+    await request(app).get('/api/bills/SB12').set('X-API-Key', 'atx_unknown').expect(401);
+    await request(app).delete('/api/admin/keys/missing').set(ADMIN).expect(404);
+  });
+
+  test('should answer 429 with Retry-After once a key uses up its per-minute limit', async () => {
+    const issued = await issueKey({ name: 'Capitol Watch', limits: { requests: { perMinute: 2 } } });
+    expect(issued.limits.requests).toEqual({ perMinute: 2, perDay: 20000 });
+
+    await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(200);
+    await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(200);
+    const limited = await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(429);
+
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+    expect(Number(limited.headers['retry-after'])).toBeLessThanOrEqual(60);
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(limited.body).toMatchObject({ success: false, type: 'RATE_LIMIT', limit: { bucket: 'requests', window: 'perMinute', limit: 2 } });
+
+    // Other clients keep their own counters
+    await request(app).get('/api/bills/SB12').expect(200);
+  });
+
+  test('AI summaries should draw on a separate bucket, charged only for valid requests', async () => {
+    jest.spyOn(summaryService, 'generateSummary').mockResolvedValue('Gives parents more say over what schools teach.');
+    const issued = await issueKey({ name: 'Civic App', limits: { ai: { perMinute: 1 } } });
+    const summarize = body => request(app).post('/api/bills/summary/89R-SB12').set('X-API-Key', issued.key).send(body);
+
+    await summarize({ readingLevel: 'postgraduate' }).expect(400);
+    await summarize({ readingLevel: 'detailed' }).expect(200);
+    // Answered from the response cache, so not charged
+    await summarize({ readingLevel: 'detailed' }).expect(200);
+    const limited = await summarize({ readingLevel: 'high-level' }).expect(429);
+
+    expect(limited.body.limit).toMatchObject({ bucket: 'ai', window: 'perMinute', limit: 1 });
+    expect(limited.headers['retry-after']).toBeDefined();
+    expect(summaryService.generateSummary).toHaveBeenCalledTimes(1);
+
+    // Plain reads are still within the request limit
+    await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(200);
+  });
+
+  test('GraphQL queries should charge the AI bucket once for every bill they summarize', async () => {
+    await billDatabase.saveBill({ billNumber: 'HB 3', session: '89R', status: 'Filed', shortTitle: 'School safety' });
+    const issued = await issueKey({ name: 'Civic App', limits: { ai: { perMinute: 3 } } });
+    const query = first => request(app)
+      .post('/api/graphql')
+      .set('X-API-Key', issued.key)
+      .send({ query: `{ bills(first: ${first}) { nodes { summary { text } } } }` });
+
+    await query(2).expect(200);
+    const limited = await query(2).expect(429);
+
+    expect(limited.body.limit).toMatchObject({ bucket: 'ai', limit: 3 });
+    await query(1).expect(200);
+  });
+
+  test('GraphQL queries over one bucket should not be charged to the others', async () => {
+    const issued = await issueKey({ name: 'Civic App', limits: { ai: { perMinute: 5 }, scrape: { perMinute: 1 } } });
+    const client = { id: `key:${issued.id}`, tier: issued.tier, apiKey: await apiKeyDatabase.getKey(issued.id) };
+
+    const limited = await request(app)
+      .post('/api/graphql')
+      .set('X-API-Key', issued.key)
+      .send({ query: '{ a: bill(id: "89R-SB12") { summary { text } } b: bill(id: "89R-SB12") { news { headline } } c: bill(id: "89R-SB12") { news { headline } } }' })
+      .expect(429);
+
+    expect(limited.body.limit).toMatchObject({ bucket: 'scrape', limit: 1 });
+    expect(rateLimiter.getUsage(client).ai.perMinute.used).toBe(0);
+    expect(rateLimiter.getUsage(client).scrape.perMinute.used).toBe(0);
+  });
+
+  test('server maintenance endpoints should require the admin key', async () => {
+    await request(app).delete('/api/cache').expect(401);
+    await request(app).post('/api/scheduler/run').expect(401);
+    await request(app).delete('/api/database/bills').set({ Authorization: 'Bearer wrong' }).expect(401);
+    await request(app).delete('/api/cache/summary').set(ADMIN).expect(200);
+  });
+
+  test('daily quotas should hold across minute windows and reset at midnight UTC', () => {
+    const limiter = new RateLimiter();
+    const client = { id: 'ip:203.0.113.7', tier: 'anonymous', apiKey: null };
+    const start = Date.parse('2025-03-01T08:00:30Z');
+
+    for (let i = 0; i < 200; i++) {
+      expect(limiter.consume(client, 'ai', start + i * 60 * 1000).allowed).toBe(true);
+    }
+
+    const exhausted = limiter.consume(client, 'ai', start + 200 * 60 * 1000);
+    expect(exhausted).toMatchObject({ allowed: false, window: 'perDay', limit: 200, remaining: 0 });
+    expect(new Date(exhausted.resetAt).toISOString()).toBe('2025-03-02T00:00:00.000Z');
+    expect(limiter.getUsage(client, start + 200 * 60 * 1000).ai.perDay).toMatchObject({ used: 200, limit: 200 });
+
+    expect(limiter.consume(client, 'ai', Date.parse('2025-03-02T00:00:01Z')).allowed).toBe(true);
+  });
+
+  test('daily usage of keys should be kept in storage, across restarts and server instances', async () => {
+    const issued = await issueKey({ name: 'Capitol Watch', limits: { requests: { perDay: 3 } } });
+    const client = { id: `key:${issued.id}`, tier: issued.tier, apiKey: await apiKeyDatabase.getKey(issued.id) };
+
+    await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(200);
+    await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(200);
+    await rateLimiter.syncDailyUsage(client, Date.now() + USAGE_SYNC_INTERVAL);
+    expect(await apiKeyDatabase.getDailyUsage(issued.id, new Date().toISOString().slice(0, 10))).toMatchObject({ requests: 2 });
+
+    // Another instance picks up the usage recorded so far
+    const other = new RateLimiter();
+    await other.syncDailyUsage(client);
+    expect(other.consume(client, 'requests').allowed).toBe(true);
+    expect(other.consume(client, 'requests')).toMatchObject({ allowed: false, window: 'perDay' });
+
+    // So does this one after a restart
+    rateLimiter.reset();
+    await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(200);
+    const limited = await request(app).get('/api/bills/SB12').set('X-API-Key', issued.key).expect(429);
+    expect(limited.body.limit).toMatchObject({ bucket: 'requests', window: 'perDay', limit: 3 });
+  });
+
+  test('should drop the least recently used counters beyond the cap', () => {
+    const limiter = new RateLimiter({ maxCounters: 4 });
+    const clients = ['198.51.100.1', '198.51.100.2', '198.51.100.3'].map(ip => ({ id: `ip:${ip}`, tier: 'anonymous', apiKey: null }));
+
+    limiter.consume(clients[0], 'requests');
+    limiter.consume(clients[1], 'requests');
+    limiter.consume(clients[0], 'requests');
+    limiter.consume(clients[2], 'requests');
+
+    expect(limiter.counters.size).toBe(4);
+    expect(limiter.getUsage(clients[0]).requests.perMinute.used).toBe(2);
+    expect(limiter.getUsage(clients[1]).requests.perMinute.used).toBe(0);
+    expect(limiter.getUsage(clients[2]).requests.perMinute.used).toBe(1);
+  });
+
+  test('clearing the database should also clear the collections derived from bills', async () => {
+    const derived = ['bill_history', 'bill_versions', 'statute_references', 'propositions'];
+    for (const collection of derived) {
+      await crudOperations.create(collection, '89R-SB99', { billId: '89R-SB99' });
+    }
+    const issued = await issueKey({ name: 'Kept Key' });
+
+    const response = await request(app).delete('/api/database/clear-all').set(ADMIN).expect(200);
+
+    expect(response.body.collections).toEqual(expect.arrayContaining(['bills', ...derived]));
+    for (const collection of derived) {
+      expect(await crudOperations.findAll(collection)).toEqual([]);
+    }
+    expect(await apiKeyDatabase.getKey(issued.id)).toBeTruthy();
+  });
+});
@@ -0,0 +1,124 @@
+// Bill brief tests - one-page PDF and HTML briefs and multi-bill briefing packets
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { summaryDatabase } = require('../config/summary-database');
+const { newsService } = require('../services/news');
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function getPdf(url) {
+  const response = await request(app).get(url).buffer(true).parse(binaryParser).expect(200);
+  expect(response.headers['content-type']).toBe('application/pdf');
+  expect(response.body.subarray(0, 8).toString('latin1')).toBe('%PDF-1.4');
+
+  // pdf-parse misreads Buffers that share Node's allocation pool, so hand it a copy
+  return { response, pdf: await pdfParse(new Uint8Array(response.body)) };
+}
+
+describe('Bill briefs', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    await billDatabase.saveBill({
+      billNumber: 'SB 12',
+      session: '89R',
+      chamber: 'Senate',
+      status: 'Passed',
+      shortTitle: 'Parental rights in public education',
+      fullTitle: 'Relating to the rights of parents in public education',
+      committee: 'Education K-16',
+      sponsors: [{ name: 'Creighton' }],
+      coSponsors: [{ name: 'Buckley' }],
+      topics: ['Education'],
+      filedDate: '2025-01-10',
+      stages: [
+        { date: '2025-01-10', rawDate: '01/10/2025', action: 'Filed', location: 'Senate', status: 'completed' },
+        { date: '2025-03-01', rawDate: '03/01/2025', action: 'Passed the Senate', location: 'Senate', status: 'completed' }
+      ],
+      votingData: {
+        votes: [{ chamber: 'Senate', date: '2025-03-01T18:00:00Z', result: 'passed', votes: { yea: 20, nay: 11, present: 0, absent: 0 } }]
+      },
+      voting: { republicanYes: 19, republicanNo: 0, democratYes: 1, democratNo: 11, chamber: 'Senate', voteDate: '2025-03-01T18:00:00Z' },
+      officialUrl: 'https://capitol.texas.gov/BillLookup/History.aspx?LegSess=89R&Bill=SB12'
+    });
+    await billDatabase.saveBill({
+      billNumber: 'HB 3',
+      session: '89R',
+      chamber: 'House',
+      status: 'Filed',
+      shortTitle: 'School safety',
+      fullTitle: 'Relating to school safety <requirements>',
+      sponsors: [{ name: 'Buckley' }]
+    });
+
+    await summaryDatabase.saveSummary('89R-SB12', {
+      'high-level': 'Gives parents more say over what schools teach.',
+      detailed: 'Requires districts to publish curricula.\n\nCreates a grievance process for parents.'
+    });
+    await newsService.cacheNews('89R-SB12', [
+      { headline: 'Senate passes parental rights bill', source: 'Texas Tribune', url: 'https://example.com/sb12', publishedAt: '2025-03-02T12:00:00Z' }
+    ]);
+  });
+
+  test('GET /api/bills/:id/brief should render a one-page PDF brief', async () => {
+    const { response, pdf } = await getPdf('/api/bills/89R-SB12/brief');
+
+    expect(response.headers['content-disposition']).toBe('inline; filename="89R-SB12-brief.pdf"');
+    expect(pdf.numpages).toBe(1);
+    expect(pdf.info.Title).toBe('SB 12 (89R) bill brief');
+
+    const text = pdf.text.replace(/\s+/g, ' ');
+    expect(text).toContain('SB 12 (89R): Parental rights in public education');
+    expect(text).toContain('Creighton');
+    expect(text).toContain('Gives parents more say over what schools teach.');
+    expect(text).toContain('Creates a grievance process for parents.');
+    expect(text).toContain('March 1, 2025 Passed the Senate (Senate)');
+    expect(text).toContain('Senate, March 1, 2025: 20 yeas, 11 nays, 0 present - passed');
+    expect(text).toContain('Republicans 19-0, Democrats 1-11');
+    expect(text).toContain('Senate passes parental rights bill - Texas Tribune, March 2, 2025');
+    expect(text).toContain('Page 1 of 1');
+  });
+
+  test('GET /api/bills/:id/brief?format=html should render a print-ready page', async () => {
+    const response = await request(app).get('/api/bills/HB3/brief?format=html&session=89R').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/html/);
+    expect(response.text).toContain('@page { size: letter;');
+    expect(response.text).toContain('<h1>HB 3 (89R): School safety</h1>');
+    expect(response.text).toContain('Relating to school safety &lt;requirements&gt;');
+    expect(response.text).toContain('No plain-language summary has been generated for this bill yet.');
+    expect(response.text).not.toContain('<h2>Votes</h2>');
+
+    await request(app).get('/api/bills/89R-SB12/brief?format=docx').expect(400);
+    await request(app).get('/api/bills/89R-SB9999/brief').expect(404);
+  });
+
+  test('GET /api/bills/briefs should build a packet with a table of contents', async () => {
+    const { pdf } = await getPdf('/api/bills/briefs?ids=89R-HB3,89R-SB12');
+
+    expect(pdf.numpages).toBe(3);
+    const text = pdf.text.replace(/\s+/g, ' ');
+    expect(text).toContain('Texas bill briefing packet');
+    expect(text.indexOf('HB 3 (89R) - School safety')).toBeLessThan(text.indexOf('SB 12 (89R) - Parental rights'));
+    // Contents entries end with the page each bill starts on
+    expect(text).toMatch(/HB 3 \(89R\) - School safety ?2/);
+    expect(text).toMatch(/SB 12 \(89R\) - Parental rights in public education ?3/);
+
+    const html = await request(app).get('/api/bills/briefs?ids=89R-SB12,89R-HB3&format=html').expect(200);
+    expect(html.text).toContain('<li><a href="#bill-0">SB 12 (89R)</a>');
+    expect(html.text).toContain('<article class="brief" id="bill-1">');
+
+    const missing = await request(app).get('/api/bills/briefs?ids=89R-SB12,89R-SB9999').expect(404);
+    expect(missing.body.type).toBe('NOT_FOUND');
+    await request(app).get('/api/bills/briefs').expect(400);
+  });
+});
@@ -0,0 +1,81 @@
+// Bill catalog tests - compact rows with derived fields that follow every write to the bills collection
+process.env.STORAGE_BACKEND = 'memory';
+
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { crudOperations } = require('../config/crud-operations');
+const { BillCatalog, REBUILD_INTERVAL } = require('../services/bill-catalog');
+
+describe('BillCatalog', () => {
+  let catalog;
+  let derived;
+
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const billNumber of ['SB 1', 'SB 2', 'HB 3']) {
+      await billDatabase.saveBill({
+        billNumber,
+        session: billNumber === 'HB 3' ? '88R' : '89R',
+        status: 'Filed',
+        shortTitle: `${billNumber} short title`,
+        billText: 'AN ACT relating to a very long text that listings never read.'
+      });
+    }
+
+    derived = [];
+    catalog = new BillCatalog();
+    catalog.register('textLength', bill => {
+      derived.push(bill.id);
+      return bill.billText ? bill.billText.length : 0;
+    });
+  });
+
+  test('should keep compact rows with derived fields', async () => {
+    const rows = await catalog.getRows({ session: '89R' });
+
+    expect(rows.map(row => row.id).sort()).toEqual(['89R-SB1', '89R-SB2']);
+    expect(rows[0]).toMatchObject({ session: '89R', status: 'Filed', textLength: 61 });
+    expect(rows[0]).not.toHaveProperty('billText');
+    expect((await catalog.getRows()).length).toBe(3);
+  });
+
+  test('should re-derive only bills written since the last use', async () => {
+    await catalog.getRows();
+    derived.length = 0;
+
+    await billDatabase.updateBills(['89R-SB2'], { status: 'In Committee', billText: 'Shorter text.' });
+    await crudOperations.delete('bills', '88R-HB3');
+
+    const rows = await catalog.getRows();
+    expect(derived).toEqual(['89R-SB2']);
+    expect(rows.find(row => row.id === '89R-SB2')).toMatchObject({ status: 'In Committee', textLength: 13 });
+    expect(rows.map(row => row.id)).not.toContain('88R-HB3');
+  });
+
+  test('should load full bills in the order asked for, skipping deleted ones', async () => {
+    const bills = await catalog.getBills(['89R-SB2', '88R-HB3', '89R-SB1']);
+    expect(bills.map(bill => bill.id)).toEqual(['89R-SB2', '89R-SB1']);
+    expect(bills[1].billText).toContain('AN ACT');
+  });
+
+  test('should rebuild in the background once it is old, for writes made by other processes', async () => {
+    await catalog.getRows();
+    // Written straight to storage, as another process would, so no change is notified
+    await crudOperations.adapter.update('bills', '89R-SB1', { status: 'Signed' });
+    expect((await catalog.getRows()).find(row => row.id === '89R-SB1').status).toBe('Filed');
+
+    catalog.builtAt = Date.now() - REBUILD_INTERVAL;
+    const stale = await catalog.getRows();
+    expect(stale.find(row => row.id === '89R-SB1').status).toBe('Filed');
+    expect(catalog.building).not.toBeNull();
+
+    await catalog.building;
+    expect((await catalog.getRows()).find(row => row.id === '89R-SB1').status).toBe('Signed');
+  });
+
+  test('should rebuild after reconnecting to a new store', async () => {
+    await databaseService.connect();
+    expect(await catalog.getRows()).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+// Bill export tests - CSV, JSON Lines and .xlsx downloads of a filtered bill listing
+process.env.STORAGE_BACKEND = 'memory';
+
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { billExport } = require('../services/bill-export');
+const { createWorkbook, WorkbookWriter } = require('../services/xlsx-writer');
+
+const bills = [
+  {
+    billNumber: 'SB 12', status: 'Passed', committee: 'Education K-16', topics: ['Education', 'Parental Rights'],
+    sponsors: [{ name: 'Creighton' }], coSponsors: [{ name: 'Buckley' }], filedDate: '2025-01-10', lastActionDate: '2025-03-01',
+    shortTitle: 'Parental rights, "K-12"',
+    stages: [
+      { date: '2025-01-10', rawDate: '01/10/2025', action: 'Filed', location: 'Senate', status: 'completed' },
+      { date: '2025-03-01', rawDate: '03/01/2025', action: 'Passed the Senate', location: 'Senate', status: 'completed' }
+    ],
+    votingData: { votes: [{ chamber: 'Senate', votes: { yea: 20, nay: 11, present: 0, absent: 0 } }] },
+    voting: { republicanYes: 19, republicanNo: 0, democratYes: 1, democratNo: 11 }
+  },
+  {
+    billNumber: 'HB 3', status: 'In Committee', committee: 'Public Education', topics: ['Education'],
+    sponsors: [{ name: 'Buckley' }], filedDate: '2025-01-05', lastActionDate: '2025-03-10',
+    shortTitle: '=HYPERLINK("http://example.com")'
+  },
+  {
+    billNumber: 'HB 1', status: 'Passed', committee: 'Appropriations', topics: ['Budget'],
+    sponsors: [{ name: 'Bonnen' }], filedDate: '2025-01-15', shortTitle: 'General appropriations'
+  }
+];
+
+// Read one file out of a ZIP archive through its central directory
+function readZipEntry(buffer, name) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (buffer.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      return zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('GET /api/bills/export', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const bill of bills) {
+      await billDatabase.saveBill({ ...bill, session: '89R', fullTitle: `Relating to ${bill.billNumber}` });
+    }
+  });
+
+  test('should export the filtered listing as CSV with flattened columns', async () => {
+    const response = await request(app)
+      .get('/api/bills/export')
+      .query({ format: 'csv', topic: 'education', sort: 'billNumber' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="texas-bills-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(response.headers['x-total-count']).toBe('2');
+
+    const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    const headers = lines[0].split(',');
+    expect(lines).toHaveLength(3);
+    expect(headers).toEqual(expect.arrayContaining(['id', 'billNumber', 'authors', 'topics', 'stages', 'senateYeas', 'democratNo']));
+
+    // Formula-like text is neutralized and quotes are doubled
+    expect(lines[1]).toContain('89R-HB3,HB 3,89R');
+    expect(lines[1]).toContain('"\'=HYPERLINK(""http://example.com"")"');
+    expect(lines[2]).toContain('"Parental rights, ""K-12"""');
+    expect(lines[2]).toContain('Education; Parental Rights');
+    expect(lines[2]).toContain('2025-01-10 Filed | 2025-03-01 Passed the Senate');
+  });
+
+  test('should export JSON Lines with one flat object per bill', async () => {
+    const response = await request(app)
+      .get('/api/bills/export')
+      .query({ format: 'jsonl', status: 'Passed', sort: 'billNumber', order: 'desc' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    const rows = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(rows.map(row => row.billNumber)).toEqual(['SB 12', 'HB 1']);
+    expect(rows[0]).toMatchObject({
+      id: '89R-SB12',
+      authors: 'Creighton',
+      sponsors: 'Buckley',
+      stageCount: 2,
+      senateYeas: 20,
+      senateNays: 11,
+      houseYeas: null,
+      republicanYes: 19,
+      democratNo: 11
+    });
+  });
+
+  test('should export an .xlsx workbook with a header row and numeric vote cells', async () => {
+    const response = await request(app)
+      .get('/api/bills/export')
+      .query({ format: 'xlsx', sponsor: 'creighton' })
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(response.body.subarray(0, 2).toString()).toBe('PK');
+
+    const sheet = readZipEntry(response.body, 'xl/worksheets/sheet1.xml');
+    expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">id</t></is></c>');
+    expect(sheet).toContain('<t xml:space="preserve">89R-SB12</t>');
+    expect(sheet).toMatch(/<c r="[A-Z]+2"><v>20<\/v><\/c>/);
+    expect(sheet.match(/<row /g)).toHaveLength(2);
+    expect(readZipEntry(response.body, 'xl/workbook.xml')).toContain('<sheet name="Bills"');
+  });
+
+  test('should stop loading pages once the client goes away', async () => {
+    const stream = new PassThrough({ highWaterMark: 16 });
+    let pagesRead = 0;
+    async function* pages() {
+      for (;;) {
+        pagesRead++;
+        yield bills.map(bill => ({ ...bill, id: `89R-${bill.billNumber.replace(' ', '')}` }));
+      }
+    }
+
+    const writing = billExport.write(stream, 'csv', pages());
+    setImmediate(() => stream.destroy());
+
+    await expect(writing).resolves.toBe(false);
+    expect(pagesRead).toBeLessThanOrEqual(1);
+  });
+
+  test('should build the same sheet whether rows arrive at once or in batches', () => {
+    const rows = [['SB 12', 20], ['HB 3', null], ['HB 1', 'Budget']];
+    const workbook = new WorkbookWriter('Bills', ['bill', 'yeas']);
+    const batched = Buffer.concat([workbook.start(), workbook.addRows(rows.slice(0, 1)), workbook.addRows(rows.slice(1)), workbook.finish()]);
+
+    const sheet = readZipEntry(batched, 'xl/worksheets/sheet1.xml');
+    expect(sheet).toBe(readZipEntry(createWorkbook('Bills', ['bill', 'yeas'], rows), 'xl/worksheets/sheet1.xml'));
+    expect(sheet.match(/<row /g)).toHaveLength(4);
+    expect(sheet).toContain('<row r="4"><c r="A4" t="inlineStr"><is><t xml:space="preserve">HB 1</t></is></c>');
+  });
+
+  test('should reject unknown formats and invalid filters', async () => {
+    const response = await request(app).get('/api/bills/export?format=pdf').expect(400);
+    expect(response.body.type).toBe('VALIDATION_ERROR');
+
+    await request(app).get('/api/bills/export?chamber=Assembly').expect(400);
+  });
+});
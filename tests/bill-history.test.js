@@ -0,0 +1,81 @@
+// Bill history tests - every save that changes a tracked field leaves a revision behind
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { historyDatabase } = require('../config/history-database');
+
+const bill = {
+  billNumber: 'SB 12',
+  session: '89R',
+  shortTitle: 'Water Infrastructure',
+  fullTitle: 'Relating to water infrastructure funding',
+  status: 'Filed',
+  committee: ''
+};
+
+describe('HistoryDatabase', () => {
+  test('should diff tracked fields and skip fields missing from partial updates', () => {
+    const changes = historyDatabase.diffBill(
+      { status: 'Filed', committee: '', filedDate: new Date('2025-01-10T00:00:00.000Z') },
+      { status: 'In Committee', committee: 'Finance', filedDate: new Date('2025-01-10T00:00:00.000Z') }
+    );
+
+    expect(changes).toEqual([
+      { field: 'status', from: 'Filed', to: 'In Committee' },
+      { field: 'committee', from: null, to: 'Finance' }
+    ]);
+  });
+});
+
+describe('Bill history', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    await billDatabase.saveBill(bill);
+    await billDatabase.saveBill({ ...bill, lastUpdated: new Date() });
+    await billDatabase.saveBill({ ...bill, status: 'In Committee', committee: 'Water, Agriculture & Rural Affairs' });
+  });
+
+  test('should record creation and changes but not unchanged saves', async () => {
+    const revisions = await historyDatabase.getHistory('89R-SB12');
+
+    expect(revisions.map(revision => revision.type)).toEqual(['updated', 'created']);
+    expect(revisions[0].changes).toEqual([
+      { field: 'status', from: 'Filed', to: 'In Committee' },
+      { field: 'committee', from: null, to: 'Water, Agriculture & Rural Affairs' }
+    ]);
+  });
+
+  test('should page through recent revisions of every bill in save order', async () => {
+    const since = new Date(Date.now() - 60 * 1000);
+    for (const billId of ['89R-HB9', '89R-HB8', '89R-HB7']) {
+      await historyDatabase.recordRevision(billId, null, { billNumber: billId.slice(4), status: 'Filed' });
+    }
+
+    const first = await historyDatabase.getRecentRevisions(since, 2);
+    const second = await historyDatabase.getRecentRevisions(since, 2, first[1]);
+
+    expect(first.map(revision => revision.billId)).toEqual(['89R-HB7', '89R-HB8']);
+    expect(second.map(revision => revision.billId)).toEqual(['89R-HB9', '89R-SB12']);
+    expect(new Set([...first, ...second].map(revision => revision.id)).size).toBe(4);
+  });
+
+  test('GET /api/bills/:id/history should return revisions newest first', async () => {
+    const response = await request(app)
+      .get('/api/bills/SB%2012/history')
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toMatchObject({ billId: '89R-SB12', count: 2 });
+    expect(response.body.data.revisions[0].changes[0]).toEqual({ field: 'status', from: 'Filed', to: 'In Committee' });
+  });
+
+  test('GET /api/bills/:id/history should return 404 for unknown bills', async () => {
+    await request(app)
+      .get('/api/bills/89R-SB9999/history')
+      .expect(404);
+  });
+});
@@ -0,0 +1,136 @@
+// Bill lifecycle tests - states derived from stages and actions, status filters and badges
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { billLifecycle } = require('../config/bill-lifecycle');
+
+const stage = (rawDate, action, location = '') => ({ rawDate, date: null, action, location });
+
+// SB 12 from filing to taking effect, with the steps repeated in the House
+const enactedStages = [
+  stage('11/12/2024', 'Filed', 'Senate'),
+  stage('02/10/2025', 'Referred to Education K-16', 'Senate'),
+  stage('03/01/2025', 'Reported favorably as substituted', 'Senate'),
+  stage('03/05/2025', 'Placed on intent calendar', 'Senate'),
+  stage('03/10/2025', 'Passed', 'Senate'),
+  stage('03/12/2025', 'Received from the Senate', 'House'),
+  stage('03/20/2025', 'Referred to Public Education', 'House'),
+  stage('04/20/2025', 'Passed', 'House'),
+  stage('05/01/2025', 'Sent to the Governor', 'Senate'),
+  stage('05/10/2025', 'Signed by the Governor', 'Senate'),
+  stage('09/01/2025', 'Effective on 9/1/25', 'Senate')
+];
+
+describe('Bill lifecycle', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    const bills = [
+      { billNumber: 'SB 12', stages: enactedStages },
+      { billNumber: 'SB 30', stages: enactedStages.slice(0, 5) },
+      { billNumber: 'HB 4', stages: [stage('01/08/2025', 'Filed', 'House'), stage('03/03/2025', 'Referred to State Affairs', 'House')] },
+      { billNumber: 'HB 9', status: 'Passed' }
+    ];
+    for (const bill of bills) {
+      const lifecycle = bill.stages ? billLifecycle.derive(bill.stages, bill) : null;
+      await billDatabase.saveBill({
+        status: lifecycle ? lifecycle.status : 'Filed',
+        ...bill,
+        session: '89R',
+        shortTitle: `${bill.billNumber} short title`,
+        fullTitle: `Relating to ${bill.billNumber}`
+      });
+    }
+  });
+
+  test('should walk a bill through both chambers to an effective law', () => {
+    const lifecycle = billLifecycle.resolve({ billNumber: 'SB 12', stages: enactedStages }, new Date('2025-09-02T12:00:00'));
+
+    expect(lifecycle).toMatchObject({ status: 'Effective', chamber: null, label: 'Effective', date: '2025-09-01' });
+    expect(lifecycle.transitions.map(transition => transition.label)).toEqual([
+      'Filed',
+      'Referred to Senate Committee',
+      'Reported from Senate Committee',
+      'On Senate Calendar',
+      'Passed Senate',
+      'Received in House',
+      'Referred to House Committee',
+      'Passed Both Chambers',
+      'Sent to Governor',
+      'Signed',
+      'Effective'
+    ]);
+    expect(lifecycle.transitions[4]).toMatchObject({ status: 'Passed Originating Chamber', chamber: 'Senate', date: '2025-03-10', action: 'Passed' });
+  });
+
+  test('should keep a signed law Signed until its effective date passes', () => {
+    // TLO adds the "Effective on" row when the governor signs, months before the date
+    expect(billLifecycle.derive(enactedStages, { billNumber: 'SB 12' }).status).toBe('Signed');
+    expect(billLifecycle.resolve({ billNumber: 'SB 12', stages: enactedStages }, new Date('2025-06-15T12:00:00')))
+      .toMatchObject({ status: 'Signed', date: '2025-05-10' });
+    expect(billLifecycle.resolve({ billNumber: 'SB 12', stages: enactedStages }, new Date('2025-09-01T12:00:00')).status).toBe('Effective');
+
+    // An Effective status stored before the date check counts as Signed until then
+    expect(billLifecycle.resolve({ billNumber: 'SB 12', status: 'Effective', stages: enactedStages }, new Date('2025-06-15T12:00:00')).status)
+      .toBe('Signed');
+  });
+
+  test('should read chambers and outcomes from History action text', () => {
+    const derive = (actions, billNumber = 'HB 2') => billLifecycle.derive(actions.map(action => ({ action })), { billNumber });
+
+    // Readings and motions to third reading do not move the bill
+    expect(derive(['Read 2nd time', 'Passed to engrossment', 'Passed to third reading']).status).toBe('Filed');
+    expect(derive(['Reported engrossed']).label).toBe('Passed House');
+    expect(derive(['Reported engrossed', 'Received from the House', 'Reported favorably w/o amendment(s)']).label)
+      .toBe('Reported from Senate Committee');
+    expect(derive(['Reported engrossed', 'Senate passed', 'House concurs in Senate amendment(s)']).status).toBe('Passed Both Chambers');
+    expect(derive(['Sent to the Governor', 'Vetoed by the Governor']).status).toBe('Vetoed');
+    expect(derive(['Sent to the Governor', "Filed without the Governor's signature"]).status).toBe('Filed Without Signature');
+
+    // Effective-date rows and mentions of "enacted" or "effective" do not move the bill
+    expect(derive(['Signed by the Governor', 'Effective immediately']).status).toBe('Signed');
+    expect(derive(['Referred to State Affairs', 'Committee substitute considered; enacted provisions amended']).status)
+      .toBe('Referred to Committee');
+    expect(derive(['Sent to the Governor', 'Record vote: bill as enacted, effective upon signature']).status).toBe('Sent to Governor');
+
+    // Later actions never move a bill backwards
+    expect(derive(['Signed by the Governor', 'Referred to State Affairs']).status).toBe('Signed');
+  });
+
+  test('should resolve statuses stored before the model', () => {
+    expect(billLifecycle.resolve({ billNumber: 'HB 9', status: 'Passed' })).toMatchObject({ status: 'Passed Originating Chamber', label: 'Passed House' });
+    expect(billLifecycle.resolve({ billNumber: 'SB 3', status: 'In Committee' })).toMatchObject({ status: 'Referred to Committee', label: 'Referred to Senate Committee' });
+
+    // Stages win over a legacy status; a lifecycle status further along than the stages wins over them
+    expect(billLifecycle.resolve({ billNumber: 'SB 12', status: 'Passed', stages: enactedStages.slice(0, 5) }).label).toBe('Passed Senate');
+    expect(billLifecycle.resolve({ billNumber: 'SB 12', status: 'Vetoed', stages: enactedStages.slice(0, 5) }).status).toBe('Vetoed');
+  });
+
+  test('should filter and facet bill listings by lifecycle status', async () => {
+    const list = async query => (await request(app).get('/api/bills').query({ sort: 'billNumber', ...query }).expect(200)).body;
+
+    const senateOnly = await list({ status: 'Passed Originating Chamber' });
+    expect(senateOnly.data.map(bill => bill.id)).toEqual(['HB 9', 'SB 30']);
+
+    // "Passed" still covers every state from first-chamber passage on
+    expect((await list({ status: 'Passed' })).data.map(bill => bill.id)).toEqual(['HB 9', 'SB 12', 'SB 30']);
+    expect((await list({ status: 'effective' })).data.map(bill => bill.id)).toEqual(['SB 12']);
+
+    const all = await list({});
+    expect(all.facets.status).toEqual([
+      { value: 'Passed Originating Chamber', count: 2 },
+      { value: 'Effective', count: 1 },
+      { value: 'Referred to Committee', count: 1 }
+    ]);
+
+    const badge = all.data.find(bill => bill.id === 'SB 30');
+    expect(badge).toMatchObject({ status: 'Passed Originating Chamber', statusLabel: 'Passed Senate', statusColor: 'teal' });
+
+    const detail = await request(app).get('/api/bills/SB12').expect(200);
+    expect(detail.body.data).toMatchObject({ status: 'Effective', statusLabel: 'Effective', statusColor: 'green' });
+    expect(detail.body.data.lifecycle.transitions).toHaveLength(11);
+  });
+});
@@ -0,0 +1,94 @@
+// Bill listing tests - cursor pages, sort keys and facet counts over every matching bill
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+
+const bills = [
+  {
+    billNumber: 'SB 2', status: 'Filed', committee: '', topics: ['Education'],
+    sponsors: [{ name: 'Perry' }], filedDate: '2025-01-10', lastActionDate: '2025-03-01'
+  },
+  {
+    billNumber: 'SB 10', status: 'In Committee', committee: 'Finance', topics: ['Education', 'Taxes'],
+    sponsors: [{ name: 'Bettencourt' }], filedDate: '2025-01-20', lastActionDate: '2025-02-01'
+  },
+  {
+    billNumber: 'HB 3', status: 'In Committee', committee: 'Public Education', topics: ['Education'],
+    sponsors: [{ name: 'Buckley' }], filedDate: '2025-01-05', lastActionDate: '2025-03-10'
+  },
+  {
+    billNumber: 'HB 1', status: 'Passed', committee: 'Appropriations', topics: ['Budget'],
+    sponsors: [{ name: 'Bonnen' }], filedDate: '2025-01-15'
+  }
+];
+
+async function listBills(query) {
+  const response = await request(app).get('/api/bills').query(query).expect(200);
+  return response.body;
+}
+
+describe('GET /api/bills listing', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const bill of bills) {
+      await billDatabase.saveBill({
+        ...bill,
+        session: '89R',
+        shortTitle: `${bill.billNumber} short title`,
+        fullTitle: `Relating to ${bill.billNumber}`
+      });
+    }
+  });
+
+  test('should walk every page with the next cursor', async () => {
+    const first = await listBills({ sort: 'billNumber', limit: 3 });
+    expect(first.data.map(bill => bill.id)).toEqual(['HB 1', 'HB 3', 'SB 2']);
+    expect(first.total).toBe(4);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await listBills({ sort: 'billNumber', limit: 3, cursor: first.nextCursor });
+    expect(second.data.map(bill => bill.id)).toEqual(['SB 10']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('should sort by each key in either order', async () => {
+    expect((await listBills({})).data.map(bill => bill.id)).toEqual(['HB 3', 'SB 2', 'SB 10', 'HB 1']);
+    expect((await listBills({ sort: 'filedDate', order: 'asc' })).data.map(bill => bill.id))
+      .toEqual(['HB 3', 'SB 2', 'HB 1', 'SB 10']);
+    expect((await listBills({ sort: 'sponsor' })).data.map(bill => bill.id)).toEqual(['SB 10', 'HB 1', 'HB 3', 'SB 2']);
+    expect((await listBills({ sort: 'lastAction', order: 'asc' })).data.map(bill => bill.id))
+      .toEqual(['HB 1', 'SB 10', 'SB 2', 'HB 3']);
+  });
+
+  test('should count facets across all matches, ignoring each facet\'s own filter', async () => {
+    const response = await listBills({ status: 'In Committee', limit: 1 });
+
+    expect(response.data).toHaveLength(1);
+    expect(response.total).toBe(2);
+    // Statuses stored before the lifecycle model are counted as lifecycle statuses
+    expect(response.facets.status).toEqual([
+      { value: 'Referred to Committee', count: 2 },
+      { value: 'Filed', count: 1 },
+      { value: 'Passed Originating Chamber', count: 1 }
+    ]);
+    expect(response.facets.topic).toEqual([{ value: 'Education', count: 2 }, { value: 'Taxes', count: 1 }]);
+    expect(response.facets.committee).toEqual([{ value: 'Finance', count: 1 }, { value: 'Public Education', count: 1 }]);
+  });
+
+  test('should match any of several values of a repeated filter', async () => {
+    const response = await listBills({ sponsor: ['Perry', 'Bonnen'], sort: 'billNumber' });
+    expect(response.data.map(bill => bill.id)).toEqual(['HB 1', 'SB 2']);
+  });
+
+  test('should reject unknown sort keys and cursors from another sort', async () => {
+    await request(app).get('/api/bills?sort=relevance').expect(400);
+
+    const page = await listBills({ sort: 'billNumber', limit: 1 });
+    await request(app).get('/api/bills').query({ sort: 'filedDate', cursor: page.nextCursor }).expect(400);
+    await request(app).get('/api/bills?cursor=not-a-cursor').expect(400);
+  });
+});
@@ -0,0 +1,88 @@
+// Multi-session tests - bill numbers repeat every session, so storage and lookups must keep them apart
+process.env.STORAGE_BACKEND = 'memory';
+
+const { idStandardizer } = require('../config/id-standardizer');
+const { billDatabase } = require('../config/bill-database');
+const { crudOperations } = require('../config/crud-operations');
+const { TexasLegislatureScraper } = require('../services/scraper');
+
+const makeBill = (overrides = {}) => ({
+  billNumber: 'SB 1',
+  shortTitle: 'Property Tax Relief',
+  fullTitle: 'Relating to property tax relief',
+  status: 'Filed',
+  ...overrides
+});
+
+describe('IdStandardizer sessions', () => {
+  test('should normalize regular and called session formats', () => {
+    expect(idStandardizer.standardizeSession('89')).toBe('89R');
+    expect(idStandardizer.standardizeSession('89r')).toBe('89R');
+    expect(idStandardizer.standardizeSession('89-1')).toBe('891');
+    expect(idStandardizer.standardizeSession('89(2)')).toBe('892');
+    expect(idStandardizer.standardizeSession('891')).toBe('891');
+    expect(idStandardizer.standardizeSession('next')).toBeNull();
+  });
+
+  test('should build and parse session-qualified document ids', () => {
+    expect(idStandardizer.toDocumentId('SB 1', '89-1')).toBe('891-SB1');
+    expect(idStandardizer.parseDocumentId('89r-hjr 4')).toEqual({ session: '89R', billId: 'HJR4', docId: '89R-HJR4' });
+    expect(idStandardizer.parseDocumentId('SB1')).toBeNull();
+    expect(idStandardizer.generateLookupVariants('891-SB1')).toEqual(['891-SB1']);
+  });
+
+  test('should describe sessions and chambers', () => {
+    expect(idStandardizer.toSessionLabel('891')).toBe('89th Legislature, 1st Called Session');
+    expect(idStandardizer.toSessionLabel('88R')).toBe('88th Legislature, Regular Session');
+    expect(idStandardizer.getChamber('HCR12')).toBe('House');
+    expect(idStandardizer.getChamber('SJR3')).toBe('Senate');
+  });
+});
+
+describe('BillDatabase sessions', () => {
+  test('should keep the same bill number apart across sessions', async () => {
+    await billDatabase.saveBill(makeBill({ session: '89R' }));
+    await billDatabase.saveBill(makeBill({ session: '891', shortTitle: 'School Finance' }));
+
+    expect((await billDatabase.getBill('SB 1')).shortTitle).toBe('Property Tax Relief');
+    expect((await billDatabase.getBill('SB 1', '89-1')).shortTitle).toBe('School Finance');
+    expect((await billDatabase.getBill('891-SB1')).chamber).toBe('Senate');
+  });
+
+  test('should query bills by session and chamber', async () => {
+    await billDatabase.saveBills([
+      makeBill({ billNumber: 'HB 7', session: '892' }),
+      makeBill({ billNumber: 'SB 7', session: '892' })
+    ]);
+
+    const session = await billDatabase.getBillsBySession('89-2');
+    expect(session.map(bill => bill.id)).toEqual(['892-HB7', '892-SB7']);
+
+    const house = await billDatabase.getBillsByChamber('House');
+    expect(house.map(bill => bill.id)).toContain('892-HB7');
+  });
+
+  test('should still find bills stored before sessions were tracked', async () => {
+    await crudOperations.create('bills', 'SB99', makeBill({ billNumber: 'SB 99' }));
+
+    expect((await billDatabase.getBill('SB 99')).id).toBe('SB99');
+    expect(await billDatabase.getBill('SB 99', '88R')).toBeNull();
+  });
+});
+
+describe('TexasLegislatureScraper sessions', () => {
+  test('should build filed report URLs per session and chamber', () => {
+    const scraper = new TexasLegislatureScraper({ sessions: '89R,89-1', chambers: ['house'] });
+
+    expect(scraper.sessions).toEqual(['89R', '891']);
+    expect(scraper.chambers).toEqual(['House']);
+    expect(scraper.getReportUrl('891', 'House')).toBe('https://capitol.texas.gov/Reports/Report.aspx?LegSess=891&ID=housefiled');
+  });
+
+  test('should only search the bill session when it is known', () => {
+    const scraper = new TexasLegislatureScraper();
+
+    expect(scraper.getSessionsToTry('89-1', ['89R', '88R'])).toEqual(['891']);
+    expect(scraper.getSessionsToTry(null, ['89R', '88R'])).toEqual(['89R', '88R']);
+  });
+});
@@ -0,0 +1,130 @@
+// Bill structure tests - section parsing, statute references, effective dates and the code filter
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { billTextParser } = require('../services/bill-text-parser');
+
+const SCHOOL_FINANCE = 'AN ACT relating to public school finance. BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS: ' +
+  'SECTION 1. Section 48.051(a), Education Code, is amended to read as follows: (a) For each student in average daily attendance, ' +
+  'a district is entitled to an allotment. ' +
+  'SECTION 2. Subchapter C, Chapter 39, Education Code, is amended by adding Section 39.0241 to read as follows: ' +
+  'Sec. 39.0241. ACCOUNTABILITY. The agency shall publish ratings. ' +
+  'SECTION 3. Sections 552.003 and 552.1175(b), Government Code, are amended to read as follows: ' +
+  'Sec. 552.003. DEFINITIONS. In this chapter, "governmental body" has the meaning assigned by Section 12.001. ' +
+  'SECTION 4. Section 45.003, Education Code, is amended by adding Subsection (e) to read as follows: (e) A board may adopt a rate. ' +
+  'SECTION 5. The following provisions of the Education Code are repealed: (1) Section 12.001; (2) Sections 12.002(a) and 12.003. ' +
+  'SECTION 6. This Act takes effect immediately if it receives a vote of two-thirds of all the members elected to each house, ' +
+  'as provided by Section 39, Article III, Texas Constitution. If this Act does not receive the vote necessary for immediate effect, ' +
+  'this Act takes effect September 1, 2025.';
+
+const CRIMINAL_PROCEDURE = 'AN ACT relating to community supervision. BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS: ' +
+  'SECTION 1. Article 42A.054(a), Code of Criminal Procedure, is amended to read as follows: (a) Text. ' +
+  'SECTION 2. Section 161.0815, Health and Safety Code, is repealed. ' +
+  'SECTION 3. This Act takes effect on the 91st day after the last day of the legislative session.';
+
+describe('Bill structure', () => {
+  describe('parser', () => {
+    test('should split the text into a caption and numbered sections', () => {
+      const structure = billTextParser.parse(SCHOOL_FINANCE);
+
+      expect(structure.caption).toMatch(/^AN ACT relating to public school finance/);
+      expect(structure.sections.map(section => section.number)).toEqual(['1', '2', '3', '4', '5', '6']);
+      expect(structure.sections[0]).toMatchObject({ heading: 'SECTION 1.', type: 'section', hasEffectiveDate: false });
+      expect(structure.sections[5].hasEffectiveDate).toBe(true);
+    });
+
+    test('should find amended, added and repealed statutes', () => {
+      const { statutes, amendedCodes } = billTextParser.parse(SCHOOL_FINANCE);
+
+      expect(statutes.map(statute => [statute.action, statute.citation, statute.billSection])).toEqual([
+        ['amended', 'Section 48.051(a), Education Code', '1'],
+        ['added', 'Section 39.0241, Education Code', '2'],
+        ['amended', 'Section 552.003, Government Code', '3'],
+        ['amended', 'Section 552.1175(b), Government Code', '3'],
+        ['amended', 'Section 45.003, Education Code', '4'],
+        ['repealed', 'Section 12.001, Education Code', '5'],
+        ['repealed', 'Section 12.002(a), Education Code', '5'],
+        ['repealed', 'Section 12.003, Education Code', '5']
+      ]);
+      expect(amendedCodes).toEqual(['Education Code', 'Government Code']);
+    });
+
+    test('should read multi-word code names and chapter-level units', () => {
+      expect(billTextParser.parse(CRIMINAL_PROCEDURE).statutes.map(statute => statute.citation)).toEqual([
+        'Article 42A.054(a), Code of Criminal Procedure',
+        'Section 161.0815, Health and Safety Code'
+      ]);
+      expect(billTextParser.parseStatutes('Chapter 29, Education Code, is amended by adding Subchapter Q to read as follows:'))
+        .toEqual([expect.objectContaining({ action: 'added', unit: 'subchapter', number: 'Q', chapter: '29' })]);
+    });
+
+    test('should capture effective-date clauses', () => {
+      expect(billTextParser.parse(SCHOOL_FINANCE).effectiveDates.map(clause => [clause.type, clause.date, clause.billSection])).toEqual([
+        ['immediate', null, '6'],
+        ['date', '2025-09-01', '6']
+      ]);
+      expect(billTextParser.parse(CRIMINAL_PROCEDURE).effectiveDates[0].type).toBe('ninety-first-day');
+    });
+
+    test('should return null without bill text', () => {
+      expect(billTextParser.parse('')).toBeNull();
+    });
+  });
+
+  describe('API', () => {
+    beforeAll(async () => {
+      await databaseService.connect();
+
+      const bills = [
+        { billNumber: 'HB 40', billText: SCHOOL_FINANCE },
+        { billNumber: 'HB 41', billText: CRIMINAL_PROCEDURE },
+        { billNumber: 'HB 42', billText: '' }
+      ];
+      for (const bill of bills) {
+        const structure = billTextParser.parse(bill.billText);
+        await billDatabase.saveBill({
+          ...bill,
+          session: '89R',
+          status: 'Filed',
+          shortTitle: `${bill.billNumber} short title`,
+          fullTitle: `Relating to ${bill.billNumber}`,
+          ...(structure ? { structure, amendedCodes: structure.amendedCodes } : {})
+        });
+      }
+      // Saved before structure parsing existed
+      await billDatabase.saveBill({
+        billNumber: 'HB 43',
+        session: '89R',
+        status: 'Filed',
+        shortTitle: 'HB 43 short title',
+        fullTitle: 'Relating to HB 43',
+        billText: CRIMINAL_PROCEDURE
+      });
+    });
+
+    test('should return the stored structure', async () => {
+      const response = await request(app).get('/api/bills/HB40/structure').expect(200);
+
+      expect(response.body.data.billId).toBe('89R-HB40');
+      expect(response.body.data.sections).toHaveLength(6);
+      expect(response.body.data.amendedCodes).toEqual(['Education Code', 'Government Code']);
+    });
+
+    test('should parse stored text when no structure was saved, and 404 without text', async () => {
+      const response = await request(app).get('/api/bills/HB43/structure').expect(200);
+      expect(response.body.data.amendedCodes).toEqual(['Code of Criminal Procedure', 'Health and Safety Code']);
+
+      await request(app).get('/api/bills/HB42/structure').expect(404);
+    });
+
+    test('should list only bills that change a code', async () => {
+      const response = await request(app).get('/api/bills?code=Education%20Code&session=89R').expect(200);
+
+      expect(response.body.data.map(bill => bill.docId)).toEqual(['89R-HB40']);
+      expect(response.body.filters.code).toBe('Education Code');
+    });
+  });
+});
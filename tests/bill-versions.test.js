@@ -0,0 +1,166 @@
+// Bill text version tests - version scraping, section-aware word diffs and the versions endpoints
+process.env.STORAGE_BACKEND = 'memory';
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { versionDatabase } = require('../config/version-database');
+const { TexasLegislatureScraper } = require('../services/scraper');
+const { diffWords, diffSections, splitSections } = require('../services/text-diff');
+
+const INTRODUCED = 'AN ACT relating to school district property taxes. BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS: ' +
+  'SECTION 1. Section 45.003(d), Education Code, is amended to read as follows: (d) A tax rate may not exceed $1.00. ' +
+  'SECTION 2. This Act takes effect September 1, 2025.';
+
+const SUBSTITUTE = 'AN ACT relating to school district property taxes. BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS: ' +
+  'SECTION 1. Section 45.003(d), Education Code, is amended to read as follows: (d) A tax rate may not exceed $0.90. ' +
+  'SECTION 2. The commissioner shall adopt rules to implement this Act. ' +
+  'SECTION 3. This Act takes effect September 1, 2025.';
+
+describe('Bill text versions', () => {
+  describe('text diff', () => {
+    test('should split text into caption and sections, ignoring references to other sections', () => {
+      expect(splitSections(INTRODUCED).map(section => section.key)).toEqual(['caption', 'SECTION 1.', 'SECTION 2.']);
+    });
+
+    test('should diff word by word', () => {
+      expect(diffWords('may not exceed $1.00 per year', 'may not exceed $0.90 per year')).toEqual([
+        { type: 'equal', text: 'may not exceed' },
+        { type: 'delete', text: '$1.00' },
+        { type: 'insert', text: '$0.90' },
+        { type: 'equal', text: 'per year' }
+      ]);
+    });
+
+    test('should pair renumbered sections and report added ones', () => {
+      const { sections, stats } = diffSections(INTRODUCED, SUBSTITUTE);
+
+      expect(sections.map(section => [section.key, section.status])).toEqual([
+        ['caption', 'unchanged'],
+        ['SECTION 1.', 'changed'],
+        ['SECTION 2.', 'added'],
+        ['SECTION 3.', 'renumbered']
+      ]);
+      expect(sections[3].previousHeading).toBe('SECTION 2.');
+      expect(stats).toMatchObject({ sectionsAdded: 1, sectionsChanged: 1, sectionsRenumbered: 1, wordsDeleted: 2 });
+    });
+
+    test('should list removed sections where they used to be', () => {
+      const { sections } = diffSections(SUBSTITUTE, INTRODUCED);
+      expect(sections.map(section => [section.key, section.status])).toEqual([
+        ['caption', 'unchanged'],
+        ['SECTION 1.', 'changed'],
+        ['SECTION 2.', 'removed'],
+        ['SECTION 2.', 'renumbered']
+      ]);
+    });
+  });
+
+  describe('scraping', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const mockPages = pages => jest.spyOn(axios, 'get').mockImplementation(async url => {
+      const page = Object.keys(pages).find(key => url.endsWith(key));
+      if (!page) {
+        throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+      }
+      return { status: 200, data: `<html><body><p>${pages[page]}</p></body></html>` };
+    });
+
+    // The Text page links the introduced and committee substitute versions
+    const textPage = [
+      '<a href="/tlodocs/89R/billtext/html/SB00012I.htm">HTML</a>',
+      '<a href="/tlodocs/89R/billtext/pdf/SB00012I.pdf">PDF</a>',
+      '<a href="/tlodocs/89R/billtext/html/SB00012S.htm">HTML</a>'
+    ].join(' ');
+
+    test('should keep every published version in legislative order', async () => {
+      const spy = mockPages({
+        'Text.aspx?LegSess=89R&Bill=SB12': textPage,
+        'SB00012I.htm': INTRODUCED,
+        'SB00012S.htm': `C.S.S.B. No. 12 ${SUBSTITUTE}`
+      });
+
+      const versions = await new TexasLegislatureScraper().fetchBillVersions('SB12', '89R');
+
+      expect(versions.map(version => [version.code, version.order, version.format, version.isSubstitute])).toEqual([
+        ['I', 0, 'html', false],
+        ['S', 1, 'html', true]
+      ]);
+      expect(versions[1].url).toBe('https://capitol.texas.gov/tlodocs/89R/billtext/html/SB00012S.htm');
+      expect(spy).toHaveBeenCalledTimes(3);
+    });
+
+    test('should only request listed versions that are not stored yet', async () => {
+      const spy = mockPages({
+        'Text.aspx?LegSess=89R&Bill=SB12': textPage,
+        'SB00012S.htm': `C.S.S.B. No. 12 ${SUBSTITUTE}`
+      });
+
+      const versions = await new TexasLegislatureScraper().fetchBillVersions('SB12', '89R', ['I']);
+
+      expect(versions.map(version => version.code)).toEqual(['S']);
+      expect(spy.mock.calls.map(([url]) => url)).toEqual([
+        'https://capitol.texas.gov/BillLookup/Text.aspx?LegSess=89R&Bill=SB12',
+        'https://capitol.texas.gov/tlodocs/89R/billtext/html/SB00012S.htm'
+      ]);
+    });
+  });
+
+  describe('GET /api/bills/:id/versions', () => {
+    beforeAll(async () => {
+      await databaseService.connect();
+
+      for (const billNumber of ['SB 12', 'SB 13']) {
+        await billDatabase.saveBill({
+          billNumber,
+          session: '89R',
+          status: 'In Committee',
+          shortTitle: `${billNumber} short title`,
+          fullTitle: `Relating to ${billNumber}`
+        });
+      }
+      await versionDatabase.saveVersions('89R-SB12', [
+        { code: 'I', order: 0, url: 'https://capitol.texas.gov/tlodocs/89R/billtext/html/SB00012I.htm', format: 'html', text: INTRODUCED, isSubstitute: false },
+        { code: 'S', order: 1, url: 'https://capitol.texas.gov/tlodocs/89R/billtext/html/SB00012S.htm', format: 'html', text: SUBSTITUTE, isSubstitute: true }
+      ]);
+    });
+
+    test('should list versions without their text', async () => {
+      const response = await request(app).get('/api/bills/SB12/versions').expect(200);
+
+      expect(response.body.data.versions).toEqual([
+        expect.objectContaining({ code: 'I', name: 'Introduced', isSubstitute: false }),
+        expect.objectContaining({ code: 'S', name: 'Senate Committee Report', isSubstitute: true })
+      ]);
+      expect(response.body.data.versions[0].text).toBeUndefined();
+    });
+
+    test('should compare the latest version with the one before it by default', async () => {
+      const response = await request(app).get('/api/bills/SB12/versions/diff').expect(200);
+      const { from, to, sections } = response.body.data;
+
+      expect([from.code, to.code]).toEqual(['I', 'S']);
+      expect(sections.find(section => section.key === 'SECTION 1.').ops).toContainEqual({ type: 'insert', text: '$0.90.' });
+    });
+
+    test('should reject unknown version codes and bills without versions', async () => {
+      await request(app).get('/api/bills/SB12/versions/diff?from=I&to=F').expect(400);
+      await request(app).get('/api/bills/SB13/versions/diff').expect(404);
+    });
+
+    test('should keep the first fetch time when a version is saved again', async () => {
+      const [introduced] = await versionDatabase.getVersions('89R-SB12');
+
+      await versionDatabase.saveVersion('89R-SB12', { code: 'I', order: 0, format: 'pdf', text: INTRODUCED, isSubstitute: false });
+
+      const [saved] = await versionDatabase.getVersions('89R-SB12');
+      expect(saved.format).toBe('pdf');
+      expect(new Date(saved.fetchedAt).getTime()).toBe(new Date(introduced.fetchedAt).getTime());
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// iCalendar feed tests - escaping and folding, stable UIDs and the hearing, committee, bill and watchlist feeds
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { committeeDatabase } = require('../config/committee-database');
+const { calendarFeed } = require('../services/calendar-feed');
+
+// Hearing dates relative to today so they stay inside the hearing feed window
+const dateKey = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const unfold = body => body.replace(/\r\n /g, '');
+
+describe('iCalendar feeds', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    await billDatabase.saveBill({
+      billNumber: 'SB 12',
+      session: '89R',
+      status: 'In Committee',
+      shortTitle: 'Parental rights in public education',
+      fullTitle: 'Relating to parental rights',
+      stages: [
+        { date: new Date('2025-01-14T06:00:00Z'), rawDate: '01/14/2025', action: 'Filed', status: 'Filed', location: 'Senate' },
+        { date: new Date('2025-02-03T06:00:00Z'), rawDate: '02/03/2025', action: 'Referred to Education K-16', status: 'In Committee', location: 'Senate' }
+      ]
+    });
+    await billDatabase.saveBill({ billNumber: 'SB 13', session: '89R', status: 'Filed', shortTitle: 'School library materials', stages: [] });
+
+    await committeeDatabase.saveCommittee({ id: 'C530', chamber: 'Senate', name: 'Education K-16', members: [] });
+    await committeeDatabase.saveHearing({
+      id: 'C5302099010109001',
+      chamber: 'Senate',
+      committeeId: 'C530',
+      committeeName: 'Education K-16',
+      date: dateKey(3),
+      time: '9:00 AM',
+      place: 'E1.028',
+      chair: 'Sen. Brandon Creighton',
+      status: 'scheduled',
+      noticeUrl: 'https://capitol.texas.gov/tlodocs/89R/schedules/html/C5302099010109001.HTM',
+      bills: [
+        { billNumber: 'SB12', billId: '89R-SB12', author: 'Creighton', caption: 'Relating to parental rights, in public education.', pending: false },
+        { billNumber: 'SB13', billId: '89R-SB13', author: 'Paxton', caption: '', pending: false }
+      ],
+      billIds: ['89R-SB12', '89R-SB13']
+    });
+    await committeeDatabase.saveHearing({
+      id: 'C6102099010200001',
+      chamber: 'Senate',
+      committeeId: 'C610',
+      committeeName: 'Finance',
+      date: dateKey(4),
+      time: 'Upon adjournment',
+      status: 'cancelled',
+      noticeUrl: 'https://capitol.texas.gov/tlodocs/89R/schedules/html/C6102099010200001.HTM',
+      bills: [],
+      billIds: []
+    });
+  });
+
+  test('should escape text values and fold long lines at 75 octets', () => {
+    expect(calendarFeed.escapeText('Education; K-16, Room E1.028\nAustin')).toBe('Education\\; K-16\\, Room E1.028\\nAustin');
+
+    const folded = calendarFeed.foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    folded.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+  });
+
+  test('GET /api/calendar/hearings.ics should serve timed, all-day and cancelled hearings', async () => {
+    const response = await request(app).get('/api/calendar/hearings.ics').expect(200);
+    const body = unfold(response.text);
+
+    expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(response.text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(body).toContain('BEGIN:VTIMEZONE\r\nTZID:America/Chicago');
+    expect(body).toContain(`UID:hearing-C5302099010109001@awaretexas\r\nDTSTAMP:`);
+    expect(body).toContain(`DTSTART;TZID=America/Chicago:${dateKey(3).replace(/-/g, '')}T090000\r\nDURATION:PT2H`);
+    expect(body).toContain(`DTSTART;VALUE=DATE:${dateKey(4).replace(/-/g, '')}`);
+    expect(body).toContain('SUMMARY:Cancelled: Senate Finance hearing\r\n');
+    expect(body).toContain('STATUS:CANCELLED');
+  });
+
+  test('GET /api/calendar/committees/:id.ics should serve one committee', async () => {
+    const response = await request(app).get('/api/calendar/committees/c530.ics').expect(200);
+
+    expect(unfold(response.text)).toContain('X-WR-CALNAME:Senate Education K-16 hearings');
+    expect(response.text).not.toContain('C6102099010200001');
+
+    await request(app).get('/api/calendar/committees/C999.ics').expect(404);
+  });
+
+  test('bill feeds should combine stages and hearings with stable UIDs', async () => {
+    const first = await request(app).get('/api/calendar/bills/89R-SB12.ics').expect(200);
+    const second = await request(app).get('/api/calendar/bills/89R-SB12.ics').expect(200);
+    const uids = text => unfold(text).match(/^UID:.*$/gm);
+
+    expect(uids(first.text)).toHaveLength(3);
+    expect(uids(second.text)).toEqual(uids(first.text));
+    expect(unfold(first.text)).toContain('DTSTART;VALUE=DATE:20250203\r\nSUMMARY:SB 12: Referred to Education K-16');
+    expect(unfold(first.text)).toContain('DESCRIPTION:Time: 9:00 AM\\nChair: Sen. Brandon Creighton\\nBills:\\nSB 12 (Creighton) - Relating to parental rights\\, in public education.');
+
+    const set = await request(app).get('/api/calendar/bills.ics?ids=89R-SB12,89R-SB13').expect(200);
+    expect(unfold(set.text).match(/UID:hearing-C5302099010109001/g)).toHaveLength(1);
+    expect(unfold(set.text)).toContain('SUMMARY:Senate Education K-16 hearing: SB 12\\, SB 13');
+
+    await request(app).get('/api/calendar/bills.ics?ids=89R-SB12,89R-SB9999').expect(404);
+    await request(app).get('/api/calendar/bills.ics').expect(400);
+  });
+
+  test('GET /api/watchlists/calendar.ics should serve followed bills using the token in the URL', async () => {
+    const created = await request(app).post('/api/watchlists').send({ name: 'Education bills' }).expect(201);
+    const { token } = created.body.data;
+    await request(app).post('/api/watchlists/bills').set('X-Watchlist-Token', token).send({ billId: '89R-SB13' }).expect(200);
+
+    const response = await request(app).get(`/api/watchlists/calendar.ics?token=${encodeURIComponent(token)}`).expect(200);
+
+    expect(response.headers['cache-control']).toBe('private, no-store');
+    expect(unfold(response.text)).toContain('X-WR-CALNAME:Education bills');
+    expect(unfold(response.text)).toContain('SUMMARY:Senate Education K-16 hearing: SB 13');
+
+    await request(app).get('/api/watchlists/calendar.ics').expect(401);
+  });
+});
@@ -0,0 +1,149 @@
+// Committee tests - roster and hearing notice parsing, bill linking and the committee and hearing APIs
+process.env.STORAGE_BACKEND = 'memory';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { legislatorDatabase } = require('../config/legislator-database');
+const { committeeService } = require('../services/committees');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Senate pages come from fixtures; the House has no committees or meetings here
+const pages = [
+  ['CommitteesMbrs.aspx?Chamber=S', 'mock-committee-list.html'],
+  ['MembershipCmte.aspx', 'mock-committee-members.html'],
+  ['MeetingsUpcoming.aspx?Chamber=S', 'mock-meetings-upcoming.html'],
+  ['/schedules/', 'mock-hearing-notice.html']
+];
+
+describe('Committees and hearings', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    await legislatorDatabase.saveLegislator({ id: 'A1140', chamber: 'Senate', name: 'Brandon Creighton', party: 'Republican', district: '4' });
+    await legislatorDatabase.saveLegislator({ id: 'A1030', chamber: 'Senate', name: 'Royce West', party: 'Democrat', district: '23' });
+    for (const billNumber of ['SB 12', 'SB 13']) {
+      await billDatabase.saveBill({
+        billNumber,
+        session: '89R',
+        status: 'In Committee',
+        shortTitle: `${billNumber} short title`,
+        fullTitle: `Relating to ${billNumber}`
+      });
+    }
+
+    jest.spyOn(axios, 'get').mockImplementation(async url => {
+      const page = pages.find(([key]) => url.includes(key));
+      return { status: 200, data: page ? fixture(page[1]) : '<html><body></body></html>' };
+    });
+    jest.spyOn(committeeService, 'delay').mockResolvedValue();
+
+    await committeeService.refreshCommittees();
+    await committeeService.refreshHearings();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parsing', () => {
+    test('should parse the committee list and membership positions', () => {
+      const committees = committeeService.parseCommitteeList(fixture('mock-committee-list.html'), 'Senate');
+      const membership = committeeService.parseMembership(fixture('mock-committee-members.html'));
+
+      expect(committees.map(committee => [committee.id, committee.name])).toEqual([
+        ['C530', 'Education K-16'],
+        ['C610', 'Finance']
+      ]);
+      expect(membership.members.map(member => [member.legislatorId, member.position])).toEqual([
+        ['A1140', 'Chair'],
+        ['A1030', 'Vice Chair'],
+        ['A1100', 'Member'],
+        ['A1200', 'Member']
+      ]);
+      expect(membership).toMatchObject({ clerk: 'Jane Doe', phone: '(512) 463-0355', room: 'E1.028' });
+    });
+
+    test('should parse meetings, cancellations and the bills on a hearing notice', () => {
+      const meetings = committeeService.parseUpcomingMeetings(fixture('mock-meetings-upcoming.html'), 'Senate');
+      const notice = committeeService.parseNotice(fixture('mock-hearing-notice.html'));
+
+      expect(meetings.map(meeting => [meeting.id, meeting.committeeId, meeting.date, meeting.status])).toEqual([
+        ['C5302025031109001', 'C530', '2025-03-11', 'scheduled'],
+        ['C6102025031200001', 'C610', '2025-03-12', 'cancelled']
+      ]);
+      expect(meetings[0]).toMatchObject({ time: '9:00 AM', session: '89R' });
+      expect(notice.bills.map(bill => [bill.billNumber, bill.pending])).toEqual([
+        ['SB12', false],
+        ['SB13', false],
+        ['HB2', false],
+        ['SB400', true]
+      ]);
+    });
+  });
+
+  describe('refreshing', () => {
+    test('should skip the hearing calendar while it is current', async () => {
+      const refresh = jest.spyOn(committeeService, 'refreshHearings');
+
+      expect(await committeeService.refreshHearingsIfStale()).toBeNull();
+      expect(refresh).not.toHaveBeenCalled();
+      refresh.mockRestore();
+    });
+  });
+
+  describe('GET /api/hearings', () => {
+    test('should list hearings in a date range with bills linked to stored records', async () => {
+      const response = await request(app).get('/api/hearings?from=2025-03-01&to=2025-03-31').expect(200);
+
+      expect(response.body.data.map(hearing => [hearing.id, hearing.status])).toEqual([
+        ['C5302025031109001', 'scheduled'],
+        ['C6102025031200001', 'cancelled']
+      ]);
+      expect(response.body.data[0].bills.slice(0, 3).map(bill => [bill.billNumber, bill.billId])).toEqual([
+        ['SB 12', '89R-SB12'],
+        ['SB 13', '89R-SB13'],
+        ['HB 2', null]
+      ]);
+    });
+
+    test('should filter by committee and reject invalid dates', async () => {
+      const response = await request(app).get('/api/hearings?from=2025-03-01&to=2025-03-31&committee=c610').expect(200);
+      expect(response.body.data.map(hearing => hearing.committeeId)).toEqual(['C610']);
+
+      await request(app).get('/api/hearings?from=03/11/2025').expect(400);
+      await request(app).get('/api/hearings?from=2025-03-12&to=2025-03-11').expect(400);
+    });
+  });
+
+  describe('GET /api/committees', () => {
+    test('should list committees with their chair', async () => {
+      const response = await request(app).get('/api/committees?chamber=senate').expect(200);
+
+      expect(response.body.data.map(committee => committee.id)).toEqual(['C530', 'C610']);
+      expect(response.body.data[0]).toMatchObject({
+        chair: { legislatorId: 'A1140', name: 'Brandon Creighton' },
+        memberCount: 4
+      });
+    });
+
+    test('should return a committee page with members, hearings and scheduled bills', async () => {
+      const response = await request(app).get('/api/committees/c530').expect(200);
+      const { data } = response.body;
+
+      expect(data.members[1]).toMatchObject({ legislatorId: 'A1030', position: 'Vice Chair', party: 'Democrat', district: '23' });
+      expect(data.hearings.past.map(hearing => hearing.id)).toEqual(['C5302025031109001']);
+      expect(data.bills.map(bill => [bill.docId, bill.lastHearingDate])).toEqual([
+        ['89R-SB12', '2025-03-11'],
+        ['89R-SB13', '2025-03-11']
+      ]);
+
+      await request(app).get('/api/committees/C999').expect(404);
+    });
+  });
+});
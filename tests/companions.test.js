@@ -0,0 +1,158 @@
+// Companion bill tests - History page companions, text matches, links on both records and the related endpoint
+process.env.STORAGE_BACKEND = 'memory';
+
+const cheerio = require('cheerio');
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { companionService } = require('../services/companions');
+
+const stage = (rawDate, action, location = '') => ({ rawDate, date: null, action, location });
+
+const CAPTION = 'Relating to the creation of a broadband infrastructure fund for rural counties.';
+const BODY = `${CAPTION}
+BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS:
+SECTION 1. Chapter 490I, Government Code, is amended by adding Section 490I.0110 to read as follows:
+Sec. 490I.0110. BROADBAND INFRASTRUCTURE FUND. The broadband infrastructure fund is a special fund in the
+state treasury outside the general revenue fund. The comptroller shall administer the fund and award grants
+to rural counties that lack access to broadband service at the speeds set by the broadband development office.
+SECTION 2. This Act takes effect September 1, 2025.`;
+
+const WATER_CAPTION = 'Relating to a loan program for rural water utilities replacing aging mains.';
+const WATER_BODY = `${WATER_CAPTION}
+BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS:
+SECTION 1. Chapter 15, Water Code, is amended by adding Section 15.9990 to read as follows:
+Sec. 15.9990. RURAL WATER LOAN PROGRAM. The water development board shall lend to rural utilities that replace
+aging water mains and treatment plants, with loans repaid over thirty years at rates the board sets by rule.
+SECTION 2. This Act takes effect September 1, 2025.`;
+
+const billText = (header, body = BODY) => `By: ${header}\nA BILL TO BE ENTITLED\nAN ACT\n${body}`;
+
+async function saveBill(bill) {
+  const status = bill.stages ? billLifecycle.derive(bill.stages, bill).status : 'Filed';
+  return billDatabase.saveBill({
+    status,
+    session: '89R',
+    shortTitle: 'Rural broadband fund',
+    fullTitle: CAPTION,
+    ...bill
+  });
+}
+
+describe('Companion bills', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+  });
+
+  test('should parse the Companion field of a History page', () => {
+    const page = companion => `<table><tr><td>Caption Text:</td><td>${CAPTION}</td></tr>
+      <tr><td><strong>Companion:</strong></td><td>${companion}</td></tr></table>`;
+
+    expect(companionService.parseCompanion(page('<a href="/BillLookup/History.aspx?Bill=HB17">HB 17</a> by Bonnen, Identical')))
+      .toEqual({ billNumber: 'HB 17', author: 'Bonnen', relationship: 'identical' });
+    expect(companionService.parseCompanion(page('SJR 3 by Creighton, Similar')))
+      .toMatchObject({ billNumber: 'SJR 3', relationship: 'similar' });
+    expect(companionService.parseCompanion(page('HB 9'))).toMatchObject({ billNumber: 'HB 9', author: null, relationship: 'companion' });
+    expect(companionService.parseCompanion('<table><tr><td>Companion:</td><td></td></tr></table>')).toBeNull();
+
+    const history = { $: cheerio.load(page('HB 17 by Bonnen, Identical')), url: 'https://capitol.texas.gov/BillLookup/History.aspx?LegSess=89R&Bill=SB17' };
+    expect(companionService.getCompanion(history, '89R'))
+      .toMatchObject({ billId: '89R-HB17', billNumber: 'HB 17', relationship: 'identical', source: 'official' });
+  });
+
+  test('should link official and text-matched companions on both records', async () => {
+    const official = await saveBill({
+      billNumber: 'SB 12',
+      stages: [stage('01/10/2025', 'Filed', 'Senate'), stage('03/10/2025', 'Passed', 'Senate')],
+      companions: [companionService.toLink('HB 17', '89R', { relationship: 'identical', author: 'Bonnen' })]
+    });
+    await saveBill({ billNumber: 'HB 17', shortTitle: 'Broadband fund', fullTitle: 'Relating to a broadband fund.' });
+
+    // Same text under different headers, a House bill that only shares the caption, and a same-chamber copy
+    const senate = await saveBill({ billNumber: 'SB 20', billText: billText('Hancock S.B. No. 20') });
+    await saveBill({ billNumber: 'HB 40', billText: billText('Ashby H.B. No. 40') });
+    await saveBill({ billNumber: 'HB 41', billText: billText('Hull H.B. No. 41', `${CAPTION}\nSECTION 1. The comptroller shall study rural broadband service and report to the legislature.`) });
+    await saveBill({ billNumber: 'SB 21', billText: billText('Hancock S.B. No. 21') });
+
+    const updated = await companionService.linkBills([official, senate]);
+    expect(updated).toBe(3);
+
+    const house = await billDatabase.getBill('HB 17', '89R');
+    expect(house.companions).toEqual([
+      { billId: '89R-SB12', billNumber: 'SB 12', relationship: 'identical', source: 'official', author: null, similarity: null }
+    ]);
+
+    const matched = await billDatabase.getBill('SB 20', '89R');
+    expect(matched.companions).toHaveLength(1);
+    expect(matched.companions[0]).toMatchObject({ billId: '89R-HB40', relationship: 'identical', source: 'text' });
+    expect(matched.companions[0].similarity).toBeGreaterThan(0.9);
+    expect((await billDatabase.getBill('HB 40', '89R')).companions).toEqual([
+      { ...matched.companions[0], billId: '89R-SB20', billNumber: 'SB 20' }
+    ]);
+    expect((await billDatabase.getBill('HB 41', '89R')).companions).toBeUndefined();
+
+    // Linking again changes nothing
+    expect(await companionService.linkBills([await billDatabase.getBill('SB 12', '89R')])).toBe(0);
+  });
+
+  test('should list related bills with both statuses', async () => {
+    const response = await request(app).get('/api/bills/SB12/related').expect(200);
+
+    expect(response.body.data.bill).toMatchObject({ billId: '89R-SB12', status: 'Passed Originating Chamber', statusLabel: 'Passed Senate' });
+    expect(response.body.data.count).toBe(1);
+    expect(response.body.data.related[0]).toMatchObject({
+      billId: '89R-HB17',
+      billNumber: 'HB 17',
+      relationship: 'identical',
+      source: 'official',
+      found: true,
+      chamber: 'House',
+      status: 'Filed'
+    });
+
+    const detail = await request(app).get('/api/bills/HB40').expect(200);
+    expect(detail.body.data.companions.map(link => link.billNumber)).toEqual(['SB 20']);
+
+    await request(app).get('/api/bills/HB999/related').expect(404);
+  });
+
+  test('should drop text matches when the texts diverge or an official companion appears', async () => {
+    const saveWaterBill = (billNumber, text) => saveBill({ billNumber, shortTitle: 'Rural water loans', fullTitle: WATER_CAPTION, billText: text });
+    const senate = await saveWaterBill('SB 30', billText('Hancock S.B. No. 30', WATER_BODY));
+    const houseBills = [
+      await saveWaterBill('HB 50', billText('Ashby H.B. No. 50', WATER_BODY)),
+      await saveWaterBill('HB 51', billText('Hull H.B. No. 51', WATER_BODY))
+    ];
+    await companionService.linkBills([senate, ...houseBills]);
+    expect((await billDatabase.getBill('SB 30', '89R')).companions.map(link => link.billNumber).sort()).toEqual(['HB 50', 'HB 51']);
+
+    // Unchanged bills are not matched again, and every link is written in one batch
+    const findCandidates = jest.spyOn(companionService, 'findCandidates');
+    const updateEach = jest.spyOn(billDatabase, 'updateEach');
+    expect(await companionService.linkBills([await billDatabase.getBill('SB 30', '89R'), await billDatabase.getBill('HB 50', '89R')])).toBe(0);
+    expect(findCandidates).not.toHaveBeenCalled();
+
+    // HB 51 is rewritten: its matches are dropped from both records and searched for again
+    const rewritten = await saveWaterBill('HB 51',
+      billText('Hull H.B. No. 51', `${WATER_CAPTION}\nSECTION 1. The board shall study aging water mains in rural areas and report to the legislature.`));
+    expect(await companionService.linkBills([rewritten])).toBe(2);
+    expect(findCandidates).toHaveBeenCalledTimes(1);
+    expect(updateEach).toHaveBeenCalledTimes(1);
+    expect((await billDatabase.getBill('HB 51', '89R')).companions).toEqual([]);
+    expect((await billDatabase.getBill('SB 30', '89R')).companions.map(link => link.billNumber)).toEqual(['HB 50']);
+
+    // SB 30's History page now names HB 51: the text match with HB 50 goes on both records
+    const official = await saveBill({
+      billNumber: 'SB 30',
+      companions: [companionService.toLink('HB 51', '89R', { relationship: 'identical', author: 'Hull' })]
+    });
+    await companionService.linkBills([official]);
+    expect((await billDatabase.getBill('SB 30', '89R')).companions.map(link => link.billNumber)).toEqual(['HB 51']);
+    expect((await billDatabase.getBill('HB 51', '89R')).companions).toMatchObject([{ billNumber: 'SB 30', source: 'official' }]);
+    expect((await billDatabase.getBill('HB 50', '89R')).companions).toEqual([]);
+
+    jest.restoreAllMocks();
+  });
+});
@@ -2,6 +2,7 @@
 const request = require('supertest');
 const app = require('../../backend/server');
 const { databaseService } = require('../../config/database');
+const { FirestoreAdapter } = require('../../config/firestore-adapter');
 const { summaryService } = require('../../services/ai-summary');
 const { newsService } = require('../../services/news');
 
@@ -30,6 +31,9 @@ describe('End-to-End User Workflows', () => {
     };
 
     databaseService.getDb.mockReturnValue(mockDb);
+    const firestoreAdapter = new FirestoreAdapter();
+    firestoreAdapter.db = mockDb;
+    databaseService.getAdapter.mockReturnValue(firestoreAdapter);
     databaseService.isConnected = true;
 
     // Mock bills data
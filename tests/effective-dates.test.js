@@ -0,0 +1,105 @@
+// Effective date tests - History actions, enrolled text clauses, two-thirds votes and the effective laws listing
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { billTextParser } = require('../services/bill-text-parser');
+const { effectiveDateService } = require('../services/effective-dates');
+
+const stage = (rawDate, action) => ({ rawDate, date: null, action, location: 'House' });
+
+const signedStages = [
+  stage('03/01/2025', 'Filed'),
+  stage('04/01/2025', 'Reported engrossed'),
+  stage('05/20/2025', 'Senate passed'),
+  stage('06/01/2025', 'Sent to the Governor'),
+  stage('06/10/2025', 'Signed by the Governor')
+];
+const signed = { action: 'signed', date: '2025-06-10', presentedDate: '2025-06-01' };
+
+const IMMEDIATE = 'This Act takes effect immediately if it receives a vote of two-thirds of all the members elected to each house, ' +
+  'as provided by Section 39, Article III, Texas Constitution. If this Act does not receive the vote necessary for immediate effect, ' +
+  'this Act takes effect September 1, 2025.';
+const STAGGERED = '(a) Except as provided by Subsection (b), this Act takes effect September 1, 2025. ' +
+  '(b) Section 3 of this Act takes effect January 1, 2026.';
+
+const structure = text => ({ effectiveDates: billTextParser.parseEffectiveDates(text).map(clause => ({ ...clause, billSection: '10' })) });
+const votes = (house, senate) => ({
+  votes: [
+    { chamber: 'House', date: '2025-04-01', result: 'passed', votes: { yea: house, nay: 150 - house } },
+    { chamber: 'Senate', date: '2025-05-20', result: 'passed', votes: { yea: senate, nay: 31 - senate } }
+  ]
+});
+
+const bills = [
+  { billNumber: 'HB 600', stages: signedStages, governorAction: signed, structure: structure(IMMEDIATE), votingData: votes(140, 31) },
+  { billNumber: 'HB 601', stages: signedStages, governorAction: signed, structure: structure(IMMEDIATE), votingData: votes(90, 31) },
+  { billNumber: 'HB 602', stages: signedStages, governorAction: signed },
+  { billNumber: 'HB 603', stages: signedStages, governorAction: signed, structure: structure(STAGGERED) },
+  { billNumber: 'HB 604', stages: [...signedStages.slice(0, 4), stage('06/15/2025', 'Vetoed by the Governor')], structure: structure(STAGGERED) },
+  { billNumber: 'HB 605', stages: [...signedStages, stage('09/01/2025', 'Effective on 9/1/25')], structure: structure(IMMEDIATE) }
+];
+
+describe('Effective dates', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const bill of bills) {
+      await billDatabase.saveBill({
+        ...bill,
+        status: billLifecycle.derive(bill.stages, bill).status,
+        session: '89R',
+        shortTitle: `${bill.billNumber} short title`,
+        fullTitle: `Relating to ${bill.billNumber}`
+      });
+    }
+  });
+
+  const resolve = billNumber => effectiveDateService.resolve({ ...bills.find(bill => bill.billNumber === billNumber), session: '89R' });
+
+  test('should take immediate effect only with two-thirds of each house', () => {
+    expect(resolve('HB 600')).toMatchObject({ date: '2025-06-10', basis: 'immediate', immediateEffect: true, lawDate: '2025-06-10' });
+    expect(resolve('HB 601')).toMatchObject({ date: '2025-09-01', basis: 'text', immediateEffect: false });
+
+    // Without record votes the fallback date applies and immediate effect is unknown
+    const unknown = effectiveDateService.resolve({ ...bills[0], session: '89R', votingData: null });
+    expect(unknown).toMatchObject({ date: '2025-09-01', immediateEffect: null });
+  });
+
+  test('should read stated dates, provisions, the 91st-day default and History actions', () => {
+    expect(effectiveDateService.getNinetyFirstDay('89R')).toBe('2025-09-01');
+    expect(resolve('HB 602')).toMatchObject({ date: '2025-09-01', basis: 'default', clause: null, provisions: [] });
+
+    const staggered = resolve('HB 603');
+    expect(staggered).toMatchObject({ date: '2025-09-01', basis: 'text' });
+    expect(staggered.provisions).toEqual([
+      { date: '2026-01-01', type: 'date', text: 'Section 3 of this Act takes effect January 1, 2026.', billSection: '10' }
+    ]);
+
+    expect(resolve('HB 604')).toBeNull();
+    expect(resolve('HB 605')).toMatchObject({ date: '2025-09-01', basis: 'history' });
+  });
+
+  test('should list enacted bills by effective date', async () => {
+    const september = await request(app).get('/api/laws/effective').query({ from: '2025-09-01', to: '2025-09-30' }).expect(200);
+    expect(september.body.data).toHaveLength(1);
+    expect(september.body.data[0].date).toBe('2025-09-01');
+    expect(september.body.data[0].bills.map(bill => bill.billNumber)).toEqual(['HB 601', 'HB 602', 'HB 603', 'HB 605']);
+
+    const range = await request(app).get('/api/laws/effective').query({ from: '2025-06-01', to: '2026-01-31', session: '89R' }).expect(200);
+    expect(range.body.data.map(group => group.date)).toEqual(['2025-06-10', '2025-09-01', '2026-01-01']);
+    expect(range.body.total).toBe(6);
+    expect(range.body.data[2].bills[0]).toMatchObject({ billNumber: 'HB 603', partial: true });
+    expect(range.body.data[2].bills[0].provisions).toHaveLength(1);
+
+    await request(app).get('/api/laws/effective').query({ from: '2025-13-01' }).expect(400);
+    const reversed = await request(app).get('/api/laws/effective').query({ from: '2025-09-30', to: '2025-09-01' }).expect(400);
+    expect(reversed.body.type).toBe('VALIDATION_ERROR');
+
+    const detail = await request(app).get('/api/bills/HB600').expect(200);
+    expect(detail.body.data.effective).toMatchObject({ date: '2025-06-10', immediateEffect: true });
+  });
+});
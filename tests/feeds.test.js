@@ -0,0 +1,79 @@
+// Activity feed tests - Atom and RSS feeds built from recorded bill revisions
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { summaryDatabase } = require('../config/summary-database');
+
+const bill = (billNumber, fields) => ({
+  billNumber,
+  session: '89R',
+  status: 'Filed',
+  shortTitle: `${billNumber} short title`,
+  fullTitle: `Relating to ${billNumber}`,
+  ...fields
+});
+
+describe('Activity feeds', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    await billDatabase.saveBill(bill('SB 12', { sponsors: [{ name: 'Creighton' }], topics: ['Education'] }));
+    await billDatabase.saveBill(bill('HB 3', { sponsors: [{ name: 'Buckley' }], topics: ['Taxes & Revenue'] }));
+    await billDatabase.saveBill(bill('SB 12', {
+      sponsors: [{ name: 'Creighton' }],
+      topics: ['Education'],
+      status: 'In Committee',
+      lastAction: 'Referred to Education K-16'
+    }));
+    await billDatabase.saveBill(bill('HB 3', { sponsors: [{ name: 'Buckley' }], topics: ['Taxes & Revenue'], shortTitle: 'Edited title' }), { source: 'manual' });
+
+    await summaryDatabase.saveSummary('89R-SB12', { 'high-level': 'Gives parents more say over what schools teach.' });
+  });
+
+  test('GET /api/feeds/bills.atom should list scraper-detected changes, newest first', async () => {
+    const response = await request(app).get('/api/feeds/bills.atom').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/atom\+xml/);
+    expect(response.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+
+    const titles = [...response.text.matchAll(/<entry>\s*<title>([^<]*)<\/title>/g)].map(match => match[1]);
+    expect(titles).toEqual([
+      'SB 12 status changed to In Committee',
+      'New bill: HB 3 - HB 3 short title',
+      'New bill: SB 12 - SB 12 short title'
+    ]);
+    expect(response.text).toContain('&lt;li&gt;Status: Filed &amp;rarr; In Committee&lt;/li&gt;');
+    expect(response.text).toContain('<summary type="text">Gives parents more say over what schools teach.</summary>');
+  });
+
+  test('GET /api/feeds/bills.rss should serve the same entries as RSS 2.0 with stable guids', async () => {
+    const atom = await request(app).get('/api/feeds/bills.atom').expect(200);
+    const rss = await request(app).get('/api/feeds/bills.rss').expect(200);
+
+    expect(rss.headers['content-type']).toMatch(/^application\/rss\+xml/);
+    expect(rss.text).toContain('<rss version="2.0"');
+    expect([...rss.text.matchAll(/<guid isPermaLink="false">([^<]*)<\/guid>/g)].map(match => match[1]))
+      .toEqual([...atom.text.matchAll(/<id>(urn:[^<]*)<\/id>/g)].map(match => match[1]));
+    expect(rss.text).toMatch(/<pubDate>\w{3}, \d{2} \w{3} \d{4} \d{2}:\d{2}:\d{2} GMT<\/pubDate>/);
+  });
+
+  test('per-bill, topic and sponsor feeds should only include matching bills', async () => {
+    const billFeed = await request(app).get('/api/feeds/bills/89R-SB12.rss').expect(200);
+    expect(billFeed.text.match(/<item>/g)).toHaveLength(2);
+    expect(billFeed.text).toContain('<title>SB 12 (89R) activity</title>');
+
+    const topicFeed = await request(app).get(`/api/feeds/topics/${encodeURIComponent('taxes & revenue')}.atom`).expect(200);
+    expect(topicFeed.text.match(/<entry>/g)).toHaveLength(1);
+    expect(topicFeed.text).toContain('<category term="Taxes &amp; Revenue"/>');
+
+    const sponsorFeed = await request(app).get('/api/feeds/sponsors/creigh.atom?limit=1').expect(200);
+    expect(sponsorFeed.text.match(/<entry>/g)).toHaveLength(1);
+    expect(sponsorFeed.text).toContain('SB 12 status changed to In Committee');
+
+    await request(app).get('/api/feeds/bills/89R-SB9999.atom').expect(404);
+    await request(app).get('/api/feeds/bills.json').expect(404);
+  });
+});
@@ -0,0 +1,44 @@
+// Field value tests - stored dates in every shape, date keys and name lists
+const { toDate, toTime, toIso, toDateKey, toLocalDateKey, parseDateKey, usDateToKey, names } = require('../config/field-values');
+
+describe('field values', () => {
+  const time = Date.parse('2025-03-11T15:30:00Z');
+
+  test('should read Firestore timestamps, serialized timestamps, dates, strings and times', () => {
+    const timestamp = { toDate: () => new Date(time) };
+
+    [timestamp, { _seconds: time / 1000, _nanoseconds: 0 }, { seconds: time / 1000 }, new Date(time), '2025-03-11T15:30:00Z', time]
+      .forEach(value => expect(toTime(value)).toBe(time));
+    expect(toDate(timestamp)).toEqual(new Date(time));
+    expect(toIso(timestamp)).toBe('2025-03-11T15:30:00.000Z');
+    expect(toDateKey(timestamp)).toBe('2025-03-11');
+  });
+
+  test('should give null for missing and unparseable dates', () => {
+    [null, undefined, '', 'not a date'].forEach(value => {
+      expect(toDate(value)).toBeNull();
+      expect(toTime(value)).toBeNull();
+      expect(toIso(value)).toBeNull();
+      expect(toDateKey(value)).toBeNull();
+      expect(toLocalDateKey(value)).toBeNull();
+    });
+  });
+
+  test('should convert between date keys and UTC midnight', () => {
+    expect(parseDateKey('2025-09-01')).toBe(Date.parse('2025-09-01T00:00:00Z'));
+    expect(toDateKey(parseDateKey('2025-09-01'))).toBe('2025-09-01');
+    expect(toLocalDateKey(new Date(2025, 8, 1, 23, 30))).toBe('2025-09-01');
+  });
+
+  test('should read dates as printed on TLO pages', () => {
+    expect(usDateToKey('03/11/2025 8:00 AM')).toBe('2025-03-11');
+    expect(usDateToKey('Effective on 9/1/25')).toBe('2025-09-01');
+    expect(usDateToKey('Effective immediately')).toBeNull();
+    expect(usDateToKey(null)).toBeNull();
+  });
+
+  test('should list names from strings and records', () => {
+    expect(names(['Hughes', { name: 'Creighton', district: '4' }, null, { district: '7' }])).toEqual(['Hughes', 'Creighton']);
+    expect(names(undefined)).toEqual([]);
+  });
+});
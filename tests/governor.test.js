@@ -0,0 +1,134 @@
+// Governor action tests - History page parsing, veto deadlines and the governor actions listing
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { governorService } = require('../services/governor');
+
+const HISTORY_URL = 'https://capitol.texas.gov/BillLookup/History.aspx?LegSess=89R&Bill=HB500';
+
+const historyRow = (description, date, comment = '') =>
+  `<tr><td>H</td><td>${description}</td><td>${comment}</td><td>${date}</td><td>10:00 AM</td><td></td></tr>`;
+
+const stage = (rawDate, action) => ({ rawDate, date: null, action, location: 'House' });
+
+const passedStages = [
+  stage('03/01/2025', 'Filed'),
+  stage('04/01/2025', 'Reported engrossed'),
+  stage('05/01/2025', 'Senate passed')
+];
+
+describe('Governor actions', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    const bills = [
+      { billNumber: 'HB 500', stages: [...passedStages, stage('05/20/2025', 'Sent to the Governor'), stage('05/28/2025', 'Signed by the Governor')] },
+      { billNumber: 'HB 501', stages: [...passedStages, stage('05/28/2025', 'Sent to the Governor')] },
+      {
+        billNumber: 'HB 502',
+        stages: [...passedStages, stage('05/22/2025', 'Sent to the Governor'), stage('06/20/2025', 'Vetoed by the Governor')],
+        governorAction: {
+          action: 'vetoed',
+          date: '2025-06-20',
+          presentedDate: '2025-05-22',
+          chapter: null,
+          proclamation: { url: 'https://gov.texas.gov/uploads/files/press/HB502-veto.pdf', text: 'Proclamation by the Governor of the State of Texas' }
+        }
+      },
+      { billNumber: 'HB 503', stages: passedStages.slice(0, 2) }
+    ];
+    for (const bill of bills) {
+      await billDatabase.saveBill({
+        ...bill,
+        status: billLifecycle.derive(bill.stages, bill).status,
+        session: '89R',
+        shortTitle: `${bill.billNumber} short title`,
+        fullTitle: `Relating to ${bill.billNumber}`
+      });
+    }
+  });
+
+  test('should read the action, presentation date, chapter and proclamation from a History page', () => {
+    const html = `<table>
+      ${historyRow('Sent to the Governor', '05/22/2025')}
+      ${historyRow('Vetoed by the Governor <a href="/tlodocs/89R/vetoes/HB500.pdf">Veto proclamation</a>', '06/20/2025')}
+    </table>`;
+
+    expect(governorService.parseHistory(html, HISTORY_URL)).toMatchObject({
+      action: 'vetoed',
+      date: '2025-06-20',
+      presentedDate: '2025-05-22',
+      proclamation: { url: 'https://capitol.texas.gov/tlodocs/89R/vetoes/HB500.pdf', text: null }
+    });
+
+    const signed = governorService.parseHistory(`<table>
+      ${historyRow('Sent to the Governor', '05/01/2025')}
+      ${historyRow('Signed by the Governor', '05/10/2025')}
+      ${historyRow('Effective immediately', '05/10/2025', 'Chapter 112')}
+    </table>`, HISTORY_URL);
+    expect(signed).toMatchObject({ action: 'signed', date: '2025-05-10', chapter: '112', proclamation: null });
+
+    const lineItem = governorService.parseHistory(`<table>${historyRow('Signed by the Governor with line-item veto', '06/21/2025')}</table>`, HISTORY_URL);
+    expect(lineItem.action).toBe('line-item-veto');
+    expect(governorService.parseHistory(`<table>${historyRow('Referred to State Affairs', '03/03/2025')}</table>`, HISTORY_URL)).toBeNull();
+  });
+
+  test('should count ten days, Sundays excepted, or twenty days after sine die', () => {
+    expect(governorService.getSessionEnd('89R')).toBe('2025-06-02');
+    expect(governorService.getSessionEnd('88R')).toBe('2023-05-29');
+    expect(governorService.getSessionEnd('89-1')).toBeNull();
+
+    expect(governorService.getVetoPeriod('2025-05-01', '89R', new Date('2025-05-05T12:00:00Z'))).toMatchObject({
+      deadline: '2025-05-13',
+      rule: 'in-session',
+      daysRemaining: 8,
+      expired: false
+    });
+    expect(governorService.getVetoPeriod('2025-05-28', '89R', new Date('2025-06-25T12:00:00Z'))).toMatchObject({
+      deadline: '2025-06-22',
+      rule: 'after-adjournment',
+      sessionEnd: '2025-06-02',
+      daysRemaining: 0,
+      expired: true
+    });
+    // Special sessions have no fixed end, so only the ten-day rule applies
+    expect(governorService.getVetoPeriod('2025-08-01', '89-2').deadline).toBe('2025-08-13');
+  });
+
+  test('should report actions from stored History data or from the lifecycle', () => {
+    const today = new Date('2025-06-01T12:00:00Z');
+
+    expect(governorService.getAction({ billNumber: 'HB 501', session: '89R', stages: [...passedStages, stage('05/28/2025', 'Sent to the Governor')] }, today))
+      .toMatchObject({ action: 'pending', label: 'Awaiting action', vetoPeriod: { deadline: '2025-06-22', daysRemaining: 21 } });
+
+    const signed = governorService.getAction({ billNumber: 'HB 500', session: '89R', stages: [...passedStages, stage('05/20/2025', 'Sent to the Governor'), stage('05/28/2025', 'Signed by the Governor')] }, today);
+    expect(signed).toMatchObject({ action: 'signed', date: '2025-05-28', vetoPeriod: { deadline: '2025-05-31', daysRemaining: null } });
+
+    expect(governorService.getAction({ billNumber: 'HB 503', stages: passedStages })).toBeNull();
+  });
+
+  test('should list governor actions and filter bills by them', async () => {
+    const response = await request(app).get('/api/governor/actions').query({ session: '89R' }).expect(200);
+
+    expect(response.body.data.map(entry => entry.billNumber)).toEqual(['HB 501', 'HB 502', 'HB 500']);
+    expect(response.body.counts).toEqual({ 'signed': 1, 'line-item-veto': 0, 'vetoed': 1, 'filed-without-signature': 0, 'pending': 1 });
+    expect(response.body.data[1]).toMatchObject({ action: 'vetoed', proclamation: { text: 'Proclamation by the Governor of the State of Texas' } });
+
+    const vetoes = await request(app).get('/api/governor/actions').query({ action: ['vetoed', 'signed'] }).expect(200);
+    expect(vetoes.body.data.map(entry => entry.action)).toEqual(['vetoed', 'signed']);
+
+    const invalid = await request(app).get('/api/governor/actions').query({ action: 'pocket-veto' }).expect(400);
+    expect(invalid.body.type).toBe('VALIDATION_ERROR');
+
+    const pending = await request(app).get('/api/bills').query({ governor: 'pending' }).expect(200);
+    expect(pending.body.data.map(bill => bill.id)).toEqual(['HB 501']);
+    expect(pending.body.facets.governor).toEqual(expect.arrayContaining([{ value: 'vetoed', count: 1 }]));
+
+    const detail = await request(app).get('/api/bills/HB502').expect(200);
+    expect(detail.body.data.governorAction).toMatchObject({ action: 'vetoed', label: 'Vetoed', date: '2025-06-20' });
+  });
+});
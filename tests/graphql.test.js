@@ -0,0 +1,136 @@
+// GraphQL API tests - resolvers over stored bills, batched loading and depth/cost limits
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { summaryDatabase } = require('../config/summary-database');
+const { newsService } = require('../services/news');
+
+async function graphql(query, variables, status = 200) {
+  const response = await request(app).post('/api/graphql').send({ query, variables }).expect(status);
+  return response.body;
+}
+
+describe('GraphQL API', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    await billDatabase.saveBill({
+      billNumber: 'SB 12',
+      session: '89R',
+      chamber: 'Senate',
+      status: 'Passed',
+      shortTitle: 'Parental rights in public education',
+      sponsors: [{ name: 'Creighton', district: '4' }],
+      coSponsors: ['Buckley'],
+      topics: ['Education'],
+      filedDate: '2025-01-10',
+      stages: [{ date: '2025-01-10', rawDate: '01/10/2025', action: 'Filed', location: 'Senate', status: 'completed' }],
+      votingData: {
+        votes: [{
+          id: 'Senate-12',
+          chamber: 'Senate',
+          date: '2025-03-01T18:00:00Z',
+          result: 'passed',
+          votes: { yea: 20, nay: 11, present: 0, absent: 0 },
+          parties: { Republican: { yea: 19, nay: 0, present: 0, absent: 0 } },
+          members: []
+        }]
+      }
+    });
+    await billDatabase.saveBill({ billNumber: 'HB 3', session: '89R', chamber: 'House', status: 'Filed', shortTitle: 'School safety', topics: ['Education'] });
+
+    await summaryDatabase.saveSummary('89R-SB12', { 'high-level': 'Gives parents more say over what schools teach.' });
+    await newsService.cacheNews('89R-SB12', [
+      { headline: 'Senate passes parental rights bill', source: 'Texas Tribune', url: 'https://example.com/sb12', publishedAt: '2025-03-02T12:00:00Z' }
+    ]);
+  });
+
+  test('bill should resolve sponsors, stages, summary, news and votes in one request', async () => {
+    const body = await graphql(`
+      query Bill($id: ID!) {
+        bill(id: $id) {
+          id
+          billNumber
+          filedDate
+          sponsors { name role chamber district }
+          stages { date action }
+          summary { text cached level }
+          news { headline publishedAt }
+          votes { chamber yeas nays result parties { party yeas } }
+        }
+      }
+    `, { id: 'SB12' });
+
+    expect(body.errors).toBeUndefined();
+    expect(body.data.bill).toEqual({
+      id: '89R-SB12',
+      billNumber: 'SB 12',
+      filedDate: '2025-01-10',
+      sponsors: [
+        { name: 'Creighton', role: 'AUTHOR', chamber: 'SENATE', district: '4' },
+        { name: 'Buckley', role: 'SPONSOR', chamber: 'HOUSE', district: null }
+      ],
+      stages: [{ date: '2025-01-10', action: 'Filed' }],
+      summary: { text: 'Gives parents more say over what schools teach.', cached: true, level: 'HIGH_LEVEL' },
+      news: [{ headline: 'Senate passes parental rights bill', publishedAt: '2025-03-02T12:00:00.000Z' }],
+      votes: [{ chamber: 'SENATE', yeas: 20, nays: 11, result: 'passed', parties: [{ party: 'Republican', yeas: 19 }] }]
+    });
+    expect(body.extensions.cost.requested).toBeGreaterThan(25);
+  });
+
+  test('bills should filter and page like GET /api/bills, and aliased lookups should share one load', async () => {
+    const getBill = jest.spyOn(billDatabase, 'getBill');
+
+    const body = await graphql(`{
+      bills(topic: ["education"], sort: "billNumber", first: 1) { totalCount nextCursor nodes { billNumber } }
+      first: bill(id: "89R-HB3") { shortTitle summary { text } }
+      again: bill(id: "89R-HB3") { status }
+    }`);
+
+    expect(body.errors).toBeUndefined();
+    expect(body.data.bills.totalCount).toBe(2);
+    expect(body.data.bills.nodes).toEqual([{ billNumber: 'HB 3' }]);
+    expect(body.data.first).toEqual({ shortTitle: 'School safety', summary: null });
+    expect(body.data.again).toEqual({ status: 'Filed' });
+    expect(getBill).toHaveBeenCalledTimes(1);
+    getBill.mockRestore();
+
+    const next = await graphql('query Next($after: String) { bills(topic: ["education"], sort: "billNumber", first: 1, after: $after) { nodes { billNumber } } }',
+      { after: body.data.bills.nextCursor });
+    expect(next.data.bills.nodes).toEqual([{ billNumber: 'SB 12' }]);
+  });
+
+  test('should reject queries over the depth or cost limit before resolving them', async () => {
+    const costly = await graphql('{ bills(first: 100) { nodes { summary { text } news { headline } votes { yeas } } } }', undefined, 400);
+    expect(costly.errors[0].extensions).toMatchObject({ code: 'QUERY_TOO_COSTLY', maxCost: 1000 });
+    expect(costly.data).toBeUndefined();
+
+    const nested = '{ bill(id: "SB12") { sponsors { bills(first: 2) { nodes { sponsors { bills(first: 2) { nodes { sponsors { name } } } } } } } } }';
+    const deep = await graphql(nested, undefined, 400);
+    expect(deep.errors[0].extensions).toMatchObject({ code: 'QUERY_TOO_DEEP', depth: 9, maxDepth: 8 });
+
+    const shallow = await graphql('{ bill(id: "SB12") { sponsors(role: AUTHOR) { bills(first: 2) { nodes { billNumber } } } } }');
+    expect(shallow.errors).toBeUndefined();
+    expect(shallow.data.bill.sponsors[0].bills.nodes.map(bill => bill.billNumber)).toEqual(['SB 12']);
+  });
+
+  test('should report invalid queries and resolver errors as GraphQL errors', async () => {
+    const invalid = await graphql('{ bill(id: "SB12") { nope } }', undefined, 400);
+    expect(invalid.errors[0].message).toContain('Cannot query field "nope" on type "Bill"');
+
+    const badFirst = await graphql('{ bills(first: 500) { totalCount } }');
+    expect(badFirst.errors[0]).toMatchObject({ message: 'first must be between 1 and 100', extensions: { code: 'VALIDATION_ERROR' } });
+
+    const missing = await graphql('{ bill(id: "89R-SB9999") { id } }');
+    expect(missing.data.bill).toBeNull();
+
+    const viaGet = await request(app)
+      .get('/api/graphql')
+      .query({ query: 'query ($id: ID!) { bill(id: $id) { billNumber } }', variables: JSON.stringify({ id: '89R-HB3' }) })
+      .expect(200);
+    expect(viaGet.body.data.bill.billNumber).toBe('HB 3');
+  });
+});
@@ -1,7 +1,10 @@
 // Comprehensive API Integration Tests
+process.env.FRONTEND_URL = 'https://frontend.example';
+
 const request = require('supertest');
 const app = require('../../backend/server');
 const { databaseService } = require('../../config/database');
+const { FirestoreAdapter } = require('../../config/firestore-adapter');
 const { summaryService } = require('../../services/ai-summary');
 const { newsService } = require('../../services/news');
 const { TexasLegislatureScraper } = require('../../services/scraper');
@@ -31,6 +34,9 @@ describe('API Integration Tests', () => {
     };
     
     databaseService.getDb.mockReturnValue(mockDb);
+    const firestoreAdapter = new FirestoreAdapter();
+    firestoreAdapter.db = mockDb;
+    databaseService.getAdapter.mockReturnValue(firestoreAdapter);
     databaseService.isConnected = true;
   });
 
@@ -450,12 +456,32 @@ describe('API Integration Tests', () => {
     it('should include proper CORS headers', async () => {
       const response = await request(app)
         .options('/api/bills')
+        .set('Origin', 'https://frontend.example')
         .expect(204);
 
-      expect(response.headers).toHaveProperty('access-control-allow-origin');
+      expect(response.headers['access-control-allow-origin']).toBe('https://frontend.example');
       expect(response.headers).toHaveProperty('access-control-allow-methods');
     });
 
+    it('should allow the token headers sent by the frontend', async () => {
+      const response = await request(app)
+        .options('/api/webhooks/abc123')
+        .set('Origin', 'https://frontend.example')
+        .set('Access-Control-Request-Method', 'DELETE')
+        .expect(204);
+
+      expect(response.headers['access-control-allow-headers']).toContain('X-Webhook-Token');
+      expect(response.headers['access-control-allow-headers']).toContain('X-Watchlist-Token');
+    });
+
+    it('should not allow other origins', async () => {
+      const response = await request(app)
+        .options('/api/bills')
+        .set('Origin', 'https://elsewhere.example');
+
+      expect(response.headers['access-control-allow-origin']).not.toBe('https://elsewhere.example');
+    });
+
     it('should sanitize input parameters', async () => {
       const response = await request(app)
         .get('/api/bills?search=<script>alert("xss")</script>')
@@ -0,0 +1,166 @@
+// Legislator directory tests - member page parsing, name matching and sponsorship records
+process.env.STORAGE_BACKEND = 'memory';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { legislatorDatabase } = require('../config/legislator-database');
+const { legislatorService } = require('../services/legislators');
+const { TexasLegislatureScraper } = require('../services/scraper');
+const cheerio = require('cheerio');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const members = [
+  { id: 'A1140', chamber: 'Senate', name: 'Brandon Creighton', firstName: 'Brandon', lastName: 'Creighton', party: 'Republican', district: '4' },
+  { id: 'A1325', chamber: 'Senate', name: 'Paul Bettencourt', firstName: 'Paul', lastName: 'Bettencourt', party: 'Republican', district: '7' },
+  { id: 'A2035', chamber: 'Senate', name: 'Juan Hinojosa', firstName: 'Juan', lastName: 'Hinojosa', party: 'Democrat', district: '27' },
+  { id: 'A3010', chamber: 'House', name: 'Brad Buckley', firstName: 'Brad', lastName: 'Buckley', party: 'Republican', district: '54' },
+  { id: 'A3020', chamber: 'House', name: 'Ana Gonzalez', firstName: 'Ana', lastName: 'Gonzalez', party: 'Democrat', district: '77' },
+  { id: 'A3030', chamber: 'House', name: 'Mary Gonzalez', firstName: 'Mary', lastName: 'González', party: 'Democrat', district: '75' }
+];
+
+describe('Legislator directory', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const member of members) {
+      await legislatorDatabase.saveLegislator(member);
+    }
+    legislatorService.directory = null;
+
+    const bills = [
+      { billNumber: 'SB 2', sponsors: [{ name: 'Creighton' }], coauthors: ['Bettencourt'], coSponsors: ['Buckley'] },
+      { billNumber: 'SB 10', sponsors: [{ name: 'Bettencourt' }], coauthors: ['Creighton'], coSponsors: [] },
+      { billNumber: 'HB 3', sponsors: [{ name: 'Buckley' }], coauthors: ['Gonzalez'], coSponsors: ['Creighton'] }
+    ];
+    for (const bill of bills) {
+      await billDatabase.saveBill(await legislatorService.linkBill({
+        ...bill,
+        session: '89R',
+        status: 'Filed',
+        shortTitle: `${bill.billNumber} short title`,
+        fullTitle: `Relating to ${bill.billNumber}`
+      }));
+    }
+  });
+
+  describe('member pages', () => {
+    test('should parse member codes and names from the member list', () => {
+      const list = legislatorService.parseMemberList(fixture('mock-member-list.html'), 'Senate');
+
+      expect(list.map(member => member.id)).toEqual(['A1140', 'A1325', 'A2035']);
+      expect(list[0]).toMatchObject({
+        chamber: 'Senate',
+        name: 'Brandon Creighton',
+        lastName: 'Creighton',
+        profileUrl: 'https://capitol.texas.gov/Members/MemberInfo.aspx?Chamber=S&Code=A1140'
+      });
+    });
+
+    test('should parse district, party, committees and contact info from a profile', () => {
+      const profile = legislatorService.parseMemberProfile(
+        fixture('mock-member-info.html'),
+        'https://capitol.texas.gov/Members/MemberInfo.aspx?Chamber=S&Code=A1140'
+      );
+
+      expect(profile.district).toBe('4');
+      expect(profile.party).toBe('Republican');
+      expect(profile.committees).toEqual([
+        { name: 'Education K-16', position: 'Chair' },
+        { name: 'Finance', position: 'Vice Chair' },
+        { name: 'Nominations', position: 'Member' }
+      ]);
+      expect(profile.contact).toMatchObject({
+        capitolPhone: '(512) 463-0104',
+        districtPhone: '(281) 292-6000',
+        email: 'brandon.creighton@senate.texas.gov'
+      });
+      expect(profile.contact.capitolOffice).toContain('Austin, TX 78711');
+      expect(profile.photoUrl).toBe('https://capitol.texas.gov/images/members/S/A1140.jpg');
+    });
+  });
+
+  describe('report tables', () => {
+    test('should read multi-word coauthors from the Coauthor cell only', () => {
+      const $ = cheerio.load(`<table>
+        <tr><td>SB 2</td><td>Author: Creighton</td></tr>
+        <tr><td>Coauthor:</td><td>De Ayala | Bettencourt</td></tr>
+        <tr><td>Last Action:</td><td>03/01/2025 S Referred to Education K-16</td></tr>
+        <tr><td>Caption:</td><td>Relating to school finance.</td></tr>
+      </table>`);
+      const scraper = new TexasLegislatureScraper();
+
+      const coauthors = scraper.splitNames(scraper.getLabeledCell($('table'), $, /^coauthors?:?$/i));
+      expect(coauthors).toEqual(['De Ayala', 'Bettencourt']);
+      expect(scraper.splitNames('Hinojosa, Bettencourt')).toEqual(['Hinojosa', 'Bettencourt']);
+    });
+  });
+
+  describe('name matching', () => {
+    test('should link authors, coauthors and other-chamber sponsors', async () => {
+      const directory = await legislatorService.getDirectory();
+      const links = legislatorService.getLinks(
+        { billNumber: 'SB 2', sponsors: [{ name: 'Creighton' }], coauthors: ['Bettencourt'], coSponsors: ['Buckley'] },
+        directory
+      );
+
+      expect(links.sponsors[0]).toMatchObject({ name: 'Creighton', legislatorId: 'A1140', district: '4' });
+      expect(links.legislators).toEqual([
+        { legislatorId: 'A1140', name: 'Brandon Creighton', role: 'author' },
+        { legislatorId: 'A1325', name: 'Paul Bettencourt', role: 'coauthor' },
+        { legislatorId: 'A3010', name: 'Brad Buckley', role: 'sponsor' }
+      ]);
+      expect(links.legislatorIds).toEqual(['A1140', 'A1325', 'A3010']);
+    });
+
+    test('should leave shared last names unlinked unless a first name tells them apart', async () => {
+      const directory = await legislatorService.getDirectory();
+
+      expect(legislatorService.findMember(directory, 'Gonzalez', 'House')).toBeNull();
+      expect(legislatorService.findMember(directory, 'González, Mary', 'House').id).toBe('A3030');
+      expect(legislatorService.findMember(directory, 'Creighton', 'House')).toBeNull();
+    });
+  });
+
+  describe('GET /api/legislators', () => {
+    test('should list members filtered by chamber and party', async () => {
+      const response = await request(app)
+        .get('/api/legislators?chamber=senate&party=Republican')
+        .expect(200);
+
+      expect(response.body.data.map(member => member.id)).toEqual(['A1325', 'A1140']);
+      expect(response.body.filters.chamber).toBe('Senate');
+    });
+
+    test('should reject an unknown chamber', async () => {
+      await request(app).get('/api/legislators?chamber=Assembly').expect(400);
+    });
+  });
+
+  describe('GET /api/legislators/:id', () => {
+    test('should group the member\'s bills by role', async () => {
+      const response = await request(app).get('/api/legislators/a1140').expect(200);
+      const { bills, billCounts } = response.body.data;
+
+      expect(response.body.data.name).toBe('Brandon Creighton');
+      expect(bills.authored.map(bill => bill.id)).toEqual(['SB 2']);
+      expect(bills.coauthored.map(bill => bill.id)).toEqual(['SB 10']);
+      expect(bills.sponsored.map(bill => bill.id)).toEqual(['HB 3']);
+      expect(billCounts).toEqual({ authored: 1, coauthored: 1, sponsored: 1 });
+    });
+
+    test('should link bill details back to member records', async () => {
+      const response = await request(app).get('/api/bills/SB2').expect(200);
+
+      expect(response.body.data.legislators.map(link => link.legislatorId)).toEqual(['A1140', 'A1325', 'A3010']);
+    });
+
+    test('should return 404 for an unknown member', async () => {
+      await request(app).get('/api/legislators/Z9999').expect(404);
+    });
+  });
+});
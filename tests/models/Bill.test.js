@@ -89,10 +89,15 @@ describe('Bill Model', () => {
     test('should throw error for invalid bill number format', () => {
       const invalidData = {
         ...validBillData,
-        billNumber: 'HB 123' // Should be SB for Senate Bill
+        billNumber: 'XB 123' // Not a Senate or House prefix
       };
 
-      expect(() => new Bill(invalidData)).toThrow('Invalid bill number format \'HB 123\'. Expected format: SB ###');
+      expect(() => new Bill(invalidData)).toThrow('Invalid bill number format \'XB 123\'. Expected format: SB ### or HB ###');
+    });
+
+    test('should accept House bills and joint resolutions', () => {
+      expect(new Bill({ ...validBillData, billNumber: 'HB 123', session: '891', chamber: 'House' }).session).toBe('891');
+      expect(() => new Bill({ ...validBillData, billNumber: 'SJR 4' })).not.toThrow();
     });
   });
 
@@ -104,7 +109,10 @@ describe('Bill Model', () => {
 
       expect(filedBill.getStatusColor()).toBe('yellow');
       expect(committeeBill.getStatusColor()).toBe('blue');
-      expect(passedBill.getStatusColor()).toBe('green');
+      // A stored "Passed" only tells us the first chamber passed it
+      expect(passedBill.getStatusColor()).toBe('teal');
+      expect(new Bill({ ...validBillData, status: 'Passed Both Chambers' }).getStatusColor()).toBe('green');
+      expect(new Bill({ ...validBillData, status: 'Vetoed' }).getStatusColor()).toBe('red');
     });
 
     test('should return gray for unknown status', () => {
@@ -1,4 +1,6 @@
 // Performance optimization tests
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
 const request = require('supertest');
 const app = require('../backend/server');
 
@@ -62,6 +64,7 @@ describe('Performance Optimizations', () => {
     test('DELETE /api/cache should clear all caches', async () => {
       const response = await request(app)
         .delete('/api/cache')
+        .set('Authorization', 'Bearer test-admin-key')
         .expect(200);
       
       expect(response.body).toHaveProperty('success', true);
@@ -72,6 +75,7 @@ describe('Performance Optimizations', () => {
     test('DELETE /api/cache/:pattern should clear specific cache pattern', async () => {
       const response = await request(app)
         .delete('/api/cache/summary')
+        .set('Authorization', 'Bearer test-admin-key')
         .expect(200);
       
       expect(response.body).toHaveProperty('success', true);
@@ -0,0 +1,129 @@
+// Constitutional amendment tests - ballot parsing, proposition listings and locally entered results
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { billLifecycle } = require('../config/bill-lifecycle');
+const { idStandardizer } = require('../config/id-standardizer');
+const { propositionService } = require('../services/propositions');
+
+const ADMIN = { Authorization: 'Bearer test-admin-key' };
+
+const stage = (rawDate, action, location = 'Senate') => ({ rawDate, date: null, action, location });
+
+const adoptedStages = [
+  stage('02/01/2025', 'Filed'),
+  stage('03/10/2025', 'Passed'),
+  stage('03/12/2025', 'Received from the Senate', 'House'),
+  stage('04/20/2025', 'Passed', 'House'),
+  stage('04/25/2025', 'Filed with the Secretary of State')
+];
+
+const ENROLLED = 'SECTION 2. This proposed constitutional amendment shall be submitted to the voters at an election ' +
+  'to be held November 4, 2025. The ballot shall be printed to permit voting for or against the proposition: ' +
+  '"The constitutional amendment prohibiting the imposition of a tax on securities transactions."';
+
+describe('Constitutional amendment propositions', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    const bills = [
+      { billNumber: 'SJR 5', session: '89R', stages: adoptedStages, proposition: propositionService.parseBallot(ENROLLED) },
+      { billNumber: 'HJR 2', session: '89R', stages: adoptedStages.map(step => ({ ...step, location: step.location === 'Senate' ? 'House' : 'Senate' })) },
+      { billNumber: 'SJR 9', session: '89R', stages: adoptedStages.slice(0, 2) },
+      { billNumber: 'HJR 1', session: '88R', stages: adoptedStages, proposition: { electionDate: '2023-11-07', ballotLanguage: 'The constitutional amendment relating to property tax relief.' } },
+      { billNumber: 'SB 12', session: '89R', stages: adoptedStages.slice(0, 2) }
+    ];
+    for (const bill of bills) {
+      await billDatabase.saveBill({
+        ...bill,
+        status: billLifecycle.derive(bill.stages, bill).status,
+        shortTitle: `${bill.billNumber} short title`,
+        fullTitle: `Relating to ${bill.billNumber}`
+      });
+    }
+  });
+
+  test('should recognize joint resolutions and parse their ballot details', () => {
+    expect(idStandardizer.getBillType('SJR5')).toBe('joint-resolution');
+    expect(idStandardizer.getBillType('HCR3')).toBe('concurrent-resolution');
+    expect(idStandardizer.isJointResolution('SB5')).toBe(false);
+
+    expect(propositionService.parseBallot(ENROLLED)).toEqual({
+      electionDate: '2025-11-04',
+      ballotLanguage: 'The constitutional amendment prohibiting the imposition of a tax on securities transactions.'
+    });
+    expect(propositionService.parseBallot('SECTION 1. Section 1-a, Article VIII, Texas Constitution, is amended.')).toBeNull();
+    expect(propositionService.getDefaultElectionDate('88R')).toBe('2023-11-07');
+
+    // Joint resolutions are filed with the Secretary of State rather than sent to the governor
+    expect(billLifecycle.derive(adoptedStages, { billNumber: 'SJR 5' }).status).toBe('Passed Both Chambers');
+  });
+
+  test('should leave the ranks of bills filed with the Secretary of State after the governor acts', () => {
+    const signedStages = [
+      ...adoptedStages.slice(0, 4),
+      stage('05/01/2025', 'Sent to the Governor'),
+      stage('05/10/2025', 'Signed by the Governor'),
+      stage('05/12/2025', 'Filed with the Secretary of State')
+    ];
+    const signed = billLifecycle.derive(signedStages, { billNumber: 'SB 12' });
+    expect(signed.status).toBe('Signed');
+    expect(signed.transitions[signed.transitions.length - 1]).toMatchObject({ status: 'Signed', date: '2025-05-10' });
+
+    const pending = signedStages.filter(step => !/^Signed/.test(step.action));
+    expect(billLifecycle.derive(pending, { billNumber: 'SB 12' }).status).toBe('Sent to Governor');
+    expect(billLifecycle.derive([...signedStages, stage('05/12/2025', 'Effective on 9/1/25')], { billNumber: 'SB 12' }).status)
+      .toBe('Signed');
+  });
+
+  test('should list adopted joint resolutions by election', async () => {
+    const response = await request(app).get('/api/propositions').expect(200);
+
+    expect(response.body.data.map(election => election.electionDate)).toEqual(['2023-11-07', '2025-11-04']);
+    expect(response.body.data[1].propositions.map(proposition => proposition.billNumber)).toEqual(['HJR 2', 'SJR 5']);
+    expect(response.body.data[1].propositions[1]).toMatchObject({
+      status: 'on-ballot',
+      number: null,
+      ballotLanguage: 'The constitutional amendment prohibiting the imposition of a tax on securities transactions.'
+    });
+    // No election named in the text: the November uniform election of the session's year
+    expect(response.body.data[1].propositions[0]).toMatchObject({ electionDate: '2025-11-04', ballotLanguage: null });
+
+    const upcoming = await propositionService.listPropositions({ upcoming: true, today: new Date('2025-10-01T12:00:00Z') });
+    expect(upcoming.elections.map(election => election.electionDate)).toEqual(['2025-11-04']);
+
+    const resolution = await request(app).get('/api/propositions/SJR9').query({ session: '89R' }).expect(200);
+    expect(resolution.body.data.status).toBe('in-legislature');
+    await request(app).get('/api/propositions/SB12').query({ session: '89R' }).expect(400);
+    await request(app).get('/api/propositions/SJR40').query({ session: '89R' }).expect(404);
+    await request(app).get('/api/propositions').query({ status: 'pending' }).expect(400);
+  });
+
+  test('admins should enter proposition numbers and election results', async () => {
+    const put = (id, body) => request(app).put(`/api/admin/propositions/${id}`).query({ session: '89R' }).set(ADMIN).send(body);
+
+    await request(app).put('/api/admin/propositions/SJR5').query({ session: '89R' }).send({ number: 3 }).expect(401);
+    await put('SJR5', { results: { for: 1200 } }).expect(400);
+    await put('SJR5', {}).expect(400);
+    await put('SB12', { number: 1 }).expect(400);
+
+    await put('HJR2', { number: 1 }).expect(200);
+    const entered = await put('SJR5', { number: 3, results: { for: 1500000, against: 900000, source: 'Secretary of State canvass' } }).expect(200);
+    expect(entered.body.data).toMatchObject({ number: 3, status: 'adopted', results: { for: 1500000, against: 900000, adopted: true } });
+
+    const listing = await request(app).get('/api/propositions').query({ session: '89R' }).expect(200);
+    expect(listing.body.data[0].propositions.map(proposition => [proposition.number, proposition.billNumber]))
+      .toEqual([[1, 'HJR 2'], [3, 'SJR 5']]);
+
+    const adopted = await request(app).get('/api/propositions').query({ status: 'adopted' }).expect(200);
+    expect(adopted.body.total).toBe(1);
+
+    // Clearing the results puts the proposition back on the ballot
+    const cleared = await put('SJR5', { results: null }).expect(200);
+    expect(cleared.body.data).toMatchObject({ number: 3, status: 'on-ballot', results: null });
+  });
+});
@@ -0,0 +1,46 @@
+// Response cache tests - keys include the router mount path, so "/" of different routers never collide
+const express = require('express');
+const request = require('supertest');
+const cacheMiddleware = require('../backend/middleware/cache');
+
+function buildApp() {
+  const app = express();
+  ['bills', 'propositions'].forEach(name => {
+    const router = express.Router();
+    router.get('/', cacheMiddleware.middleware(60), (req, res) => res.json({ router: name, query: req.query }));
+    app.use(`/api/${name}`, router);
+  });
+  return app;
+}
+
+describe('Response cache', () => {
+  beforeEach(() => {
+    cacheMiddleware.clearCache();
+  });
+
+  test('should keep the root paths of different routers apart', async () => {
+    const app = buildApp();
+
+    await request(app).get('/api/bills').expect(200);
+    const propositions = await request(app).get('/api/propositions').expect(200);
+
+    expect(propositions.headers['x-cache']).toBe('MISS');
+    expect(propositions.body.router).toBe('propositions');
+    expect(propositions.headers['x-cache-key']).toBe('GET:/api/propositions/:{}');
+
+    const cached = await request(app).get('/api/bills').expect(200);
+    expect(cached.headers['x-cache']).toBe('HIT');
+    expect(cached.body.router).toBe('bills');
+  });
+
+  test('should clear one router\'s responses by its mount path', async () => {
+    const app = buildApp();
+    await request(app).get('/api/bills').query({ session: '89R' }).expect(200);
+    await request(app).get('/api/propositions').expect(200);
+
+    cacheMiddleware.clearCache('/api/propositions');
+
+    expect((await request(app).get('/api/propositions').expect(200)).headers['x-cache']).toBe('MISS');
+    expect((await request(app).get('/api/bills').query({ session: '89R' }).expect(200)).headers['x-cache']).toBe('HIT');
+  });
+});
@@ -0,0 +1,179 @@
+// Roll-call vote tests - record votes from History pages, journal vote blocks and party breakdowns
+process.env.STORAGE_BACKEND = 'memory';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { legislatorDatabase } = require('../config/legislator-database');
+const { legislatorService } = require('../services/legislators');
+const { rollCallService } = require('../services/roll-calls');
+const { TexasLegislatureScraper } = require('../services/scraper');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const members = [
+  { id: 'A1325', chamber: 'Senate', firstName: 'Paul', lastName: 'Bettencourt', party: 'Republican' },
+  { id: 'A1140', chamber: 'Senate', firstName: 'Brandon', lastName: 'Creighton', party: 'Republican' },
+  { id: 'A2035', chamber: 'Senate', firstName: 'Juan', lastName: 'Hinojosa', party: 'Democrat' },
+  { id: 'A2040', chamber: 'Senate', firstName: 'César', lastName: 'Blanco', party: 'Democrat' },
+  { id: 'A2045', chamber: 'Senate', firstName: 'Sarah', lastName: 'Eckhardt', party: 'Democrat' },
+  { id: 'A3010', chamber: 'House', firstName: 'Brad', lastName: 'Buckley', party: 'Republican' },
+  { id: 'A3020', chamber: 'House', firstName: 'Mary', lastName: 'González', party: 'Democrat' },
+  { id: 'A3040', chamber: 'House', firstName: 'Ed', lastName: 'Thompson', party: 'Republican' },
+  { id: 'A3050', chamber: 'House', firstName: 'Senfronia', lastName: 'Thompson', party: 'Democrat' },
+  { id: 'A3060', chamber: 'House', firstName: 'Erin', lastName: 'Zwiener', party: 'Democrat' }
+];
+
+const houseVote = {
+  chamber: 'House',
+  description: 'Record vote',
+  recordNumber: '1234',
+  date: new Date('2025-04-22'),
+  journalUrl: 'https://journals.house.texas.gov/HJRNL/89R/HTML/89RDAY45FINAL.HTM'
+};
+
+describe('Roll-call votes', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const member of members) {
+      await legislatorDatabase.saveLegislator({ ...member, name: `${member.firstName} ${member.lastName}` });
+    }
+    legislatorService.directory = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should find record votes and their HTML journal pages in the History page', () => {
+    const votes = rollCallService.parseHistoryVotes(fixture('mock-bill-history.html'), rollCallService.getHistoryUrl('SB12', '89R'));
+
+    expect(votes).toEqual([
+      { ...houseVote, date: new Date('04/22/2025') },
+      {
+        chamber: 'Senate',
+        description: 'Record vote',
+        recordNumber: null,
+        date: new Date('03/27/2025'),
+        journalUrl: 'https://journals.senate.texas.gov/SJRNL/89R/HTML/89RSJ03-27-F.HTM'
+      }
+    ]);
+  });
+
+  test('should parse a House vote block by record number', () => {
+    const rollCall = rollCallService.parseJournalVote(fixture('mock-house-journal.html'), 'SB12', houseVote);
+
+    expect(rollCall).toMatchObject({
+      id: 'House-1234',
+      chamber: 'House',
+      result: 'passed',
+      votes: { yea: 3, nay: 1, present: 1, absent: 1 }
+    });
+    expect(rollCall.members).toEqual([
+      { name: 'Buckley', vote: 'yea' },
+      { name: 'Thompson, E.', vote: 'yea' },
+      { name: 'Zwiener', vote: 'yea' },
+      { name: 'Gonzalez', vote: 'nay' },
+      { name: 'Mr. Speaker', vote: 'present' },
+      { name: 'Thompson, S.', vote: 'absent' }
+    ]);
+  });
+
+  test('should parse a Senate vote block from the paragraph naming the bill', () => {
+    const rollCall = rollCallService.parseJournalVote(fixture('mock-senate-journal.html'), 'SB12', {
+      chamber: 'Senate',
+      description: 'Record vote',
+      recordNumber: null,
+      date: new Date('2025-03-27'),
+      journalUrl: 'https://journals.senate.texas.gov/SJRNL/89R/HTML/89RSJ03-27-F.HTM'
+    });
+
+    expect(rollCall.id).toBe('Senate-2025-03-27');
+    expect(rollCall.votes).toEqual({ yea: 3, nay: 1, present: 0, absent: 1 });
+    expect(rollCall.members.filter(member => member.vote === 'yea').map(member => member.name))
+      .toEqual(['Bettencourt', 'Creighton', 'Hinojosa']);
+    expect(rollCallService.parseJournalVote(fixture('mock-senate-journal.html'), 'SB11', { chamber: 'Senate' })).toBeNull();
+  });
+
+  test('should scrape every roll call with party breakdowns from the legislator directory', async () => {
+    const pages = {
+      'BillLookup/History.aspx': 'mock-bill-history.html',
+      '89RDAY45FINAL.HTM': 'mock-house-journal.html',
+      '89RSJ03-27-F.HTM': 'mock-senate-journal.html'
+    };
+    jest.spyOn(axios, 'get').mockImplementation(async url => {
+      const page = Object.keys(pages).find(key => url.includes(key));
+      return { status: 200, data: fixture(pages[page]) };
+    });
+
+    const rollCalls = await rollCallService.scrapeRollCalls('SB12', '89R');
+    const house = rollCalls.find(rollCall => rollCall.chamber === 'House');
+
+    expect(rollCalls).toHaveLength(2);
+    expect(house.members.find(member => member.name === 'Thompson, E.')).toMatchObject({ legislatorId: 'A3040', party: 'Republican' });
+    expect(house.parties).toEqual({
+      Republican: { yea: 2, nay: 0, present: 0, absent: 0 },
+      Democrat: { yea: 1, nay: 1, present: 0, absent: 1 },
+      Unknown: { yea: 0, nay: 0, present: 1, absent: 0 }
+    });
+    expect(rollCallService.getPartySplit(rollCalls)).toMatchObject({
+      republicanYes: 2,
+      republicanNo: 0,
+      democratYes: 1,
+      democratNo: 1,
+      chamber: 'House'
+    });
+  });
+
+  test('should serve stored roll calls from the voting endpoint', async () => {
+    const rollCall = rollCallService.addParties(
+      rollCallService.parseJournalVote(fixture('mock-house-journal.html'), 'SB12', houseVote),
+      await legislatorService.getDirectory()
+    );
+    await billDatabase.saveBill({
+      billNumber: 'SB 12',
+      session: '89R',
+      status: 'Passed',
+      shortTitle: 'SB 12 short title',
+      fullTitle: 'Relating to SB 12',
+      votingData: rollCallService.toVotingData('SB 12', [rollCall]),
+      voting: rollCallService.getPartySplit([rollCall])
+    });
+    const spy = jest.spyOn(axios, 'get');
+
+    const response = await request(app).get('/api/bills/89R-SB12/voting').expect(200);
+
+    expect(response.body.data.source).toBe('texas_legislature_journals');
+    expect(response.body.data.votes[0].members).toHaveLength(6);
+    expect(response.body.data.votes[0].parties.Republican.yea).toBe(2);
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to History vote counts when the journals cannot be fetched', async () => {
+    const scraper = new TexasLegislatureScraper();
+    const votingData = { votes: [], summary: { chamber: 'Senate', yeas: 31, nays: 0 } };
+    jest.spyOn(axios, 'get').mockImplementation(async url => {
+      if (url.includes('BillLookup/History.aspx')) {
+        return { status: 200, data: fixture('mock-bill-history.html') };
+      }
+      throw new Error('Network error');
+    });
+    const scrapeRollCalls = jest.spyOn(rollCallService, 'scrapeRollCalls').mockRejectedValue(new Error('Journal unavailable'));
+    const fallback = jest.spyOn(scraper, 'scrapeVotingData').mockResolvedValue(votingData);
+    const fetchHistoryPage = jest.spyOn(scraper, 'fetchHistoryPage');
+
+    const bill = await scraper.fetchBillDetails({ id: '89R-SB12', billNumber: 'SB 12', session: '89R' });
+
+    expect(fallback).toHaveBeenCalledWith('SB12', '89R');
+    expect(bill.votingData).toEqual(votingData);
+
+    // The History page is fetched once and handed to the roll-call parser
+    expect(fetchHistoryPage).toHaveBeenCalledTimes(1);
+    expect(scrapeRollCalls).toHaveBeenCalledWith('SB12', '89R', await fetchHistoryPage.mock.results[0].value);
+  });
+});
@@ -0,0 +1,136 @@
+// Search index tests - bills are found by stem, phrase and boolean queries, ranked and highlighted
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { crudOperations } = require('../config/crud-operations');
+const { SearchIndex, searchIndex, tokenize, parseQuery } = require('../services/search-index');
+
+describe('Query parsing', () => {
+  test('should stem terms, drop stopwords and keep bill numbers whole', () => {
+    expect(tokenize('Taxing the HB 12 schools').map(({ term, position }) => [term, position]))
+      .toEqual([['tax', 0], ['hb12', 2], ['school', 3]]);
+  });
+
+  test('should parse phrases, operators and groups', () => {
+    expect(parseQuery('"property tax" (school OR college) -vouchers')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'phrase', terms: [{ term: 'properti', offset: 0 }, { term: 'tax', offset: 1 }] },
+        { type: 'or', children: [{ type: 'term', term: 'school' }, { type: 'term', term: 'colleg' }] },
+        { type: 'not', child: { type: 'term', term: 'voucher' } }
+      ]
+    });
+  });
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.isReady = true;
+    index.updateBill({ id: '89R-SB1', billNumber: 'SB 1', shortTitle: 'Property tax relief', billText: 'Reduces school district property taxes.' });
+    index.updateBill({ id: '89R-SB2', billNumber: 'SB 2', shortTitle: 'School vouchers', billText: 'Creates education savings accounts; no tax on property.' });
+    index.updateBill({ id: '89R-HB3', billNumber: 'HB 3', shortTitle: 'Water infrastructure', billText: 'Funds water projects.' });
+  });
+
+  test('should match stemmed terms and rank title matches first', async () => {
+    const results = await index.search('taxed');
+    expect(results.map(result => result.id)).toEqual(['89R-SB1', '89R-SB2']);
+    expect(results[0].fields).toEqual(expect.arrayContaining(['shortTitle', 'billText']));
+  });
+
+  test('should require phrase terms to be adjacent', async () => {
+    expect((await index.search('"property tax"')).map(result => result.id)).toEqual(['89R-SB1']);
+  });
+
+  test('should support AND, OR and NOT', async () => {
+    expect((await index.search('property AND school')).map(result => result.id).sort()).toEqual(['89R-SB1', '89R-SB2']);
+    expect((await index.search('water OR vouchers')).map(result => result.id).sort()).toEqual(['89R-HB3', '89R-SB2']);
+    expect((await index.search('tax NOT vouchers')).map(result => result.id)).toEqual(['89R-SB1']);
+    expect((await index.search('tax -vouchers')).map(result => result.id)).toEqual(['89R-SB1']);
+  });
+
+  test('should find bills by number with or without a space', async () => {
+    expect((await index.search('HB 3')).map(result => result.id)).toEqual(['89R-HB3']);
+    expect((await index.search('hb3')).map(result => result.id)).toEqual(['89R-HB3']);
+  });
+
+  test('should re-index changed fields and drop removed bills', async () => {
+    index.updateBill({ id: '89R-HB3', billNumber: 'HB 3', shortTitle: 'Groundwater districts', billText: 'Funds water projects.' });
+    expect(await index.search('infrastructure')).toEqual([]);
+    expect((await index.search('water')).map(result => result.id)).toEqual(['89R-HB3']);
+
+    index.removeBill('89R-HB3');
+    expect(await index.search('water')).toEqual([]);
+  });
+
+  test('should highlight matches and escape the rest of the snippet', () => {
+    expect(index.highlight('Relief from <b>property</b> taxes', 'tax'))
+      .toBe('Relief from &lt;b&gt;property&lt;/b&gt; <mark>taxes</mark>');
+  });
+});
+
+describe('GET /api/bills?search=', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    await billDatabase.saveBill({
+      billNumber: 'SB 40', session: '89R', status: 'Filed',
+      shortTitle: 'Broadband expansion', fullTitle: 'Relating to rural broadband grants'
+    });
+    await billDatabase.saveBill({
+      billNumber: 'HB 41', session: '89R', status: 'In Committee',
+      shortTitle: 'Highway maintenance', fullTitle: 'Relating to highway funding',
+      billText: 'The department shall expand broadband conduit along highways.'
+    });
+  });
+
+  test('should return matches in relevance order with highlights', async () => {
+    const response = await request(app).get('/api/bills?search=broadband').expect(200);
+
+    expect(response.body.data.map(bill => bill.docId)).toEqual(['89R-SB40', '89R-HB41']);
+    expect(response.body.data[0].searchScore).toBeGreaterThan(response.body.data[1].searchScore);
+    expect(response.body.data[1].highlights).toEqual([
+      { field: 'billText', snippet: 'The department shall expand <mark>broadband</mark> conduit along highways.' }
+    ]);
+  });
+
+  test('should apply other filters to search results', async () => {
+    const response = await request(app).get('/api/bills?search=broadband&status=Filed').expect(200);
+    expect(response.body.data.map(bill => bill.docId)).toEqual(['89R-SB40']);
+  });
+
+  test('should pick up bills saved or deleted after the index was built', async () => {
+    await billDatabase.saveBill({
+      billNumber: 'SB 42', session: '89R', status: 'Filed', shortTitle: 'Rural broadband mapping',
+      fullTitle: 'Relating to broadband coverage maps'
+    });
+
+    const response = await request(app).get('/api/bills?search=mapping').expect(200);
+    expect(response.body.data.map(bill => bill.docId)).toEqual(['89R-SB42']);
+
+    await crudOperations.delete('bills', '89R-SB42');
+    expect(await searchIndex.search('mapping')).toEqual([]);
+  });
+
+  test('should pick up summaries cached after the index was built', async () => {
+    await crudOperations.create('summaries', '89R-SB40', { billId: '89R-SB40', summaries: { high: 'Lays fiber conduit beside interstates.' } });
+    expect((await searchIndex.search('interstates')).map(match => match.id)).toEqual(['89R-SB40']);
+  });
+
+  test('should build page by page', async () => {
+    const index = new SearchIndex();
+    const query = jest.spyOn(crudOperations, 'query');
+
+    await index.ensureReady();
+
+    expect(query).toHaveBeenCalledWith('bills', expect.objectContaining({ limit: 500 }));
+    expect(query).toHaveBeenCalledWith('summaries', expect.objectContaining({ limit: 500 }));
+    expect((await index.search('broadband')).length).toBeGreaterThan(0);
+    query.mockRestore();
+  });
+});
@@ -1,5 +1,5 @@
 const { SummaryService } = require('../../services/ai-summary');
-const { databaseService } = require('../../config/database');
+const { crudOperations } = require('../../config/crud-operations');
 const { AppError, retryManager, fallbackManager, circuitBreakers } = require('../../backend/middleware/error-handler');
 
 // Mock the Google Generative AI
@@ -11,10 +11,12 @@ jest.mock('@google/generative-ai', () => ({
   }))
 }));
 
-// Mock the database service
-jest.mock('../../config/database', () => ({
-  databaseService: {
-    getDb: jest.fn()
+// Mock the CRUD operations used for the summary cache
+jest.mock('../../config/crud-operations', () => ({
+  crudOperations: {
+    read: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn()
   }
 }));
 
@@ -42,7 +44,6 @@ jest.mock('../../backend/middleware/error-handler', () => ({
 describe('SummaryService', () => {
   let summaryService;
   let mockModel;
-  let mockDb;
 
   beforeEach(() => {
     // Reset environment
@@ -56,16 +57,8 @@ describe('SummaryService', () => {
       generateContent: jest.fn()
     };
     
-    mockDb = {
-      collection: jest.fn().mockReturnValue({
-        doc: jest.fn().mockReturnValue({
-          get: jest.fn(),
-          set: jest.fn()
-        })
-      })
-    };
-    
-    databaseService.getDb.mockReturnValue(mockDb);
+    crudOperations.read.mockResolvedValue(null);
+    crudOperations.create.mockResolvedValue({});
     
     // Mock the model
     summaryService.model = mockModel;
@@ -113,9 +106,7 @@ describe('SummaryService', () => {
       });
 
       // Mock no cached summary
-      mockDb.collection().doc().get.mockResolvedValue({
-        exists: false
-      });
+      crudOperations.read.mockResolvedValue(null);
 
       const result = await summaryService.generateSummary(mockBillId, mockBillText, 'high-level');
       
@@ -135,9 +126,7 @@ describe('SummaryService', () => {
       });
 
       // Mock no cached summary
-      mockDb.collection().doc().get.mockResolvedValue({
-        exists: false
-      });
+      crudOperations.read.mockResolvedValue(null);
 
       const result = await summaryService.generateSummary(mockBillId, mockBillText, 'detailed');
       
@@ -151,13 +140,11 @@ describe('SummaryService', () => {
       const cachedSummary = 'Cached healthcare summary';
       
       // Mock cached summary exists
-      mockDb.collection().doc().get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          summaries: {
-            'high-level': cachedSummary
-          }
-        })
+      crudOperations.read.mockResolvedValue({
+        id: mockBillId,
+        summaries: {
+          'high-level': cachedSummary
+        }
       });
 
       const result = await summaryService.generateSummary(mockBillId, mockBillText, 'high-level');
@@ -170,9 +157,7 @@ describe('SummaryService', () => {
       mockModel.generateContent.mockRejectedValue(new Error('API Error'));
       
       // Mock no cached summary
-      mockDb.collection().doc().get.mockResolvedValue({
-        exists: false
-      });
+      crudOperations.read.mockResolvedValue(null);
 
       const result = await summaryService.generateSummary(mockBillId, mockBillText, 'high-level');
       
@@ -199,9 +184,7 @@ describe('SummaryService', () => {
       });
 
       // Mock no cached summary
-      mockDb.collection().doc().get.mockResolvedValue({
-        exists: false
-      });
+      crudOperations.read.mockResolvedValue(null);
 
       const result = await summaryService.generateSummary(mockBillId, mockBillText, 'high-level');
       
@@ -249,20 +232,13 @@ describe('SummaryService', () => {
   });
 
   describe('caching', () => {
-    it('should cache summaries in Firebase', async () => {
+    it('should cache summaries in the database', async () => {
       const mockSummary = 'Test summary';
       const mockBillId = 'SB123';
       
-      const mockDocRef = {
-        get: jest.fn().mockResolvedValue({ exists: false }),
-        set: jest.fn().mockResolvedValue()
-      };
-      
-      mockDb.collection().doc.mockReturnValue(mockDocRef);
-      
       await summaryService.cacheSummary(mockBillId, 'high-level', mockSummary);
       
-      expect(mockDocRef.set).toHaveBeenCalledWith({
+      expect(crudOperations.create).toHaveBeenCalledWith('summaries', mockBillId, {
         billId: mockBillId,
         summaries: {
           'high-level': mockSummary
@@ -282,7 +258,7 @@ describe('SummaryService', () => {
       const result = await summaryService.getCachedSummary(mockBillId, 'high-level');
       
       expect(result).toBe(mockSummary);
-      expect(mockDb.collection).not.toHaveBeenCalled();
+      expect(crudOperations.read).not.toHaveBeenCalled();
     });
 
     it('should clear cache correctly', () => {
@@ -320,9 +296,7 @@ describe('SummaryService', () => {
 
   describe('error handling', () => {
     it('should handle database connection errors gracefully', async () => {
-      databaseService.getDb.mockImplementation(() => {
-        throw new Error('Database connection failed');
-      });
+      crudOperations.read.mockRejectedValue(new Error('Database connection failed'));
 
       const result = await summaryService.getCachedSummary('SB123', 'high-level');
       
@@ -330,12 +304,7 @@ describe('SummaryService', () => {
     });
 
     it('should handle caching errors without breaking main flow', async () => {
-      const mockDocRef = {
-        get: jest.fn().mockResolvedValue({ exists: false }),
-        set: jest.fn().mockRejectedValue(new Error('Cache write failed'))
-      };
-      
-      mockDb.collection().doc.mockReturnValue(mockDocRef);
+      crudOperations.create.mockRejectedValue(new Error('Cache write failed'));
       
       // Should not throw error
       await expect(summaryService.cacheSummary('SB123', 'high-level', 'summary')).resolves.toBeUndefined();
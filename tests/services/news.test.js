@@ -1,17 +1,18 @@
 const { NewsService } = require('../../services/news');
 const { databaseService } = require('../../config/database');
+const { crudOperations } = require('../../config/crud-operations');
 
 // Mock NewsAPI
 jest.mock('newsapi');
 const NewsAPI = require('newsapi');
 
-// Mock database service
+// Mock database service and CRUD operations
 jest.mock('../../config/database');
+jest.mock('../../config/crud-operations');
 
 describe('NewsService', () => {
   let newsService;
   let mockNewsAPI;
-  let mockDb;
 
   beforeEach(() => {
     // Reset mocks
@@ -29,13 +30,9 @@ describe('NewsService', () => {
     NewsAPI.mockImplementation(() => mockNewsAPI);
     
     // Mock database
-    mockDb = {
-      collection: jest.fn().mockReturnThis(),
-      doc: jest.fn().mockReturnThis(),
-      get: jest.fn(),
-      set: jest.fn()
-    };
-    databaseService.getDb.mockReturnValue(mockDb);
+    databaseService.isConnected = true;
+    crudOperations.read.mockResolvedValue(null);
+    crudOperations.create.mockResolvedValue({});
     
     // Set test environment variable
     process.env.NEWS_API_KEY = 'test-api-key';
@@ -130,12 +127,10 @@ describe('NewsService', () => {
         }
       ];
 
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          articles: cachedArticles,
-          lastFetched: { toMillis: () => Date.now() - 1000 } // 1 second ago
-        })
+      crudOperations.read.mockResolvedValue({
+        id: 'bill123',
+        articles: cachedArticles,
+        lastFetched: { toMillis: () => Date.now() - 1000 } // 1 second ago
       });
 
       const result = await newsService.getNewsForBill('bill123', mockBillData);
@@ -261,7 +256,7 @@ describe('NewsService', () => {
       await newsService.initialize();
     });
 
-    test('should cache news articles in Firebase', async () => {
+    test('should cache news articles in the database', async () => {
       const articles = [
         {
           headline: 'Test Article',
@@ -274,9 +269,7 @@ describe('NewsService', () => {
 
       await newsService.cacheNews('bill123', articles);
       
-      expect(mockDb.collection).toHaveBeenCalledWith('news_cache');
-      expect(mockDb.doc).toHaveBeenCalledWith('bill123');
-      expect(mockDb.set).toHaveBeenCalledWith(expect.objectContaining({
+      expect(crudOperations.create).toHaveBeenCalledWith('news_cache', 'bill123', expect.objectContaining({
         billId: 'bill123',
         articles,
         articleCount: 1
@@ -284,7 +277,7 @@ describe('NewsService', () => {
     });
 
     test('should handle caching errors gracefully', async () => {
-      mockDb.set.mockRejectedValue(new Error('Database error'));
+      crudOperations.create.mockRejectedValue(new Error('Database error'));
       
       // Should not throw error
       await expect(newsService.cacheNews('bill123', [])).resolves.not.toThrow();
@@ -2,10 +2,23 @@ const { ScrapingScheduler, ScrapingLogger } = require('../../services/scheduler'
 const { TexasLegislatureScraper } = require('../../services/scraper');
 const { billDatabase } = require('../../config/bill-database');
 const { databaseService } = require('../../config/database');
+const { notifier } = require('../../services/notifier');
+const { webhookService } = require('../../services/webhooks');
+const { legislatorService } = require('../../services/legislators');
+const { committeeService } = require('../../services/committees');
+const { versionDatabase } = require('../../config/version-database');
+const { statuteDatabase } = require('../../config/statute-database');
+const { billCatalog } = require('../../services/bill-catalog');
 
 // Mock dependencies
 jest.mock('../../services/scraper');
+jest.mock('../../services/notifier');
+jest.mock('../../services/webhooks');
+jest.mock('../../services/legislators');
+jest.mock('../../services/committees');
 jest.mock('../../config/bill-database');
+jest.mock('../../config/version-database');
+jest.mock('../../config/statute-database');
 jest.mock('../../config/database');
 jest.mock('node-cron');
 
@@ -33,9 +46,26 @@ describe('ScrapingScheduler', () => {
     // Mock bill database
     billDatabase.getBill = jest.fn();
     billDatabase.saveBill = jest.fn().mockResolvedValue(true);
+    jest.spyOn(billCatalog, 'getRows').mockResolvedValue([]);
+    billDatabase.markBillsSeen = jest.fn().mockResolvedValue(0);
+    billDatabase.markBillsMissing = jest.fn().mockResolvedValue(0);
     
     // Mock scraper
-    TexasLegislatureScraper.prototype.scrapeBillsWithDetails = jest.fn();
+    scheduler.scraper.scrapeBills = jest.fn();
+    scheduler.scraper.fetchBillDetails = jest.fn(async bill => ({ ...bill, detailsFetchedAt: new Date() }));
+    
+    // Mock webhook event collection
+    webhookService.getBillEvents.mockImplementation((previous, bill) => [{ event: previous ? 'bill.status_changed' : 'bill.created', data: { bill } }]);
+    webhookService.emit.mockResolvedValue([]);
+    
+    // Mock the legislator directory
+    legislatorService.refreshIfStale.mockResolvedValue(null);
+    legislatorService.linkBill.mockImplementation(async bill => bill);
+    
+    // Mock the committee hearing calendar
+    committeeService.refreshIfStale.mockResolvedValue(null);
+    committeeService.refreshHearingsIfStale.mockResolvedValue({ hearings: 0, billsScheduled: 0 });
+    committeeService.refreshHearings.mockResolvedValue({ hearings: 0, billsScheduled: 0 });
     
     // Mock the delay function to avoid actual delays in tests
     scheduler.delay = jest.fn().mockResolvedValue();
@@ -137,7 +167,7 @@ describe('ScrapingScheduler', () => {
         { billNumber: 'SB2', shortTitle: 'Test Bill 2', status: 'In Committee' }
       ];
       
-      TexasLegislatureScraper.prototype.scrapeBillsWithDetails.mockResolvedValue(mockBills);
+      scheduler.scraper.scrapeBills.mockResolvedValue(mockBills);
       billDatabase.getBill.mockResolvedValue(null); // New bills
       
       const result = await scheduler.runScrapingJob();
@@ -147,8 +177,57 @@ describe('ScrapingScheduler', () => {
       expect(scheduler.isRunning).toBe(false);
     }, 10000);
 
+    it('should emit webhook events for ingested bills once the job succeeds', async () => {
+      scheduler.scraper.scrapeBills.mockResolvedValue([{ billNumber: 'SB1', shortTitle: 'Test Bill 1', status: 'Filed' }]);
+      billDatabase.getBill.mockResolvedValue(null);
+
+      const result = await scheduler.runScrapingJob();
+
+      expect(result.webhookEvents).toBe(1);
+      expect(webhookService.emit).toHaveBeenCalledWith('bill.created', { bill: expect.objectContaining({ billNumber: 'SB1' }) });
+    });
+
+    it('should keep scraping when the legislator directory refresh fails', async () => {
+      scheduler.scraper.scrapeBills.mockResolvedValue([{ billNumber: 'SB1', shortTitle: 'Test Bill 1', status: 'Filed' }]);
+      billDatabase.getBill.mockResolvedValue(null);
+      legislatorService.refreshIfStale.mockRejectedValue(new Error('Member list unavailable'));
+
+      const result = await scheduler.runScrapingJob();
+
+      expect(result.success).toBe(true);
+      expect(result.legislatorsRefreshed).toBe(0);
+    });
+
+    it('should refresh hearings after ingestion and keep the job successful when it fails', async () => {
+      scheduler.scraper.scrapeBills.mockResolvedValue([{ billNumber: 'SB1', shortTitle: 'Test Bill 1', status: 'Filed' }]);
+      billDatabase.getBill.mockResolvedValue(null);
+      committeeService.refreshHearingsIfStale.mockResolvedValueOnce({ hearings: 3, billsScheduled: 7 });
+
+      const result = await scheduler.runScrapingJob();
+
+      expect(result.hearingsScheduled).toBe(3);
+      expect(committeeService.refreshHearingsIfStale.mock.invocationCallOrder[0])
+        .toBeGreaterThan(billDatabase.saveBill.mock.invocationCallOrder[0]);
+
+      committeeService.refreshHearingsIfStale.mockRejectedValueOnce(new Error('Meetings page unavailable'));
+      const failed = await scheduler.runScrapingJob();
+
+      expect(failed.success).toBe(true);
+      expect(failed.hearingsScheduled).toBe(0);
+    });
+
+    it('should only refresh a current hearing calendar when forced', async () => {
+      committeeService.refreshHearingsIfStale.mockResolvedValueOnce(null);
+
+      expect(await scheduler.refreshHearings()).toBeNull();
+      expect(committeeService.refreshHearings).not.toHaveBeenCalled();
+
+      await scheduler.refreshHearings({ force: true });
+      expect(committeeService.refreshHearings).toHaveBeenCalledTimes(1);
+    });
+
     it('should handle scraping errors with retry logic', async () => {
-      TexasLegislatureScraper.prototype.scrapeBillsWithDetails
+      scheduler.scraper.scrapeBills
         .mockRejectedValueOnce(new Error('Network error'))
         .mockRejectedValueOnce(new Error('Network error'))
         .mockResolvedValue([{ billNumber: 'SB1', shortTitle: 'Test', status: 'Filed' }]);
@@ -162,7 +241,7 @@ describe('ScrapingScheduler', () => {
     }, 15000);
 
     it('should fail after max retries', async () => {
-      TexasLegislatureScraper.prototype.scrapeBillsWithDetails.mockRejectedValue(new Error('Persistent error'));
+      scheduler.scraper.scrapeBills.mockRejectedValue(new Error('Persistent error'));
       
       const result = await scheduler.runScrapingJob();
       
@@ -171,54 +250,120 @@ describe('ScrapingScheduler', () => {
     }, 15000);
   });
 
-  describe('saveBillsToDatabase', () => {
-    it('should save new bills successfully', async () => {
-      const bills = [
-        { billNumber: 'SB1', shortTitle: 'Test Bill 1', status: 'Filed' },
-        { billNumber: 'SB2', shortTitle: 'Test Bill 2', status: 'In Committee' }
-      ];
-      
-      billDatabase.getBill.mockResolvedValue(null); // No existing bills
-      
-      const result = await scheduler.saveBillsToDatabase(bills);
-      
-      expect(result.saved).toBe(2);
-      expect(result.updated).toBe(0);
-      expect(result.errors).toBe(0);
-      expect(billDatabase.saveBill).toHaveBeenCalledTimes(2);
+  describe('ingestBills', () => {
+    const reportBill = (number, reportAction) => ({
+      id: `89R-SB${number}`,
+      billNumber: `SB ${number}`,
+      session: '89R',
+      chamber: 'Senate',
+      shortTitle: `Test Bill ${number}`,
+      status: 'Filed',
+      reportAction
     });
 
-    it('should update existing bills', async () => {
-      const bills = [
-        { billNumber: 'SB1', shortTitle: 'Updated Bill', status: 'Passed' }
-      ];
-      
-      billDatabase.getBill.mockResolvedValue({ billNumber: 'SB1', shortTitle: 'Old Title' });
-      
-      const result = await scheduler.saveBillsToDatabase(bills);
-      
-      expect(result.saved).toBe(0);
-      expect(result.updated).toBe(1);
-      expect(result.errors).toBe(0);
+    it('should only fetch details for new and changed bills', async () => {
+      billDatabase.getBill.mockImplementation(async docId => ({
+        '89R-SB2': { id: '89R-SB2', reportAction: 'Referred to Finance', detailsFetchedAt: new Date() },
+        '89R-SB3': { id: '89R-SB3', reportAction: 'Referred to Finance', detailsFetchedAt: new Date() }
+      })[docId] || null);
+
+      const result = await scheduler.ingestBills([
+        reportBill(1, 'Filed'),
+        reportBill(2, 'Reported favorably'),
+        reportBill(3, 'Referred to Finance')
+      ]);
+
+      expect(result).toMatchObject({ new: 1, changed: 1, unchanged: 1, missing: 0 });
+      expect(scheduler.scraper.fetchBillDetails).toHaveBeenCalledTimes(2);
+      expect(billDatabase.markBillsSeen).toHaveBeenCalledWith(['89R-SB3'], expect.any(Date));
     });
 
-    it('should handle individual bill save errors', async () => {
-      const bills = [
-        { billNumber: 'SB1', shortTitle: 'Good Bill', status: 'Filed' },
-        { billNumber: 'SB2', shortTitle: 'Bad Bill', status: 'Filed' }
-      ];
-      
+    it('should notify watchers about changed bills only', async () => {
+      const storedBill = { id: '89R-SB2', reportAction: 'Referred to Finance', detailsFetchedAt: new Date() };
+      billDatabase.getBill.mockImplementation(async docId => docId === '89R-SB2' ? storedBill : null);
+      scheduler.scraper.fetchBillDetails.mockImplementation(async bill => ({ ...bill, status: 'In Committee' }));
+
+      await scheduler.ingestBills([reportBill(1, 'Filed'), reportBill(2, 'Reported favorably')]);
+
+      expect(notifier.notifyBillChange).toHaveBeenCalledTimes(1);
+      expect(notifier.notifyBillChange).toHaveBeenCalledWith(storedBill, expect.objectContaining({ id: '89R-SB2', status: 'In Committee' }));
+    });
+
+    it('should link bills to legislators before saving', async () => {
       billDatabase.getBill.mockResolvedValue(null);
-      billDatabase.saveBill
-        .mockResolvedValueOnce(true)
-        .mockRejectedValueOnce(new Error('Save failed'));
-      
-      const result = await scheduler.saveBillsToDatabase(bills);
-      
-      expect(result.saved).toBe(1);
+      legislatorService.linkBill.mockImplementation(async bill => ({ ...bill, legislatorIds: ['A1140'] }));
+
+      await scheduler.ingestBills([reportBill(1, 'Filed')]);
+
+      expect(billDatabase.saveBill).toHaveBeenCalledWith(expect.objectContaining({ id: '89R-SB1', legislatorIds: ['A1140'] }));
+    });
+
+    it('should store text versions apart from the bill', async () => {
+      const textVersions = [{ code: 'I', order: 0, text: 'Introduced text' }, { code: 'S', order: 1, text: 'Substitute text' }];
+      billDatabase.getBill.mockResolvedValue(null);
+      billDatabase.saveBill.mockImplementation(async bill => bill);
+      scheduler.scraper.fetchBillDetails.mockImplementation(async bill => ({ ...bill, textVersions }));
+
+      await scheduler.ingestBills([reportBill(1, 'Filed')]);
+
+      expect(billDatabase.saveBill).toHaveBeenCalledWith(expect.not.objectContaining({ textVersions: expect.anything() }));
+      expect(versionDatabase.saveVersions).toHaveBeenCalledWith('89R-SB1', textVersions);
+    });
+
+    it('should index the statutes cited by saved bill text', async () => {
+      const billText = 'AN ACT relating to criminal history records. SECTION 1. Section 411.0205(b), Government Code, is amended to read as follows: ' +
+        '(b) A record described by Chapter 411, Government Code, is confidential.';
+      billDatabase.getBill.mockResolvedValue(null);
+      billDatabase.saveBill.mockImplementation(async bill => bill);
+      scheduler.scraper.fetchBillDetails.mockImplementation(async bill => ({ ...bill, billText }));
+
+      await scheduler.ingestBills([reportBill(1, 'Filed')]);
+
+      expect(statuteDatabase.replaceBillReferences).toHaveBeenCalledWith('89R-SB1', [
+        expect.objectContaining({ sectionKey: 'GV:411.0205', chapterKey: 'GV:411', actions: ['amended'] }),
+        expect.objectContaining({ unit: 'chapter', chapterKey: 'GV:411', actions: ['referenced'] })
+      ]);
+    });
+
+    it('should keep ingesting when statute indexing fails', async () => {
+      billDatabase.getBill.mockResolvedValue(null);
+      billDatabase.saveBill.mockImplementation(async bill => bill);
+      scheduler.scraper.fetchBillDetails.mockImplementation(async bill => ({ ...bill, billText: 'SECTION 1. Section 1.001, Tax Code, is amended.' }));
+      statuteDatabase.replaceBillReferences.mockRejectedValueOnce(new Error('write failed'));
+
+      const result = await scheduler.ingestBills([reportBill(1, 'Filed'), reportBill(2, 'Filed')]);
+
+      expect(result).toMatchObject({ new: 2, errors: 0 });
+      expect(statuteDatabase.replaceBillReferences).toHaveBeenCalledTimes(2);
+    });
+
+    it('should flag stored bills that dropped out of the report', async () => {
+      billDatabase.getBill.mockResolvedValue(null);
+      billCatalog.getRows.mockResolvedValue([
+        { id: '89R-SB1', billNumber: 'SB 1', chamber: 'Senate' },
+        { id: '89R-SB2', billNumber: 'SB 2', chamber: 'Senate' },
+        { id: '89R-SB9', billNumber: 'SB 9', chamber: 'Senate' },
+        { id: '89R-SB10', billNumber: 'SB 10', chamber: 'Senate', missingFromReport: true },
+        { id: '89R-HB9', billNumber: 'HB 9', chamber: 'House' }
+      ]);
+
+      const result = await scheduler.ingestBills([reportBill(1, 'Filed'), reportBill(2, 'Filed')]);
+
+      expect(result.missing).toBe(2);
+      expect(billDatabase.markBillsMissing).toHaveBeenCalledWith(['89R-SB9'], expect.any(Date));
+      expect(billCatalog.getRows).toHaveBeenCalledTimes(1);
+      expect(billCatalog.getRows).toHaveBeenCalledWith({ session: '89R' });
+    });
+
+    it('should not flag bills in the report whose stored copy could not be read', async () => {
+      billDatabase.getBill.mockRejectedValue(new Error('Read timed out'));
+      billCatalog.getRows.mockResolvedValue([{ id: '89R-SB1', billNumber: 'SB 1', chamber: 'Senate' }]);
+
+      const result = await scheduler.ingestBills([reportBill(1, 'Filed')]);
+
       expect(result.errors).toBe(1);
-      expect(result.errorDetails).toHaveLength(1);
-      expect(result.errorDetails[0].billNumber).toBe('SB2');
+      expect(result.missing).toBe(0);
+      expect(billDatabase.markBillsMissing).not.toHaveBeenCalled();
     });
   });
 
@@ -51,17 +51,17 @@ describe('TexasLegislatureScraper - Core Functionality', () => {
     });
 
     it('should normalize Committee status variations', () => {
-      expect(scraper.normalizeStatus('Referred to Committee')).toBe('In Committee');
-      expect(scraper.normalizeStatus('In Committee - Education')).toBe('In Committee');
-      expect(scraper.normalizeStatus('committee review')).toBe('In Committee');
-      expect(scraper.normalizeStatus('REFERRED TO COMMITTEE')).toBe('In Committee');
+      expect(scraper.normalizeStatus('Referred to Committee')).toBe('Referred to Committee');
+      expect(scraper.normalizeStatus('In Committee - Education')).toBe('Referred to Committee');
+      expect(scraper.normalizeStatus('committee review')).toBe('Referred to Committee');
+      expect(scraper.normalizeStatus('REFERRED TO COMMITTEE')).toBe('Referred to Committee');
     });
 
     it('should normalize Passed status variations', () => {
-      expect(scraper.normalizeStatus('Passed')).toBe('Passed');
-      expect(scraper.normalizeStatus('Enacted')).toBe('Passed');
-      expect(scraper.normalizeStatus('passed')).toBe('Passed');
-      expect(scraper.normalizeStatus('ENACTED')).toBe('Passed');
+      expect(scraper.normalizeStatus('Passed')).toBe('Passed Originating Chamber');
+      expect(scraper.normalizeStatus('Enacted')).toBe('Signed');
+      expect(scraper.normalizeStatus('passed')).toBe('Passed Originating Chamber');
+      expect(scraper.normalizeStatus('ENACTED')).toBe('Signed');
     });
 
     it('should default to Filed for unknown statuses', () => {
@@ -111,7 +111,7 @@ describe('TexasLegislatureScraper - Core Functionality', () => {
     });
 
     it('should reject invalid bill number formats', () => {
-      const invalidFormats = ['INVALID123', 'HB1', 'AB123', '123', 'SB', ''];
+      const invalidFormats = ['INVALID123', 'SBX1', 'AB123', '123', 'SB', ''];
       invalidFormats.forEach(billNumber => {
         const bill = {
           billNumber,
@@ -123,7 +123,7 @@ describe('TexasLegislatureScraper - Core Functionality', () => {
     });
 
     it('should accept various valid bill number formats', () => {
-      const validFormats = ['SB1', 'SB 1', 'sb1', 'SB123', 'sb 456'];
+      const validFormats = ['SB1', 'SB 1', 'sb1', 'SB123', 'sb 456', 'HB1', 'HJR 12', 'scr 3'];
       validFormats.forEach(billNumber => {
         const bill = {
           billNumber,
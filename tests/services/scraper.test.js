@@ -255,10 +255,10 @@ describe('TexasLegislatureScraper', () => {
     it('should normalize various status formats', () => {
       expect(scraper.normalizeStatus('Filed')).toBe('Filed');
       expect(scraper.normalizeStatus('Introduced')).toBe('Filed');
-      expect(scraper.normalizeStatus('Referred to Committee')).toBe('In Committee');
-      expect(scraper.normalizeStatus('In Committee - Education')).toBe('In Committee');
-      expect(scraper.normalizeStatus('Passed')).toBe('Passed');
-      expect(scraper.normalizeStatus('Enacted')).toBe('Passed');
+      expect(scraper.normalizeStatus('Referred to Committee')).toBe('Referred to Committee');
+      expect(scraper.normalizeStatus('In Committee - Education')).toBe('Referred to Committee');
+      expect(scraper.normalizeStatus('Passed')).toBe('Passed Originating Chamber');
+      expect(scraper.normalizeStatus('Enacted')).toBe('Signed');
       expect(scraper.normalizeStatus('Unknown Status')).toBe('Filed');
       expect(scraper.normalizeStatus('')).toBe('Filed');
     });
@@ -0,0 +1,137 @@
+// Statute cross-reference tests - citation extraction, the reverse index and the statutes API
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { statuteIndex } = require('../services/statute-index');
+
+const BILLS = {
+  'HB 50': 'AN ACT relating to criminal history record information. BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS: ' +
+    'SECTION 1. Section 411.0205(b), Government Code, is amended to read as follows: ' +
+    '(b) Information obtained under Subchapter F, Chapter 411, Government Code, is confidential. ' +
+    'SECTION 2. This Act takes effect September 1, 2025.',
+  'HB 51': 'AN ACT relating to the Department of Public Safety. BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS: ' +
+    'SECTION 1. Chapter 411, Government Code, is amended by adding Subchapter Q to read as follows: text. ' +
+    'SECTION 2. Section 411.0205, Government Code, is repealed.',
+  'SB 52': 'AN ACT relating to school safety. BE IT ENACTED BY THE LEGISLATURE OF THE STATE OF TEXAS: ' +
+    'SECTION 1. Section 37.081, Education Code, is amended to read as follows: A peace officer commissioned under ' +
+    'Section 411.0207, Government Code, may serve a district.'
+};
+
+describe('Statute cross-references', () => {
+  beforeAll(async () => {
+    await databaseService.connect();
+
+    for (const [billNumber, billText] of Object.entries(BILLS)) {
+      const saved = await billDatabase.saveBill({
+        billNumber,
+        session: '89R',
+        status: 'Filed',
+        shortTitle: `${billNumber} short title`,
+        fullTitle: `Relating to ${billNumber}`,
+        billText
+      });
+      await statuteIndex.indexBill(saved);
+    }
+    // Same chapter, previous session
+    await statuteIndex.indexBill(await billDatabase.saveBill({
+      billNumber: 'HB 50',
+      session: '88R',
+      status: 'Filed',
+      shortTitle: 'HB 50 (88R) short title',
+      fullTitle: 'Relating to HB 50',
+      billText: BILLS['HB 50']
+    }));
+  });
+
+  describe('index', () => {
+    test('should resolve codes by abbreviation, name or slug', () => {
+      expect(statuteIndex.resolveCode('gv')).toEqual({ id: 'GV', name: 'Government Code' });
+      expect(statuteIndex.resolveCode('Government Code')).toEqual({ id: 'GV', name: 'Government Code' });
+      expect(statuteIndex.resolveCode('criminal-procedure')).toEqual({ id: 'CR', name: 'Code of Criminal Procedure' });
+    });
+
+    test('should mark changed statutes with their action and other citations as referenced', () => {
+      const references = statuteIndex.getReferences({ id: '89R-HB50', session: '89R', billNumber: 'HB 50', billText: BILLS['HB 50'] });
+
+      expect(references.map(reference => [reference.citation, reference.actions, reference.chapterKey])).toEqual([
+        ['Section 411.0205, Government Code', ['amended'], 'GV:411'],
+        ['Subchapter F, Chapter 411, Government Code', ['referenced'], 'GV:411']
+      ]);
+    });
+  });
+
+  describe('GET /api/statutes/:code/:section/bills', () => {
+    test('should list bills citing a code section', async () => {
+      const response = await request(app).get('/api/statutes/GV/411.0205/bills?session=89R').expect(200);
+
+      expect(response.body.data.section).toBe('411.0205');
+      expect(response.body.data.bills.map(bill => [bill.docId, bill.references[0].actions])).toEqual([
+        ['89R-HB50', ['amended']],
+        ['89R-HB51', ['repealed']]
+      ]);
+    });
+
+    test('should list every bill touching a chapter', async () => {
+      const response = await request(app).get('/api/statutes/government/411/bills?session=89R').expect(200);
+
+      expect(response.body.data.chapter).toBe('411');
+      expect(response.body.data.bills.map(bill => bill.docId)).toEqual(['89R-HB50', '89R-HB51', '89R-SB52']);
+      expect(response.body.data.bills[1].references.map(reference => reference.citation)).toEqual([
+        'Chapter 411, Government Code',
+        'Section 411.0205, Government Code',
+        'Subchapter Q, Chapter 411, Government Code'
+      ]);
+    });
+
+    test('should include other sessions unless filtered, and reject bad sections', async () => {
+      const response = await request(app).get('/api/statutes/GV/411.0205/bills').expect(200);
+      expect(response.body.data.bills.map(bill => bill.docId)).toContain('88R-HB50');
+
+      await request(app).get('/api/statutes/GV/not-a-section/bills').expect(400);
+    });
+  });
+
+  describe('GET /api/statutes', () => {
+    test('should search statutes with bill counts', async () => {
+      const response = await request(app).get('/api/statutes?code=GV&q=411.02&session=89R').expect(200);
+
+      expect(response.body.data.map(statute => [statute.citation, statute.billCount])).toEqual([
+        ['Section 411.0205, Government Code', 2],
+        ['Section 411.0207, Government Code', 1]
+      ]);
+      expect(response.body.data[0]).toMatchObject({
+        actions: ['amended', 'repealed'],
+        url: 'https://statutes.capitol.texas.gov/Docs/GV/htm/GV.411.htm#411.0205'
+      });
+    });
+
+    test('should drop bills from a statute once their text stops citing it', async () => {
+      const sb52 = await billDatabase.getBill('89R-SB52');
+      await statuteIndex.indexBill({ ...sb52, billText: sb52.billText.replace(/, may serve a district/, '').replace(/Section 411\.0207, Government Code/, 'state law') });
+
+      const response = await request(app).get('/api/statutes?code=GV&q=411.02').expect(200);
+      expect(response.body.data.map(statute => [statute.citation, statute.billCount])).toEqual([
+        ['Section 411.0205, Government Code', 3]
+      ]);
+
+      await statuteIndex.indexBill(sb52);
+    });
+
+    test('should require a query or a code', async () => {
+      await request(app).get('/api/statutes').expect(400);
+    });
+  });
+
+  test('POST /api/scheduler/reindex-statutes should rebuild the index from stored bills', async () => {
+    await request(app).post('/api/scheduler/reindex-statutes').expect(401);
+    const response = await request(app)
+      .post('/api/scheduler/reindex-statutes')
+      .set('Authorization', 'Bearer test-admin-key')
+      .expect(200);
+    expect(response.body.result.bills).toBeGreaterThanOrEqual(4);
+  });
+});
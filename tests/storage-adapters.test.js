@@ -0,0 +1,154 @@
+// Storage adapter tests - the local adapter must answer queries the way Firestore does
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalAdapter } = require('../config/local-adapter');
+const { FirestoreAdapter } = require('../config/firestore-adapter');
+const { DatabaseService } = require('../config/database');
+
+describe('LocalAdapter', () => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = new LocalAdapter();
+    await adapter.connect();
+    await adapter.set('bills', 'SB2', { billNumber: 'SB 2', status: 'Filed', topics: ['Education'], filedDate: new Date('2025-01-02') });
+    await adapter.set('bills', 'SB1', { billNumber: 'SB 1', status: 'Passed', topics: ['Healthcare', 'Business'], filedDate: new Date('2025-01-01') });
+    await adapter.set('bills', 'SB3', { billNumber: 'SB 3', status: 'In Committee', topics: [] });
+  });
+
+  test('should read documents with their id and return null when missing', async () => {
+    expect(await adapter.get('bills', 'SB1')).toEqual(expect.objectContaining({ id: 'SB1', billNumber: 'SB 1' }));
+    expect(await adapter.get('bills', 'SB99')).toBeNull();
+  });
+
+  test('should order results by document id and honor the limit', async () => {
+    const all = await adapter.findAll('bills', 2);
+    expect(all.map(doc => doc.id)).toEqual(['SB1', 'SB2']);
+  });
+
+  test('should support Firestore where operators', async () => {
+    expect((await adapter.findWhere('bills', 'status', '==', 'Filed')).map(d => d.id)).toEqual(['SB2']);
+    expect((await adapter.findWhere('bills', 'status', 'in', ['Filed', 'Passed'])).map(d => d.id)).toEqual(['SB1', 'SB2']);
+    expect((await adapter.findWhere('bills', 'topics', 'array-contains', 'Business')).map(d => d.id)).toEqual(['SB1']);
+    expect((await adapter.findWhere('bills', 'topics', 'array-contains-any', ['Education', 'Business'])).map(d => d.id)).toEqual(['SB1', 'SB2']);
+    expect((await adapter.findWhere('bills', 'filedDate', '>', new Date('2025-01-01'))).map(d => d.id)).toEqual(['SB2']);
+    // Documents without the field never match, just like Firestore
+    expect((await adapter.findWhere('bills', 'filedDate', '!=', new Date('2025-01-01'))).map(d => d.id)).toEqual(['SB2']);
+  });
+
+  test('should page through ordered queries with a cursor', async () => {
+    await adapter.set('bills', 'SB4', { billNumber: 'SB 4', status: 'Filed', filedDate: new Date('2025-01-02') });
+    const orderBy = { field: 'filedDate', direction: 'desc' };
+
+    const first = await adapter.query('bills', { orderBy, limit: 2 });
+    expect(first.map(doc => doc.id)).toEqual(['SB4', 'SB2']);
+
+    const last = first[first.length - 1];
+    const second = await adapter.query('bills', { orderBy, startAfter: [last.filedDate, last.id], limit: 2 });
+    // SB3 has no filedDate, so ordering by it skips the bill
+    expect(second.map(doc => doc.id)).toEqual(['SB1']);
+
+    expect((await adapter.query('bills', { where: [['status', '==', 'Filed']], startAfter: ['SB2'] })).map(doc => doc.id)).toEqual(['SB4']);
+    await expect(adapter.query('bills', { where: [['status', 'like', 'F']] })).rejects.toThrow('Invalid query operator');
+  });
+
+  test('should read several documents at once', async () => {
+    const docs = await adapter.getMany('bills', ['SB3', 'SB99', 'SB1']);
+    expect(docs.map(doc => doc && doc.id)).toEqual(['SB3', null, 'SB1']);
+  });
+
+  test('should add to counters, creating the document and fields when missing', async () => {
+    await Promise.all([
+      adapter.increment('api_usage', 'key1_2025-03-01', { requests: 2 }),
+      adapter.increment('api_usage', 'key1_2025-03-01', { requests: 1, ai: 1 })
+    ]);
+    await adapter.increment('bills', 'SB1', { views: 3 });
+
+    expect(await adapter.get('api_usage', 'key1_2025-03-01')).toEqual({ id: 'key1_2025-03-01', requests: 3, ai: 1 });
+    expect(await adapter.get('bills', 'SB1')).toMatchObject({ billNumber: 'SB 1', views: 3 });
+  });
+
+  test('should reject updates to missing documents', async () => {
+    await expect(adapter.update('bills', 'SB99', { status: 'Filed' })).rejects.toThrow('No document to update');
+  });
+
+  test('should leave data untouched when a batch fails', async () => {
+    await expect(adapter.batchWrite([
+      { type: 'delete', collection: 'bills', docId: 'SB1' },
+      { type: 'update', collection: 'bills', docId: 'SB99', data: { status: 'Filed' } }
+    ])).rejects.toThrow();
+
+    expect(await adapter.get('bills', 'SB1')).not.toBeNull();
+  });
+
+  test('should not leak mutations of returned documents', async () => {
+    const bill = await adapter.get('bills', 'SB1');
+    bill.topics.push('Mutated');
+
+    expect((await adapter.get('bills', 'SB1')).topics).toEqual(['Healthcare', 'Business']);
+  });
+});
+
+describe('LocalAdapter file persistence', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'awaretexas-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should persist collections and revive dates', async () => {
+    const writer = new LocalAdapter({ dataDir });
+    await writer.connect();
+    await writer.set('summaries', 'SB1', { billId: 'SB1', generatedAt: new Date('2025-03-01T12:00:00.000Z') });
+
+    const reader = new LocalAdapter({ dataDir });
+    await reader.connect();
+    const summary = await reader.get('summaries', 'SB1');
+
+    expect(summary.generatedAt).toBeInstanceOf(Date);
+    expect(summary.generatedAt.toISOString()).toBe('2025-03-01T12:00:00.000Z');
+  });
+});
+
+describe('DatabaseService adapter selection', () => {
+  const originalBackend = process.env.STORAGE_BACKEND;
+
+  afterEach(() => {
+    if (originalBackend === undefined) {
+      delete process.env.STORAGE_BACKEND;
+    } else {
+      process.env.STORAGE_BACKEND = originalBackend;
+    }
+  });
+
+  test('should default to Firestore', () => {
+    delete process.env.STORAGE_BACKEND;
+    const service = new DatabaseService();
+
+    expect(service.createAdapter(service.getBackendName())).toBeInstanceOf(FirestoreAdapter);
+  });
+
+  test('should connect and initialize collections with the memory backend', async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    const service = new DatabaseService();
+
+    await service.connect();
+    await service.initializeCollections();
+
+    expect(service.getAdapter()).toBeInstanceOf(LocalAdapter);
+    expect(await service.getAdapter().get('bills', '_structure')).toEqual(expect.objectContaining({ _isStructureDoc: true }));
+  });
+
+  test('should reject unknown backends', async () => {
+    process.env.STORAGE_BACKEND = 'mongodb';
+    const service = new DatabaseService();
+
+    await expect(service.connect()).rejects.toThrow('Unknown STORAGE_BACKEND');
+    expect(service.isConnected).toBe(false);
+  });
+});
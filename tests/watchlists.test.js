@@ -0,0 +1,169 @@
+// Watchlist tests - following bills and turning their changes into notifications
+process.env.STORAGE_BACKEND = 'memory';
+
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { billDatabase } = require('../config/bill-database');
+const { notifier, StubTransport, WebhookTransport } = require('../services/notifier');
+
+const bill = {
+  billNumber: 'SB 30',
+  session: '89R',
+  shortTitle: 'Flood Control',
+  fullTitle: 'Relating to flood control planning',
+  status: 'Filed',
+  committee: ''
+};
+
+describe('Notifier', () => {
+  test('should detect status, committee, vote and text changes', () => {
+    const events = notifier.detectEvents(
+      { status: 'Filed', committee: '', votingData: { votes: [] } },
+      {
+        status: 'In Committee',
+        committee: 'Finance',
+        billText: 'AN ACT relating to flood control planning.',
+        votingData: { votes: [{ chamber: 'Senate', description: 'Passed', votes: { yea: 30, nay: 1 } }] }
+      }
+    );
+
+    expect(events.map(event => event.type)).toEqual(['status', 'committee', 'vote', 'text']);
+    expect(notifier.describeEvent(events[2])).toBe('New Senate vote: 30 yea, 1 nay');
+  });
+
+  test('should refuse to post webhooks to private hosts', async () => {
+    await expect(new WebhookTransport().send({ webhookUrl: 'http://127.0.0.1:9/hook' }, { payload: {} }))
+      .rejects.toThrow('not a public address');
+  });
+
+  test('should not report votes that were already stored', () => {
+    const votingData = { votes: [{ chamber: 'Senate', description: 'Passed', votes: { yea: 30 } }] };
+
+    expect(notifier.detectEvents({ status: 'Passed', votingData }, { status: 'Passed', votingData })).toEqual([]);
+  });
+});
+
+describe('Watchlists API', () => {
+  const stub = new StubTransport();
+  let token;
+
+  beforeAll(async () => {
+    await databaseService.connect();
+    await billDatabase.saveBill(bill);
+    notifier.setTransports([stub]);
+  });
+
+  test('POST /api/watchlists should create an anonymous watchlist with a token', async () => {
+    const response = await request(app)
+      .post('/api/watchlists')
+      .send({ name: 'Water bills', email: 'staff@example.org' })
+      .expect(201);
+
+    token = response.body.data.token;
+    expect(token).toEqual(expect.any(String));
+    expect(response.body.data).toMatchObject({ ownerType: 'anonymous', name: 'Water bills', bills: [] });
+    expect(response.body.data.tokenHash).toBeUndefined();
+  });
+
+  test('should require a valid token', async () => {
+    await request(app).get('/api/watchlists').expect(401);
+    await request(app).get('/api/watchlists').set('X-Watchlist-Token', 'not-a-token').expect(401);
+  });
+
+  test('should reject invalid delivery settings', async () => {
+    await request(app)
+      .put('/api/watchlists')
+      .set('X-Watchlist-Token', token)
+      .send({ webhookUrl: 'ftp://example.org/hook' })
+      .expect(400);
+
+    await request(app)
+      .put('/api/watchlists')
+      .set('X-Watchlist-Token', token)
+      .send({ webhookUrl: 'http://169.254.169.254/latest/meta-data' })
+      .expect(400);
+  });
+
+  test('should follow bills by any id format', async () => {
+    await request(app)
+      .post('/api/watchlists/bills')
+      .set('X-Watchlist-Token', token)
+      .send({ billId: 'sb30' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/watchlists/bills')
+      .set('X-Watchlist-Token', token)
+      .send({ billId: 'SB 9999' })
+      .expect(404);
+
+    const response = await request(app)
+      .get('/api/watchlists')
+      .set('X-Watchlist-Token', token)
+      .expect(200);
+
+    expect(response.headers['cache-control']).toBe('private, no-store');
+    expect(response.body.data.bills).toEqual([
+      expect.objectContaining({ id: '89R-SB30', billNumber: 'SB 30', status: 'Filed' })
+    ]);
+  });
+
+  test('should notify watchers when a followed bill changes', async () => {
+    const previous = await billDatabase.getBill('89R-SB30');
+    const notifications = await notifier.notifyBillChange(previous, { ...previous, status: 'In Committee', committee: 'Water' });
+
+    expect(notifications).toHaveLength(1);
+    expect(stub.sent).toHaveLength(1);
+    expect(stub.sent[0].subject).toBe('SB 30: Status changed from Filed to In Committee (+1 more)');
+
+    const response = await request(app)
+      .get('/api/watchlists/notifications')
+      .set('X-Watchlist-Token', token)
+      .expect(200);
+
+    expect(response.body.data.count).toBe(1);
+    expect(response.body.data.notifications[0]).toMatchObject({
+      billId: '89R-SB30',
+      events: [
+        { type: 'status', from: 'Filed', to: 'In Committee' },
+        { type: 'committee', from: null, to: 'Water' }
+      ],
+      deliveries: [{ transport: 'stub', status: 'sent', error: null }]
+    });
+  });
+
+  test('should stop following bills', async () => {
+    const response = await request(app)
+      .delete('/api/watchlists/bills/SB%2030')
+      .set('X-Watchlist-Token', token)
+      .expect(200);
+
+    expect(response.body.data.bills).toEqual([]);
+
+    stub.clear();
+    const previous = await billDatabase.getBill('89R-SB30');
+    await notifier.notifyBillChange(previous, { ...previous, status: 'Passed' });
+    expect(stub.sent).toEqual([]);
+  });
+
+  test('should share one watchlist per account when an account header is configured', async () => {
+    process.env.WATCHLIST_ACCOUNT_HEADER = 'X-Account-Id';
+
+    try {
+      const created = await request(app).post('/api/watchlists').set('X-Account-Id', 'staff-7').send({}).expect(201);
+      expect(created.body.data).toMatchObject({ ownerType: 'account', token: null });
+
+      const again = await request(app).post('/api/watchlists').set('X-Account-Id', 'staff-7').send({}).expect(200);
+      expect(again.body.data.id).toBe(created.body.data.id);
+
+      await request(app)
+        .post('/api/watchlists/bills')
+        .set('X-Account-Id', 'staff-7')
+        .send({ billId: '89R-SB30' })
+        .expect(200);
+    } finally {
+      delete process.env.WATCHLIST_ACCOUNT_HEADER;
+    }
+  });
+});
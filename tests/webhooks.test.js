@@ -0,0 +1,220 @@
+// Webhook tests - subscriptions receive signed payloads and every attempt lands in the delivery log
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+// The test receiver listens on loopback
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+
+const dns = require('dns');
+const http = require('http');
+const request = require('supertest');
+const app = require('../backend/server');
+const { databaseService } = require('../config/database');
+const { webhookDatabase } = require('../config/webhook-database');
+const { webhookService } = require('../services/webhooks');
+const { isPrivateAddress, resolvePublicUrl } = require('../services/outbound-url');
+
+describe('WebhookService', () => {
+  test('should sign payloads with HMAC-SHA256 over the timestamp and body', () => {
+    // echo -n '1700000000.{"ok":true}' | openssl dgst -sha256 -hmac secret
+    expect(webhookService.sign('secret', '1700000000', '{"ok":true}'))
+      .toBe('sha256=c1afc7c2df3db0690d7d75954610ed1a1d959ce96355ccb8c0a8bc09fd0cfc27');
+  });
+
+  test('should treat loopback, private and mapped addresses as private', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1', 'localhost',
+      '192.0.2.10', '198.51.100.7', '203.0.113.9', '2001:db8::1']
+      .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+    ['8.8.8.8', '2606:4700:4700::1111', '::ffff:1.1.1.1']
+      .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+  });
+
+  test('should turn bill changes into lifecycle events', () => {
+    const previous = { id: '89R-SB5', billNumber: 'SB 5', status: 'Filed', votingData: { votes: [] } };
+    const next = {
+      ...previous,
+      status: 'Passed',
+      votingData: { votes: [{ chamber: 'Senate', description: 'Third reading', votes: { yea: 31 } }] }
+    };
+
+    expect(webhookService.getBillEvents(null, previous).map(event => event.event)).toEqual(['bill.created']);
+    expect(webhookService.getBillEvents(previous, next)).toEqual([
+      { event: 'bill.status_changed', data: { bill: expect.objectContaining({ id: '89R-SB5' }), from: 'Filed', to: 'Passed' } },
+      { event: 'bill.voted', data: { bill: expect.objectContaining({ status: 'Passed' }), votes: [expect.objectContaining({ chamber: 'Senate' })] } }
+    ]);
+  });
+});
+
+describe('Webhook delivery', () => {
+  let server;
+  let receiverUrl;
+  let received;
+  let responses;
+
+  beforeAll(async () => {
+    await databaseService.connect();
+    webhookService.retryOptions = { maxRetries: 2, baseDelay: 10, maxDelay: 20 };
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+  });
+
+  test('POST /api/webhooks should validate events and return the secret once', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .send({ url: receiverUrl, events: ['bill.deleted'] })
+      .expect(400);
+
+    const created = await request(app)
+      .post('/api/webhooks')
+      .send({ url: receiverUrl, events: ['bill.status_changed'], description: 'Slack bot' })
+      .expect(201);
+
+    expect(created.body.data.secret).toEqual(expect.any(String));
+    expect(created.body.data.token).toEqual(expect.any(String));
+
+    const fetched = await request(app)
+      .get(`/api/webhooks/${created.body.data.id}`)
+      .set('X-Webhook-Token', created.body.data.token)
+      .expect(200);
+    expect(fetched.body.data).toEqual({
+      id: created.body.data.id,
+      url: receiverUrl,
+      events: ['bill.status_changed'],
+      description: 'Slack bot',
+      active: true
+    });
+  });
+
+  test('should deliver signed payloads only to matching subscriptions', async () => {
+    const subscription = await webhookDatabase.createSubscription({ url: receiverUrl, events: ['summary.generated'] });
+
+    await webhookService.emit('news.found', { billId: '89R-SB1', articles: [] });
+    const deliveries = await webhookService.emit('summary.generated', { billId: '89R-SB1', readingLevel: 'high-level', summary: 'Text' });
+    await webhookService.flush();
+
+    expect(deliveries).toHaveLength(1);
+    expect(received).toHaveLength(1);
+
+    const { headers, body } = received[0];
+    expect(headers['x-awaretexas-event']).toBe('summary.generated');
+    expect(headers['x-awaretexas-signature'])
+      .toBe(webhookService.sign(subscription.secret, headers['x-awaretexas-timestamp'], body));
+    expect(JSON.parse(body)).toMatchObject({ event: 'summary.generated', data: { billId: '89R-SB1' } });
+  });
+
+  test('should retry server errors and log each delivery', async () => {
+    const subscription = await webhookDatabase.createSubscription({ url: receiverUrl, events: ['bill.created'] });
+
+    responses = [500];
+    await webhookService.emit('bill.created', { bill: { id: '89R-SB2' } });
+    await webhookService.flush();
+
+    responses = [410];
+    await webhookService.emit('bill.created', { bill: { id: '89R-SB3' } });
+    await webhookService.flush();
+
+    const response = await request(app)
+      .get(`/api/webhooks/${subscription.id}/deliveries`)
+      .set('X-Webhook-Token', subscription.token)
+      .expect(200);
+
+    expect(response.body.data.deliveries.map(({ status, attempts, responseStatus }) => ({ status, attempts, responseStatus })))
+      .toEqual([
+        { status: 'failed', attempts: 1, responseStatus: 410 },
+        { status: 'delivered', attempts: 2, responseStatus: 200 }
+      ]);
+  });
+
+  test('should skip inactive subscriptions', async () => {
+    const subscription = await webhookDatabase.createSubscription({ url: receiverUrl, events: ['bill.voted'] });
+
+    await request(app)
+      .put(`/api/webhooks/${subscription.id}`)
+      .set('Authorization', 'Bearer test-admin-key')
+      .send({ active: false })
+      .expect(200);
+
+    expect(await webhookService.emit('bill.voted', { bill: { id: '89R-SB4' }, votes: [] })).toEqual([]);
+  });
+
+  test('should require the owner token or admin key to manage a subscription', async () => {
+    const subscription = await webhookDatabase.createSubscription({ url: receiverUrl, events: ['news.found'] });
+    const other = await webhookDatabase.createSubscription({ url: receiverUrl, events: ['news.found'] });
+
+    await request(app).get(`/api/webhooks/${subscription.id}`).expect(401);
+    await request(app).get(`/api/webhooks/${subscription.id}/deliveries`).set('X-Webhook-Token', other.token).expect(401);
+    await request(app).put(`/api/webhooks/${subscription.id}`).send({ url: 'http://example.org/hook' }).expect(401);
+    await request(app).delete(`/api/webhooks/${subscription.id}`).expect(401);
+    await request(app).get('/api/webhooks').expect(401);
+
+    const listed = await request(app).get('/api/webhooks').set('Authorization', 'Bearer test-admin-key').expect(200);
+    expect(listed.body.data.map(entry => entry.id)).toEqual(expect.arrayContaining([subscription.id, other.id]));
+    expect(listed.body.data[0]).not.toHaveProperty('token');
+
+    await request(app).delete(`/api/webhooks/${subscription.id}`).set('X-Webhook-Token', subscription.token).expect(200);
+  });
+
+  describe('with private hosts disallowed', () => {
+    beforeEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'false';
+    });
+
+    afterEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    });
+
+    test('should reject private target URLs', async () => {
+      for (const url of ['http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/', 'http://10.0.0.5/']) {
+        await request(app)
+          .post('/api/webhooks')
+          .send({ url, events: ['bill.created'] })
+          .expect(400);
+      }
+    });
+
+    test('should connect only to the addresses checked, whatever DNS answers later', async () => {
+      const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      const { url, httpAgent, httpsAgent } = await resolvePublicUrl('https://hooks.example/awaretexas');
+      lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+      expect(url).toBe('https://hooks.example/awaretexas');
+      for (const agent of [httpAgent, httpsAgent]) {
+        const answer = await new Promise(resolve => agent.options.lookup('hooks.example', { all: true }, (error, addresses) => resolve(addresses)));
+        expect(answer).toEqual([{ address: '93.184.216.34', family: 4 }]);
+      }
+      expect(lookup).toHaveBeenCalledTimes(1);
+      lookup.mockRestore();
+    });
+
+    test('should refuse deliveries to hosts that became private', async () => {
+      const subscription = await webhookDatabase.createSubscription({ url: receiverUrl, events: ['summary.generated'] });
+
+      await webhookService.emit('summary.generated', { billId: '89R-SB6' });
+      await webhookService.flush();
+      await webhookDatabase.deleteSubscription(subscription.id);
+
+      expect(received).toHaveLength(0);
+      expect(await webhookDatabase.getDeliveries(subscription.id)).toEqual([
+        expect.objectContaining({ status: 'failed', attempts: 0, error: expect.stringContaining('not a public address') })
+      ]);
+    });
+  });
+});